@@ -74,6 +74,9 @@ import ObooniClosetScreen from '../screens/Obooni/ObooniClosetScreen';
 import ObooniOwnedItemsScreen from '../screens/Obooni/ObooniOwnedItemsScreen';
 import ObooniShopScreen from '../screens/Obooni/ObooniShopScreen';
 
+// 업적
+import AchievementsScreen from '../screens/AchievementsScreen';
+
 import { Colors } from '../styles/color';
 import { FontSizes, FontWeights } from '../styles/Fonts';
 
@@ -300,6 +303,10 @@ const AppNavigator = ({ initialRoute, isPremiumUser }) => {
         <Stack.Screen name="ObooniShop">
           {props => <ObooniShopScreen {...props} isPremiumUser={isPremiumUser} />}
         </Stack.Screen>
+        {/* 업적 화면 */}
+        <Stack.Screen name="Achievements">
+          {props => <AchievementsScreen {...props} isPremiumUser={isPremiumUser} />}
+        </Stack.Screen>
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,269 @@
+// src/screens/AchievementsScreen.jsx
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import { useIsFocused } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { FontAwesome } from '@expo/vector-icons';
+
+// 공통 스타일 및 컴포넌트 임포트
+import { Colors } from '../styles/color';
+import { FontSizes, FontWeights } from '../styles/Fonts';
+import Header from '../components/common/Header';
+
+// API 서비스 임포트
+import { getAchievements, markAchievementsSeen } from '../services/achievementApi';
+
+// 카테고리 표시 순서 및 이름
+const CATEGORY_LABELS = {
+  focus: '집중',
+  task: 'Task',
+  reminder: '망각방지',
+};
+
+const AchievementsScreen = ({ isPremiumUser }) => {
+  const insets = useSafeAreaInsets();
+  const isFocused = useIsFocused();
+
+  const [achievements, setAchievements] = useState([]); // 업적 목록 (잠김/해제 포함)
+  const [summary, setSummary] = useState({ total: 0, unlocked: 0, newCount: 0 });
+  const [isLoading, setIsLoading] = useState(false); // 로딩 상태
+
+  // 데이터 로드
+  const fetchData = async () => {
+    setIsLoading(true);
+    try {
+      const data = await getAchievements();
+      setAchievements(data.achievements || []);
+      setSummary(data.summary || { total: 0, unlocked: 0, newCount: 0 });
+
+      // 새로 해제된 업적은 화면에 표시한 뒤 확인 처리
+      if (data.summary && data.summary.newCount > 0) {
+        await markAchievementsSeen();
+      }
+    } catch (error) {
+      console.error("Failed to fetch achievements:", error.response ? error.response.data : error.message);
+      Alert.alert('오류', '업적 목록을 불러오는데 실패했습니다.');
+      setAchievements([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 화면 포커스 시 데이터 로드
+  useEffect(() => {
+    if (isFocused) {
+      fetchData();
+    }
+  }, [isFocused]);
+
+  const renderReward = (reward) => {
+    if (!reward || reward.type === 'none') return null;
+    if (reward.type === 'coins') {
+      return <Text style={styles.rewardText}>보상: 코인 {reward.coins}개{!isPremiumUser ? ' (Premium)' : ''}</Text>;
+    }
+    return <Text style={styles.rewardText}>보상: 오분이 아이템</Text>;
+  };
+
+  const renderAchievement = (achievement) => (
+    <View
+      key={achievement.key}
+      style={[styles.badgeContainer, !achievement.isUnlocked && styles.badgeLocked]}
+    >
+      <View style={[styles.badgeIcon, achievement.isUnlocked && styles.badgeIconUnlocked]}>
+        <FontAwesome
+          name={achievement.isUnlocked ? achievement.icon : 'lock'}
+          size={28}
+          color={achievement.isUnlocked ? Colors.textLight : Colors.secondaryBrown}
+        />
+      </View>
+      <View style={styles.badgeInfo}>
+        <View style={styles.badgeTitleRow}>
+          <Text style={styles.badgeName}>{achievement.name}</Text>
+          {achievement.isNew && <Text style={styles.newBadge}>NEW</Text>}
+        </View>
+        <Text style={styles.badgeDescription}>{achievement.description}</Text>
+        {achievement.isUnlocked ? (
+          <Text style={styles.unlockedText}>
+            {new Date(achievement.unlockedAt).toLocaleDateString('ko-KR')} 달성
+          </Text>
+        ) : (
+          <View style={styles.progressRow}>
+            <View style={styles.progressBar}>
+              <View style={[styles.progressFill, { width: `${achievement.progressRate}%` }]} />
+            </View>
+            <Text style={styles.progressText}>{achievement.progress}/{achievement.threshold}</Text>
+          </View>
+        )}
+        {renderReward(achievement.reward)}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={[styles.screenContainer, { paddingTop: insets.top + 20 }]}>
+      <Header title="업적" showBackButton={true} />
+
+      {isLoading && ( // 로딩 스피너 오버레이
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color={Colors.accentApricot} />
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.scrollViewContentContainer}>
+        <Text style={styles.summaryText}>
+          {summary.total}개 중 {summary.unlocked}개 달성
+        </Text>
+
+        {Object.keys(CATEGORY_LABELS).map(category => {
+          const categoryAchievements = achievements.filter(achievement => achievement.category === category);
+          if (categoryAchievements.length === 0) return null;
+
+          return (
+            <View key={category} style={styles.categorySection}>
+              <Text style={styles.categoryTitle}>{CATEGORY_LABELS[category]}</Text>
+              {categoryAchievements.map(renderAchievement)}
+            </View>
+          );
+        })}
+
+        {!isLoading && achievements.length === 0 && (
+          <Text style={styles.emptyText}>표시할 업적이 없습니다.</Text>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screenContainer: {
+    flex: 1,
+    backgroundColor: Colors.primaryBeige,
+  },
+  loadingOverlay: { // 로딩 스피너 오버레이
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 15,
+    zIndex: 10,
+  },
+  scrollViewContentContainer: {
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+  },
+  summaryText: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  categorySection: {
+    marginBottom: 25,
+  },
+  categoryTitle: {
+    fontSize: FontSizes.large,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+    marginBottom: 10,
+  },
+  badgeContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.textLight,
+    borderRadius: 15,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  badgeLocked: {
+    opacity: 0.6,
+  },
+  badgeIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: Colors.primaryBeige,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 15,
+  },
+  badgeIconUnlocked: {
+    backgroundColor: Colors.secondaryBrown,
+  },
+  badgeInfo: {
+    flex: 1,
+  },
+  badgeTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  badgeName: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+  },
+  newBadge: {
+    fontSize: FontSizes.small,
+    fontWeight: FontWeights.bold,
+    color: Colors.textLight,
+    backgroundColor: Colors.accentApricot,
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    marginLeft: 8,
+    overflow: 'hidden',
+  },
+  badgeDescription: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginTop: 4,
+  },
+  unlockedText: {
+    fontSize: FontSizes.small,
+    color: Colors.textDark,
+    marginTop: 6,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  progressBar: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.primaryBeige,
+    overflow: 'hidden',
+    marginRight: 8,
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: Colors.accentApricot,
+  },
+  progressText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
+  rewardText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: FontSizes.medium,
+    color: Colors.secondaryBrown,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default AchievementsScreen;
@@ -19,6 +19,7 @@ const FeaturesScreen = () => {
     { name: '타임어택', icon: 'rocket', screen: 'TimeAttack' },
     { name: '목표설정', icon: 'bullseye', screen: 'RoutineSetting' },
     { name: '집중분석 그래프', icon: 'bar-chart', screen: 'AnalysisGraph' }, // AnalysisGraphScreen으로 연결
+    { name: '업적', icon: 'trophy', screen: 'Achievements' },
   ];
 
   const handleFeaturePress = (screenName) => {
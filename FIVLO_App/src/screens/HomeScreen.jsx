@@ -20,6 +20,8 @@ import ObooniCustomizationScreen from '../screens/Obooni/ObooniCustomizationScre
 // API 서비스 임포트
 import { getCoinBalance } from '../services/coinApi';
 import { getTasksByDate, completeTask as completeTaskApi } from '../services/taskApi';
+import { checkInStreak } from '../services/streakApi';
+import { useEventStream, EVENT_TYPES } from '../services/eventStream';
 
 const HomeScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
@@ -34,6 +36,8 @@ const HomeScreen = ({ isPremiumUser }) => {
   const [showCoinGrantModal, setShowCoinGrantModal] = useState(false);
   const [showObooniCustomizationModal, setShowObooniCustomizationModal] = useState(false);
 
+  const [streakData, setStreakData] = useState(null); // 연속 기록 (접속/집중/Task)
+
   const [isLoadingTasks, setIsLoadingTasks] = useState(false);
   const [isLoadingCoins, setIsLoadingCoins] = useState(false);
   const [isCompletingTask, setIsCompletingTask] = useState(false);
@@ -71,6 +75,21 @@ const HomeScreen = ({ isPremiumUser }) => {
     }
   };
 
+  // 오늘 접속 기록 + 연속 기록 조회
+  const fetchStreaks = async () => {
+    try {
+      const data = await checkInStreak();
+      setStreakData(data);
+
+      if (data.frozenDates && data.frozenDates.length > 0) {
+        Alert.alert('스트릭 프리즈 사용', `스트릭 프리즈 ${data.frozenDates.length}개로 연속 기록을 지켰어요!`);
+      }
+    } catch (error) {
+      console.error("Failed to fetch streaks:", error.response ? error.response.data : error.message);
+      setStreakData(null);
+    }
+  };
+
   useEffect(() => {
     if (isFocused) {
       fetchTasks(currentDate);
@@ -78,6 +97,23 @@ const HomeScreen = ({ isPremiumUser }) => {
     }
   }, [isFocused, currentDate, isPremiumUser]);
 
+  useEffect(() => {
+    if (isFocused) {
+      fetchStreaks();
+    }
+  }, [isFocused]);
+
+  // 다른 기기에서 Task 완료/코인 변동 시 다시 조회 (화면을 벗어나 있으면 포커스 시 조회됨)
+  useEventStream([EVENT_TYPES.TASK_COMPLETED, EVENT_TYPES.COINS_CHANGED], (event) => {
+    if (!isFocused) return;
+    if (event.type !== EVENT_TYPES.COINS_CHANGED) {
+      fetchTasks(currentDate);
+    }
+    if (event.type !== EVENT_TYPES.TASK_COMPLETED) {
+      fetchCoinBalance();
+    }
+  });
+
   const goToPreviousDay = () => {
     setCurrentDate(subDays(currentDate, 1));
   };
@@ -99,6 +135,9 @@ const HomeScreen = ({ isPremiumUser }) => {
       );
 
       fetchCoinBalance();
+      if (response.streak && response.streak.extended) {
+        fetchStreaks();
+      }
 
       if (response.allTasksCompleted && isPremiumUser && response.coinReward && response.coinReward.amount > 0) {
         setShowCoinGrantModal(true);
@@ -177,6 +216,31 @@ const HomeScreen = ({ isPremiumUser }) => {
           </View>
         )}
 
+        {streakData && (
+          <View style={styles.streakContainer}>
+            <View style={styles.streakItem}>
+              <FontAwesome name="fire" size={FontSizes.large} color={streakData.streaks.login.isActiveToday ? Colors.accentApricot : Colors.secondaryBrown} />
+              <Text style={styles.streakCount}>{streakData.streaks.login.current}일</Text>
+              <Text style={styles.streakLabel}>연속 접속</Text>
+            </View>
+            <View style={styles.streakItem}>
+              <FontAwesome name="hourglass-half" size={FontSizes.large} color={streakData.streaks.focus.isActiveToday ? Colors.accentApricot : Colors.secondaryBrown} />
+              <Text style={styles.streakCount}>{streakData.streaks.focus.current}일</Text>
+              <Text style={styles.streakLabel}>연속 집중</Text>
+            </View>
+            <View style={styles.streakItem}>
+              <FontAwesome name="check-square" size={FontSizes.large} color={streakData.streaks.task.isActiveToday ? Colors.accentApricot : Colors.secondaryBrown} />
+              <Text style={styles.streakCount}>{streakData.streaks.task.current}일</Text>
+              <Text style={styles.streakLabel}>연속 Task</Text>
+            </View>
+            <View style={styles.streakItem}>
+              <FontAwesome name="snowflake-o" size={FontSizes.large} color={Colors.secondaryBrown} />
+              <Text style={styles.streakCount}>{streakData.streakFreeze.owned}/{streakData.streakFreeze.max}</Text>
+              <Text style={styles.streakLabel}>프리즈</Text>
+            </View>
+          </View>
+        )}
+
         <TouchableOpacity onPress={handleObooniPress} disabled={isLoadingTasks || isLoadingCoins || isCompletingTask}>
           <CharacterImage state={obooniState} style={styles.obooniCharacter} />
         </TouchableOpacity>
@@ -281,6 +345,33 @@ const styles = StyleSheet.create({
   coinIcon: {
     // 코인 아이콘 스타일 (FontAwesome)
   },
+  streakContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '90%',
+    paddingVertical: 10,
+    marginBottom: 10,
+    backgroundColor: Colors.textLight,
+    borderRadius: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  streakItem: {
+    alignItems: 'center',
+  },
+  streakCount: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+    marginTop: 4,
+  },
+  streakLabel: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
   obooniCharacter: {
     width: 250,
     height: 250,
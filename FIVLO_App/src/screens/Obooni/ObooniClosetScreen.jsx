@@ -1,7 +1,7 @@
 // src/screens/Obooni/ObooniClosetScreen.jsx
 
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, Alert, FlatList, ActivityIndicator } from 'react-native'; // ActivityIndicator 임포트 추가
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, Alert, FlatList, ActivityIndicator, TextInput } from 'react-native'; // ActivityIndicator 임포트 추가
 import { useNavigation, useRoute, useIsFocused } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
@@ -16,6 +16,14 @@ import CharacterImage from '../../components/common/CharacterImage';
 // API 서비스 임포트
 import { getOwnedItems, equipItem, unequipItem } from '../../services/obooniApi'; // 오분이 API 임포트 (새로 생성할 파일)
 import { getShopItems } from '../../services/obooniApi'; // 상점 아이템 데이터도 필요 (이미지 로딩용)
+import { getOutfitPresets, createOutfitPreset, updateOutfitPreset, deleteOutfitPreset, applyOutfitPreset } from '../../services/obooniApi';
+import { useEventStream, EVENT_TYPES } from '../../services/eventStream';
+
+// 코디 프리셋 자동 적용 상황
+const PRESET_CONTEXT_LABELS = {
+  focus: '집중',
+  break: '휴식',
+};
 
 const ObooniClosetScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
@@ -30,6 +38,9 @@ const ObooniClosetScreen = ({ isPremiumUser }) => {
     acc: null,
   });
   const [isLoading, setIsLoading] = useState(false); // 로딩 상태
+  const [presets, setPresets] = useState([]); // 저장된 코디 프리셋
+  const [maxPresets, setMaxPresets] = useState(10);
+  const [newPresetName, setNewPresetName] = useState(''); // 새 프리셋 이름 입력값
 
   // 데이터 로드 (소유 아이템, 착용 아이템)
   const fetchData = async () => {
@@ -48,6 +59,11 @@ const ObooniClosetScreen = ({ isPremiumUser }) => {
 
       setOwnedItems(currentOwnedItems);
 
+      // 저장된 코디 프리셋 조회
+      const presetData = await getOutfitPresets();
+      setPresets(presetData.presets || []);
+      setMaxPresets(presetData.maxPresets || 10);
+
       // 현재 착용 중인 아이템 조회 (API 명세에 없지만, 필요시 백엔드에서 제공해야 함)
       // 여기서는 임시로 첫 번째 아이템을 착용하는 것으로 시뮬레이션
       if (currentOwnedItems.length > 0) {
@@ -80,6 +96,13 @@ const ObooniClosetScreen = ({ isPremiumUser }) => {
     }
   }, [isFocused]);
 
+  // 다른 기기에서 착용 아이템/코디를 바꾸면 다시 조회
+  useEventStream([EVENT_TYPES.AVATAR_EQUIPPED], () => {
+    if (isFocused) {
+      fetchData();
+    }
+  });
+
   // 아이템 착용/해제 (API 연동)
   const handleEquipItem = async (item) => {
     setIsLoading(true);
@@ -105,6 +128,92 @@ const ObooniClosetScreen = ({ isPremiumUser }) => {
     }
   };
 
+  // 현재 코디를 프리셋으로 저장
+  const handleSavePreset = async () => {
+    const name = newPresetName.trim();
+    if (!name) {
+      Alert.alert('알림', '프리셋 이름을 입력해주세요.');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const preset = await createOutfitPreset(name);
+      setPresets(prev => [...prev, preset]);
+      setNewPresetName('');
+      Alert.alert('저장 완료', `'${name}' 코디를 저장했습니다.`);
+    } catch (error) {
+      console.error("코디 프리셋 저장 실패:", error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.error || '코디 저장 중 문제가 발생했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 프리셋 착용 (한 번에 전체 코디 변경)
+  const handleApplyPreset = async (preset) => {
+    setIsLoading(true);
+    try {
+      const response = await applyOutfitPreset(preset._id);
+      setEquippedItems({
+        top: response.equippedItems.top,
+        bottom: response.equippedItems.bottom,
+        acc: response.equippedItems.accessory,
+      });
+      if (response.skippedCategories && response.skippedCategories.length > 0) {
+        Alert.alert('착용 완료', `${preset.name} 코디를 착용했습니다.\n더 이상 보유하지 않은 아이템은 제외되었습니다.`);
+      } else {
+        Alert.alert('착용 완료', `${preset.name} 코디를 착용했습니다.`);
+      }
+    } catch (error) {
+      console.error("코디 프리셋 착용 실패:", error.response ? error.response.data : error.message);
+      Alert.alert('오류', '코디 착용 중 문제가 발생했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 자동 적용 상황 지정 (같은 상황의 다른 프리셋은 해제됨)
+  const handleSetPresetContext = async (preset, context) => {
+    setIsLoading(true);
+    try {
+      await updateOutfitPreset(preset._id, { context });
+      setPresets(prev => prev.map(item => {
+        if (item._id === preset._id) return { ...item, context };
+        if (context && item.context === context) return { ...item, context: null };
+        return item;
+      }));
+    } catch (error) {
+      console.error("코디 프리셋 수정 실패:", error.response ? error.response.data : error.message);
+      Alert.alert('오류', '코디 설정 중 문제가 발생했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeletePreset = async (preset) => {
+    setIsLoading(true);
+    try {
+      await deleteOutfitPreset(preset._id);
+      setPresets(prev => prev.filter(item => item._id !== preset._id));
+    } catch (error) {
+      console.error("코디 프리셋 삭제 실패:", error.response ? error.response.data : error.message);
+      Alert.alert('오류', '코디 삭제 중 문제가 발생했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 프리셋 길게 누르면 설정 메뉴
+  const handlePresetOptions = (preset) => {
+    Alert.alert(preset.name, '이 코디를 어떻게 할까요?', [
+      { text: '포모도로 집중 때 자동 착용', onPress: () => handleSetPresetContext(preset, 'focus') },
+      { text: '휴식 때 자동 착용', onPress: () => handleSetPresetContext(preset, 'break') },
+      { text: '자동 착용 해제', onPress: () => handleSetPresetContext(preset, null) },
+      { text: '삭제', style: 'destructive', onPress: () => handleDeletePreset(preset) },
+      { text: '취소', style: 'cancel' },
+    ]);
+  };
+
   const handleGoToOwnedItems = () => {
     navigation.navigate('ObooniOwnedItems', { ownedItems: ownedItems });
   };
@@ -168,6 +277,48 @@ const ObooniClosetScreen = ({ isPremiumUser }) => {
             <Text style={styles.emptyClosetText}>아직 옷과 소품이 없습니다.</Text>
           )}
         </View>
+
+        <View style={[styles.closetSection, styles.presetSection]}>
+          <View style={styles.closetHeader}>
+            <Text style={styles.closetTitle}>저장된 코디</Text>
+            <Text style={styles.presetCount}>{presets.length}/{maxPresets}</Text>
+          </View>
+
+          {presets.length > 0 ? (
+            presets.map(preset => (
+              <TouchableOpacity
+                key={preset._id}
+                style={styles.presetItem}
+                onPress={() => handleApplyPreset(preset)}
+                onLongPress={() => handlePresetOptions(preset)}
+                disabled={isLoading}
+              >
+                <Text style={styles.presetName}>{preset.name}</Text>
+                {preset.context && (
+                  <Text style={styles.presetContextBadge}>{PRESET_CONTEXT_LABELS[preset.context]} 자동 착용</Text>
+                )}
+              </TouchableOpacity>
+            ))
+          ) : (
+            <Text style={styles.emptyPresetText}>지금 입은 코디를 저장해두고 한 번에 갈아입어 보세요.</Text>
+          )}
+
+          {presets.length < maxPresets && (
+            <View style={styles.presetInputRow}>
+              <TextInput
+                style={styles.presetInput}
+                placeholder="코디 이름 (예: 공부할 때)"
+                value={newPresetName}
+                onChangeText={setNewPresetName}
+                maxLength={30}
+                editable={!isLoading}
+              />
+              <TouchableOpacity onPress={handleSavePreset} style={styles.addShopButton} disabled={isLoading}>
+                <FontAwesome5 name="save" size={20} color={Colors.secondaryBrown} />
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
       </ScrollView>
     </View>
   );
@@ -267,6 +418,54 @@ const styles = StyleSheet.create({
     height: '80%',
     resizeMode: 'contain',
   },
+  presetSection: {
+    marginTop: 20,
+  },
+  presetCount: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
+  presetItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: Colors.primaryBeige,
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    marginBottom: 8,
+  },
+  presetName: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+  },
+  presetContextBadge: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
+  emptyPresetText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    textAlign: 'center',
+    paddingVertical: 15,
+  },
+  presetInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  presetInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: Colors.secondaryBrown,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 10,
+    fontSize: FontSizes.medium,
+    color: Colors.textDark,
+  },
   emptyClosetText: {
     fontSize: FontSizes.medium,
     color: Colors.secondaryBrown,
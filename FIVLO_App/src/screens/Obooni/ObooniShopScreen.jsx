@@ -1,7 +1,7 @@
 // src/screens/Obooni/ObooniShopScreen.jsx
 
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, FlatList, Image, TouchableOpacity, Alert, Modal, ActivityIndicator } from 'react-native'; // ActivityIndicator 임포트 추가
+import { View, Text, StyleSheet, FlatList, Image, TouchableOpacity, Alert, Modal, ActivityIndicator, ScrollView } from 'react-native'; // ActivityIndicator 임포트 추가
 import { useNavigation, useIsFocused } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
@@ -16,6 +16,20 @@ import Button from '../../components/common/Button';
 // API 서비스 임포트
 import { getCoinBalance, spendCoin } from '../../services/coinApi'; // 코인 API 임포트
 import { getShopItems, purchaseItem, getOwnedItems } from '../../services/obooniApi'; // 오분이 API 임포트 (새로 생성할 파일)
+import { getShopDrops } from '../../services/obooniApi';
+import { useEventStream, EVENT_TYPES } from '../../services/eventStream';
+
+// 드롭 시작/종료까지 남은 시간 표시 (예: '2일 5시간', '3시간 10분')
+const formatTimeLeft = (targetDate, now) => {
+  const diffMinutes = Math.max(0, Math.floor((new Date(targetDate) - now) / 60000));
+  const days = Math.floor(diffMinutes / (60 * 24));
+  const hours = Math.floor((diffMinutes % (60 * 24)) / 60);
+  const minutes = diffMinutes % 60;
+
+  if (days > 0) return `${days}일 ${hours}시간`;
+  if (hours > 0) return `${hours}시간 ${minutes}분`;
+  return `${minutes}분`;
+};
 
 const ObooniShopScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
@@ -29,6 +43,8 @@ const ObooniShopScreen = ({ isPremiumUser }) => {
   const [isPurchaseConfirmModalVisible, setIsPurchaseConfirmModalVisible] = useState(false);
 
   const [isLoading, setIsLoading] = useState(false); // 로딩 상태
+  const [drops, setDrops] = useState({ comingSoon: [], endingSoon: [] }); // 한정/시즌 드롭 피드
+  const [serverTimeOffset, setServerTimeOffset] = useState(0); // 서버 시각 - 기기 시각 (ms)
 
   // 데이터 로드 (코인 잔액, 상점 아이템, 소유 아이템)
   const fetchData = async () => {
@@ -46,6 +62,16 @@ const ObooniShopScreen = ({ isPremiumUser }) => {
       const ownedData = await getOwnedItems();
       setOwnedItemIds(ownedData.map(item => item.itemId)); // itemId만 추출
 
+      // 한정/시즌 드롭 피드 조회 (실패해도 상점은 표시)
+      try {
+        const dropData = await getShopDrops();
+        setDrops({ comingSoon: dropData.comingSoon || [], endingSoon: dropData.endingSoon || [] });
+        setServerTimeOffset(new Date(dropData.serverTime) - new Date());
+      } catch (dropError) {
+        console.error("Failed to fetch shop drops:", dropError.response ? dropError.response.data : dropError.message);
+        setDrops({ comingSoon: [], endingSoon: [] });
+      }
+
     } catch (error) {
       console.error("Failed to fetch shop data:", error.response ? error.response.data : error.message);
       Alert.alert('오류', '상점 데이터를 불러오는데 실패했습니다.');
@@ -61,6 +87,21 @@ const ObooniShopScreen = ({ isPremiumUser }) => {
     }
   }, [isFocused]);
 
+  // 다른 기기에서 코인이 바뀌면 잔액만 다시 조회
+  useEventStream([EVENT_TYPES.COINS_CHANGED], async (event) => {
+    if (!isFocused) return;
+    if (event.type === EVENT_TYPES.SYNC_RESET) {
+      fetchData();
+      return;
+    }
+    try {
+      const coinData = await getCoinBalance();
+      setUserCoins(coinData.balance);
+    } catch (error) {
+      console.error("Failed to refresh coin balance:", error.response ? error.response.data : error.message);
+    }
+  });
+
   const handlePurchaseAttempt = (item) => {
     if (!isPremiumUser) {
       Alert.alert('유료 기능', '아이템 구매는 유료 버전에서만 가능합니다. 유료 버전 구매 페이지로 이동하시겠습니까?');
@@ -106,6 +147,57 @@ const ObooniShopScreen = ({ isPremiumUser }) => {
     }
   };
 
+  const renderDropItem = (item, label) => (
+    <View key={`${label}-${item.id}`} style={styles.dropItem}>
+      {item.thumbnailUrl || item.imageUrl ? (
+        <Image source={{ uri: item.thumbnailUrl || item.imageUrl }} style={styles.dropItemImage} />
+      ) : null}
+      <Text style={styles.dropItemName} numberOfLines={1}>{item.name}</Text>
+      {item.season && <Text style={styles.dropItemSeason}>{item.season}</Text>}
+      <View style={styles.priceContainer}>
+        {item.finalPrice !== item.price && <Text style={styles.dropOriginalPrice}>{item.price}</Text>}
+        <Text style={styles.shopItemPrice}>{item.finalPrice}</Text>
+        <FontAwesome5 name="coins" size={FontSizes.small} color={Colors.accentApricot} />
+      </View>
+      <Text style={styles.dropTimeLeft}>{label}</Text>
+      {item.remainingQuantity !== null && item.remainingQuantity !== undefined && (
+        <Text style={styles.dropStock}>남은 수량 {item.remainingQuantity}/{item.maxQuantity}</Text>
+      )}
+    </View>
+  );
+
+  const renderDropFeed = () => {
+    if (drops.comingSoon.length === 0 && drops.endingSoon.length === 0) {
+      return null;
+    }
+
+    const now = new Date(Date.now() + serverTimeOffset);
+
+    return (
+      <View style={styles.dropFeed}>
+        {drops.endingSoon.length > 0 && (
+          <>
+            <Text style={styles.dropSectionTitle}>곧 종료</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {drops.endingSoon.map(item => renderDropItem(
+                item,
+                `${item.endingType === 'discount' ? '할인 종료' : '판매 종료'}까지 ${formatTimeLeft(item.endsAt, now)}`
+              ))}
+            </ScrollView>
+          </>
+        )}
+        {drops.comingSoon.length > 0 && (
+          <>
+            <Text style={styles.dropSectionTitle}>곧 출시</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {drops.comingSoon.map(item => renderDropItem(item, `${formatTimeLeft(item.startsAt, now)} 후 출시`))}
+            </ScrollView>
+          </>
+        )}
+      </View>
+    );
+  };
+
   const renderShopItem = ({ item }) => {
     const canAfford = userCoins >= item.price;
     const isOwned = ownedItemIds.includes(item.id);
@@ -155,6 +247,7 @@ const ObooniShopScreen = ({ isPremiumUser }) => {
         data={shopItems} // 백엔드에서 가져온 상점 아이템 사용
         renderItem={renderShopItem}
         keyExtractor={item => item.id}
+        ListHeaderComponent={renderDropFeed}
         numColumns={2}
         contentContainerStyle={styles.shopItemList}
       />
@@ -222,6 +315,56 @@ const styles = StyleSheet.create({
     paddingHorizontal: 10,
     paddingBottom: 20,
   },
+  dropFeed: {
+    paddingHorizontal: 10,
+    marginBottom: 10,
+  },
+  dropSectionTitle: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+    marginLeft: 10,
+    marginVertical: 8,
+  },
+  dropItem: {
+    width: 140,
+    alignItems: 'center',
+    backgroundColor: Colors.textLight,
+    borderRadius: 15,
+    marginHorizontal: 10,
+    padding: 10,
+  },
+  dropItemImage: {
+    width: 70,
+    height: 70,
+    resizeMode: 'contain',
+    marginBottom: 5,
+  },
+  dropItemName: {
+    fontSize: FontSizes.small,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+  },
+  dropItemSeason: {
+    fontSize: FontSizes.small,
+    color: Colors.accentApricot,
+  },
+  dropOriginalPrice: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    textDecorationLine: 'line-through',
+    marginRight: 5,
+  },
+  dropTimeLeft: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginTop: 5,
+    textAlign: 'center',
+  },
+  dropStock: {
+    fontSize: FontSizes.small,
+    color: Colors.accentApricot,
+  },
   shopItemContainer: {
     flex: 1,
     alignItems: 'center',
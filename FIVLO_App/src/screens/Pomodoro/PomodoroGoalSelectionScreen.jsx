@@ -14,7 +14,14 @@ import Header from '../../components/common/Header';
 import Button from '../../components/common/Button';
 
 // API 서비스 임포트
-import { getPomodoroGoals } from '../../services/pomodoroApi';
+import { getPomodoroGoals, createPomodoroSession } from '../../services/pomodoroApi';
+import { getTasksByDate } from '../../services/taskApi';
+
+// 로컬 기준 오늘 날짜 (YYYY-MM-DD)
+const getTodayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
 
 const PomodoroGoalSelectionScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
@@ -23,8 +30,20 @@ const PomodoroGoalSelectionScreen = ({ isPremiumUser }) => {
   const isFocused = useIsFocused();
 
   const [goals, setGoals] = useState([]);
+  const [todayTasks, setTodayTasks] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
 
+  // 오늘의 할 일 로드 (완료하지 않은 Task만)
+  const fetchTodayTasks = async () => {
+    try {
+      const tasks = await getTasksByDate(getTodayString());
+      setTodayTasks(tasks.filter(task => !task.isCompleted));
+    } catch (error) {
+      console.error("Failed to fetch today's tasks:", error.response ? error.response.data : error.message);
+      setTodayTasks([]);
+    }
+  };
+
   // 목표 목록 로드
   const fetchGoals = async () => {
     setIsLoading(true);
@@ -49,6 +68,7 @@ const PomodoroGoalSelectionScreen = ({ isPremiumUser }) => {
   useEffect(() => {
     if (isFocused) {
       fetchGoals();
+      fetchTodayTasks();
     }
   }, [isFocused]);
 
@@ -71,6 +91,36 @@ const PomodoroGoalSelectionScreen = ({ isPremiumUser }) => {
     navigation.navigate('PomodoroTimer', { selectedGoal: goal });
   };
 
+  // Task 선택 시 Task에 연결된 세션을 만들고 포모도로 시작 (집중 시간이 Task 실제 소요 시간에 누적)
+  const handleSelectTask = async (task) => {
+    setIsLoading(true);
+    try {
+      const session = await createPomodoroSession(null, null, '', { taskId: task._id });
+      Alert.alert('포모도로 시작', `"${session.title}" 할 일로 포모도로를 시작합니다.`);
+      navigation.navigate('PomodoroTimer', { selectedGoal: session });
+    } catch (error) {
+      console.error('Task 포모도로 세션 생성 실패:', error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.message || '포모도로를 시작하지 못했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 오늘의 할 일 아이템 렌더링 (예상/실제 소요 시간 표시)
+  const renderTaskItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.goalItem}
+      onPress={() => handleSelectTask(item)}
+      disabled={isLoading}
+    >
+      <View style={[styles.goalColorIndicator, { backgroundColor: item.color || item.categoryId?.color || Colors.accentApricot }]} />
+      <Text style={styles.goalText}>{item.title}</Text>
+      <Text style={styles.taskTimeText}>
+        {item.estimatedMinutes ? `${item.actualMinutes || 0}/${item.estimatedMinutes}분` : `${item.actualMinutes || 0}분`}
+      </Text>
+    </TouchableOpacity>
+  );
+
   // 목표 아이템 렌더링
   const renderGoalItem = ({ item }) => (
     <TouchableOpacity
@@ -89,6 +139,20 @@ const PomodoroGoalSelectionScreen = ({ isPremiumUser }) => {
 
       <ScrollView contentContainerStyle={styles.scrollViewContentContainer}>
         <Text style={styles.sectionTitle}>무엇에 집중하고 싶으신가요?</Text>
+
+        {!isLoading && todayTasks.length > 0 && (
+          <>
+            <Text style={styles.subSectionTitle}>오늘의 할 일</Text>
+            <FlatList
+              data={todayTasks}
+              renderItem={renderTaskItem}
+              keyExtractor={item => item._id}
+              scrollEnabled={false}
+              contentContainerStyle={styles.goalListContent}
+            />
+            <Text style={styles.subSectionTitle}>집중 목표</Text>
+          </>
+        )}
         
         {isLoading ? (
           <ActivityIndicator size="large" color={Colors.secondaryBrown} style={styles.loadingIndicator} />
@@ -139,6 +203,14 @@ const styles = StyleSheet.create({
     width: '100%',
     textAlign: 'center',
   },
+  subSectionTitle: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.secondaryBrown,
+    marginTop: 10,
+    marginBottom: 10,
+    width: '100%',
+  },
   goalListContent: {
     width: '100%',
   },
@@ -170,6 +242,11 @@ const styles = StyleSheet.create({
     color: Colors.textDark,
     flex: 1,
   },
+  taskTimeText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginLeft: 10,
+  },
   noGoalsText: {
     fontSize: FontSizes.medium,
     color: Colors.secondaryBrown,
@@ -35,11 +35,11 @@ const PomodoroPauseScreen = ({ isPremiumUser }) => {
   const handleResume = async () => {
     setIsLoading(true);
     try {
-      await updatePomodoroSessionStatus(selectedGoal.id, 'start'); // API 호출
+      const session = await updatePomodoroSessionStatus(selectedGoal.id, 'resume'); // API 호출
       console.log('포모도로 재개 성공');
       navigation.navigate('PomodoroTimer', {
         selectedGoal,
-        initialTimeLeft: timeLeft,
+        initialTimeLeft: session?.remainingSeconds ?? timeLeft, // 서버 기준 남은 시간
         initialIsFocusMode: isFocusMode,
         initialCycleCount: cycleCount,
         resume: true,
@@ -1,7 +1,7 @@
 // src/screens/Pomodoro/PomodoroTimerScreen.jsx
 
 import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert, Modal, Animated, Easing, ScrollView, Image, ActivityIndicator } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Modal, Animated, Easing, ScrollView, Image, ActivityIndicator, AppState } from 'react-native';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
@@ -14,11 +14,22 @@ import Header from '../../components/common/Header';
 import CharacterImage from '../../components/common/CharacterImage';
 
 // API 서비스 임포트
-import { updatePomodoroSessionStatus, completePomodoroSession } from '../../services/pomodoroApi';
+import { updatePomodoroSessionStatus, completePomodoroSession, getActivePomodoroSession, recordPomodoroInterruption } from '../../services/pomodoroApi';
+import { useEventStream, EVENT_TYPES } from '../../services/eventStream';
 
 const FOCUS_TIME = 25 * 60; // 25분 (초 단위)
 const BREAK_TIME = 5 * 60; // 5분 (초 단위)
 
+// 집중 방해 빠른 기록용 이유 목록
+const INTERRUPTION_REASONS = [
+  { kind: 'internal', reason: '휴대폰 확인' },
+  { kind: 'internal', reason: '잡생각' },
+  { kind: 'internal', reason: '피로/배고픔' },
+  { kind: 'external', reason: '연락/전화' },
+  { kind: 'external', reason: '주변 소음' },
+  { kind: 'external', reason: '다른 사람의 요청' },
+];
+
 const PomodoroTimerScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
   const route = useRoute();
@@ -38,8 +49,11 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
   const [cycleCount, setCycleCount] = useState(initialCycleCount);
 
   const [isLoading, setIsLoading] = useState(false);
+  const [isInterruptionModalVisible, setIsInterruptionModalVisible] = useState(false);
+  const [interruptionCount, setInterruptionCount] = useState(0);
 
   const timerRef = useRef(null);
+  const serverStatusRef = useRef(resume ? 'running' : null); // 서버 기준 세션 상태 (pending/running/paused)
   const needleAngle = useRef(new Animated.Value(0)).current;
   const obooniMovementAnim = useRef(new Animated.Value(0)).current;
 
@@ -61,6 +75,84 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
     return () => clearInterval(timerRef.current);
   }, [isRunning, timeLeft]);
 
+  // 서버(만료 처리) 또는 다른 기기에서 완료된 세션 결과로 다음 단계 이동
+  const handleCompletedElsewhere = (completed) => {
+    clearInterval(timerRef.current);
+    setIsRunning(false);
+    setTimeLeft(0);
+    if (completed.type === 'focus') {
+      navigation.navigate('PomodoroBreakChoice', { selectedGoal, isPremiumUser });
+    } else {
+      setCycleCount(prev => prev + 1);
+      navigation.navigate('PomodoroCycleComplete', { selectedGoal, cycleCount: cycleCount + 1, isPremiumUser, coinEarned: completed.coinAwarded });
+    }
+  };
+
+  // 서버 기준 타이머로 보정 (앱 종료/백그라운드 후 복귀, 다른 기기에서 이어하기)
+  const reconcileWithServer = async () => {
+    try {
+      const { session, timer, autoCompleted } = await getActivePomodoroSession();
+
+      // 앱이 꺼져 있는 동안 시간이 다 되어 서버가 완료 처리한 경우
+      if (autoCompleted && autoCompleted.sessionId === selectedGoal.id) {
+        handleCompletedElsewhere(autoCompleted);
+        return;
+      }
+
+      if (!session || !timer || session.id !== selectedGoal.id) {
+        return;
+      }
+
+      serverStatusRef.current = timer.status;
+      setIsFocusMode(timer.type === 'focus');
+      setTimeLeft(timer.remainingSeconds);
+      setIsRunning(timer.status === 'running');
+    } catch (error) {
+      console.error('포모도로 타이머 동기화 실패:', error.response ? error.response.data : error.message);
+    }
+  };
+
+  // 화면 진입 시, 앱이 다시 포그라운드로 올 때 서버와 동기화
+  useEffect(() => {
+    reconcileWithServer();
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        reconcileWithServer();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [selectedGoal.id]);
+
+  // 다른 기기에서 시작/일시정지/재개/완료한 경우 바로 반영
+  useEventStream([
+    EVENT_TYPES.POMODORO_STARTED,
+    EVENT_TYPES.POMODORO_PAUSED,
+    EVENT_TYPES.POMODORO_RESUMED,
+    EVENT_TYPES.POMODORO_COMPLETED,
+  ], (event) => {
+    if (event.type === EVENT_TYPES.SYNC_RESET) {
+      reconcileWithServer();
+      return;
+    }
+    if (event.data.sessionId !== selectedGoal.id) return;
+
+    if (event.type === EVENT_TYPES.POMODORO_COMPLETED) {
+      // 이 기기에서 완료 요청 중이거나 이미 종료 처리한 경우는 제외
+      if (!isLoading && (isRunning || serverStatusRef.current === 'paused')) {
+        handleCompletedElsewhere(event.data);
+      }
+      return;
+    }
+
+    const { timer } = event.data;
+    serverStatusRef.current = timer.status;
+    setIsFocusMode(timer.type === 'focus');
+    setTimeLeft(timer.remainingSeconds);
+    setIsRunning(timer.status === 'running');
+  });
+
   // 시계 바늘 각도 업데이트
   useEffect(() => {
     if (totalPhaseTime > 0) {
@@ -98,18 +190,25 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
     setIsLoading(true);
     try {
       if (isRunning) {
-        await updatePomodoroSessionStatus(selectedGoal.id, 'pause');
+        const session = await updatePomodoroSessionStatus(selectedGoal.id, 'pause');
         console.log('포모도로 일시정지 성공');
+        serverStatusRef.current = 'paused';
         navigation.navigate('PomodoroPause', {
           selectedGoal,
-          timeLeft,
+          timeLeft: session?.remainingSeconds ?? timeLeft, // 서버 기준 남은 시간
           isFocusMode,
           cycleCount,
         });
         setIsRunning(false);
       } else {
-        await updatePomodoroSessionStatus(selectedGoal.id, 'start');
+        // 일시정지된 세션은 재개, 처음이면 시작
+        const action = serverStatusRef.current === 'paused' ? 'resume' : 'start';
+        const session = await updatePomodoroSessionStatus(selectedGoal.id, action);
         console.log('포모도로 시작 성공');
+        serverStatusRef.current = 'running';
+        if (typeof session?.remainingSeconds === 'number' && session.remainingSeconds > 0) {
+          setTimeLeft(session.remainingSeconds);
+        }
         setIsRunning(true);
       }
     } catch (error) {
@@ -120,6 +219,18 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
     }
   };
 
+  // 집중 방해 기록 (타이머는 멈추지 않음)
+  const handleRecordInterruption = async ({ kind, reason }) => {
+    setIsInterruptionModalVisible(false);
+    try {
+      const result = await recordPomodoroInterruption(selectedGoal.id, kind, reason);
+      setInterruptionCount(result.interruptionCount);
+    } catch (error) {
+      console.error('집중 방해 기록 실패:', error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.message || '방해 기록 중 문제가 발생했습니다.');
+    }
+  };
+
   const handleReset = () => {
     navigation.navigate('PomodoroResetConfirmModal', {
       sessionId: selectedGoal.id,
@@ -148,6 +259,13 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
         navigation.navigate('PomodoroCycleComplete', { selectedGoal, cycleCount: cycleCount + 1, isPremiumUser, coinEarned: response.coinEarned });
       }
     } catch (error) {
+      // 서버가 만료 세션으로 먼저 완료 처리한 경우 그대로 다음 단계로 진행
+      if (error.response?.data?.error === 'SESSION_ALREADY_COMPLETED') {
+        setIsRunning(false);
+        setCycleCount(prev => prev + 1);
+        navigation.navigate('PomodoroCycleComplete', { selectedGoal, cycleCount: cycleCount + 1, isPremiumUser, coinEarned: 0 });
+        return;
+      }
       console.error('사이클 종료 처리 실패:', error.response ? error.response.data : error.message);
       Alert.alert('오류', error.response?.data?.message || '사이클 종료 중 문제가 발생했습니다.');
     } finally {
@@ -225,7 +343,46 @@ const PomodoroTimerScreen = ({ isPremiumUser }) => {
             <FontAwesome5 name="redo" size={30} color={Colors.secondaryBrown} />
           </TouchableOpacity>
         </View>
+
+        {isFocusMode && isRunning && (
+          <TouchableOpacity
+            style={styles.interruptionButton}
+            onPress={() => setIsInterruptionModalVisible(true)}
+            disabled={isLoading}
+          >
+            <FontAwesome5 name="bell-slash" size={14} color={Colors.secondaryBrown} />
+            <Text style={styles.interruptionButtonText}>
+              {interruptionCount > 0 ? `방해 기록 (${interruptionCount})` : '방해 기록'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
+
+      <Modal
+        visible={isInterruptionModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setIsInterruptionModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>무엇이 집중을 방해했나요?</Text>
+            {INTERRUPTION_REASONS.map(item => (
+              <TouchableOpacity
+                key={`${item.kind}-${item.reason}`}
+                style={styles.reasonItem}
+                onPress={() => handleRecordInterruption(item)}
+              >
+                <Text style={styles.reasonText}>{item.reason}</Text>
+                <Text style={styles.reasonKindText}>{item.kind === 'internal' ? '내부' : '외부'}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={styles.modalCancelButton} onPress={() => setIsInterruptionModalVisible(false)}>
+              <Text style={styles.modalCancelText}>취소</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -310,6 +467,63 @@ const styles = StyleSheet.create({
     justifyContent: 'space-around',
     width: '60%',
   },
+  interruptionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: Colors.secondaryBrown,
+  },
+  interruptionButtonText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginLeft: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '80%',
+    backgroundColor: Colors.textLight,
+    borderRadius: 15,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  reasonItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.primaryBeige,
+  },
+  reasonText: {
+    fontSize: FontSizes.medium,
+    color: Colors.textDark,
+  },
+  reasonKindText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
+  modalCancelButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  modalCancelText: {
+    fontSize: FontSizes.medium,
+    color: Colors.secondaryBrown,
+  },
   controlButton: {
     backgroundColor: Colors.textLight,
     padding: 20,
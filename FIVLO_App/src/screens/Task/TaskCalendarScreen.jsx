@@ -19,6 +19,7 @@ import TaskDetailModal from './TaskDetailModal';
 
 // API 서비스 임포트
 import { getTasksByDate, getGrowthAlbumCalendar as getCalendarMonthlyData } from '../../services/taskApi';
+import { useEventStream, EVENT_TYPES } from '../../services/eventStream';
 
 // react-native-calendars 설치 필요: npm install react-native-calendars
 
@@ -103,6 +104,13 @@ const TaskCalendarScreen = ({ isPremiumUser }) => {
     }
   }, [isFocused]);
 
+  // 다른 기기에서 Task를 완료하면 선택한 날짜의 목록 다시 조회
+  useEventStream([EVENT_TYPES.TASK_COMPLETED], () => {
+    if (isFocused) {
+      fetchTasksForSelectedDate(selectedDate);
+    }
+  });
+
   // 캘린더 날짜 클릭 핸들러
   const onDayPress = (day) => {
     const dateString = day.dateString;
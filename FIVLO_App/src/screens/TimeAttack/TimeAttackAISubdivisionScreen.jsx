@@ -14,7 +14,7 @@ import Header from '../../components/common/Header';
 import Button from '../../components/common/Button';
 
 // API 서비스 임포트
-import { createTimeAttackSession } from '../../services/timeAttackApi';
+import { createTimeAttackSession, createTimeAttackTemplate } from '../../services/timeAttackApi';
 import { createAIGoal } from '../../services/aiApi'; // AI API 임포트
 
 const TimeAttackAISubdivisionScreen = ({ isPremiumUser }) => {
@@ -119,6 +119,21 @@ const TimeAttackAISubdivisionScreen = ({ isPremiumUser }) => {
     setEditedTaskTime('');
   };
 
+  // "루틴으로 저장" 버튼 클릭 - 다음부터 타임어택 화면에서 바로 시작할 수 있도록 템플릿으로 저장
+  const handleSaveTemplate = async () => {
+    try {
+      const steps = subdividedTasks.map(task => ({
+        name: task.name,
+        minutes: task.duration,
+      }));
+      await createTimeAttackTemplate(selectedGoal.slice(0, 30), selectedGoal, steps);
+      Alert.alert('루틴 저장', '타임어택 화면의 "저장된 루틴"에서 바로 시작할 수 있어요.');
+    } catch (error) {
+      console.error('타임어택 템플릿 저장 실패:', error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.message || '루틴 저장 중 문제가 발생했습니다.');
+    }
+  };
+
   // "타임어택 시작" 버튼 클릭 (API 연동)
   const handleStartAttack = async () => {
     setIsLoadingAI(true);
@@ -184,6 +199,12 @@ const TimeAttackAISubdivisionScreen = ({ isPremiumUser }) => {
               scrollEnabled={false}
               contentContainerStyle={styles.flatListContent}
             />
+            <Button
+              title="루틴으로 저장"
+              onPress={handleSaveTemplate}
+              primary={false}
+              style={styles.saveTemplateButton}
+            />
             <Button
               title="타임어택 시작"
               onPress={handleStartAttack}
@@ -315,6 +336,10 @@ const styles = StyleSheet.create({
   editIcon: {
     padding: 5,
   },
+  saveTemplateButton: {
+    width: '100%',
+    marginBottom: 10,
+  },
   startButton: {
     marginTop: 30,
     width: '100%',
@@ -22,7 +22,7 @@ const TimeAttackCompleteScreen = ({ isPremiumUser }) => { // isPremiumUser prop
   const route = useRoute();
   const insets = useSafeAreaInsets();
 
-  const { selectedGoal } = route.params;
+  const { selectedGoal, performance } = route.params;
   const [isLoading, setIsLoading] = useState(false); // 로딩 상태
 
   // 코인 지급 로직
@@ -76,6 +76,18 @@ const TimeAttackCompleteScreen = ({ isPremiumUser }) => { // isPremiumUser prop
       <View style={styles.contentContainer}>
         <Text style={styles.completeText}>완료 준비 완료!</Text>
         <Text style={styles.praiseText}>오분이가 칭찬합니다 ~</Text>
+
+        {/* 계획 대비 실제 소요 시간 */}
+        {performance && performance.actualTime > 0 && (
+          <View style={styles.performanceContainer}>
+            <Text style={styles.performanceText}>
+              계획 {Math.round(performance.plannedTime / 60)}분 → 실제 {Math.round(performance.actualTime / 60)}분
+            </Text>
+            <Text style={styles.performanceText}>
+              단계별 시간 정확도 {Math.round(performance.stepAccuracy * 100)}%
+            </Text>
+          </View>
+        )}
         
         <CharacterImage style={styles.obooniCharacter} />
         
@@ -115,6 +127,15 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     textAlign: 'center',
   },
+  performanceContainer: {
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  performanceText: {
+    fontSize: FontSizes.medium,
+    color: Colors.textDark,
+    marginBottom: 5,
+  },
   praiseText: {
     fontSize: FontSizes.large,
     color: Colors.secondaryBrown,
@@ -15,7 +15,8 @@ import Header from '../../components/common/Header';
 import CharacterImage from '../../components/common/CharacterImage';
 
 // API 서비스 임포트
-import { updateTimeAttackSessionStatus, completeTimeAttackSession } from '../../services/timeAttackApi';
+import { updateTimeAttackSessionStatus, completeTimeAttackSession, advanceTimeAttackStep } from '../../services/timeAttackApi';
+import { useEventStream, EVENT_TYPES } from '../../services/eventStream';
 
 const AUTO_NEXT_THRESHOLD = 3000; // 자동 다음 단계 전환 대기 시간 (3초)
 
@@ -28,13 +29,15 @@ const TimeAttackInProgressScreen = ({ isPremiumUser }) => {
 
   const [currentTaskIndex, setCurrentTaskIndex] = useState(0);
   const [timeLeft, setTimeLeft] = useState(0); // 현재 단계의 남은 시간
-  const [isRunning, setIsRunning] = useState(true); // 타이머 작동 여부
+  const [isRunning, setIsRunning] = useState(false); // 타이머 작동 여부 (서버 세션 상태 기준)
   const [nextButtonPressTime, setNextButtonPressTime] = useState(0);
 
   const [isLoading, setIsLoading] = useState(false);
 
   const timerRef = useRef(null);
   const nextTimerRef = useRef(null);
+  const serverStatusRef = useRef(null); // 서버 기준 세션 상태 (in_progress/paused)
+  const sessionEndedRef = useRef(false); // 완료/포기로 화면을 떠나는 중인지
   const minuteHandRotation = useRef(new Animated.Value(0)).current; // 분침 각도
   const progressFill = useRef(new Animated.Value(0)).current; // 진행도
   const obooniMovementAnim = useRef(new Animated.Value(0)).current; // 오분이 움직임 애니메이션
@@ -42,13 +45,54 @@ const TimeAttackInProgressScreen = ({ isPremiumUser }) => {
   const currentTask = subdividedTasks[currentTaskIndex];
   const totalTaskDuration = currentTask ? currentTask.duration * 60 : 0; // 현재 Task의 총 시간 (초)
 
+  // 서버 세션 상태 반영 (일시정지 여부, 현재 단계)
+  const applyServerSession = (session) => {
+    serverStatusRef.current = session.status;
+    setIsRunning(session.status === 'in_progress');
+    if (typeof session.currentStepIndex === 'number' && session.currentStepIndex !== currentTaskIndex) {
+      setCurrentTaskIndex(session.currentStepIndex);
+    }
+  };
+
+  // 화면 진입 시 서버 세션 시작 (일시정지 상태였다면 서버가 재개로 처리)
+  useEffect(() => {
+    const startSession = async () => {
+      try {
+        const session = await updateTimeAttackSessionStatus(sessionId, 'start');
+        applyServerSession(session);
+      } catch (error) {
+        console.error('타임어택 세션 시작 실패:', error.response ? error.response.data : error.message);
+        Alert.alert('오류', error.response?.data?.message || '타임어택을 시작하지 못했습니다.');
+      }
+    };
+    startSession();
+  }, [sessionId]);
+
+  // 진행 중에 화면을 벗어나려 하면 포기 여부 확인
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('beforeRemove', (e) => {
+      if (sessionEndedRef.current) return;
+
+      e.preventDefault();
+      Alert.alert('타임어택 종료', '진행 중인 타임어택을 포기할까요?', [
+        { text: '계속하기', style: 'cancel' },
+        { text: '포기하기', style: 'destructive', onPress: () => handleAbandon(e.data.action) },
+      ]);
+    });
+    return unsubscribe;
+  }, [navigation, sessionId]);
+
   // 타이머 로직
   useEffect(() => {
     if (currentTask) {
       setTimeLeft(currentTask.duration * 60); // 분을 초로 변환
-      setIsRunning(true); // 새 태스크 시작 시 타이머 자동 시작
+      setIsRunning(serverStatusRef.current === 'in_progress'); // 새 태스크 시작 시 타이머 자동 시작 (일시정지 중이면 유지)
+      if (currentTask.cueText) {
+        speakText(currentTask.cueText); // 템플릿에 저장된 단계 시작 안내
+      }
     } else {
       // 모든 태스크 완료
+      sessionEndedRef.current = true;
       navigation.replace('TimeAttackComplete', { selectedGoal, isPremiumUser });
       return;
     }
@@ -138,13 +182,99 @@ const TimeAttackInProgressScreen = ({ isPremiumUser }) => {
     }
   };
 
-  const handleNextTask = () => {
+  // 다른 기기에서 단계를 넘기면 같은 단계로 이동 (마지막 단계를 넘기면 완료 화면으로 이동)
+  // 일시정지/재개/이전 단계/포기도 그대로 반영
+  useEventStream([EVENT_TYPES.TIME_ATTACK_STEP_ADVANCED, EVENT_TYPES.TIME_ATTACK_STATE_CHANGED], (event) => {
+    if (event.type === EVENT_TYPES.SYNC_RESET || event.data.sessionId !== sessionId) return;
+
+    if (event.type === EVENT_TYPES.TIME_ATTACK_STEP_ADVANCED) {
+      if (event.data.currentStepIndex > currentTaskIndex) {
+        setCurrentTaskIndex(event.data.currentStepIndex);
+      }
+      return;
+    }
+
+    if (event.data.status === 'abandoned') {
+      sessionEndedRef.current = true;
+      navigation.goBack();
+      return;
+    }
+    applyServerSession(event.data);
+  });
+
+  // 일시정지/재개 (서버에서 일시정지 시간을 소요 시간에서 제외)
+  const handleTogglePause = async () => {
+    setIsLoading(true);
+    try {
+      const action = serverStatusRef.current === 'paused' ? 'resume' : 'pause';
+      const session = await updateTimeAttackSessionStatus(sessionId, action);
+      applyServerSession(session);
+    } catch (error) {
+      console.error('타임어택 일시정지/재개 실패:', error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.message || '일시정지/재개 중 문제가 발생했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 이전 단계로 돌아가기 (이전 단계를 처음부터 다시 진행)
+  const handlePreviousTask = async () => {
+    setIsLoading(true);
+    try {
+      const session = await updateTimeAttackSessionStatus(sessionId, 'previous-step');
+      applyServerSession(session);
+    } catch (error) {
+      console.error('타임어택 이전 단계 이동 실패:', error.response ? error.response.data : error.message);
+      Alert.alert('오류', error.response?.data?.message || '이전 단계로 돌아가지 못했습니다.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 타임어택 포기 (진행한 시간만 기록하고 종료)
+  const handleAbandon = async (navigationAction = null) => {
+    setIsLoading(true);
+    try {
+      await updateTimeAttackSessionStatus(sessionId, 'abandon');
+    } catch (error) {
+      // 이미 종료된 세션이면 그대로 화면을 떠남
+      if (error.response?.data?.error !== 'SESSION_ALREADY_ENDED') {
+        console.error('타임어택 포기 실패:', error.response ? error.response.data : error.message);
+        Alert.alert('오류', error.response?.data?.message || '타임어택 종료 중 문제가 발생했습니다.');
+        setIsLoading(false);
+        return;
+      }
+    }
+    setIsLoading(false);
+    sessionEndedRef.current = true;
+    if (navigationAction) {
+      navigation.dispatch(navigationAction);
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  const handleNextTask = async () => {
     if (currentTaskIndex < subdividedTasks.length - 1) {
+      // 서버에 단계 진행 기록 (실패해도 이 기기의 진행은 계속)
+      advanceTimeAttackStep(sessionId).catch(error => {
+        console.error('타임어택 단계 진행 기록 실패:', error.response ? error.response.data : error.message);
+      });
       setCurrentTaskIndex(prev => prev + 1);
     } else {
-      // 모든 태스크 완료 시 최종 완료 API 호출
-      completeTimeAttackSession(sessionId);
-      navigation.replace('TimeAttackComplete', { selectedGoal, isPremiumUser });
+      // 모든 태스크 완료 시 최종 완료 API 호출 (계획 대비 실제 시간 결과를 완료 화면에 전달)
+      sessionEndedRef.current = true;
+      let performance = null;
+      setIsLoading(true);
+      try {
+        const result = await completeTimeAttackSession(sessionId);
+        performance = result.session?.performance || null;
+      } catch (error) {
+        console.error('타임어택 완료 기록 실패:', error.response ? error.response.data : error.message);
+      } finally {
+        setIsLoading(false);
+      }
+      navigation.replace('TimeAttackComplete', { selectedGoal, isPremiumUser, performance });
     }
   };
 
@@ -234,6 +364,26 @@ const TimeAttackInProgressScreen = ({ isPremiumUser }) => {
         >
           <Text style={styles.nextButtonText}>다음 단계로</Text>
         </TouchableOpacity>
+
+        {/* 이전 단계 / 일시정지·재개 / 포기 */}
+        <View style={styles.controlRow}>
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={handlePreviousTask}
+            disabled={isLoading || currentTaskIndex === 0}
+          >
+            <FontAwesome5 name="step-backward" size={18} color={currentTaskIndex === 0 ? Colors.secondaryBrown + '66' : Colors.secondaryBrown} />
+            <Text style={styles.controlButtonText}>이전 단계</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.controlButton} onPress={handleTogglePause} disabled={isLoading}>
+            <FontAwesome5 name={isRunning ? 'pause' : 'play'} size={18} color={Colors.secondaryBrown} />
+            <Text style={styles.controlButtonText}>{isRunning ? '일시정지' : '재개'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.controlButton} onPress={() => navigation.goBack()} disabled={isLoading}>
+            <FontAwesome5 name="flag" size={18} color={Colors.secondaryBrown} />
+            <Text style={styles.controlButtonText}>포기</Text>
+          </TouchableOpacity>
+        </View>
       </View>
     </View>
   );
@@ -345,6 +495,21 @@ const styles = StyleSheet.create({
     fontWeight: FontWeights.bold,
     color: Colors.textLight,
   },
+  controlRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 30,
+  },
+  controlButton: {
+    alignItems: 'center',
+    padding: 10,
+  },
+  controlButtonText: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginTop: 5,
+  },
 });
 
 export default TimeAttackInProgressScreen;
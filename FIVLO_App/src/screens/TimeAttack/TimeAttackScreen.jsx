@@ -14,6 +14,7 @@ import Button from '../../components/common/Button';
 
 // API 서비스 임포트
 import { getAIRoutineSuggestions } from '../../services/aiApi';
+import { getTimeAttackTemplates, deleteTimeAttackTemplate, startTimeAttackFromTemplate } from '../../services/timeAttackApi';
 
 const TimeAttackScreen = ({ isPremiumUser }) => {
   const navigation = useNavigation();
@@ -23,6 +24,7 @@ const TimeAttackScreen = ({ isPremiumUser }) => {
   const [customGoal, setCustomGoal] = useState('');
   const [aiRecommendedGoals, setAiRecommendedGoals] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [templates, setTemplates] = useState([]); // 저장된 루틴 (타임어택 템플릿)
 
   // AI 추천 목표 로드
   const fetchAIRoutineSuggestions = async () => {
@@ -51,13 +53,66 @@ const TimeAttackScreen = ({ isPremiumUser }) => {
     }
   };
 
-  // 화면 포커스 시 AI 추천 목표 로드
+  // 저장된 루틴 로드
+  const fetchTemplates = async () => {
+    try {
+      const data = await getTimeAttackTemplates();
+      setTemplates(data.templates || []);
+    } catch (error) {
+      console.error("Failed to fetch time attack templates:", error.response ? error.response.data : error.message);
+      setTemplates([]);
+    }
+  };
+
+  // 화면 포커스 시 AI 추천 목표와 저장된 루틴 로드
   useEffect(() => {
     if (isFocused) {
       fetchAIRoutineSuggestions();
+      fetchTemplates();
     }
   }, [isFocused]);
 
+  // 저장된 루틴으로 바로 타임어택 시작 (목표 설정/AI 세분화 단계 생략)
+  const handleStartFromTemplate = (template) => {
+    Alert.alert('루틴 시작', `"${template.name}" 루틴(${template.totalMinutes}분)으로 타임어택을 시작합니다.`, [
+      { text: '취소', style: 'cancel' },
+      { text: '시작', onPress: async () => {
+        setIsLoading(true);
+        try {
+          const session = await startTimeAttackFromTemplate(template.id);
+          const subdividedTasks = session.steps.map(step => ({
+            id: `template_step_${step.order}`,
+            name: step.name,
+            duration: step.minutes,
+            cueText: step.cueText,
+          }));
+          navigation.navigate('TimeAttackInProgress', { selectedGoal: session.goal, subdividedTasks, sessionId: session.id });
+        } catch (error) {
+          console.error('템플릿으로 타임어택 시작 실패:', error.response ? error.response.data : error.message);
+          Alert.alert('오류', error.response?.data?.message || '루틴으로 타임어택을 시작하지 못했습니다.');
+        } finally {
+          setIsLoading(false);
+        }
+      }},
+    ]);
+  };
+
+  // 길게 눌러 저장된 루틴 삭제
+  const handleDeleteTemplate = (template) => {
+    Alert.alert('루틴 삭제', `"${template.name}" 루틴을 삭제할까요?`, [
+      { text: '취소', style: 'cancel' },
+      { text: '삭제', style: 'destructive', onPress: async () => {
+        try {
+          await deleteTimeAttackTemplate(template.id);
+          setTemplates(prev => prev.filter(item => item.id !== template.id));
+        } catch (error) {
+          console.error('템플릿 삭제 실패:', error.response ? error.response.data : error.message);
+          Alert.alert('오류', error.response?.data?.message || '루틴 삭제 중 문제가 발생했습니다.');
+        }
+      }},
+    ]);
+  };
+
 
   // AI 추천 목표 선택 또는 사용자 맞춤 목표 입력
   const handleSelectGoal = (goalText) => {
@@ -80,6 +135,35 @@ const TimeAttackScreen = ({ isPremiumUser }) => {
           </View>
         )}
 
+        {/* 저장된 루틴 (템플릿) */}
+        {templates.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>저장된 루틴</Text>
+            <View style={styles.templatesContainer}>
+              {templates.map(template => (
+                <TouchableOpacity
+                  key={template.id}
+                  style={styles.templateCard}
+                  onPress={() => handleStartFromTemplate(template)}
+                  onLongPress={() => handleDeleteTemplate(template)}
+                  disabled={isLoading}
+                >
+                  <View style={styles.templateHeader}>
+                    <Text style={styles.templateName}>{template.name}</Text>
+                    <Text style={styles.templateMinutes}>{template.totalMinutes}분 · {template.steps.length}단계</Text>
+                  </View>
+                  <Text style={styles.templateStats}>
+                    {template.stats.usageCount > 0
+                      ? `${template.stats.usageCount}회 사용 · 완료율 ${template.stats.completionRate}%`
+                        + (template.stats.averageActualMinutes !== null ? ` · 평균 ${template.stats.averageActualMinutes}분` : '')
+                      : '아직 사용하지 않은 루틴이에요'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+
         <Text style={styles.sectionTitle}>타임어택을 위한 목표는 무엇인가요?</Text>
 
         {/* AI 추천 목표 */}
@@ -155,6 +239,40 @@ const styles = StyleSheet.create({
     width: '100%',
     textAlign: 'left',
   },
+  templatesContainer: {
+    width: '100%',
+  },
+  templateCard: {
+    backgroundColor: Colors.textLight,
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  templateHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  templateName: {
+    fontSize: FontSizes.medium,
+    fontWeight: FontWeights.bold,
+    color: Colors.textDark,
+  },
+  templateMinutes: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+  },
+  templateStats: {
+    fontSize: FontSizes.small,
+    color: Colors.secondaryBrown,
+    marginTop: 5,
+  },
   aiGoalsContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
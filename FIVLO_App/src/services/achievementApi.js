@@ -0,0 +1,15 @@
+// src/services/achievementApi.js
+
+import apiClient from './apiClient';
+
+// 9-1. 업적 목록 조회 (GET /api/achievements)
+export const getAchievements = async () => {
+  const response = await apiClient.get('/achievements');
+  return response.data; // { achievements: [...], summary: { total, unlocked, newCount } }
+};
+
+// 9-2. 새로 해제된 업적 확인 처리 (POST /api/achievements/seen)
+export const markAchievementsSeen = async (keys) => { // keys를 생략하면 전체 확인 처리
+  const response = await apiClient.post('/achievements/seen', keys ? { keys } : {});
+  return response.data; // { updated } 형태
+};
@@ -7,7 +7,7 @@ import { Alert } from 'react-native'; // Alert 임포트
 // 백엔드 Base URL 설정 (Postman 가이드 기반)
 // !!! 중요 !!! 로컬 개발 환경에서 실제 기기 테스트 시 'localhost' 대신 컴퓨터의 실제 IP 주소로 변경하세요.
 // 예: const API_BASE_URL = 'http://192.168.0.10:5000/api';
-const API_BASE_URL = 'http://172.30.1.26:5000/api'; 
+export const API_BASE_URL = 'http://172.30.1.26:5000/api'; 
 
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -0,0 +1,83 @@
+// src/services/coFocusApi.js
+
+import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_BASE_URL } from './apiClient';
+
+// 함께 집중하기 실시간 서버 (REST API와 같은 호스트, /co-focus 네임스페이스)
+const CO_FOCUS_URL = `${API_BASE_URL.replace(/\/api\/?$/, '')}/co-focus`;
+
+let socket = null;
+
+// 11-1. 함께 집중하기 소켓 연결 (로그인 토큰으로 인증, 끊기면 자동 재연결)
+// listeners: { onRoom, onCompleted, onPhaseEnded, onError }
+export const connectCoFocus = (listeners = {}) => {
+  if (socket) {
+    socket.disconnect();
+  }
+
+  socket = io(CO_FOCUS_URL, {
+    transports: ['websocket'],
+    auth: async (callback) => {
+      const token = await AsyncStorage.getItem('userToken');
+      callback({ token });
+    },
+  });
+
+  if (listeners.onRoom) socket.on('cofocus:room', listeners.onRoom);
+  if (listeners.onCompleted) socket.on('cofocus:completed', listeners.onCompleted);
+  if (listeners.onPhaseEnded) socket.on('cofocus:phase-ended', listeners.onPhaseEnded);
+  if (listeners.onError) {
+    socket.on('cofocus:error', listeners.onError);
+    socket.on('connect_error', (error) => listeners.onError({ error: 'CONNECT_FAILED', message: error.message }));
+  }
+
+  return socket;
+};
+
+// 11-2. 연결 종료
+export const disconnectCoFocus = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+// 이벤트 전송 후 서버 응답(ack) 대기, 실패 시 { error, message }로 reject
+const emitWithAck = (event, payload = {}) => new Promise((resolve, reject) => {
+  if (!socket) {
+    reject({ error: 'NOT_CONNECTED', message: '함께 집중하기 서버에 연결되지 않았습니다.' });
+    return;
+  }
+  socket.timeout(10000).emit(event, payload, (timeoutError, response) => {
+    if (timeoutError) {
+      reject({ error: 'TIMEOUT', message: '서버 응답이 없습니다.' });
+    } else if (!response.success) {
+      reject(response);
+    } else {
+      resolve(response.data);
+    }
+  });
+});
+
+// 11-3. 방 만들기 (만든 사람이 방장, 응답의 code를 친구에게 공유)
+export const createCoFocusRoom = (goal, focusMinutes, breakMinutes) =>
+  emitWithAck('cofocus:create', {
+    ...(goal ? { goal } : {}),
+    ...(focusMinutes ? { focusMinutes } : {}),
+    ...(breakMinutes ? { breakMinutes } : {}),
+  });
+
+// 11-4. 방 참여 (재접속 시에도 같은 code로 다시 호출)
+export const joinCoFocusRoom = (code) => emitWithAck('cofocus:join', { code });
+
+// 11-5. 방 나가기
+export const leaveCoFocusRoom = () => emitWithAck('cofocus:leave');
+
+// 11-6. 함께 집중/휴식 시작 (방장만 가능, type: 'focus' | 'break')
+// 참여자마다 본인의 포모도로 세션이 생성되고, 완료 시 cofocus:completed로 코인 지급 결과 수신
+export const startCoFocusPhase = (type = 'focus') => emitWithAck('cofocus:start', { type });
+
+// 11-7. 본인 세션 일시정지 / 재개 (방 참여자 모두에게 상태 공유)
+export const pauseCoFocus = () => emitWithAck('cofocus:pause');
+export const resumeCoFocus = () => emitWithAck('cofocus:resume');
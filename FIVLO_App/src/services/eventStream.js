@@ -0,0 +1,93 @@
+// src/services/eventStream.js
+
+import { useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_BASE_URL } from './apiClient';
+
+// 기기 간 동기화 이벤트 서버 (REST API와 같은 호스트, /events 네임스페이스)
+const EVENTS_URL = `${API_BASE_URL.replace(/\/api\/?$/, '')}/events`;
+const RECONNECT_DELAY = 5000; // 인증 실패 등으로 연결이 거부된 뒤 다시 시도할 때까지 (5초)
+
+// 서버가 보내는 이벤트 종류
+export const EVENT_TYPES = {
+  POMODORO_STARTED: 'pomodoro.started',
+  POMODORO_PAUSED: 'pomodoro.paused',
+  POMODORO_RESUMED: 'pomodoro.resumed',
+  POMODORO_COMPLETED: 'pomodoro.completed',
+  TIME_ATTACK_STEP_ADVANCED: 'timeAttack.stepAdvanced',
+  TIME_ATTACK_STATE_CHANGED: 'timeAttack.stateChanged', // 일시정지/재개/이전 단계/포기
+  TASK_COMPLETED: 'task.completed',
+  COINS_CHANGED: 'coins.changed',
+  AVATAR_EQUIPPED: 'avatar.equipped',
+  // 끊긴 동안의 이벤트를 이어서 받을 수 없음 → 화면 데이터를 전부 다시 조회해야 함
+  SYNC_RESET: 'sync.reset',
+};
+
+let socket = null;
+let lastEventId = null; // 재접속 시 이 이후의 이벤트를 서버가 다시 보내줌
+const listeners = new Set();
+
+const dispatch = (event) => {
+  listeners.forEach(({ types, handler }) => {
+    if (event.type === EVENT_TYPES.SYNC_RESET || types.includes(event.type)) {
+      handler(event);
+    }
+  });
+};
+
+const connect = () => {
+  socket = io(EVENTS_URL, {
+    transports: ['websocket'],
+    // 재연결할 때마다 호출되므로 최신 토큰과 마지막 이벤트 ID가 전달됨
+    auth: async (callback) => {
+      const token = await AsyncStorage.getItem('userToken');
+      callback({ token, lastEventId });
+    },
+  });
+
+  socket.on('event', (event) => {
+    lastEventId = event.id;
+    dispatch(event);
+  });
+
+  socket.on('sync:reset', (data) => {
+    dispatch({ id: null, type: EVENT_TYPES.SYNC_RESET, data });
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('이벤트 스트림 연결 실패:', error.message);
+    // 서버가 연결을 거부하면(로그인 전 등) 자동 재연결되지 않으므로 직접 다시 시도
+    if (socket && !socket.active) {
+      setTimeout(() => socket && socket.connect(), RECONNECT_DELAY);
+    }
+  });
+};
+
+// 12-1. 이벤트 구독 (첫 구독 시 연결, 마지막 구독 해제 시 연결 종료)
+// types: 받을 이벤트 종류 배열 (sync.reset은 항상 전달), 반환값: 구독 해제 함수
+export const subscribeEvents = (types, handler) => {
+  const listener = { types, handler };
+  listeners.add(listener);
+  if (!socket) {
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && socket) {
+      socket.disconnect();
+      socket = null;
+    }
+  };
+};
+
+// 12-2. 화면에서 이벤트 구독 (핸들러는 항상 최신 state를 참조)
+export const useEventStream = (types, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    return subscribeEvents(types, (event) => handlerRef.current(event));
+  }, [types.join(',')]);
+};
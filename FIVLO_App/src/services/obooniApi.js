@@ -21,8 +21,8 @@ export const getOwnedItems = async () => {
 };
 
 // 8-4. 아이템 착용 (POST /api/customization/equip)
-export const equipItem = async (itemId) => {
-  const response = await apiClient.post('/customization/equip', { itemId });
+export const equipItem = async (itemId, color) => { // color: 아이템 색상 이름 (생략 시 기본 이미지)
+  const response = await apiClient.post('/customization/equip', color ? { itemId, color } : { itemId });
   return response.data.data; // <-- 응답 구조에 맞춰 수정: response.data.data
 };
 
@@ -37,3 +37,75 @@ export const getObooniAvatar = async () => {
   const response = await apiClient.get('/avatar'); // Postman 가이드에 따르면 /api/avatar
   return response.data.avatar; // <-- 응답 구조에 맞춰 수정: response.data.avatar
 };
+
+// 8-7. 오분이 합성 이미지 URL (GET /api/avatar/render/url) - 공유/알림용
+export const getObooniImageUrl = async (size = 512, format = 'png') => {
+  const response = await apiClient.get('/avatar/render/url', { params: { size, format } });
+  return response.data.url; // 착용 세트가 바뀌면 URL도 바뀜
+};
+
+// 8-8. 코디 프리셋 목록 (GET /api/inventory/presets)
+export const getOutfitPresets = async () => {
+  const response = await apiClient.get('/inventory/presets');
+  return response.data; // { presets: [...], maxPresets } 형태
+};
+
+// 8-9. 코디 프리셋 저장 (POST /api/inventory/presets) - items를 생략하면 현재 착용 중인 코디 저장
+export const createOutfitPreset = async (name, context = null, items) => {
+  const response = await apiClient.post('/inventory/presets', { name, context, items });
+  return response.data.preset;
+};
+
+// 8-10. 코디 프리셋 수정 (PUT /api/inventory/presets/:presetId) - { name, items, context }
+export const updateOutfitPreset = async (presetId, updates) => {
+  const response = await apiClient.put(`/inventory/presets/${presetId}`, updates);
+  return response.data.preset;
+};
+
+// 8-11. 코디 프리셋 삭제 (DELETE /api/inventory/presets/:presetId)
+export const deleteOutfitPreset = async (presetId) => {
+  const response = await apiClient.delete(`/inventory/presets/${presetId}`);
+  return response.data;
+};
+
+// 8-12. 코디 프리셋 착용 (POST /api/inventory/presets/:presetId/apply)
+export const applyOutfitPreset = async (presetId) => {
+  const response = await apiClient.post(`/inventory/presets/${presetId}/apply`);
+  return response.data; // { equippedItems, equippedColors, skippedCategories } 형태
+};
+
+// 8-13. 한정/시즌 드롭 피드 (GET /api/shop/drops) - 곧 출시 / 곧 종료
+export const getShopDrops = async () => {
+  const response = await apiClient.get('/shop/drops');
+  return response.data; // { comingSoon: [...], endingSoon: [...], serverTime } 형태
+};
+
+// 8-14. 선물 상자 확률 공개 (GET /api/shop/mystery-box/odds)
+export const getMysteryBoxOdds = async () => {
+  const response = await apiClient.get('/shop/mystery-box/odds');
+  return response.data; // { rarities: [...], pity: { threshold }, items: [...] } 형태
+};
+
+// 8-15. 내 선물 상자 천장 진행 상황 (GET /api/shop/mystery-box/status)
+export const getMysteryBoxStatus = async () => {
+  const response = await apiClient.get('/shop/mystery-box/status');
+  return response.data; // { openCount, pityCounter, pityThreshold, opensUntilGuaranteed } 형태
+};
+
+// 8-16. 아이템 환불/되팔기 가능 여부 조회 (GET /api/customization/returns/:itemId)
+export const getItemReturnQuote = async (itemId) => {
+  const response = await apiClient.get(`/customization/returns/${itemId}`);
+  return response.data.data; // { refundable, refundableUntil, refundAmount, sellable, sellBackAmount } 형태
+};
+
+// 8-17. 아이템 환불 (POST /api/customization/refund) - 구매 후 착용하지 않은 아이템만
+export const refundItem = async (itemId) => {
+  const response = await apiClient.post('/customization/refund', { itemId });
+  return response.data.data;
+};
+
+// 8-18. 아이템 되팔기 (POST /api/customization/sell-back)
+export const sellBackItem = async (itemId) => {
+  const response = await apiClient.post('/customization/sell-back', { itemId });
+  return response.data.data;
+};
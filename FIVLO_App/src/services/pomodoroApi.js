@@ -3,16 +3,24 @@
 import apiClient from './apiClient';
 
 // 3-1. 포모도로 세션 생성 (POST /api/pomodoro/sessions)
-export const createPomodoroSession = async (title, color, description = "") => {
+// options.profileId를 생략하면 기본 프로필(또는 25/5/15 기본 설정)로 생성
+// options.taskId를 지정하면 집중 시간이 해당 Task의 실제 소요 시간에 누적됨 (title/color 생략 시 Task 값 사용)
+export const createPomodoroSession = async (title, color, description = "", options = {}) => {
+  const { profileId, taskId } = options;
   const response = await apiClient.post('/pomodoro/sessions', {
-    goal: title,
-    color,
+    ...(title ? { goal: title } : {}),
+    ...(color ? { color } : {}),
     description,
+    ...(profileId ? { profileId } : {}),
+    ...(taskId ? { taskId } : {}),
   });
   return {
     id: response.data.session.id,
     title: response.data.session.goal,
     color: response.data.session.color,
+    duration: response.data.session.duration,
+    profile: response.data.session.profile,
+    taskId: response.data.session.taskId,
   };
 };
 
@@ -28,12 +36,51 @@ export const completePomodoroSession = async (sessionId, actualDuration = null)
   return response.data;
 };
 
+// 3-2-1. 집중 방해 기록 (POST /api/pomodoro/sessions/SESSION_ID/interruptions)
+// kind: 'internal'(휴대폰, 잡생각 등) | 'external'(연락, 소음 등)
+export const recordPomodoroInterruption = async (sessionId, kind, reason) => {
+  const response = await apiClient.post(`/pomodoro/sessions/${sessionId}/interruptions`, { kind, reason });
+  return response.data; // { interruption, interruptionCount }
+};
+
+// 3-3-1. 진행 중인 포모도로 세션 조회 (GET /api/pomodoro/sessions/active)
+// 서버 기준 남은 시간(timer)과, 앱이 꺼져 있는 동안 완료 처리된 세션(autoCompleted)을 반환
+export const getActivePomodoroSession = async () => {
+  const response = await apiClient.get('/pomodoro/sessions/active');
+  return response.data;
+};
+
 // 3-4. 포모도로 통계 조회 (GET /api/pomodoro/stats)
 export const getPomodoroStats = async (period = 'weekly', date = null) => {
   const response = await apiClient.get('/pomodoro/stats', { params: { period, date } });
   return response.data.stats;
 };
 
+// 3-5. 포모도로 프로필 목록 조회 (GET /api/pomodoro/profiles)
+export const getPomodoroProfiles = async () => {
+  const response = await apiClient.get('/pomodoro/profiles');
+  return response.data;
+};
+
+// 3-6. 포모도로 프로필 생성 (POST /api/pomodoro/profiles)
+// profile: { name, focusMinutes, shortBreakMinutes, longBreakMinutes, longBreakInterval, isDefault }
+export const createPomodoroProfile = async (profile) => {
+  const response = await apiClient.post('/pomodoro/profiles', profile);
+  return response.data.profile;
+};
+
+// 3-7. 포모도로 프로필 수정 (PATCH /api/pomodoro/profiles/PROFILE_ID)
+export const updatePomodoroProfile = async (profileId, updates) => {
+  const response = await apiClient.patch(`/pomodoro/profiles/${profileId}`, updates);
+  return response.data.profile;
+};
+
+// 3-8. 포모도로 프로필 삭제 (DELETE /api/pomodoro/profiles/PROFILE_ID)
+export const deletePomodoroProfile = async (profileId) => {
+  const response = await apiClient.delete(`/pomodoro/profiles/${profileId}`);
+  return response.data;
+};
+
 // 포모도로 목표(세션) 목록 조회 API (GET /api/pomodoro/sessions)
 export const getPomodoroGoals = async () => {
   try {
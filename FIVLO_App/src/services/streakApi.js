@@ -0,0 +1,15 @@
+// src/services/streakApi.js
+
+import apiClient from './apiClient';
+
+// 10-1. 연속 기록 조회 (GET /api/streaks)
+export const getStreaks = async () => {
+  const response = await apiClient.get('/streaks');
+  return response.data; // { streaks: { login, focus, task }, streakFreeze: { owned, max, used } } 형태
+};
+
+// 10-2. 오늘 접속 기록 (POST /api/streaks/check-in) - 앱 실행 시 호출
+export const checkInStreak = async () => {
+  const response = await apiClient.post('/streaks/check-in');
+  return response.data; // getStreaks 응답 + { extended, frozenDates, coinReward }
+};
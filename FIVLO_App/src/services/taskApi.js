@@ -35,6 +35,13 @@ export const deleteTask = async (taskId, deleteAll = false) => {
   return response.data.data; // <-- 응답 구조에 맞춰 수정: data.data (deletedCount 등 포함)
 };
 
+// 4-5-1. 예상 vs 실제 소요 시간 (GET /api/tasks/time-summary?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD)
+// 실제 소요 시간은 Task에 연결한 포모도로 집중 시간으로 누적됨
+export const getTaskTimeSummary = async (startDate, endDate = startDate) => {
+  const response = await apiClient.get('/tasks/time-summary', { params: { startDate, endDate } });
+  return response.data.data; // { tasks, categories, totals }
+};
+
 // --- 카테고리 API ---
 
 // 4-6. 카테고리 목록 조회 (GET /api/categories)
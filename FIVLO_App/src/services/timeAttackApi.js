@@ -12,20 +12,63 @@ export const createTimeAttackSession = async (title, totalDuration, steps) => {
   return response.data.session; // <-- 응답 구조에 맞춰 수정: response.data.session
 };
 
-// 3-2. 타임어택 세션 시작/일시정지 (PUT /api/time-attack/sessions/SESSION_ID/start 또는 /pause)
-export const updateTimeAttackSessionStatus = async (sessionId, action) => { // action: "start" 또는 "pause"
+// 3-2. 타임어택 세션 상태 변경 (PUT /api/time-attack/sessions/SESSION_ID/ACTION)
+// action: "start" | "pause" | "resume" | "previous-step" | "abandon"
+// 일시정지한 시간은 서버에서 소요 시간에서 제외됨
+export const updateTimeAttackSessionStatus = async (sessionId, action) => {
   const response = await apiClient.put(`/time-attack/sessions/${sessionId}/${action}`, {}); // <-- action을 URL 경로로 사용
   return response.data.session; // <-- 응답 구조에 맞춰 수정: response.data.session
 };
 
+// 3-2-1. 타임어택 다음 단계로 진행 (PUT /api/time-attack/sessions/SESSION_ID/next-step)
+// 같은 계정의 다른 기기에는 timeAttack.stepAdvanced 이벤트로 전달됨
+export const advanceTimeAttackStep = async (sessionId) => {
+  const response = await apiClient.put(`/time-attack/sessions/${sessionId}/next-step`, {});
+  return response.data.session;
+};
+
 // 3-3. 타임어택 세션 완료 (PUT /api/time-attack/sessions/SESSION_ID/complete)
 export const completeTimeAttackSession = async (sessionId) => {
   const response = await apiClient.put(`/time-attack/sessions/${sessionId}/complete`);
   return response.data; // <-- 응답 구조에 맞춰 수정: response.data (백엔드 라우터가 직접 객체를 반환)
 };
 
-// Postman 가이드에 없지만, 타임어택 통계 조회 API도 필요할 수 있음
-// export const getTimeAttackStats = async () => {
-//   const response = await apiClient.get('/time-attack/stats');
-//   return response.data;
-// };
+// 3-6. 저장된 타임어택 템플릿 목록 (GET /api/time-attack/templates)
+// 최근 사용 순, 템플릿별 완료/포기 횟수와 평균 소요 시간 포함
+export const getTimeAttackTemplates = async () => {
+  const response = await apiClient.get('/time-attack/templates');
+  return response.data; // { templates, maxTemplates }
+};
+
+// 3-7. 타임어택 템플릿 저장 (POST /api/time-attack/templates)
+// steps: [{ name, minutes, cueText }] - cueText는 단계 시작 시 읽어줄 문구 (선택)
+export const createTimeAttackTemplate = async (name, goal, steps) => {
+  const response = await apiClient.post('/time-attack/templates', { name, goal, steps });
+  return response.data.template;
+};
+
+// 3-8. 타임어택 템플릿 수정 (PATCH /api/time-attack/templates/TEMPLATE_ID)
+// steps를 보내면 단계 전체가 교체됨
+export const updateTimeAttackTemplate = async (templateId, updates) => {
+  const response = await apiClient.patch(`/time-attack/templates/${templateId}`, updates);
+  return response.data.template;
+};
+
+// 3-9. 타임어택 템플릿 삭제 (DELETE /api/time-attack/templates/TEMPLATE_ID)
+export const deleteTimeAttackTemplate = async (templateId) => {
+  const response = await apiClient.delete(`/time-attack/templates/${templateId}`);
+  return response.data;
+};
+
+// 3-10. 템플릿으로 타임어택 세션 생성 (POST /api/time-attack/templates/TEMPLATE_ID/sessions)
+export const startTimeAttackFromTemplate = async (templateId) => {
+  const response = await apiClient.post(`/time-attack/templates/${templateId}/sessions`, {});
+  return response.data.session;
+};
+
+// 3-11. 타임어택 통계 조회 (GET /api/time-attack/stats?period=week|month|all)
+// 전체 효율/정확도, 목표별 성과, 단계 이름별 계획 대비 실제 시간 추이
+export const getTimeAttackStats = async (period = 'month') => {
+  const response = await apiClient.get('/time-attack/stats', { params: { period } });
+  return response.data.stats;
+};
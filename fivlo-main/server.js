@@ -54,7 +54,13 @@ app.use(morgan('combined', { stream: logger.stream }));
 /**
  * 요청 파싱 미들웨어
  */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 결제 웹훅 서명 검증을 위해 원본 본문 보관
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 /**
@@ -114,11 +120,26 @@ app.get('/health', (req, res) => {
 // 인증 관련 API
 app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/users', require('./src/routes/auth'));
-app.use('/api/billing', require('./src/routes/auth'));
+app.use('/api/billing', require('./src/routes/billing'));
+
+// 프로모션 코드, 무료 체험, 친구 초대 API
+app.use('/api/promotions', require('./src/routes/promotions'));
 
 // 코인 시스템 API (Premium 전용)
 app.use('/api/coins', require('./src/routes/coins'));
 
+// 코인 보상 규칙 관리 API (관리자)
+app.use('/api/rewards', require('./src/routes/rewards'));
+
+// 상점 카탈로그 관리 API (관리자)
+app.use('/api/admin/shop', require('./src/routes/adminShop'));
+
+// 업적 및 배지 API
+app.use('/api/achievements', require('./src/routes/achievements'));
+
+// 연속 기록 API
+app.use('/api/streaks', require('./src/routes/streaks'));
+
 // 포모도로 & 타임어택 API
 app.use('/api/pomodoro', require('./src/routes/pomodoro'));
 app.use('/api/time-attack', require('./src/routes/timeAttack'));
@@ -139,6 +160,7 @@ app.use('/api/ai', require('./src/routes/ai'));
 // 커스터마이징 관련 API (새로운 버전)
 app.use('/api/shop', require('./src/routes/shop'));
 app.use('/api/inventory', require('./src/routes/shop'));
+app.use('/api/avatar', require('./src/routes/avatar')); // 합성 이미지 렌더링
 app.use('/api/avatar', require('./src/routes/shop'));
 
 // 레거시 API (호환성 유지)
@@ -212,9 +234,14 @@ const startServer = async () => {
       logger.info(`🌍 환경: ${process.env.NODE_ENV}`);
     });
 
+    // 실시간 서버 (함께 집중하기, 기기 간 동기화 이벤트)
+    const { initializeRealtime } = require('./src/realtime');
+    const io = initializeRealtime(server, corsOptions);
+
     // 서버 종료 시그널 처리
     process.on('SIGTERM', () => {
       logger.info('SIGTERM 신호 수신, 서버 종료 중...');
+      io.close();
       server.close(() => {
         logger.info('서버가 정상적으로 종료되었습니다.');
       });
@@ -237,7 +264,9 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// 서버 시작
-startServer();
+// 서버 시작 (테스트에서는 app만 불러와 사용)
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
+}
 
 module.exports = app;
@@ -88,10 +88,41 @@ const options = {
               enum: ['focus', 'routine', 'goal'],
               example: 'focus'
             },
-            isPremium: {
+            isPremiumActive: {
               type: 'boolean',
               example: false
             },
+            subscription: {
+              type: 'object',
+              properties: {
+                plan: {
+                  type: 'string',
+                  enum: ['free', 'premium_monthly', 'premium_yearly'],
+                  example: 'free'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['none', 'trialing', 'active', 'past_due', 'grace', 'canceled', 'expired'],
+                  example: 'none'
+                },
+                currentPeriodStart: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                currentPeriodEnd: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                graceEndsAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                source: {
+                  type: 'string',
+                  example: 'web'
+                }
+              }
+            },
             coins: {
               type: 'number',
               example: 100
@@ -400,6 +431,8 @@ const options = {
   },
   apis: [
     './src/routes/auth.js',
+    './src/routes/billing.js',
+    './src/routes/adminShop.js',
     './src/routes/ai.js', 
     './src/routes/analytics.js',
     './src/routes/coins.js',
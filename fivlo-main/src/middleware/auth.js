@@ -151,8 +151,8 @@ const requirePremium = (req, res, next) => {
     if (!isPremiumActive) {
       logger.warn('프리미엄 권한 부족', { 
         userId: req.user._id,
-        isPremium: req.user.isPremium,
-        premiumEndDate: req.user.premiumEndDate 
+        subscriptionStatus: req.user.entitlement.status,
+        subscriptionEndDate: req.user.entitlement.currentPeriodEnd
       });
       
       return res.status(403).json({
@@ -180,7 +180,7 @@ const requirePremium = (req, res, next) => {
 };
 
 /**
- * 관리자 권한 확인 미들웨어 (향후 확장용)
+ * 관리자 권한 확인 미들웨어 (User.role === 'admin')
  * @param {Object} req - Express 요청 객체
  * @param {Object} res - Express 응답 객체
  * @param {Function} next - 다음 미들웨어 함수
@@ -194,8 +194,8 @@ const requireAdmin = (req, res, next) => {
       });
     }
 
-    // 관리자 권한 확인 (향후 User 모델에 role 필드 추가 시 구현)
-    if (req.user.email !== 'admin@fivlo.com') {
+    // 관리자 권한 확인 (권한 부여: npm run admin:role -- <email>)
+    if (req.user.role !== 'admin') {
       logger.warn('관리자 권한 부족', { 
         userId: req.user._id,
         email: req.user.email 
@@ -40,8 +40,8 @@ const checkPremiumStatus = async (req, res, next) => {
     if (!isPremiumActive) {
       logger.warn(`Premium access denied for user ${user.id} - subscription inactive`, {
         userId: user.id,
-        subscriptionStatus: user.subscriptionStatus,
-        subscriptionEndDate: user.subscriptionEndDate
+        subscriptionStatus: user.entitlement.status,
+        subscriptionEndDate: user.entitlement.currentPeriodEnd
       });
       
       return res.status(402).json({
@@ -49,8 +49,7 @@ const checkPremiumStatus = async (req, res, next) => {
         error: 'PREMIUM_REQUIRED',
         message: '이 기능은 프리미엄 구독자만 이용할 수 있습니다.',
         subscriptionInfo: {
-          status: user.subscriptionStatus,
-          expiryDate: user.subscriptionEndDate,
+          ...user.subscriptionInfo,
           upgradeRequired: true
         }
       });
@@ -95,7 +94,7 @@ const requirePremiumFeature = (feature) => {
         logger.warn(`Feature access denied: ${feature}`, {
           userId: user.id,
           feature,
-          subscriptionStatus: user.subscriptionStatus
+          subscriptionStatus: user.entitlement.status
         });
         
         return res.status(403).json({
@@ -104,8 +103,7 @@ const requirePremiumFeature = (feature) => {
           message: `${getFeatureDisplayName(feature)} 기능은 프리미엄 구독자만 이용할 수 있습니다.`,
           feature,
           subscriptionInfo: {
-            status: user.subscriptionStatus,
-            expiryDate: user.subscriptionEndDate,
+            ...user.subscriptionInfo,
             requiredPlan: 'premium'
           },
           upgradeUrl: '/billing/checkout'
@@ -332,12 +330,14 @@ const premiumRoute = (router) => {
  */
 const getPremiumStatus = (user) => {
   const isPremiumActive = user.checkPremiumStatus();
+  const entitlement = user.entitlement;
   
   return {
     isPremium: isPremiumActive,
-    subscriptionStatus: user.subscriptionStatus,
-    subscriptionPlan: user.subscriptionPlan,
-    expiryDate: user.subscriptionEndDate,
+    subscriptionStatus: entitlement.status,
+    subscriptionPlan: entitlement.plan,
+    expiryDate: entitlement.currentPeriodEnd,
+    graceEndsAt: entitlement.graceEndsAt,
     features: {
       coins: isPremiumActive,
       locationReminders: isPremiumActive,
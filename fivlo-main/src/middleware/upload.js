@@ -10,7 +10,9 @@ const createUploadDirectories = async () => {
     path.join(__dirname, '../../uploads'),
     path.join(__dirname, '../../uploads/growth-album'),
     path.join(__dirname, '../../uploads/growth-album/original'),
-    path.join(__dirname, '../../uploads/growth-album/thumbnails')
+    path.join(__dirname, '../../uploads/growth-album/thumbnails'),
+    path.join(__dirname, '../../uploads/shop-items'),
+    path.join(__dirname, '../../uploads/shop-items/thumbnails')
   ];
 
   for (const dir of directories) {
@@ -131,6 +133,72 @@ const processImage = async (req, res, next) => {
   }
 };
 
+// 상점 아이템 이미지 처리 미들웨어 (관리자)
+// 오분이 위에 겹쳐 그리는 레이어이므로 투명 배경을 유지한 PNG로 저장
+const processShopItemImage = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next();
+    }
+
+    const fileName = `${generateFileName('item', req.file.originalname).replace(/\.[^.]*$/, '')}.png`;
+
+    const imagePath = path.join(__dirname, '../../uploads/shop-items', fileName);
+    const thumbnailPath = path.join(__dirname, '../../uploads/shop-items/thumbnails', `thumb_${fileName}`);
+
+    // 아바타 합성 캔버스(1024) 기준 정사각형으로 맞춤
+    const imageInfo = await sharp(req.file.buffer)
+      .rotate()
+      .resize(1024, 1024, {
+        fit: 'contain',
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .png({ compressionLevel: 9 })
+      .toFile(imagePath);
+
+    await sharp(req.file.buffer)
+      .rotate()
+      .resize(256, 256, {
+        fit: 'contain',
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .png()
+      .toFile(thumbnailPath);
+
+    // 아바타 렌더링에서 업로드 디렉토리를 직접 읽도록 상대 경로로 저장
+    req.imageInfo = {
+      imagePath,
+      thumbnailPath,
+      imageUrl: `/uploads/shop-items/${fileName}`,
+      thumbnailUrl: `/uploads/shop-items/thumbnails/thumb_${fileName}`,
+      fileSize: imageInfo.size,
+      mimeType: 'image/png',
+      width: imageInfo.width,
+      height: imageInfo.height
+    };
+
+    logger.info('상점 아이템 이미지 처리 완료', {
+      userId: req.user?._id,
+      fileName,
+      originalSize: req.file.size,
+      processedSize: imageInfo.size
+    });
+
+    next();
+  } catch (error) {
+    logger.error(`상점 아이템 이미지 처리 실패: ${error.message}`, {
+      userId: req.user?._id,
+      fileName: req.file?.originalname
+    });
+
+    res.status(400).json({
+      success: false,
+      error: 'IMAGE_PROCESSING_FAILED',
+      message: '이미지 처리 중 오류가 발생했습니다.'
+    });
+  }
+};
+
 // 업로드 에러 핸들링
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -163,5 +231,6 @@ const handleUploadError = (error, req, res, next) => {
 module.exports = {
   upload: upload.single('image'),
   processImage,
+  processShopItemImage,
   handleUploadError
 };
@@ -0,0 +1,109 @@
+/**
+ * 포모도로 집중도 점수 백필
+ * 점수 계산 도입 전에 완료된 집중 세션의 focusScore 를 채웁니다.
+ *
+ * 실행:
+ *   npm run pomodoro:focus-score                  # 점수가 없는 세션만 계산
+ *   npm run pomodoro:focus-score -- --recompute   # 이전 계산 방식(버전)으로 계산된 세션도 다시 계산
+ *   npm run pomodoro:focus-score -- --dry-run     # 저장하지 않고 대상 수만 보고
+ * (계산된 세션은 건너뛰므로 여러 번 실행해도 안전합니다)
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PomodoroSession = require('../models/PomodoroSession');
+const TimerUtils = require('../utils/timer');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+const parseArgs = (argv) => ({
+  recompute: argv.includes('--recompute'),
+  dryRun: argv.includes('--dry-run')
+});
+
+/**
+ * 백필 대상 조건
+ */
+const buildFilter = ({ recompute }) => {
+  const filter = { type: 'focus', isCompleted: true };
+
+  if (recompute) {
+    filter.$or = [
+      { focusScore: null },
+      { 'focusScoreDetails.version': { $ne: TimerUtils.FOCUS_SCORE_VERSION } }
+    ];
+  } else {
+    filter.focusScore = null;
+  }
+
+  return filter;
+};
+
+/**
+ * 백필 실행
+ * @returns {Object} { scanned, updated }
+ */
+const backfill = async (options = {}) => {
+  const cursor = PomodoroSession.find(buildFilter(options))
+    .select('type duration actualDuration pauseCount totalPausedTime interruptions')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    if (!options.dryRun) {
+      const result = await PomodoroSession.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+    operations = [];
+  };
+
+  for await (const session of cursor) {
+    scanned++;
+    const details = TimerUtils.calculateFocusScoreDetails(session, session.actualDuration);
+    if (!details) continue;
+
+    const { score, ...focusScoreDetails } = details;
+    operations.push({
+      updateOne: {
+        filter: { _id: session._id },
+        update: { $set: { focusScore: score, focusScoreDetails } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  logger.info('포모도로 집중도 점수 백필 완료', { scanned, updated, ...options });
+
+  return { scanned, updated };
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => backfill(options))
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(`포모도로 집중도 점수 백필 실패: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  buildFilter,
+  backfill
+};
@@ -0,0 +1,43 @@
+/**
+ * 코인 잔액/거래 내역 대사
+ * User.coins 와 CoinTransaction 합계를 비교해 불일치를 보고하고, 옵션에 따라 보정합니다.
+ *
+ * 실행:
+ *   npm run coins:reconcile                         # 보고만
+ *   npm run coins:reconcile -- --fix                # 잔액을 거래 내역 합계로 재구성
+ *   npm run coins:reconcile -- --fix --adjust       # 잔액은 유지하고 차이를 admin_adjustment 거래로 기록
+ *
+ * 원장 도입 전에는 거래 내역 없이 잔액만 바뀐 경로(알림 완료, 포모도로 코인 등)가 있었으므로
+ * 최초 1회는 --adjust 로 기존 잔액을 원장에 반영한 뒤, 이후에는 기본 방식(--fix)을 사용합니다.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const coinService = require('../services/coinService');
+const logger = require('../utils/logger');
+
+const parseArgs = (argv) => ({
+  fix: argv.includes('--fix'),
+  strategy: argv.includes('--adjust') ? 'adjust' : 'ledger'
+});
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => coinService.reconcileBalances(options))
+    .then((report) => {
+      logger.info('코인 잔액 대사 결과', { drifts: report.drifts });
+      return mongoose.connection.close();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(`코인 잔액 대사 실패: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs
+};
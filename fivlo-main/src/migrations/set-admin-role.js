@@ -0,0 +1,67 @@
+/**
+ * 관리자 권한 부여/회수
+ * User.role 을 admin 또는 user 로 변경합니다.
+ * (role 도입 전 관리자 계정이던 admin@fivlo.com 은 최초 1회 이 스크립트로 권한을 부여합니다)
+ *
+ * 실행:
+ *   npm run admin:role -- admin@fivlo.com            # 관리자 권한 부여
+ *   npm run admin:role -- admin@fivlo.com --revoke   # 일반 사용자로 변경
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const parseArgs = (argv) => ({
+  email: argv.find(arg => !arg.startsWith('--')) || null,
+  role: argv.includes('--revoke') ? 'user' : 'admin'
+});
+
+/**
+ * 이메일로 사용자 권한 변경
+ * @returns {Object|null} 변경된 사용자 (없으면 null)
+ */
+const setRole = async (email, role) => {
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { $set: { role } },
+    { new: true, projection: { email: 1, role: 1 } }
+  );
+
+  if (user) {
+    logger.info('사용자 권한 변경', { userId: user._id, email: user.email, role });
+  }
+
+  return user;
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.email) {
+    logger.error('이메일을 입력해주세요. 예: npm run admin:role -- admin@fivlo.com');
+    process.exit(1);
+  }
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => setRole(options.email, options.role))
+    .then((user) => {
+      if (!user) {
+        logger.error(`사용자를 찾을 수 없습니다: ${options.email}`);
+        process.exitCode = 1;
+      }
+      return mongoose.connection.close();
+    })
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      logger.error(`권한 변경 실패: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  setRole
+};
@@ -0,0 +1,154 @@
+/**
+ * 구독 정보 통합 마이그레이션
+ * 기존 사용자 문서에 흩어져 있던 구독 필드
+ * (isPremium/premiumStartDate/premiumEndDate, subscriptionType,
+ *  subscriptionStatus/subscriptionPlan/subscriptionStartDate/subscriptionEndDate)
+ * 를 User.subscription 서브도큐먼트 하나로 옮기고 기존 필드를 제거합니다.
+ *
+ * 실행: npm run migrate:subscription
+ * (이미 subscription 필드가 있는 문서는 건너뛰므로 여러 번 실행해도 안전합니다)
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const EntitlementUtils = require('../utils/entitlement');
+const logger = require('../utils/logger');
+
+const LEGACY_FIELDS = [
+  'isPremium',
+  'premiumStartDate',
+  'premiumEndDate',
+  'subscriptionType',
+  'subscriptionStatus',
+  'subscriptionPlan',
+  'subscriptionStartDate',
+  'subscriptionEndDate'
+];
+
+const BATCH_SIZE = 500;
+
+/**
+ * 기존 필드로부터 subscription 서브도큐먼트 생성
+ * @param {Object} doc - 원본 사용자 문서 (lean)
+ * @param {Date} now - 기준 시각
+ * @returns {Object} subscription
+ */
+const buildSubscription = (doc, now = new Date()) => {
+  const { PLANS, STATUSES } = EntitlementUtils;
+
+  const flaggedPremium = doc.isPremium === true ||
+    doc.subscriptionStatus === 'premium' ||
+    doc.subscriptionType === 'premium';
+
+  if (!flaggedPremium) {
+    return {
+      plan: PLANS.FREE,
+      status: STATUSES.NONE,
+      currentPeriodStart: null,
+      currentPeriodEnd: null,
+      graceEndsAt: null,
+      source: 'none',
+      externalId: null,
+      updatedAt: now
+    };
+  }
+
+  const plan = Object.values(PLANS).includes(doc.subscriptionPlan) && doc.subscriptionPlan !== PLANS.FREE
+    ? doc.subscriptionPlan
+    : PLANS.PREMIUM_MONTHLY;
+
+  const endCandidates = [doc.subscriptionEndDate, doc.premiumEndDate]
+    .filter(Boolean)
+    .map(date => new Date(date));
+  const startCandidates = [doc.subscriptionStartDate, doc.premiumStartDate]
+    .filter(Boolean)
+    .map(date => new Date(date));
+
+  const periodStart = startCandidates.length > 0
+    ? new Date(Math.min(...startCandidates))
+    : now;
+
+  // 종료일 없이 Premium 표시만 있던 계정은 마이그레이션 시점부터 한 주기를 보장
+  const periodEnd = endCandidates.length > 0
+    ? new Date(Math.max(...endCandidates))
+    : EntitlementUtils.calculatePeriodEnd(plan, now);
+
+  return {
+    plan,
+    status: periodEnd > now ? STATUSES.ACTIVE : STATUSES.EXPIRED,
+    currentPeriodStart: periodStart,
+    currentPeriodEnd: periodEnd,
+    graceEndsAt: EntitlementUtils.calculateGraceEnd(periodEnd),
+    source: 'legacy',
+    externalId: null,
+    updatedAt: now
+  };
+};
+
+/**
+ * 마이그레이션 실행
+ * @returns {Object} { scanned, migrated, premium }
+ */
+const migrate = async () => {
+  const now = new Date();
+  const unset = LEGACY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: '' }), {});
+
+  // 모델 스키마에서 제거된 필드를 읽어야 하므로 컬렉션을 직접 사용
+  const cursor = User.collection.find(
+    { 'subscription.status': { $exists: false } },
+    { projection: LEGACY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: 1 }), {}) }
+  );
+
+  let scanned = 0;
+  let migrated = 0;
+  let premium = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await User.collection.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    const subscription = buildSubscription(doc, now);
+    if (subscription.status === EntitlementUtils.STATUSES.ACTIVE) premium++;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { subscription }, $unset: unset }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  logger.info('구독 정보 통합 마이그레이션 완료', { scanned, migrated, premium });
+
+  return { scanned, migrated, premium };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrate)
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(`구독 정보 통합 마이그레이션 실패: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+  buildSubscription
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// 업적 진행도 계산 지표 (achievementService.getMetricValues 참고)
+const ACHIEVEMENT_METRICS = {
+  POMODORO_SESSIONS: 'pomodoro_sessions',          // 완료한 포모도로 집중 세션 수
+  FOCUS_MINUTES: 'focus_minutes',                  // 누적 집중 시간 (분)
+  TASKS_COMPLETED: 'tasks_completed',              // 완료한 Task 수
+  CATEGORY_TASKS_COMPLETED: 'category_tasks_completed', // 한 카테고리에서 완료한 Task 수 (가장 많은 카테고리 기준)
+  REMINDERS_COMPLETED: 'reminders_completed'       // 완료 체크한 망각방지 알림 수
+};
+
+/**
+ * 업적(배지) 정의 스키마
+ * 지표 값이 목표치에 도달하면 해제되고, 해제 시 코인 또는 상점 아이템을 보상으로 지급
+ */
+const achievementSchema = new mongoose.Schema({
+  // 업적 식별 키 (사용자 진행도와 보상 지급 중복 방지에 사용되므로 변경 불가)
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_]+$/,
+    maxlength: 50,
+    immutable: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // 앱 배지 아이콘 이름 (FontAwesome)
+  icon: {
+    type: String,
+    default: 'trophy'
+  },
+
+  // 분류 (앱 화면 그룹)
+  category: {
+    type: String,
+    enum: ['focus', 'task', 'reminder'],
+    required: true
+  },
+
+  metric: {
+    type: String,
+    enum: Object.values(ACHIEVEMENT_METRICS),
+    required: true
+  },
+
+  // 해제 목표치
+  threshold: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // 해제 보상
+  reward: {
+    type: {
+      type: String,
+      enum: ['none', 'coins', 'shop_item'],
+      default: 'none'
+    },
+    // 지급 코인 (Premium 사용자에게만 지급)
+    coins: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // 지급 아이템
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShopItem',
+      default: null
+    }
+  },
+
+  // 해제 전에는 목록에 노출하지 않는 숨김 업적
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+
+  // 목록 정렬 순서
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'achievements'
+});
+
+achievementSchema.index({ isActive: 1, category: 1, order: 1 });
+
+const Achievement = mongoose.model('Achievement', achievementSchema);
+
+Achievement.METRICS = ACHIEVEMENT_METRICS;
+
+module.exports = Achievement;
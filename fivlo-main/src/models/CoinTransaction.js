@@ -33,8 +33,15 @@ const coinTransactionSchema = new mongoose.Schema({
       'reminder_complete',   // 망각방지 알림 전체 완료
       'daily_login',         // 일일 로그인 보상
       'special_event',       // 특별 이벤트
+      'referral_reward',     // 친구 초대 보상
+      'streak_reward',       // 연속 달성 보상
+      'achievement_reward',  // 업적 달성 보상
+      'mystery_box_duplicate', // 선물 상자 중복 아이템 코인 전환
+      'item_refund',         // 아이템 구매 환불
+      'item_sell_back',      // 아이템 되팔기
       // 코인 소모 이유
       'item_purchase',       // 아이템 구매
+      'mystery_box',         // 선물 상자 개봉
       'customization',       // 커스터마이징
       'admin_adjustment'     // 관리자 조정
     ],
@@ -67,6 +74,24 @@ const coinTransactionSchema = new mongoose.Schema({
     type: String,
     enum: ['task', 'pomodoro', 'reminder', 'shop_item', 'other'],
     default: 'other'
+  },
+
+  // 중복 반영 방지 키 (사용자별 유일, 일일 보상은 'daily:<사유>:<날짜>')
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+
+  // 클라이언트가 보낸 Idempotency-Key (재요청 시 이전 결과 반환용)
+  requestKey: {
+    type: String,
+    default: undefined
+  },
+
+  // 거래 부가 정보 (선물 상자 개봉 결과 등)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
   }
 
 }, {
@@ -79,6 +104,14 @@ const coinTransactionSchema = new mongoose.Schema({
 coinTransactionSchema.index({ userId: 1, createdAt: -1 });
 coinTransactionSchema.index({ userId: 1, type: 1 });
 coinTransactionSchema.index({ userId: 1, reason: 1, createdAt: -1 });
+coinTransactionSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+coinTransactionSchema.index(
+  { userId: 1, requestKey: 1 },
+  { partialFilterExpression: { requestKey: { $type: 'string' } } }
+);
 
 // 가상 필드
 coinTransactionSchema.virtual('formattedDate').get(function() {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  // 결제 프로바이더 (stripe, portone, fake 등)
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // 프로바이더 이벤트 ID (중복 웹훅 처리 방지)
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  // 정규화된 이벤트 타입
+  type: {
+    type: String,
+    required: true
+  },
+
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  plan: {
+    type: String,
+    default: null
+  },
+
+  // 결제사 구독/결제 식별자
+  externalId: {
+    type: String,
+    default: null
+  },
+
+  paymentId: {
+    type: String,
+    default: null
+  },
+
+  amount: {
+    type: Number,
+    default: null
+  },
+
+  currency: {
+    type: String,
+    default: 'KRW'
+  },
+
+  // 처리 상태
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed', 'ignored'],
+    default: 'processing'
+  },
+
+  errorMessage: {
+    type: String,
+    default: null
+  },
+
+  processedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ externalId: 1, createdAt: -1 });
+paymentEventSchema.index({ provider: 1, paymentId: 1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -30,10 +30,17 @@ const pomodoroSessionSchema = new mongoose.Schema({
     }
   },
 
+  // 연결된 Task (집중 시간이 Task 실제 소요 시간에 누적됨)
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
   // 세션 타입
   type: {
     type: String,
-    enum: ['focus', 'break'],
+    enum: ['focus', 'break', 'long_break'],
     required: true
   },
 
@@ -81,6 +88,13 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: 0
   },
 
+  // 일시정지 횟수
+  pauseCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // 포모도로 사이클 정보
   cycleId: {
     type: String,
@@ -92,6 +106,19 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: 1 // 사이클 내 순서 (1: 첫 집중, 2: 첫 휴식, 3: 두번째 집중...)
   },
 
+  // 세션 생성 시 사용한 포모도로 프로필 (프로필이 나중에 수정/삭제되어도 사이클 진행은 유지)
+  profile: {
+    profileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null // null이면 기본 설정(25/5/15, 4회마다 긴 휴식)
+    },
+    name: String,
+    focusMinutes: Number,
+    shortBreakMinutes: Number,
+    longBreakMinutes: Number,
+    longBreakInterval: Number
+  },
+
   // 완료 관련
   isCompleted: {
     type: Boolean,
@@ -103,6 +130,12 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: null
   },
 
+  // 앱이 꺼져 있는 동안 시간이 다 되어 서버가 완료 처리한 세션
+  autoCompleted: {
+    type: Boolean,
+    default: false
+  },
+
   // 코인 지급 여부
   coinAwarded: {
     type: Boolean,
@@ -114,6 +147,32 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: 0
   },
 
+  // 집중 방해 기록 (일시정지와 별개로 집중 중 방해받은 순간을 기록)
+  interruptions: [{
+    // internal: 스스로 주의가 흐트러짐 (휴대폰, 잡생각 등), external: 외부 요인 (연락, 소음 등)
+    kind: {
+      type: String,
+      enum: ['internal', 'external'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    // 세션 시작 후 경과 시간 (초, 일시정지 시간 제외)
+    elapsedSeconds: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  }],
+
   // 통계 정보
   focusScore: {
     type: Number,
@@ -122,6 +181,16 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: null // 세션 완료 후 계산
   },
 
+  // 집중도 점수 항목별 점수 (TimerUtils.calculateFocusScoreDetails)
+  focusScoreDetails: {
+    completion: Number, // 목표 시간 대비 집중 비율 (최대 50)
+    continuity: Number, // 일시정지 횟수/시간 (최대 20)
+    interruptions: Number, // 방해 기록 (최대 20)
+    finish: Number, // 목표 시간까지 집중했는지 (최대 10, 중간에 멈추면 0)
+    earlyStop: Boolean,
+    version: Number // 계산 방식 버전 (바뀌면 재계산 대상)
+  },
+
   // 메모/노트
   notes: {
     type: String,
@@ -150,14 +219,15 @@ pomodoroSessionSchema.index({ userId: 1, createdAt: -1 });
 pomodoroSessionSchema.index({ userId: 1, status: 1 });
 pomodoroSessionSchema.index({ userId: 1, type: 1, createdAt: -1 });
 pomodoroSessionSchema.index({ cycleId: 1, cyclePosition: 1 });
+pomodoroSessionSchema.index({ userId: 1, taskId: 1 }, { sparse: true });
 pomodoroSessionSchema.index({ createdAt: -1 });
 pomodoroSessionSchema.index({ completedAt: -1 });
 
 // 가상 필드
 pomodoroSessionSchema.virtual('remainingTime').get(function() {
-  if (this.status !== 'running') return 0;
+  if (this.status !== 'running' && this.status !== 'paused') return 0;
   
-  const now = new Date();
+  const now = this.status === 'paused' && this.pausedAt ? this.pausedAt : new Date();
   const elapsed = Math.floor((now - this.startTime) / 1000) - this.totalPausedTime;
   const target = this.duration * 60; // 분을 초로 변환
   
@@ -230,6 +300,26 @@ pomodoroSessionSchema.statics.findActiveSession = function(userId) {
   }).sort({ createdAt: -1 });
 };
 
+// 정적 메서드: 앱이 꺼져 있는 동안 시간이 다 된 진행 중 세션 조회
+// (시작 시각 + 목표 시간 + 일시정지 시간 <= 현재)
+pomodoroSessionSchema.statics.findExpiredRunningSessions = function(now = new Date(), limit = 200) {
+  return this.find({
+    status: 'running',
+    startTime: { $ne: null },
+    $expr: {
+      $lte: [
+        {
+          $add: [
+            '$startTime',
+            { $multiply: [{ $add: [{ $multiply: ['$duration', 60] }, '$totalPausedTime'] }, 1000] }
+          ]
+        },
+        now
+      ]
+    }
+  }).limit(limit);
+};
+
 // 정적 메서드: 일일 통계 조회
 pomodoroSessionSchema.statics.getDailyStats = function(userId, date = new Date()) {
   const startOfDay = new Date(date);
@@ -268,7 +358,7 @@ pomodoroSessionSchema.statics.checkCycleCompletion = async function(cycleId) {
   if (sessions.length < 2) return false;
   
   const focusSession = sessions.find(s => s.type === 'focus');
-  const breakSession = sessions.find(s => s.type === 'break');
+  const breakSession = sessions.find(s => s.type === 'break' || s.type === 'long_break');
   
   return focusSession?.isCompleted && breakSession?.isCompleted;
 };
@@ -303,6 +393,7 @@ pomodoroSessionSchema.methods.pause = function() {
   
   this.status = 'paused';
   this.pausedAt = new Date();
+  this.pauseCount = (this.pauseCount || 0) + 1;
   
   return this.save();
 };
@@ -334,4 +425,7 @@ pomodoroSessionSchema.methods.cancel = function() {
 
 const PomodoroSession = mongoose.model('PomodoroSession', pomodoroSessionSchema);
 
+// 세션당 기록 가능한 방해 수
+PomodoroSession.MAX_INTERRUPTIONS = 50;
+
 module.exports = PomodoroSession;
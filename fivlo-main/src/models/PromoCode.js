@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  // 프로모션 코드 (대문자로 저장)
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: 4,
+    maxlength: 32
+  },
+
+  // 혜택 유형
+  type: {
+    type: String,
+    enum: [
+      'percentage',   // 첫 결제 % 할인
+      'fixed',        // 첫 결제 정액 할인 (KRW)
+      'free_months'   // 결제 없이 Premium 개월 수 지급
+    ],
+    required: true
+  },
+
+  // 혜택 값 (퍼센트, 할인 금액, 개월 수)
+  value: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: '퍼센트 할인은 100 이하여야 합니다.'
+    }
+  },
+
+  // 적용 가능한 플랜 (비어 있으면 전체)
+  plans: [{
+    type: String,
+    enum: ['premium_monthly', 'premium_yearly']
+  }],
+
+  // 전체 사용 한도 (null이면 무제한)
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // 계정당 사용 한도
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  // 사용(예약 포함) 횟수
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  startsAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // 관리용 설명 (캠페인명 등)
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+promoCodeSchema.index({ isActive: 1, expiresAt: 1 });
+
+// 가상 필드: 남은 사용 횟수
+promoCodeSchema.virtual('remainingRedemptions').get(function() {
+  if (this.maxRedemptions === null || this.maxRedemptions === undefined) return null;
+  return Math.max(0, this.maxRedemptions - this.redemptionCount);
+});
+
+// 인스턴스 메서드: 현재 사용 가능 여부
+promoCodeSchema.methods.isRedeemable = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > now) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  return this.remainingRedemptions === null || this.remainingRedemptions > 0;
+};
+
+// 인스턴스 메서드: 플랜 적용 가능 여부
+promoCodeSchema.methods.appliesToPlan = function(plan) {
+  return !this.plans || this.plans.length === 0 || this.plans.includes(plan);
+};
+
+// 인스턴스 메서드: 할인 금액 계산 (KRW)
+promoCodeSchema.methods.calculateDiscount = function(amount) {
+  if (this.type === 'percentage') {
+    return Math.floor(amount * this.value / 100);
+  }
+  if (this.type === 'fixed') {
+    return Math.min(amount, this.value);
+  }
+  return 0;
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
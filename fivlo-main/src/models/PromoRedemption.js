@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+    index: true
+  },
+
+  code: {
+    type: String,
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_months'],
+    required: true
+  },
+
+  // 적용 상태 (할인 코드는 결제 완료 시 applied로 확정, 결제하지 않으면 expired)
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'expired'],
+    default: 'pending'
+  },
+
+  // 할인을 적용한 결제 세션 (결제 완료 웹훅에서 이 세션의 예약만 확정)
+  checkoutSessionId: {
+    type: String,
+    default: null
+  },
+
+  // 예약 만료 시각 (지나면 사용 횟수를 돌려줌)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // 계정당 사용 한도 안에서 차지한 순번 (1 ~ perUserLimit, 만료되면 비움)
+  // 같은 순번은 한 번만 저장되므로 동시에 사용해도 한도를 넘지 않음
+  slot: {
+    type: Number,
+    default: undefined
+  },
+
+  plan: {
+    type: String,
+    default: null
+  },
+
+  // 할인 금액 (KRW, 할인 코드)
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // 지급한 Premium 종료일 (free_months 코드)
+  grantedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // 악용 방지용 요청 정보
+  deviceId: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  appliedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 });
+promoRedemptionSchema.index(
+  { promoCodeId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+promoRedemptionSchema.index({ promoCodeId: 1, deviceId: 1 });
+promoRedemptionSchema.index({ userId: 1, status: 1 });
+promoRedemptionSchema.index({ userId: 1, checkoutSessionId: 1 });
+promoRedemptionSchema.index({ status: 1, expiresAt: 1 });
+promoRedemptionSchema.index({ createdAt: -1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
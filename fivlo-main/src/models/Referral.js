@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const rewardSchema = new mongoose.Schema({
+  // 보상 유형 (Premium 사용자는 코인, 그 외는 Premium 이용일)
+  type: {
+    type: String,
+    enum: ['coins', 'premium_days', 'none'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  // 초대한 사용자
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 초대받은 사용자 (계정당 한 번)
+  inviteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  code: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['rewarded', 'rejected'],
+    required: true
+  },
+
+  // 거절 사유 (악용 의심)
+  rejectReason: {
+    type: String,
+    enum: ['DEVICE_ALREADY_USED', 'SELF_REFERRAL_DEVICE', null],
+    default: null
+  },
+
+  referrerReward: {
+    type: rewardSchema,
+    default: null
+  },
+
+  inviteeReward: {
+    type: rewardSchema,
+    default: null
+  },
+
+  inviteeDeviceId: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  rewardedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+referralSchema.index({ inviteeDeviceId: 1 });
+referralSchema.index({ referrerId: 1, status: 1, createdAt: -1 });
+referralSchema.index({ createdAt: -1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+module.exports = Referral;
@@ -83,6 +83,12 @@ const reminderSchema = new mongoose.Schema({
     default: 'time_only'
   },
 
+  // 구독 만료로 위치 알림이 일시 중지된 상태 (위치 정보는 보존, 재구독 시 복원)
+  locationSuspended: {
+    type: Boolean,
+    default: false
+  },
+
   // 마지막 알림 발송 시간
   lastNotifiedAt: {
     type: Date,
@@ -213,7 +219,7 @@ reminderSchema.statics.getActiveReminders = function(userId = null) {
   }
   
   return this.find(query)
-    .populate('userId', 'isPremium deviceTokens')
+    .populate('userId', 'subscription deviceTokens')
     .sort({ 'time.hour': 1, 'time.minute': 1 });
 };
 
@@ -224,7 +230,7 @@ reminderSchema.statics.getRemindersByTime = function(hour, minute, dayOfWeek) {
     'time.hour': hour,
     'time.minute': minute,
     days: dayOfWeek
-  }).populate('userId', 'isPremium deviceTokens');
+  }).populate('userId', 'subscription deviceTokens');
 };
 
 // 정적 메서드: 사용자별 알림 통계
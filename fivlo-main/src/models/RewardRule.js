@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const CoinTransaction = require('./CoinTransaction');
+
+// 코인 보상 이벤트 종류 (rewardEngine.handle 의 event.type)
+const REWARD_EVENTS = {
+  POMODORO_CYCLE_COMPLETED: 'pomodoro.cycle_completed',
+  TASKS_ALL_COMPLETED: 'tasks.all_completed',
+  REMINDERS_ALL_CHECKED: 'reminders.all_checked',
+  STREAK_REACHED: 'streak.reached',
+  SUBSCRIPTION_STARTED: 'subscription.started'
+};
+
+const rewardRuleSchema = new mongoose.Schema({
+  // 규칙 식별 키 (거래 중복 방지 키에 사용되므로 생성 후 변경 불가)
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_]+$/,
+    maxlength: 50,
+    immutable: true
+  },
+
+  // 관리자 화면 표시 이름 (거래 설명으로도 사용)
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // 규칙이 반응하는 이벤트
+  event: {
+    type: String,
+    enum: Object.values(REWARD_EVENTS),
+    required: true
+  },
+
+  // 코인 거래 사유 코드 (CoinTransaction.reason)
+  reason: {
+    type: String,
+    enum: CoinTransaction.schema.path('reason').enumValues,
+    required: true
+  },
+
+  // 기본 지급 코인
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // 하루 최대 지급 횟수 (null이면 제한 없음)
+  dailyCap: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // 주간(월요일 시작) 최대 지급 횟수 (null이면 제한 없음)
+  weeklyCap: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // 지급 조건
+  conditions: {
+    // 이벤트 값(연속 달성 일수 등)이 이 중 하나일 때만 지급 (비어 있으면 항상)
+    milestones: [{
+      type: Number,
+      min: 1
+    }]
+  },
+
+  // 기간 한정 배율 (예: 주말 2배 이벤트), 겹치면 곱해서 적용
+  multipliers: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    factor: {
+      type: Number,
+      required: true,
+      min: 0.1,
+      max: 10
+    },
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function(value) {
+          return !this.startsAt || value > this.startsAt;
+        },
+        message: '배율 종료일은 시작일 이후여야 합니다.'
+      }
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+
+  // 마지막으로 수정한 관리자
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'reward_rules'
+});
+
+rewardRuleSchema.index({ event: 1, isActive: 1 });
+
+/**
+ * 이벤트가 지급 조건을 만족하는지 확인
+ */
+rewardRuleSchema.methods.matches = function(event) {
+  const milestones = (this.conditions && this.conditions.milestones) || [];
+  if (milestones.length === 0) {
+    return true;
+  }
+
+  return milestones.includes(Number(event.value));
+};
+
+/**
+ * 현재 적용 중인 배율 (없으면 1)
+ */
+rewardRuleSchema.methods.getMultiplier = function(now = new Date()) {
+  return this.multipliers
+    .filter(multiplier => multiplier.startsAt <= now && now < multiplier.endsAt)
+    .reduce((factor, multiplier) => factor * multiplier.factor, 1);
+};
+
+/**
+ * 배율을 반영한 지급 코인 (최소 1)
+ */
+rewardRuleSchema.methods.calculateAmount = function(now = new Date()) {
+  return Math.max(1, Math.round(this.amount * this.getMultiplier(now)));
+};
+
+const RewardRule = mongoose.model('RewardRule', rewardRuleSchema);
+
+RewardRule.EVENTS = REWARD_EVENTS;
+
+module.exports = RewardRule;
@@ -26,7 +26,7 @@ const shopItemSchema = new mongoose.Schema({
   // 아이템 카테고리
   category: {
     type: String,
-    enum: ['top', 'bottom', 'accessory', 'background'],
+    enum: ['top', 'bottom', 'accessory', 'background', 'consumable'],
     required: true
   },
 
@@ -40,6 +40,8 @@ const shopItemSchema = new mongoose.Schema({
       'hat', 'glasses', 'scarf', 'bag', 'jewelry',
       // 배경
       'simple', 'nature', 'city', 'space', 'fantasy',
+      // 소모품
+      'streak_freeze', 'mystery_box',
       // 기타
       'premium', 'limited', 'seasonal', 'event'
     ],
@@ -101,6 +103,19 @@ const shopItemSchema = new mongoose.Schema({
     soldQuantity: {
       type: Number,
       default: 0
+    },
+    // 1인당 구매 가능 수량 (없으면 제한 없음)
+    perUserLimit: {
+      type: Number,
+      min: 1
+    },
+    // '곧 출시' 피드에 노출하기 시작하는 시점 (없으면 출시 7일 전부터)
+    announceDate: Date,
+    // 시즌/이벤트 이름 (예: '2025 겨울')
+    season: {
+      type: String,
+      trim: true,
+      maxlength: 30
     }
   },
 
@@ -117,7 +132,12 @@ const shopItemSchema = new mongoose.Schema({
       default: 0
     },
     startDate: Date,
-    endDate: Date
+    endDate: Date,
+    // 예약 할인 (스케줄러가 기간에 맞춰 isActive를 켜고 끔)
+    isScheduled: {
+      type: Boolean,
+      default: false
+    }
   },
 
   // 통계 정보
@@ -139,6 +159,16 @@ const shopItemSchema = new mongoose.Schema({
     ratingCount: {
       type: Number,
       default: 0
+    },
+    // 환불 건수 (환불 시 판매 수량/매출에서 차감)
+    totalRefunds: {
+      type: Number,
+      default: 0
+    },
+    // 되팔기 건수 (되팔기 지급 코인은 매출에서 차감)
+    totalSellBacks: {
+      type: Number,
+      default: 0
     }
   },
 
@@ -152,6 +182,19 @@ const shopItemSchema = new mongoose.Schema({
   releaseDate: {
     type: Date,
     default: Date.now
+  },
+
+  // 판매 중단 시각 (관리자가 판매 중단한 경우)
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+
+  // 마지막으로 수정한 관리자
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 
 }, {
@@ -168,6 +211,8 @@ shopItemSchema.index({ rarity: 1 });
 shopItemSchema.index({ 'stats.totalPurchases': -1 });
 shopItemSchema.index({ releaseDate: -1 });
 shopItemSchema.index({ sortOrder: 1 });
+shopItemSchema.index({ isLimited: 1, 'limitedInfo.startDate': 1, 'limitedInfo.endDate': 1 });
+shopItemSchema.index({ 'discount.isScheduled': 1, 'discount.startDate': 1, 'discount.endDate': 1 });
 
 // 가상 필드
 shopItemSchema.virtual('finalPrice').get(function() {
@@ -196,17 +241,26 @@ shopItemSchema.virtual('rarityColor').get(function() {
 });
 
 shopItemSchema.virtual('isAvailable').get(function() {
-  if (!this.isActive) return false;
+  return this.getAvailabilityStatus() === 'available';
+});
+
+shopItemSchema.virtual('remainingQuantity').get(function() {
+  if (!this.isLimited || !this.limitedInfo.maxQuantity) return null;
+  return Math.max(0, this.limitedInfo.maxQuantity - this.limitedInfo.soldQuantity);
+});
+
+// 인스턴스 메서드: 판매 상태 (available | upcoming | ended | sold_out | inactive)
+shopItemSchema.methods.getAvailabilityStatus = function(now = new Date()) {
+  if (!this.isActive) return 'inactive';
   
   if (this.isLimited) {
-    const now = new Date();
-    if (this.limitedInfo.startDate && now < this.limitedInfo.startDate) return false;
-    if (this.limitedInfo.endDate && now > this.limitedInfo.endDate) return false;
-    if (this.limitedInfo.maxQuantity && this.limitedInfo.soldQuantity >= this.limitedInfo.maxQuantity) return false;
+    if (this.limitedInfo.startDate && now < this.limitedInfo.startDate) return 'upcoming';
+    if (this.limitedInfo.endDate && now > this.limitedInfo.endDate) return 'ended';
+    if (this.limitedInfo.maxQuantity && this.limitedInfo.soldQuantity >= this.limitedInfo.maxQuantity) return 'sold_out';
   }
   
-  return true;
-});
+  return 'available';
+};
 
 // 인스턴스 메서드: 할인 유효성 확인
 shopItemSchema.methods.isDiscountValid = function() {
@@ -231,6 +285,101 @@ shopItemSchema.methods.processPurchase = function() {
   return this.save();
 };
 
+// 정적 메서드: 구매 1건 반영 (한정 아이템은 판매 기간과 재고를 조건으로 원자적으로 차감, 구매 불가면 null)
+shopItemSchema.statics.reservePurchase = function(item, price, session = null) {
+  const now = new Date();
+  const filter = { _id: item._id, isActive: true };
+  const update = {
+    $inc: {
+      'stats.totalPurchases': 1,
+      'stats.totalRevenue': price
+    }
+  };
+
+  if (item.isLimited) {
+    filter.$and = [
+      { $or: [{ 'limitedInfo.startDate': null }, { 'limitedInfo.startDate': { $lte: now } }] },
+      { $or: [{ 'limitedInfo.endDate': null }, { 'limitedInfo.endDate': { $gte: now } }] },
+      {
+        $or: [
+          { 'limitedInfo.maxQuantity': null },
+          { 'limitedInfo.maxQuantity': 0 },
+          { $expr: { $lt: ['$limitedInfo.soldQuantity', '$limitedInfo.maxQuantity'] } }
+        ]
+      }
+    ];
+    update.$inc['limitedInfo.soldQuantity'] = 1;
+  }
+
+  return this.findOneAndUpdate(filter, update, { new: true, session });
+};
+
+// 정적 메서드: 반영한 구매 되돌리기
+shopItemSchema.statics.releasePurchase = function(item, price, session = null) {
+  const update = {
+    $inc: {
+      'stats.totalPurchases': -1,
+      'stats.totalRevenue': -price
+    }
+  };
+
+  if (item.isLimited) {
+    update.$inc['limitedInfo.soldQuantity'] = -1;
+  }
+
+  return this.updateOne({ _id: item._id }, update, { session });
+};
+
+// 정적 메서드: 환불/되팔기 반영
+// 환불은 구매 1건을 취소 (한정 아이템은 재고 복구), 되팔기는 지급한 코인만큼 매출 차감
+shopItemSchema.statics.recordReturn = function(item, { refunded, amount }, session = null) {
+  const update = {
+    $inc: {
+      'stats.totalRevenue': -amount
+    }
+  };
+
+  if (refunded) {
+    update.$inc['stats.totalPurchases'] = -1;
+    update.$inc['stats.totalRefunds'] = 1;
+    if (item.isLimited) {
+      update.$inc['limitedInfo.soldQuantity'] = -1;
+    }
+  } else {
+    update.$inc['stats.totalSellBacks'] = 1;
+  }
+
+  return this.updateOne({ _id: item._id }, update, { session });
+};
+
+// 정적 메서드: 예약 할인 켜고 끄기 (스케줄러에서 호출)
+shopItemSchema.statics.syncScheduledDiscounts = async function(now = new Date()) {
+  const [activated, deactivated] = await Promise.all([
+    this.updateMany(
+      {
+        'discount.isScheduled': true,
+        'discount.isActive': false,
+        'discount.startDate': { $lte: now },
+        $or: [{ 'discount.endDate': null }, { 'discount.endDate': { $gt: now } }]
+      },
+      { $set: { 'discount.isActive': true } }
+    ),
+    this.updateMany(
+      {
+        'discount.isScheduled': true,
+        'discount.isActive': true,
+        'discount.endDate': { $lte: now }
+      },
+      { $set: { 'discount.isActive': false } }
+    )
+  ]);
+
+  return {
+    activated: activated.modifiedCount,
+    deactivated: deactivated.modifiedCount
+  };
+};
+
 // 인스턴스 메서드: 평점 업데이트
 shopItemSchema.methods.updateRating = function(newRating) {
   const currentTotal = this.stats.averageRating * this.stats.ratingCount;
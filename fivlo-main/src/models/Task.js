@@ -162,6 +162,20 @@ const taskSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     default: null
+  },
+
+  // 연결된 포모도로 집중 세션으로 쌓인 시간 (초) - actualMinutes 계산에 사용
+  focusSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // 연결된 포모도로 집중 세션 완료 수
+  pomodoroCount: {
+    type: Number,
+    min: 0,
+    default: 0
   }
 
 }, {
@@ -313,6 +327,30 @@ taskSchema.statics.createRepeatingTasks = async function(originalTask, endDate)
   return [];
 };
 
+// 정적 메서드: 완료한 포모도로 집중 시간을 Task 실제 소요 시간에 누적
+// actualMinutes는 누적 초를 분으로 내림 (직접 입력한 값이 더 크면 유지)
+taskSchema.statics.addFocusTime = function(userId, taskId, seconds) {
+  return this.findOneAndUpdate(
+    { _id: taskId, userId },
+    [
+      {
+        $set: {
+          focusSeconds: { $add: [{ $ifNull: ['$focusSeconds', 0] }, seconds] },
+          pomodoroCount: { $add: [{ $ifNull: ['$pomodoroCount', 0] }, 1] }
+        }
+      },
+      {
+        $set: {
+          actualMinutes: {
+            $max: [{ $ifNull: ['$actualMinutes', 0] }, { $floor: { $divide: ['$focusSeconds', 60] } }]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
 // 인스턴스 메서드: Task 완료 처리
 taskSchema.methods.complete = function(actualMinutes = null) {
   this.isCompleted = true;
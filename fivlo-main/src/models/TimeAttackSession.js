@@ -48,9 +48,34 @@ const timeAttackSessionSchema = new mongoose.Schema({
     completedAt: {
       type: Date,
       default: null
+    },
+    // 단계 실제 소요 시간 추적
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    pausedSecondsAtStart: {
+      type: Number,
+      default: 0 // 단계 시작 시점까지 누적된 세션 일시정지 시간 (초)
+    },
+    actualSeconds: {
+      type: Number,
+      default: null // 일시정지 시간을 제외한 실제 소요 시간 (초, 완료한 단계만)
+    },
+    // 단계 시작 시 음성 안내 문구 (템플릿에서 복사)
+    cueText: {
+      type: String,
+      default: null
     }
   }],
 
+  // 세션을 만든 템플릿 (직접 설정한 세션은 null)
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimeAttackTemplate',
+    default: null
+  },
+
   // 세션 상태
   status: {
     type: String,
@@ -80,6 +105,11 @@ const timeAttackSessionSchema = new mongoose.Schema({
     default: null
   },
 
+  abandonedAt: {
+    type: Date,
+    default: null
+  },
+
   // 실제 소요 시간 추적
   actualDuration: {
     type: Number,
@@ -113,12 +143,12 @@ const timeAttackSessionSchema = new mongoose.Schema({
     }
   }],
 
-  // 성과 기록
+  // 성과 기록 (완료 시 계산)
   performance: {
-    plannedTime: Number, // 계획된 시간 (초)
+    plannedTime: Number, // 완료한 단계의 계획 시간 합계 (초)
     actualTime: Number,  // 실제 소요 시간 (초)
-    efficiency: Number,  // 효율성 (계획 대비 실제)
-    stepAccuracy: Number // 단계별 시간 정확도
+    efficiency: Number,  // 효율성 (계획 / 실제, 1보다 크면 계획보다 빠름)
+    stepAccuracy: Number // 단계별 시간 정확도 (0-1, 계획과 실제가 같을수록 1)
   },
 
   // 메타데이터
@@ -148,14 +178,17 @@ const timeAttackSessionSchema = new mongoose.Schema({
 timeAttackSessionSchema.index({ userId: 1, createdAt: -1 });
 timeAttackSessionSchema.index({ status: 1 });
 timeAttackSessionSchema.index({ startedAt: 1 });
+timeAttackSessionSchema.index({ userId: 1, templateId: 1 });
+timeAttackSessionSchema.index({ userId: 1, status: 1, completedAt: -1 });
 timeAttackSessionSchema.index({ 'metadata.location': '2dsphere' });
 
 // 가상 필드
 timeAttackSessionSchema.virtual('remainingTime').get(function() {
-  if (this.status !== 'in_progress') return 0;
+  if (this.status !== 'in_progress' && this.status !== 'paused') return 0;
   
-  const now = new Date();
-  const elapsed = Math.floor((now - this.startedAt) / 1000) - this.pauseDuration;
+  // 일시정지 중에는 일시정지한 시점 기준으로 남은 시간 유지
+  const referenceTime = this.status === 'paused' && this.pausedAt ? this.pausedAt : new Date();
+  const elapsed = Math.floor((referenceTime - this.startedAt) / 1000) - this.pauseDuration;
   const totalPlannedSeconds = this.totalMinutes * 60;
   
   return Math.max(0, totalPlannedSeconds - elapsed);
@@ -176,9 +209,34 @@ timeAttackSessionSchema.methods.start = function() {
   this.status = 'in_progress';
   this.startedAt = new Date();
   this.pausedAt = null;
+  this.beginStep(this.currentStepIndex, this.startedAt);
   return this.save();
 };
 
+// 단계 시작 시각 기록 (이후 일시정지 시간은 해당 단계 소요 시간에서 제외)
+timeAttackSessionSchema.methods.beginStep = function(stepIndex, now = new Date()) {
+  const step = this.steps[stepIndex];
+  if (!step) return;
+
+  step.startedAt = now;
+  step.pausedSecondsAtStart = this.getTotalPausedSeconds(now);
+  step.actualSeconds = null;
+};
+
+// 단계 실제 소요 시간 기록
+timeAttackSessionSchema.methods.finishStep = function(stepIndex, now = new Date()) {
+  const step = this.steps[stepIndex];
+  if (!step) return;
+
+  step.completed = true;
+  step.completedAt = now;
+
+  if (step.startedAt) {
+    const pausedDuringStep = this.getTotalPausedSeconds(now) - step.pausedSecondsAtStart;
+    step.actualSeconds = Math.max(0, Math.floor((now - step.startedAt) / 1000) - pausedDuringStep);
+  }
+};
+
 // 세션 일시정지 메서드
 timeAttackSessionSchema.methods.pause = function() {
   if (this.status === 'in_progress') {
@@ -200,12 +258,64 @@ timeAttackSessionSchema.methods.resume = function() {
   throw new Error('일시정지된 세션이 아닙니다.');
 };
 
+// 현재까지 일시정지된 총 시간 (초, 진행 중인 일시정지 포함)
+timeAttackSessionSchema.methods.getTotalPausedSeconds = function(now = new Date()) {
+  const currentPause = this.status === 'paused' && this.pausedAt
+    ? Math.floor((now - this.pausedAt) / 1000)
+    : 0;
+  return this.pauseDuration + currentPause;
+};
+
+// 일시정지 중이면 일시정지 시간을 확정 (완료/포기 전에 호출)
+timeAttackSessionSchema.methods.settlePause = function(now = new Date()) {
+  if (this.status === 'paused' && this.pausedAt) {
+    this.pauseDuration = this.getTotalPausedSeconds(now);
+    this.pausedAt = null;
+  }
+};
+
+// 이전 단계로 돌아가기 (이전 단계를 다시 진행)
+timeAttackSessionSchema.methods.previousStep = function() {
+  if (this.currentStepIndex <= 0) {
+    throw new Error('이전 단계가 없습니다.');
+  }
+  
+  // 진행 중이던 단계는 시작 전 상태로 되돌림
+  const leftStep = this.steps[this.currentStepIndex];
+  if (leftStep) {
+    leftStep.startedAt = null;
+    leftStep.actualSeconds = null;
+  }
+  
+  this.currentStepIndex -= 1;
+  this.steps[this.currentStepIndex].completed = false;
+  this.steps[this.currentStepIndex].completedAt = null;
+  this.beginStep(this.currentStepIndex);
+  
+  return this.save();
+};
+
+// 세션 포기 메서드
+timeAttackSessionSchema.methods.abandon = function() {
+  const now = new Date();
+  this.settlePause(now);
+  this.status = 'abandoned';
+  this.abandonedAt = now;
+  
+  if (this.startedAt) {
+    this.actualDuration = Math.max(0, Math.floor((now - this.startedAt) / 1000) - this.pauseDuration);
+  }
+  
+  return this.save();
+};
+
 // 다음 단계 진행 메서드
 timeAttackSessionSchema.methods.nextStep = function() {
   if (this.currentStepIndex < this.steps.length) {
+    const now = new Date();
+    
     // 현재 단계 완료 처리
-    this.steps[this.currentStepIndex].completed = true;
-    this.steps[this.currentStepIndex].completedAt = new Date();
+    this.finishStep(this.currentStepIndex, now);
     
     // 다음 단계로 이동
     this.currentStepIndex += 1;
@@ -215,6 +325,7 @@ timeAttackSessionSchema.methods.nextStep = function() {
       return this.complete();
     }
     
+    this.beginStep(this.currentStepIndex, now);
     return this.save();
   }
   throw new Error('더 이상 진행할 단계가 없습니다.');
@@ -222,44 +333,72 @@ timeAttackSessionSchema.methods.nextStep = function() {
 
 // 세션 완료 메서드
 timeAttackSessionSchema.methods.complete = function() {
+  const now = new Date();
+  
+  // 마지막 단계에서 바로 완료하면 진행 중이던 단계까지 완료 처리
+  if (this.currentStepIndex < this.steps.length && this.steps[this.currentStepIndex].startedAt) {
+    this.finishStep(this.currentStepIndex, now);
+    this.currentStepIndex += 1;
+  }
+  
+  // 일시정지 중에 완료하면 일시정지 시간까지 확정
+  this.settlePause(now);
   this.status = 'completed';
-  this.completedAt = new Date();
+  this.completedAt = now;
+  
+  // 실제 소요 시간 계산 (일시정지 시간 제외)
+  if (this.startedAt) {
+    this.actualDuration = Math.max(0, Math.floor((now - this.startedAt) / 1000) - this.pauseDuration);
+  }
+  
+  this.performance = this.calculatePerformance();
+  
+  return this.save();
+};
+
+// 성과 계산 메서드 (완료한 단계 기준, 건너뛴 단계는 제외)
+timeAttackSessionSchema.methods.calculatePerformance = function() {
+  const plannedTime = this.steps
+    .filter(step => step.completed)
+    .reduce((sum, step) => sum + step.minutes * 60, 0);
   
-  // 성과 계산
-  this.actualDuration = Math.floor((this.completedAt - this.startedAt) / 1000) - this.pauseDuration;
-  this.performance = {
-    plannedTime: this.totalMinutes * 60,
+  return {
+    plannedTime,
     actualTime: this.actualDuration,
-    efficiency: (this.totalMinutes * 60) / this.actualDuration,
+    efficiency: this.actualDuration > 0
+      ? Math.round((plannedTime / this.actualDuration) * 100) / 100
+      : 0,
     stepAccuracy: this.calculateStepAccuracy()
   };
-  
-  return this.save();
 };
 
 // 단계별 정확도 계산 메서드
+// 계획보다 빨라도 느려도 정확도가 낮아지도록 작은 값 / 큰 값으로 계산
 timeAttackSessionSchema.methods.calculateStepAccuracy = function() {
   let totalAccuracy = 0;
-  let completedSteps = 0;
+  let measuredSteps = 0;
   
   this.steps.forEach((step, index) => {
-    if (step.completed && step.completedAt) {
+    const actualTime = this.getStepActualTime(index);
+    if (step.completed && actualTime !== null) {
       const plannedTime = step.minutes * 60;
-      const actualTime = this.getStepActualTime(index);
-      const accuracy = Math.min(1, plannedTime / actualTime);
+      const accuracy = actualTime > 0
+        ? Math.min(plannedTime, actualTime) / Math.max(plannedTime, actualTime)
+        : 0;
       totalAccuracy += accuracy;
-      completedSteps += 1;
+      measuredSteps += 1;
     }
   });
   
-  return completedSteps > 0 ? totalAccuracy / completedSteps : 0;
+  return measuredSteps > 0 ? Math.round((totalAccuracy / measuredSteps) * 100) / 100 : 0;
 };
 
-// 특정 단계의 실제 소요 시간 계산
+// 특정 단계의 실제 소요 시간 (초, 기록이 없으면 null)
 timeAttackSessionSchema.methods.getStepActualTime = function(stepIndex) {
-  // 실제 구현에서는 더 정교한 시간 추적이 필요
-  // 현재는 단순하게 평균 시간으로 계산
-  return this.actualDuration / this.steps.length;
+  const step = this.steps[stepIndex];
+  return step && step.actualSeconds !== null && step.actualSeconds !== undefined
+    ? step.actualSeconds
+    : null;
 };
 
 // 정적 메서드: AI 추천 세션 생성
@@ -280,22 +419,38 @@ timeAttackSessionSchema.statics.createFromAI = async function(userId, aiRecommen
   return await session.save();
 };
 
-// 정적 메서드: 사용자별 통계 조회
-timeAttackSessionSchema.statics.getUserStats = async function(userId, period = 'week') {
+// 통계 기간 시작일 (all이면 null)
+timeAttackSessionSchema.statics.getPeriodStartDate = function(period) {
+  if (period === 'all') return null;
+  
   const startDate = new Date();
-  if (period === 'week') {
-    startDate.setDate(startDate.getDate() - 7);
-  } else if (period === 'month') {
+  if (period === 'month') {
     startDate.setMonth(startDate.getMonth() - 1);
+  } else {
+    startDate.setDate(startDate.getDate() - 7);
   }
+  return startDate;
+};
+
+// 기간 내 완료 세션 조건
+timeAttackSessionSchema.statics.buildCompletedMatch = function(userId, period) {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    status: 'completed'
+  };
   
+  const startDate = this.getPeriodStartDate(period);
+  if (startDate) {
+    match.completedAt = { $gte: startDate };
+  }
+  return match;
+};
+
+// 정적 메서드: 사용자별 통계 조회
+timeAttackSessionSchema.statics.getUserStats = async function(userId, period = 'week') {
   const stats = await this.aggregate([
     {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        createdAt: { $gte: startDate },
-        status: 'completed'
-      }
+      $match: this.buildCompletedMatch(userId, period)
     },
     {
       $group: {
@@ -316,6 +471,72 @@ timeAttackSessionSchema.statics.getUserStats = async function(userId, period = '
   };
 };
 
+// 정적 메서드: 목표별 성과 (같은 목표를 반복할 때의 효율/정확도)
+timeAttackSessionSchema.statics.getGoalStats = async function(userId, period = 'month', limit = 10) {
+  return this.aggregate([
+    {
+      $match: this.buildCompletedMatch(userId, period)
+    },
+    {
+      $group: {
+        _id: '$goal',
+        sessions: { $sum: 1 },
+        avgPlannedTime: { $avg: '$performance.plannedTime' },
+        avgActualTime: { $avg: '$actualDuration' },
+        avgEfficiency: { $avg: '$performance.efficiency' },
+        avgStepAccuracy: { $avg: '$performance.stepAccuracy' },
+        lastCompletedAt: { $max: '$completedAt' }
+      }
+    },
+    { $sort: { sessions: -1, lastCompletedAt: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+// 정적 메서드: 단계 이름별 계획/실제 시간 추이 (최근 기록 순)
+timeAttackSessionSchema.statics.getStepTrends = async function(userId, period = 'month', options = {}) {
+  const { limit = 20, recentCount = 5 } = options;
+  
+  return this.aggregate([
+    {
+      $match: this.buildCompletedMatch(userId, period)
+    },
+    { $unwind: '$steps' },
+    {
+      $match: {
+        'steps.completed': true,
+        'steps.actualSeconds': { $ne: null }
+      }
+    },
+    { $sort: { 'steps.completedAt': -1 } },
+    {
+      $group: {
+        _id: '$steps.name',
+        count: { $sum: 1 },
+        avgPlannedSeconds: { $avg: { $multiply: ['$steps.minutes', 60] } },
+        avgActualSeconds: { $avg: '$steps.actualSeconds' },
+        recent: {
+          $push: {
+            plannedSeconds: { $multiply: ['$steps.minutes', 60] },
+            actualSeconds: '$steps.actualSeconds',
+            completedAt: '$steps.completedAt'
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        count: 1,
+        avgPlannedSeconds: 1,
+        avgActualSeconds: 1,
+        recent: { $slice: ['$recent', recentCount] }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+};
+
 const TimeAttackSession = mongoose.model('TimeAttackSession', timeAttackSessionSchema);
 
 module.exports = TimeAttackSession;
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const timeAttackTemplateSchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 템플릿 이름 (예: 아침 준비, 외출 준비)
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30
+  },
+
+  // 세션을 만들 때 사용할 목표 (생략 시 템플릿 이름)
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+
+  // 단계별 설정 (order 순서대로 진행)
+  steps: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    minutes: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    order: {
+      type: Number,
+      required: true
+    },
+    // 단계 시작 시 음성 안내 문구 (생략 시 앱 기본 안내)
+    cueText: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    }
+  }],
+
+  // 사용 기록 (템플릿으로 세션을 만들 때 갱신)
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+timeAttackTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+timeAttackTemplateSchema.index({ userId: 1, lastUsedAt: -1 });
+
+// 사용자당 최대 템플릿 수
+timeAttackTemplateSchema.statics.MAX_TEMPLATES = 20;
+
+// 가상 필드: 총 소요 시간 (분)
+timeAttackTemplateSchema.virtual('totalMinutes').get(function() {
+  return this.steps.reduce((sum, step) => sum + step.minutes, 0);
+});
+
+// 단계 정렬 (order 기준으로 다시 번호 매김)
+timeAttackTemplateSchema.pre('save', function(next) {
+  if (this.isModified('steps')) {
+    this.steps.sort((a, b) => a.order - b.order);
+    this.steps.forEach((step, index) => {
+      step.order = index;
+    });
+  }
+  next();
+});
+
+// 사용 기록 갱신 메서드
+timeAttackTemplateSchema.methods.recordUsage = function() {
+  this.usageCount += 1;
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// 정적 메서드: 템플릿별 세션 통계 (완료/포기 횟수, 평균 소요 시간)
+timeAttackTemplateSchema.statics.getUsageStats = async function(userId, templateIds) {
+  const TimeAttackSession = mongoose.model('TimeAttackSession');
+
+  const stats = await TimeAttackSession.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        templateId: { $in: templateIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    {
+      $group: {
+        _id: '$templateId',
+        sessions: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        abandoned: { $sum: { $cond: [{ $eq: ['$status', 'abandoned'] }, 1, 0] } },
+        avgActualDuration: {
+          $avg: { $cond: [{ $eq: ['$status', 'completed'] }, '$actualDuration', null] }
+        },
+        lastCompletedAt: { $max: '$completedAt' }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(stat => [stat._id.toString(), stat]));
+};
+
+const TimeAttackTemplate = mongoose.model('TimeAttackTemplate', timeAttackTemplateSchema);
+
+module.exports = TimeAttackTemplate;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * 무료 체험 사용 기록
+ * 계정, 이메일(정규화), 디바이스 각각 한 번만 체험할 수 있도록 유니크 인덱스로 보장
+ */
+const trialClaimSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 정규화된 이메일 (대소문자, +태그, gmail 점 제거)
+  normalizedEmail: {
+    type: String,
+    required: true
+  },
+
+  deviceId: {
+    type: String,
+    required: true
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  endsAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+trialClaimSchema.index({ userId: 1 }, { unique: true });
+trialClaimSchema.index({ normalizedEmail: 1 }, { unique: true });
+trialClaimSchema.index({ deviceId: 1 }, { unique: true });
+trialClaimSchema.index({ startedAt: -1 });
+
+const TrialClaim = mongoose.model('TrialClaim', trialClaimSchema);
+
+module.exports = TrialClaim;
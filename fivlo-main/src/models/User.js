@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const EntitlementUtils = require('../utils/entitlement');
 
 const userSchema = new mongoose.Schema({
   // 기본 정보
@@ -58,20 +59,62 @@ const userSchema = new mongoose.Schema({
     required: true
   },
 
-  // 구독 정보
-  isPremium: {
-    type: Boolean,
-    default: false
-  },
-
-  premiumStartDate: {
-    type: Date,
-    default: null
-  },
-
-  premiumEndDate: {
-    type: Date,
-    default: null
+  // 구독 정보 (Premium 권한 판단의 단일 기준, utils/entitlement 참고)
+  subscription: {
+    plan: {
+      type: String,
+      enum: Object.values(EntitlementUtils.PLANS),
+      default: EntitlementUtils.PLANS.FREE
+    },
+    status: {
+      type: String,
+      enum: Object.values(EntitlementUtils.STATUSES),
+      default: EntitlementUtils.STATUSES.NONE
+    },
+    currentPeriodStart: {
+      type: Date,
+      default: null
+    },
+    currentPeriodEnd: {
+      type: Date,
+      default: null
+    },
+    graceEndsAt: {
+      type: Date,
+      default: null
+    },
+    source: {
+      type: String,
+      enum: EntitlementUtils.SOURCES,
+      default: 'none'
+    },
+    // 해지 예약 여부 (기간 종료 시 갱신하지 않음)
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false
+    },
+    canceledAt: {
+      type: Date,
+      default: null
+    },
+    // 마지막 갱신 결제 실패 시각
+    lastPaymentFailedAt: {
+      type: Date,
+      default: null
+    },
+    // 결제 프로바이더 (stripe, portone 등) 및 결제사/스토어 측 구독 식별자
+    provider: {
+      type: String,
+      default: null
+    },
+    externalId: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
   },
 
   // 코인 시스템
@@ -81,11 +124,23 @@ const userSchema = new mongoose.Schema({
     min: 0
   },
 
+  // 친구 초대 (초대 코드는 최초 조회 시 발급)
+  referralCode: {
+    type: String,
+    default: undefined
+  },
+
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // 일일 보상 기록
   dailyRewards: [{
     type: {
       type: String,
-      enum: ['task_completion', 'pomodoro_completion', 'reminder_completion', 'daily_login', 'special_event'],
+      enum: ['task_completion', 'pomodoro_completion', 'reminder_completion', 'daily_login', 'streak_reward', 'special_event'],
       required: true
     },
     amount: {
@@ -125,6 +180,50 @@ const userSchema = new mongoose.Schema({
     enum: ['ko', 'en']
   },
 
+  // 포모도로 프로필 (집중/짧은 휴식/긴 휴식 시간과 긴 휴식 주기)
+  pomodoroProfiles: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30
+    },
+    focusMinutes: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 120
+    },
+    shortBreakMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 30
+    },
+    longBreakMinutes: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 60
+    },
+    // 몇 번째 집중 세션마다 긴 휴식을 가질지
+    longBreakInterval: {
+      type: Number,
+      required: true,
+      min: 2,
+      max: 8
+    },
+    // 세션 생성 시 프로필을 지정하지 않으면 사용 (하나만 지정 가능)
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // 알림 설정
   notificationSettings: {
     push: {
@@ -145,6 +244,13 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // 권한 (admin: 상점 카탈로그, 보상 규칙, 프로모션 관리)
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+
   // 계정 상태
   isActive: {
     type: Boolean,
@@ -213,21 +319,30 @@ const userSchema = new mongoose.Schema({
 // 인덱스 설정 (email은 unique: true로 이미 인덱스가 있으므로 중복 제거)
 userSchema.index({ socialId: 1, socialProvider: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1 });
 userSchema.index({ lastActiveAt: -1 });
+userSchema.index({ 'subscription.status': 1, 'subscription.currentPeriodEnd': 1 });
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'subscription.externalId': 1 }, { sparse: true });
 
 // 가상 필드
+userSchema.virtual('entitlement').get(function() {
+  return EntitlementUtils.evaluate(this.subscription);
+});
+
 userSchema.virtual('isPremiumActive').get(function() {
-  return this.subscriptionStatus === 'premium' && 
-         this.subscriptionEndDate && 
-         this.subscriptionEndDate > new Date();
+  return this.entitlement.isPremium;
 });
 
 userSchema.virtual('subscriptionInfo').get(function() {
+  const entitlement = this.entitlement;
   return {
-    status: this.subscriptionStatus,
-    plan: this.subscriptionPlan,
-    expiryDate: this.subscriptionEndDate,
-    isActive: this.isPremiumActive
+    status: entitlement.status,
+    plan: entitlement.plan,
+    expiryDate: entitlement.currentPeriodEnd,
+    graceEndsAt: entitlement.graceEndsAt,
+    source: entitlement.source,
+    isActive: entitlement.isPremium
   };
 });
 
@@ -252,50 +367,32 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// 프리미엄 만료 확인 메서드
+// 프리미엄 이용 가능 여부 확인 메서드
+// (상태 전이는 구독 라이프사이클 스케줄러가 담당하므로 여기서는 판단만 수행)
 userSchema.methods.checkPremiumStatus = function() {
-  if (this.subscriptionStatus !== 'premium') return false;
-  if (!this.subscriptionEndDate) return false;
-  
-  if (this.subscriptionEndDate <= new Date()) {
-    this.subscriptionStatus = 'free';
-    this.subscriptionPlan = null;
-    this.save();
-    return false;
-  }
-  
-  return true;
+  return this.entitlement.isPremium;
 };
 
 // 구독 활성화 메서드
-userSchema.methods.activatePremium = function(plan, duration) {
-  this.subscriptionStatus = 'premium';
-  this.subscriptionPlan = plan;
-  this.subscriptionStartDate = new Date();
-  
-  const endDate = new Date();
-  if (plan === 'premium_monthly') {
-    endDate.setMonth(endDate.getMonth() + 1);
-  } else if (plan === 'premium_yearly') {
-    endDate.setFullYear(endDate.getFullYear() + 1);
-  }
-  this.subscriptionEndDate = endDate;
-  
-  return this.save();
-};
-
-// 코인 추가 메서드
-userSchema.methods.addCoins = function(amount, description = '') {
-  this.coins += amount;
-  return this.save();
-};
+userSchema.methods.activatePremium = function(plan, options = {}) {
+  const startDate = options.startDate || new Date();
+  const endDate = options.endDate || EntitlementUtils.calculatePeriodEnd(plan, startDate);
+
+  this.subscription = {
+    plan,
+    status: options.status || EntitlementUtils.STATUSES.ACTIVE,
+    currentPeriodStart: startDate,
+    currentPeriodEnd: endDate,
+    graceEndsAt: EntitlementUtils.calculateGraceEnd(endDate),
+    source: options.source || 'web',
+    provider: options.provider || null,
+    externalId: options.externalId || null,
+    cancelAtPeriodEnd: false,
+    canceledAt: null,
+    lastPaymentFailedAt: null,
+    updatedAt: new Date()
+  };
 
-// 코인 차감 메서드
-userSchema.methods.deductCoins = function(amount, description = '') {
-  if (this.coins < amount) {
-    throw new Error('코인이 부족합니다.');
-  }
-  this.coins -= amount;
   return this.save();
 };
 
@@ -322,10 +419,14 @@ userSchema.statics.createTestAccount = async function() {
     password: testPassword,
     profileName: '테스트 사용자',
     userType: '집중력개선',
-    subscriptionStatus: 'premium',
-    subscriptionPlan: 'premium_yearly',
-    subscriptionStartDate: new Date(),
-    subscriptionEndDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1년
+    subscription: {
+      plan: EntitlementUtils.PLANS.PREMIUM_YEARLY,
+      status: EntitlementUtils.STATUSES.ACTIVE,
+      currentPeriodStart: new Date(),
+      currentPeriodEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1년
+      source: 'admin',
+      updatedAt: new Date()
+    },
     coins: 100,
     isEmailVerified: true
   });
@@ -335,4 +436,7 @@ userSchema.statics.createTestAccount = async function() {
 
 const User = mongoose.model('User', userSchema);
 
+// 저장 가능한 포모도로 프로필 수
+User.MAX_POMODORO_PROFILES = 10;
+
 module.exports = User;
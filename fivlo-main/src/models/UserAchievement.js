@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * 사용자별 업적 진행도 스키마
+ */
+const userAchievementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  achievementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Achievement',
+    required: true
+  },
+
+  // 마지막 평가 시점의 지표 값
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // 해제 일시 (null이면 잠김)
+  unlockedAt: {
+    type: Date,
+    default: null
+  },
+
+  // 지급된 보상 기록
+  reward: {
+    coins: {
+      type: Number,
+      default: 0
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShopItem',
+      default: null
+    }
+  },
+
+  // 앱에서 해제 알림을 확인한 일시 (null이면 새 배지로 표시)
+  seenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'user_achievements'
+});
+
+userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+userAchievementSchema.index({ userId: 1, unlockedAt: -1 });
+
+module.exports = mongoose.model('UserAchievement', userAchievementSchema);
@@ -35,11 +35,27 @@ const userInventorySchema = new mongoose.Schema({
       min: 0
     },
     
-    // 구매 거래 ID 참조
+    // 구매 거래 ID 참조 (업적 보상 등 구매가 아닌 경우 null)
     transactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'CoinTransaction',
-      required: true
+      default: null,
+      required: function() {
+        return this.source === 'purchase';
+      }
+    },
+
+    // 획득 경로
+    source: {
+      type: String,
+      enum: ['purchase', 'achievement', 'mystery_box'],
+      default: 'purchase'
+    },
+
+    // 처음 착용한 시각 (한 번도 착용하지 않았으면 null, 환불 가능 여부 판단)
+    firstEquippedAt: {
+      type: Date,
+      default: null
     }
   }],
   
@@ -72,12 +88,113 @@ const userInventorySchema = new mongoose.Schema({
       ref: 'ShopItem',
       default: null
     }
-  }
+  },
+
+  // 착용 중인 아이템의 선택 색상 (ShopItem.colors[].name, null이면 기본 이미지)
+  equippedColors: {
+    top: {
+      type: String,
+      default: null
+    },
+    bottom: {
+      type: String,
+      default: null
+    },
+    accessory: {
+      type: String,
+      default: null
+    },
+    background: {
+      type: String,
+      default: null
+    }
+  },
+
+  // 저장된 코디 프리셋
+  outfitPresets: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30
+    },
+
+    // 카테고리별 아이템과 색상 (null이면 해당 카테고리 착용 해제)
+    items: {
+      top: { itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShopItem', default: null }, color: { type: String, default: null } },
+      bottom: { itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShopItem', default: null }, color: { type: String, default: null } },
+      accessory: { itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShopItem', default: null }, color: { type: String, default: null } },
+      background: { itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShopItem', default: null }, color: { type: String, default: null } }
+    },
+
+    // 자동 적용 상황 (포모도로 집중/휴식 시작 시, 상황별로 하나만 지정 가능)
+    context: {
+      type: String,
+      enum: ['focus', 'break', null],
+      default: null
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 소모성 아이템 보유 수량
+  consumables: {
+    // 스트릭 프리즈 (놓친 하루의 연속 기록을 보호)
+    streakFreeze: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // 선물 상자 개봉 기록
+  mysteryBox: {
+    // 누적 개봉 횟수 (개봉별 난수 시드에 사용)
+    openCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // 레어 이상을 받지 못하고 연속으로 개봉한 횟수 (천장)
+    pityCounter: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // 한정 아이템별 구매 횟수 (1인당 구매 제한 확인용)
+  limitedPurchases: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShopItem',
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }]
 }, {
   timestamps: true,
   collection: 'user_inventories'
 });
 
+// 착용 카테고리
+const OUTFIT_CATEGORIES = ['top', 'bottom', 'accessory', 'background'];
+
+// 저장 가능한 코디 프리셋 수
+const MAX_OUTFIT_PRESETS = 10;
+
+// 소모성 아이템 종류 (ShopItem.type → 보유 수량 필드, 최대 보유 수량)
+const CONSUMABLES = {
+  streak_freeze: { field: 'consumables.streakFreeze', max: 2 }
+};
+
 // 복합 인덱스 생성
 userInventorySchema.index({ userId: 1, 'items.itemId': 1 });
 userInventorySchema.index({ userId: 1, 'equippedItems.top': 1 });
@@ -92,6 +209,23 @@ userInventorySchema.methods.hasItem = function(itemId) {
   return this.items.some(item => item.itemId.toString() === itemId.toString());
 };
 
+/**
+ * 보유 아이템 항목 조회 (없으면 undefined)
+ */
+userInventorySchema.methods.getOwnedItem = function(itemId) {
+  return this.items.find(item => item.itemId.toString() === itemId.toString());
+};
+
+/**
+ * 처음 착용한 시각 기록
+ */
+userInventorySchema.methods.markEquipped = function(itemId) {
+  const owned = this.getOwnedItem(itemId);
+  if (owned && !owned.firstEquippedAt) {
+    owned.firstEquippedAt = new Date();
+  }
+};
+
 /**
  * 아이템 구매 추가
  */
@@ -113,8 +247,9 @@ userInventorySchema.methods.addItem = function(itemId, purchasePrice, transactio
 
 /**
  * 아이템 착용
+ * @param {String} color - 선택 색상 이름 (아이템의 colors 중 하나, 생략 시 기본 이미지)
  */
-userInventorySchema.methods.equipItem = async function(itemId) {
+userInventorySchema.methods.equipItem = async function(itemId, color = null) {
   // 아이템 보유 여부 확인
   if (!this.hasItem(itemId)) {
     throw new Error('보유하지 않은 아이템입니다');
@@ -128,6 +263,10 @@ userInventorySchema.methods.equipItem = async function(itemId) {
     throw new Error('존재하지 않는 아이템입니다');
   }
   
+  if (color && !item.colors.some(variant => variant.name === color)) {
+    throw new Error('선택할 수 없는 색상입니다');
+  }
+  
   // 카테고리에 따라 착용
   switch (item.category) {
     case 'top':
@@ -146,6 +285,9 @@ userInventorySchema.methods.equipItem = async function(itemId) {
       throw new Error('알 수 없는 아이템 카테고리입니다');
   }
   
+  this.equippedColors[item.category] = color || null;
+  this.markEquipped(itemId);
+  
   return this.save();
 };
 
@@ -160,9 +302,39 @@ userInventorySchema.methods.unequipItem = function(category) {
   }
   
   this.equippedItems[category] = null;
+  this.equippedColors[category] = null;
   return this.save();
 };
 
+/**
+ * 코디 프리셋 적용
+ * 더 이상 보유하지 않은 아이템이 있는 카테고리는 착용 해제
+ * @returns {Array} 보유하지 않아 적용되지 않은 카테고리 목록
+ */
+userInventorySchema.methods.applyPreset = function(preset) {
+  const skipped = [];
+
+  OUTFIT_CATEGORIES.forEach(category => {
+    const slot = preset.items && preset.items[category];
+    const itemId = slot && slot.itemId ? slot.itemId : null;
+
+    if (itemId && !this.hasItem(itemId)) {
+      skipped.push(category);
+      this.equippedItems[category] = null;
+      this.equippedColors[category] = null;
+      return;
+    }
+
+    this.equippedItems[category] = itemId;
+    this.equippedColors[category] = itemId ? slot.color || null : null;
+    if (itemId) {
+      this.markEquipped(itemId);
+    }
+  });
+
+  return skipped;
+};
+
 /**
  * 착용 중인 아이템 조회
  */
@@ -215,75 +387,197 @@ userInventorySchema.statics.findOrCreateByUserId = async function(userId) {
 };
 
 /**
- * 아이템 구매 처리 (트랜잭션과 함께)
+ * 구매한 아이템 추가 (이미 보유 중이면 null)
+ * 보유 여부 확인과 추가를 한 번의 조건부 업데이트로 처리해 중복 구매를 막음
  */
-userInventorySchema.statics.purchaseItem = async function(userId, itemId, session = null) {
-  const User = mongoose.model('User');
-  const ShopItem = mongoose.model('ShopItem');
-  const CoinTransaction = mongoose.model('CoinTransaction');
-  
-  // 트랜잭션 시작
-  const transactionSession = session || await mongoose.startSession();
-  if (!session) transactionSession.startTransaction();
-  
-  try {
-    // 사용자 조회
-    const user = await User.findById(userId).session(transactionSession);
-    if (!user) {
-      throw new Error('사용자를 찾을 수 없습니다');
-    }
-    
-    // 아이템 조회
-    const item = await ShopItem.findById(itemId).session(transactionSession);
-    if (!item) {
-      throw new Error('아이템을 찾을 수 없습니다');
-    }
-    
-    // 코인 부족 확인
-    if (user.coins < item.price) {
-      throw new Error('코인이 부족합니다');
-    }
-    
-    // 인벤토리 조회/생성
-    const inventory = await this.findOrCreateByUserId(userId);
-    
-    // 이미 보유 확인
-    if (inventory.hasItem(itemId)) {
-      throw new Error('이미 보유하고 있는 아이템입니다');
-    }
-    
-    // 코인 차감
-    user.coins -= item.price;
-    await user.save({ session: transactionSession });
-    
-    // 코인 거래 기록
-    const transaction = new CoinTransaction({
+userInventorySchema.statics.addPurchasedItem = function(userId, itemId, purchasePrice, transactionId, session = null) {
+  return this.findOneAndUpdate(
+    { userId, 'items.itemId': { $ne: itemId } },
+    {
+      $push: {
+        items: { itemId, purchasePrice, transactionId, source: 'purchase', purchasedAt: new Date() }
+      }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * 보상 아이템 지급 (이미 보유 중이면 null)
+ */
+userInventorySchema.statics.grantRewardItem = async function(userId, itemId, source) {
+  await this.findOrCreateByUserId(userId);
+
+  return this.findOneAndUpdate(
+    { userId, 'items.itemId': { $ne: itemId } },
+    {
+      $push: {
+        items: { itemId, purchasePrice: 0, transactionId: null, source, purchasedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * 소모성 아이템 1개 추가 (최대 보유 수량이면 null)
+ */
+userInventorySchema.statics.addConsumable = function(userId, type, session = null) {
+  const consumable = CONSUMABLES[type];
+  if (!consumable) {
+    throw new Error('알 수 없는 소모성 아이템입니다');
+  }
+
+  return this.findOneAndUpdate(
+    {
       userId,
-      type: 'spend',
-      amount: item.price,
-      description: `아이템 구매: ${item.name}`,
-      relatedModel: 'ShopItem',
-      relatedId: itemId
-    });
-    await transaction.save({ session: transactionSession });
-    
-    // 인벤토리에 아이템 추가
-    await inventory.addItem(itemId, item.price, transaction._id);
-    
-    if (!session) await transactionSession.commitTransaction();
-    
-    return {
-      inventory,
-      transaction,
-      remainingCoins: user.coins
-    };
-    
-  } catch (error) {
-    if (!session) await transactionSession.abortTransaction();
-    throw error;
-  } finally {
-    if (!session) transactionSession.endSession();
+      $or: [
+        { [consumable.field]: { $lt: consumable.max } },
+        { [consumable.field]: { $exists: false } }
+      ]
+    },
+    { $inc: { [consumable.field]: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * 소모성 아이템 사용 (보유 수량이 부족하면 null)
+ */
+userInventorySchema.statics.useConsumable = function(userId, type, count = 1) {
+  const consumable = CONSUMABLES[type];
+  if (!consumable) {
+    throw new Error('알 수 없는 소모성 아이템입니다');
   }
+
+  return this.findOneAndUpdate(
+    { userId, [consumable.field]: { $gte: count } },
+    { $inc: { [consumable.field]: -count } },
+    { new: true }
+  );
+};
+
+/**
+ * 사용한 소모성 아이템 되돌리기
+ */
+userInventorySchema.statics.restoreConsumable = function(userId, type, count = 1) {
+  const consumable = CONSUMABLES[type];
+  if (!consumable) {
+    throw new Error('알 수 없는 소모성 아이템입니다');
+  }
+
+  return this.updateOne({ userId }, { $inc: { [consumable.field]: count } });
 };
 
-module.exports = mongoose.model('UserInventory', userInventorySchema);
+/**
+ * 선물 상자 개봉 횟수 1 증가 (증가 전 천장 카운터와 이번 개봉 번호 확인용)
+ */
+userInventorySchema.statics.startMysteryBoxOpen = function(userId, session = null) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $inc: { 'mysteryBox.openCount': 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * 선물 상자 천장 카운터 갱신 (레어 이상이면 초기화)
+ */
+userInventorySchema.statics.updateMysteryBoxPity = function(userId, resetPity, session = null) {
+  const update = resetPity
+    ? { $set: { 'mysteryBox.pityCounter': 0 } }
+    : { $inc: { 'mysteryBox.pityCounter': 1 } };
+
+  return this.updateOne({ userId }, update, { session });
+};
+
+/**
+ * 선물 상자 보상 아이템 추가 (이미 보유 중이면 null)
+ */
+userInventorySchema.statics.addMysteryBoxItem = function(userId, itemId, transactionId, session = null) {
+  return this.findOneAndUpdate(
+    { userId, 'items.itemId': { $ne: itemId } },
+    {
+      $push: {
+        items: { itemId, purchasePrice: 0, transactionId, source: 'mystery_box', purchasedAt: new Date() }
+      }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * 환불/되팔기한 아이템 제거 (조건에 맞는 보유 항목이 없으면 null)
+ * 착용 중이던 카테고리는 착용 해제
+ * @param {Object} conditions - 보유 항목 추가 조건 (예: { firstEquippedAt: null })
+ */
+userInventorySchema.statics.removeOwnedItem = async function(userId, entryId, conditions = {}, session = null) {
+  const inventory = await this.findOneAndUpdate(
+    { userId, items: { $elemMatch: { _id: entryId, ...conditions } } },
+    { $pull: { items: { _id: entryId } } },
+    { new: true, session }
+  );
+
+  if (!inventory) {
+    return null;
+  }
+
+  const unequip = {};
+  OUTFIT_CATEGORIES.forEach(category => {
+    const equipped = inventory.equippedItems[category];
+    if (equipped && !inventory.hasItem(equipped)) {
+      unequip[`equippedItems.${category}`] = null;
+      unequip[`equippedColors.${category}`] = null;
+    }
+  });
+
+  if (Object.keys(unequip).length > 0) {
+    await this.updateOne({ userId }, { $set: unequip }, { session });
+  }
+
+  return inventory;
+};
+
+/**
+ * 한정 아이템 1인당 구매 횟수 1 증가 (구매 제한에 도달했으면 null)
+ */
+userInventorySchema.statics.reserveLimitedPurchase = async function(userId, itemId, limit, session = null) {
+  const increment = () => this.findOneAndUpdate(
+    { userId, limitedPurchases: { $elemMatch: { itemId, count: { $lt: limit } } } },
+    { $inc: { 'limitedPurchases.$.count': 1 } },
+    { new: true, session }
+  );
+
+  const inventory = await increment();
+  if (inventory) {
+    return inventory;
+  }
+
+  const created = await this.findOneAndUpdate(
+    { userId, 'limitedPurchases.itemId': { $ne: itemId } },
+    { $push: { limitedPurchases: { itemId, count: 1 } } },
+    { new: true, session }
+  );
+
+  // 동시 요청이 먼저 기록을 만든 경우 한 번 더 증가 시도
+  return created || increment();
+};
+
+/**
+ * 한정 아이템 구매 횟수 되돌리기
+ */
+userInventorySchema.statics.releaseLimitedPurchase = function(userId, itemId, session = null) {
+  return this.updateOne(
+    { userId, limitedPurchases: { $elemMatch: { itemId, count: { $gt: 0 } } } },
+    { $inc: { 'limitedPurchases.$.count': -1 } },
+    { session }
+  );
+};
+
+const UserInventory = mongoose.model('UserInventory', userInventorySchema);
+
+UserInventory.CONSUMABLES = CONSUMABLES;
+UserInventory.OUTFIT_CATEGORIES = OUTFIT_CATEGORIES;
+UserInventory.MAX_OUTFIT_PRESETS = MAX_OUTFIT_PRESETS;
+
+module.exports = UserInventory;
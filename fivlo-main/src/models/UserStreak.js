@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// 연속 기록 종류
+const STREAK_TYPES = {
+  LOGIN: 'login',   // 앱 접속
+  FOCUS: 'focus',   // 포모도로 집중 세션 완료
+  TASK: 'task'      // Task 완료
+};
+
+/**
+ * 연속 기록 상태 (날짜는 사용자 시간대 기준 'YYYY-MM-DD')
+ */
+const streakStateSchema = new mongoose.Schema({
+  // 현재 연속 일수
+  current: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // 최고 연속 일수
+  best: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // 마지막 활동일
+  lastActiveDate: {
+    type: String,
+    default: null
+  },
+
+  // 현재 연속 기록 시작일
+  startedDate: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * 사용자 연속 기록 스키마
+ * 접속/집중/Task 연속 일수와 스트릭 프리즈로 보호된 날짜를 관리
+ */
+const userStreakSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  login: {
+    type: streakStateSchema,
+    default: () => ({})
+  },
+
+  focus: {
+    type: streakStateSchema,
+    default: () => ({})
+  },
+
+  task: {
+    type: streakStateSchema,
+    default: () => ({})
+  },
+
+  // 스트릭 프리즈로 보호된 날짜 (모든 연속 기록에 공통 적용)
+  frozenDates: [{
+    type: String
+  }],
+
+  // 사용한 스트릭 프리즈 수
+  freezesUsed: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'user_streaks'
+});
+
+/**
+ * 사용자별 연속 기록 생성 또는 조회
+ */
+userStreakSchema.statics.findOrCreateByUserId = async function(userId) {
+  const streak = await this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return streak;
+};
+
+const UserStreak = mongoose.model('UserStreak', userStreakSchema);
+
+UserStreak.TYPES = STREAK_TYPES;
+
+module.exports = UserStreak;
@@ -0,0 +1,134 @@
+const coFocusService = require('../services/coFocusService');
+const logger = require('../utils/logger');
+
+// 서비스 오류 코드 → 앱에 보여줄 메시지
+const CO_FOCUS_ERRORS = {
+  ROOM_NOT_FOUND: '방을 찾을 수 없습니다.',
+  ROOM_FULL: `방 인원이 가득 찼습니다. (최대 ${coFocusService.MAX_PARTICIPANTS}명)`,
+  NOT_IN_ROOM: '참여 중인 방이 아닙니다.',
+  NOT_ROOM_HOST: '방장만 시작할 수 있습니다.',
+  PHASE_IN_PROGRESS: '이미 진행 중인 집중/휴식이 있습니다.',
+  NO_ACTIVE_SESSION: '진행 중인 세션이 없습니다.',
+  SESSION_NOT_FOUND: '세션을 찾을 수 없습니다.',
+  SESSION_NOT_RUNNING: '진행 중인 세션만 일시정지할 수 있습니다.',
+  SESSION_NOT_PAUSED: '일시정지된 세션만 재개할 수 있습니다.',
+  SESSION_ALREADY_COMPLETED: '이미 완료된 세션입니다.',
+  INVALID_INPUT: '입력값이 올바르지 않습니다.'
+};
+
+const isIntegerInRange = (value, min, max) =>
+  value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+
+/**
+ * 이벤트 처리 결과를 ack 콜백으로 전달 ({ success, data } 또는 { success, error, message })
+ */
+const handleEvent = (socket, event, handler) => {
+  socket.on(event, async (payload = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const room = await handler(payload || {});
+      respond({ success: true, data: room ? coFocusService.toRoomState(room) : null });
+    } catch (error) {
+      const message = CO_FOCUS_ERRORS[error.message];
+      if (!message) {
+        logger.error(`함께 집중하기 이벤트 처리 실패: ${error.message}`, { event, userId: socket.user._id });
+      }
+      respond({
+        success: false,
+        error: message ? error.message : 'INTERNAL_ERROR',
+        message: message || '요청 처리 중 오류가 발생했습니다.'
+      });
+    }
+  });
+};
+
+/**
+ * 함께 집중하기 네임스페이스 이벤트 등록
+ *
+ * 앱 → 서버 (ack 콜백으로 결과 반환)
+ * - cofocus:create { goal, focusMinutes, breakMinutes }
+ * - cofocus:join { code }
+ * - cofocus:leave
+ * - cofocus:start { type: focus | break } (방장)
+ * - cofocus:pause / cofocus:resume
+ *
+ * 서버 → 앱
+ * - cofocus:room 방 상태 (참여자 아바타, 집중/일시정지 상태)
+ * - cofocus:completed 본인 세션 완료 결과 (코인 등)
+ * - cofocus:phase-ended 모든 참여자의 차례 종료
+ * - cofocus:error 본인 세션 시작 실패
+ */
+const registerCoFocusNamespace = (namespace, authenticateSocket) => {
+  coFocusService.attach(namespace);
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    socket.join(coFocusService.getUserChannel(userId));
+
+    logger.debug('함께 집중하기 소켓 연결', { userId, socketId: socket.id });
+
+    // 다른 방으로 옮기면 이전 방 채널에서 나가기 (같은 사용자의 다른 기기 포함)
+    const switchChannel = (previousCode, room) => {
+      if (previousCode && previousCode !== room.code) {
+        namespace.in(coFocusService.getUserChannel(userId))
+          .socketsLeave(coFocusService.getChannel(previousCode));
+      }
+      socket.join(coFocusService.getChannel(room.code));
+    };
+
+    handleEvent(socket, 'cofocus:create', async ({ goal, focusMinutes, breakMinutes }) => {
+      if ((goal !== undefined && typeof goal !== 'string')
+        || !isIntegerInRange(focusMinutes, 5, 120)
+        || !isIntegerInRange(breakMinutes, 1, 30)) {
+        throw new Error('INVALID_INPUT');
+      }
+
+      const previousCode = coFocusService.userRooms.get(userId);
+      const room = await coFocusService.createRoom(socket.user, { goal, focusMinutes, breakMinutes });
+      switchChannel(previousCode, room);
+      return room;
+    });
+
+    handleEvent(socket, 'cofocus:join', async ({ code }) => {
+      if (typeof code !== 'string') {
+        throw new Error('INVALID_INPUT');
+      }
+
+      const previousCode = coFocusService.userRooms.get(userId);
+      const room = await coFocusService.joinRoom(socket.user, code);
+      switchChannel(previousCode, room);
+      return room;
+    });
+
+    handleEvent(socket, 'cofocus:leave', async () => {
+      const code = coFocusService.userRooms.get(userId);
+      coFocusService.leaveRoom(userId, code);
+      socket.leave(coFocusService.getChannel(code));
+      return null;
+    });
+
+    handleEvent(socket, 'cofocus:start', async ({ type = 'focus' }) => {
+      if (!['focus', 'break'].includes(type)) {
+        throw new Error('INVALID_INPUT');
+      }
+      return coFocusService.startPhase(userId, coFocusService.userRooms.get(userId), type);
+    });
+
+    handleEvent(socket, 'cofocus:pause', async () =>
+      coFocusService.pauseParticipant(userId, coFocusService.userRooms.get(userId)));
+
+    handleEvent(socket, 'cofocus:resume', async () =>
+      coFocusService.resumeParticipant(userId, coFocusService.userRooms.get(userId)));
+
+    socket.on('disconnect', async () => {
+      // 같은 사용자의 다른 기기가 아직 연결되어 있으면 참여 상태 유지
+      const sockets = await namespace.in(coFocusService.getUserChannel(userId)).fetchSockets();
+      if (sockets.length === 0) {
+        coFocusService.handleDisconnect(userId);
+      }
+    });
+  });
+};
+
+module.exports = registerCoFocusNamespace;
@@ -0,0 +1,40 @@
+const eventStreamService = require('../services/eventStreamService');
+const logger = require('../utils/logger');
+
+/**
+ * 사용자별 이벤트 스트림 네임스페이스 등록
+ *
+ * 연결 시 handshake auth.lastEventId를 보내면 그 이후의 이벤트를 다시 전달하고,
+ * 이어서 보낼 수 없으면 sync:reset을 보내 앱이 전체 상태를 다시 조회하도록 함
+ *
+ * 서버 → 앱
+ * - event { id, type, data, createdAt }
+ * - sync:reset { reason }
+ */
+const registerEventsNamespace = (namespace, authenticateSocket) => {
+  eventStreamService.attach(namespace);
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    const lastEventId = socket.handshake.auth?.lastEventId || null;
+
+    // 놓친 이벤트를 먼저 보내고 채널에 참여 (동기 처리라 그 사이 발행된 이벤트는 없음)
+    const missed = eventStreamService.getEventsSince(userId, lastEventId);
+    if (missed === null) {
+      socket.emit('sync:reset', { reason: 'REPLAY_UNAVAILABLE' });
+    } else {
+      missed.forEach(event => socket.emit('event', event));
+    }
+    socket.join(eventStreamService.getUserChannel(userId));
+
+    logger.debug('이벤트 스트림 연결', {
+      userId,
+      socketId: socket.id,
+      lastEventId,
+      replayed: missed ? missed.length : null
+    });
+  });
+};
+
+module.exports = registerEventsNamespace;
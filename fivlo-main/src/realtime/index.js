@@ -0,0 +1,59 @@
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const registerCoFocusNamespace = require('./coFocusNamespace');
+const registerEventsNamespace = require('./eventsNamespace');
+const logger = require('../utils/logger');
+
+/**
+ * 소켓 연결 인증 (handshake auth.token 또는 Authorization 헤더의 JWT)
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || extractTokenFromHeader(socket.handshake.headers.authorization);
+
+    if (!token) {
+      return next(new Error('인증이 필요합니다.'));
+    }
+
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return next(new Error('인증에 실패했습니다.'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.warn(`소켓 인증 실패: ${error.message}`, { socketId: socket.id });
+    next(new Error('인증에 실패했습니다.'));
+  }
+};
+
+/**
+ * Express HTTP 서버에 실시간(Socket.IO) 서버 연결
+ * @param {http.Server} server - app.listen()이 반환한 서버
+ * @param {Object} corsOptions - Express와 같은 CORS 설정
+ * @returns {Server} Socket.IO 서버
+ */
+const initializeRealtime = (server, corsOptions = {}) => {
+  const io = new Server(server, {
+    cors: {
+      origin: corsOptions.origin,
+      credentials: corsOptions.credentials
+    }
+  });
+
+  registerCoFocusNamespace(io.of('/co-focus'), authenticateSocket);
+  registerEventsNamespace(io.of('/events'), authenticateSocket);
+
+  logger.info('실시간 서버 초기화 완료', { namespaces: ['/co-focus', '/events'] });
+
+  return io;
+};
+
+module.exports = {
+  initializeRealtime,
+  authenticateSocket
+};
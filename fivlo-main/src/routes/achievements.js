@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const achievementService = require('../services/achievementService');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Achievements
+ *   description: 업적 및 배지
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('업적 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      userId: req.user?.id
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/achievements:
+ *   get:
+ *     summary: 내 업적 목록 조회 (잠김/해제 및 진행도)
+ *     tags: [Achievements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 업적 목록 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 achievements:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: focus_first_session
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       icon:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                         enum: [focus, task, reminder]
+ *                       threshold:
+ *                         type: integer
+ *                       progress:
+ *                         type: integer
+ *                       progressRate:
+ *                         type: integer
+ *                         description: 진행률 (%)
+ *                       isUnlocked:
+ *                         type: boolean
+ *                       isNew:
+ *                         type: boolean
+ *                         description: 해제 후 아직 확인하지 않은 업적
+ *                       unlockedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       reward:
+ *                         type: object
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     unlocked:
+ *                       type: integer
+ *                     newCount:
+ *                       type: integer
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    logger.info('업적 목록 조회', { userId });
+
+    const result = await achievementService.getUserAchievements(userId);
+
+    res.json({
+      success: true,
+      achievements: result.achievements,
+      summary: result.summary
+    });
+
+  } catch (error) {
+    logger.error('업적 목록 조회 오류:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'ACHIEVEMENTS_FETCH_FAILED',
+      message: '업적 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/achievements/seen:
+ *   post:
+ *     summary: 새로 해제된 업적 확인 처리
+ *     tags: [Achievements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 확인한 업적 키 (생략 시 전체)
+ *     responses:
+ *       200:
+ *         description: 확인 처리 성공
+ */
+router.post('/seen',
+  authenticateToken,
+  [
+    body('keys')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('keys는 배열이어야 합니다.'),
+    body('keys.*')
+      .isString()
+      .withMessage('업적 키는 문자열이어야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { keys } = req.body;
+
+      const result = await achievementService.markSeen(userId, keys);
+
+      logger.info('업적 확인 처리', { userId, keys, updated: result.updated });
+
+      res.json({
+        success: true,
+        updated: result.updated
+      });
+
+    } catch (error) {
+      logger.error('업적 확인 처리 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'ACHIEVEMENTS_SEEN_FAILED',
+        message: '업적 확인 처리 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+module.exports = router;
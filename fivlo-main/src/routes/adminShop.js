@@ -0,0 +1,830 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const shopAdminService = require('../services/shopAdminService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { upload, processShopItemImage, handleUploadError } = require('../middleware/upload');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CATEGORIES = ['top', 'bottom', 'accessory', 'background', 'consumable'];
+const RARITIES = ['common', 'rare', 'epic', 'legendary'];
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminShop
+ *   description: 상점 카탈로그 관리 (관리자)
+ */
+
+// 모든 라우트 관리자 전용
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('상점 관리 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      userId: req.user?.id
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const itemIdValidator = param('itemId')
+  .isMongoId()
+  .withMessage('올바른 아이템 ID가 아닙니다.');
+
+// 등록/수정 공통 검증 (등록 시 필수 항목은 라우트에서 추가)
+const itemValidators = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('아이템 이름은 1-50자여야 합니다.'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('설명은 200자 이하여야 합니다.'),
+  body('price')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('가격은 0 이상이어야 합니다.'),
+  body('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage('올바른 카테고리를 선택해주세요.'),
+  body('rarity')
+    .optional()
+    .isIn(RARITIES)
+    .withMessage('올바른 등급을 선택해주세요.'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('tags는 배열이어야 합니다.'),
+  body('isLimited')
+    .optional()
+    .isBoolean()
+    .withMessage('isLimited는 true/false여야 합니다.'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive는 true/false여야 합니다.'),
+  body('limitedInfo.startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('올바른 판매 시작일을 입력해주세요.'),
+  body('limitedInfo.endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('올바른 판매 종료일을 입력해주세요.'),
+  body('limitedInfo.announceDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('올바른 공개일을 입력해주세요.'),
+  body('limitedInfo.maxQuantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('한정 수량은 1 이상이어야 합니다.'),
+  body('limitedInfo.perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('1인당 구매 수량은 1 이상이어야 합니다.'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('정렬 순서는 정수여야 합니다.')
+];
+
+const sendShopAdminError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'SHOP_ITEM_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'SHOP_ITEM_NOT_FOUND',
+      message: '존재하지 않는 아이템입니다.'
+    });
+  }
+
+  if (error.message === 'SHOP_ITEM_COLOR_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'SHOP_ITEM_COLOR_NOT_FOUND',
+      message: '존재하지 않는 색상입니다.'
+    });
+  }
+
+  if (error.name === 'ValidationError' || /필요합니다|이후여야/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/admin/shop/items:
+ *   get:
+ *     summary: 상점 아이템 목록 (관리자, 판매 중단 포함)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [top, bottom, accessory, background, consumable]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limited
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: 아이템 목록
+ *       403:
+ *         description: 관리자 권한 필요
+ */
+router.get('/items',
+  [
+    query('category').optional().isIn(CATEGORIES).withMessage('올바른 카테고리를 선택해주세요.'),
+    query('active').optional().isBoolean().withMessage('active는 true/false여야 합니다.'),
+    query('limited').optional().isBoolean().withMessage('limited는 true/false여야 합니다.'),
+    query('page').optional().isInt({ min: 1 }).toInt().withMessage('page는 1 이상이어야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('limit은 1-100 사이여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await shopAdminService.listItems({
+        category: req.query.category,
+        active: req.query.active === undefined ? null : req.query.active === 'true',
+        limited: req.query.limited === undefined ? null : req.query.limited === 'true',
+        search: req.query.search,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 목록 조회 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_LIST_FAILED', '아이템 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}:
+ *   get:
+ *     summary: 상점 아이템 상세 (관리자)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 아이템 상세
+ *       404:
+ *         description: 존재하지 않는 아이템
+ */
+router.get('/items/:itemId',
+  [itemIdValidator],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.getItem(req.params.itemId);
+
+      res.json({
+        success: true,
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 상세 조회 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_FETCH_FAILED', '아이템 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items:
+ *   post:
+ *     summary: 상점 아이템 등록 (관리자)
+ *     description: imageUrl은 /api/admin/shop/images 업로드 결과를 사용합니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, price, category, type, imageUrl]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: integer
+ *               category:
+ *                 type: string
+ *                 enum: [top, bottom, accessory, background, consumable]
+ *               type:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *                 example: /uploads/shop-items/item_1700000000000_ab12cd.png
+ *               thumbnailUrl:
+ *                 type: string
+ *               rarity:
+ *                 type: string
+ *                 enum: [common, rare, epic, legendary]
+ *               isLimited:
+ *                 type: boolean
+ *               limitedInfo:
+ *                 type: object
+ *                 properties:
+ *                   startDate:
+ *                     type: string
+ *                     format: date-time
+ *                   endDate:
+ *                     type: string
+ *                     format: date-time
+ *                   maxQuantity:
+ *                     type: integer
+ *                   perUserLimit:
+ *                     type: integer
+ *                   announceDate:
+ *                     type: string
+ *                     format: date-time
+ *                   season:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: 아이템 등록 성공
+ *       400:
+ *         description: 입력값 오류
+ */
+router.post('/items',
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('아이템 이름이 필요합니다.'),
+    body('price')
+      .notEmpty()
+      .withMessage('가격이 필요합니다.'),
+    body('category')
+      .notEmpty()
+      .withMessage('카테고리가 필요합니다.'),
+    body('type')
+      .notEmpty()
+      .withMessage('아이템 타입이 필요합니다.'),
+    body('imageUrl')
+      .isString()
+      .notEmpty()
+      .withMessage('아이템 이미지가 필요합니다.'),
+    ...itemValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.createItem(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: '아이템이 등록되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 등록 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_CREATE_FAILED', '아이템 등록 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}:
+ *   patch:
+ *     summary: 상점 아이템 수정 (관리자)
+ *     description: 보낸 필드만 수정합니다. isActive true로 판매를 재개할 수 있습니다. 판매/매출 집계 값은 수정할 수 없습니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 아이템 수정 성공
+ *       404:
+ *         description: 존재하지 않는 아이템
+ */
+router.patch('/items/:itemId',
+  [itemIdValidator, ...itemValidators],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.updateItem(req.params.itemId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: '아이템이 수정되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 수정 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_UPDATE_FAILED', '아이템 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}:
+ *   delete:
+ *     summary: 상점 아이템 판매 중단 (관리자)
+ *     description: 상점에서 내리기만 하며, 이미 구매한 사용자의 보유/착용 상태는 유지됩니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 판매 중단 성공
+ */
+router.delete('/items/:itemId',
+  [itemIdValidator],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.retireItem(req.params.itemId, req.user.id);
+
+      res.json({
+        success: true,
+        message: '아이템 판매가 중단되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 판매 중단 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_RETIRE_FAILED', '아이템 판매 중단 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/images:
+ *   post:
+ *     summary: 아이템 이미지 업로드 (관리자)
+ *     description: 투명 배경 PNG(1024x1024)와 썸네일(256x256)로 변환해 저장하고 경로를 반환합니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: 업로드 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 imageUrl:
+ *                   type: string
+ *                 thumbnailUrl:
+ *                   type: string
+ */
+router.post('/images', upload, handleUploadError, processShopItemImage, (req, res) => {
+  if (!req.imageInfo) {
+    return res.status(400).json({
+      success: false,
+      error: 'IMAGE_REQUIRED',
+      message: '이미지 파일이 필요합니다.'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    imageUrl: req.imageInfo.imageUrl,
+    thumbnailUrl: req.imageInfo.thumbnailUrl,
+    width: req.imageInfo.width,
+    height: req.imageInfo.height
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}/image:
+ *   put:
+ *     summary: 아이템 대표 이미지 교체 (관리자)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: 이미지 교체 성공
+ */
+router.put('/items/:itemId/image',
+  [itemIdValidator],
+  handleValidationErrors,
+  upload,
+  handleUploadError,
+  processShopItemImage,
+  async (req, res) => {
+    try {
+      if (!req.imageInfo) {
+        return res.status(400).json({
+          success: false,
+          error: 'IMAGE_REQUIRED',
+          message: '이미지 파일이 필요합니다.'
+        });
+      }
+
+      const item = await shopAdminService.setItemImage(req.params.itemId, req.imageInfo, req.user.id);
+
+      res.json({
+        success: true,
+        message: '아이템 이미지가 교체되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 이미지 교체 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_IMAGE_FAILED', '아이템 이미지 교체 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}/colors:
+ *   put:
+ *     summary: 아이템 색상 변형 추가/교체 (관리자)
+ *     description: 같은 이름의 색상이 있으면 교체합니다. 기존 색상의 hex만 바꿀 때는 이미지를 생략할 수 있습니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: blue
+ *               hex:
+ *                 type: string
+ *                 example: '#3b82f6'
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: 색상 저장 성공
+ */
+router.put('/items/:itemId/colors',
+  upload,
+  handleUploadError,
+  [
+    itemIdValidator,
+    body('name')
+      .isString()
+      .trim()
+      .matches(/^[a-z0-9_-]{1,20}$/)
+      .withMessage('색상 이름은 20자 이하의 영문 소문자, 숫자, -, _ 만 사용할 수 있습니다.'),
+    body('hex')
+      .optional()
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('hex는 #RRGGBB 형식이어야 합니다.')
+  ],
+  handleValidationErrors,
+  processShopItemImage,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.upsertColor(req.params.itemId, {
+        name: req.body.name,
+        hex: req.body.hex,
+        imageUrl: req.imageInfo ? req.imageInfo.imageUrl : null
+      }, req.user.id);
+
+      res.json({
+        success: true,
+        message: '색상이 저장되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 색상 저장 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_COLOR_FAILED', '색상 저장 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}/colors/{colorName}:
+ *   delete:
+ *     summary: 아이템 색상 변형 삭제 (관리자)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 색상 삭제 성공
+ *       404:
+ *         description: 존재하지 않는 색상
+ */
+router.delete('/items/:itemId/colors/:colorName',
+  [itemIdValidator],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.removeColor(req.params.itemId, req.params.colorName, req.user.id);
+
+      res.json({
+        success: true,
+        message: '색상이 삭제되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 아이템 색상 삭제 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_ITEM_COLOR_FAILED', '색상 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}/discount:
+ *   put:
+ *     summary: 할인 예약 (관리자)
+ *     description: 시작/종료 시각에 맞춰 스케줄러가 할인을 켜고 끕니다. startDate를 생략하면 즉시 시작합니다.
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [percentage]
+ *             properties:
+ *               percentage:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: 할인 예약 성공
+ */
+router.put('/items/:itemId/discount',
+  [
+    itemIdValidator,
+    body('percentage')
+      .isInt({ min: 1, max: 100 })
+      .toInt()
+      .withMessage('할인율은 1-100 사이여야 합니다.'),
+    body('startDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('올바른 할인 시작일을 입력해주세요.'),
+    body('endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('올바른 할인 종료일을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.scheduleDiscount(req.params.itemId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: '할인이 예약되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 할인 예약 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_DISCOUNT_FAILED', '할인 예약 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}/discount:
+ *   delete:
+ *     summary: 할인 취소 (관리자)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 할인 취소 성공
+ */
+router.delete('/items/:itemId/discount',
+  [itemIdValidator],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await shopAdminService.cancelDiscount(req.params.itemId, req.user.id);
+
+      res.json({
+        success: true,
+        message: '할인이 취소되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('상점 할인 취소 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_DISCOUNT_FAILED', '할인 취소 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/stats:
+ *   get:
+ *     summary: 상점 판매 통계 (관리자)
+ *     tags: [AdminShop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [revenue, purchases]
+ *           default: revenue
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 판매 통계
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     activeItems:
+ *                       type: integer
+ *                     totalSales:
+ *                       type: integer
+ *                     totalRevenue:
+ *                       type: integer
+ *                 categoryStats:
+ *                   type: array
+ *                   description: 판매 중인 아이템의 카테고리별 통계
+ *                 topItems:
+ *                   type: array
+ */
+router.get('/stats',
+  [
+    query('sortBy').optional().isIn(['revenue', 'purchases']).withMessage('sortBy는 revenue 또는 purchases여야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('limit은 1-100 사이여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const stats = await shopAdminService.getSalesStats({
+        sortBy: req.query.sortBy,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        ...stats
+      });
+
+    } catch (error) {
+      logger.error('상점 판매 통계 조회 오류:', error);
+      sendShopAdminError(res, error, 'SHOP_STATS_FAILED', '판매 통계 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+module.exports = router;
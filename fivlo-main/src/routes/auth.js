@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authService = require('../services/authService');
-const billingService = require('../services/billingService');
+const entitlementService = require('../services/entitlementService');
+const promotionService = require('../services/promotionService');
 const { authenticateToken } = require('../middleware/auth');
 const { getPremiumStatus } = require('../middleware/premiumMiddleware');
 const logger = require('../utils/logger');
@@ -70,6 +71,9 @@ const handleValidationErrors = (req, res, next) => {
  *                 type: string
  *                 enum: [집중력개선, 루틴형성, 목표관리]
  *                 description: 사용자 유형 (온보딩에서 선택)
+ *               referralCode:
+ *                 type: string
+ *                 description: 친구 초대 코드 (선택, X-Device-Id 헤더 필요)
  *     responses:
  *       201:
  *         description: 회원가입 성공, JWT 토큰 발급
@@ -89,12 +93,17 @@ router.post('/register',
       .withMessage('이름은 1-50자 사이로 입력해주세요.'),
     body('userType')
       .isIn(['집중력개선', '루틴형성', '목표관리'])
-      .withMessage('올바른 사용자 유형을 선택해주세요.')
+      .withMessage('올바른 사용자 유형을 선택해주세요.'),
+    body('referralCode')
+      .optional()
+      .isString()
+      .trim()
+      .withMessage('올바른 초대 코드를 입력해주세요.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { email, password, profileName, userType } = req.body;
+      const { email, password, profileName, userType, referralCode } = req.body;
       
       logger.info('이메일 회원가입 시도', { 
         email, 
@@ -116,11 +125,25 @@ router.post('/register',
         userType: result.user.userType
       });
 
+      // 초대 코드 적용 실패는 가입을 막지 않음 (가입 후 다시 입력 가능)
+      let referral = null;
+      if (referralCode) {
+        try {
+          referral = await promotionService.applyReferral(result.user.id, referralCode, {
+            deviceId: req.get('X-Device-Id') || null,
+            ip: req.ip
+          });
+        } catch (error) {
+          referral = { error: error.message };
+        }
+      }
+
       res.status(201).json({
         success: true,
         message: '회원가입이 완료되었습니다.',
         user: result.user,
-        tokens: result.tokens
+        tokens: result.tokens,
+        referral
       });
 
     } catch (error) {
@@ -176,7 +199,7 @@ router.post('/login',
       logger.info('로그인 성공', { 
         userId: result.user.id,
         email: result.user.email,
-        subscriptionStatus: result.user.subscriptionStatus
+        subscriptionStatus: result.user.subscriptionInfo?.status
       });
 
       res.json({
@@ -486,22 +509,22 @@ router.get('/me/subscription',
   async (req, res) => {
     try {
       const user = req.user;
-      
-      // 구독 상태 최신화
-      user.checkPremiumStatus();
-      
+
+      // 만료 여부는 조회 시점 기준으로 판단만 하고, 상태 전이는 구독 라이프사이클 스케줄러가 담당
+      const subscription = entitlementService.getSubscriptionSummary(user);
       const premiumStatus = getPremiumStatus(user);
 
       logger.info('구독 정보 조회', { 
         userId: user.id,
-        subscriptionStatus: user.subscriptionStatus
+        subscriptionStatus: subscription.status
       });
 
       res.json({
         success: true,
-        subscriptionStatus: user.subscriptionStatus,
-        subscriptionPlan: user.subscriptionPlan,
-        expiryDate: user.subscriptionEndDate,
+        subscription,
+        subscriptionStatus: subscription.status,
+        subscriptionPlan: subscription.plan,
+        expiryDate: subscription.currentPeriodEnd,
         coins: user.coins,
         features: premiumStatus.features,
         benefits: premiumStatus.benefits
@@ -519,115 +542,4 @@ router.get('/me/subscription',
   }
 );
 
-/**
- * @swagger
- * /api/billing/checkout:
- *   post:
- *     summary: 구독 결제 세션 생성 (잠금 해제 트리거)
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- */
-router.post('/billing/checkout',
-  authenticateToken,
-  [
-    body('plan')
-      .isIn(['premium_monthly', 'premium_yearly'])
-      .withMessage('올바른 구독 플랜을 선택해주세요.'),
-    body('returnUrl')
-      .optional()
-      .isURL()
-      .withMessage('올바른 리턴 URL을 입력해주세요.'),
-    body('cancelUrl')
-      .optional()
-      .isURL()
-      .withMessage('올바른 취소 URL을 입력해주세요.')
-  ],
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { plan, returnUrl, cancelUrl } = req.body;
-      const userId = req.user.id;
-
-      logger.info('결제 세션 생성 요청', { 
-        userId,
-        plan,
-        ip: req.ip
-      });
-
-      const checkoutSession = await billingService.createCheckoutSession({
-        userId,
-        plan,
-        returnUrl,
-        cancelUrl
-      });
-
-      logger.info('결제 세션 생성 성공', { 
-        userId,
-        sessionId: checkoutSession.id
-      });
-
-      res.json({
-        success: true,
-        message: '결제 세션이 생성되었습니다.',
-        checkoutUrl: checkoutSession.url,
-        sessionId: checkoutSession.id
-      });
-
-    } catch (error) {
-      logger.error('결제 세션 생성 오류:', error);
-
-      res.status(500).json({
-        success: false,
-        error: 'CHECKOUT_SESSION_FAILED',
-        message: '결제 세션 생성 중 오류가 발생했습니다.'
-      });
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/billing/webhook:
- *   post:
- *     summary: PG 웹훅 - 결제 성공 시 premium 승격
- *     tags: [Authentication]
- */
-router.post('/billing/webhook',
-  async (req, res) => {
-    try {
-      const webhookData = req.body;
-
-      logger.info('결제 웹훅 수신', { 
-        event: webhookData.event,
-        userId: webhookData.userId,
-        ip: req.ip
-      });
-
-      const result = await billingService.handleWebhook(webhookData);
-
-      logger.info('웹훅 처리 성공', { 
-        event: webhookData.event,
-        userId: webhookData.userId,
-        result
-      });
-
-      res.json({
-        success: true,
-        message: '웹훅이 처리되었습니다.',
-        result
-      });
-
-    } catch (error) {
-      logger.error('웹훅 처리 오류:', error);
-
-      res.status(500).json({
-        success: false,
-        error: 'WEBHOOK_PROCESSING_FAILED',
-        message: '웹훅 처리 중 오류가 발생했습니다.'
-      });
-    }
-  }
-);
-
 module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const avatarRenderService = require('../services/avatarRenderService');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Avatar
+ *   description: 오분이 아바타 합성 이미지 (공유/알림용)
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('아바타 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      userId: req.user?.id
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const renderValidators = [
+  query('size')
+    .optional()
+    .isIn(avatarRenderService.SIZES.map(String))
+    .withMessage(`size는 ${avatarRenderService.SIZES.join(', ')} 중 하나여야 합니다.`),
+  query('format')
+    .optional()
+    .isIn(avatarRenderService.FORMATS)
+    .withMessage(`format은 ${avatarRenderService.FORMATS.join(', ')} 중 하나여야 합니다.`)
+];
+
+/**
+ * @swagger
+ * /api/avatar/render:
+ *   get:
+ *     summary: 내 오분이 합성 이미지
+ *     description: 기본 캐릭터와 착용 아이템(선택 색상 포함)을 합성한 이미지를 반환합니다. 착용 세트가 같으면 캐시된 이미지를 사용합니다.
+ *     tags: [Avatar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           enum: [128, 256, 512, 1024]
+ *           default: 512
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, webp]
+ *           default: png
+ *     responses:
+ *       200:
+ *         description: 합성 이미지
+ *         content:
+ *           image/png: {}
+ *           image/webp: {}
+ *       400:
+ *         description: 잘못된 크기 또는 형식
+ */
+router.get('/render',
+  authenticateToken,
+  renderValidators,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { size, format } = req.query;
+
+      const rendered = await avatarRenderService.renderForUser(userId, { size, format });
+
+      res.set({
+        'Content-Type': rendered.contentType,
+        'Cache-Control': 'private, max-age=300',
+        'X-Avatar-Hash': rendered.hash,
+        'X-Avatar-Cache': rendered.cached ? 'HIT' : 'MISS'
+      });
+      res.sendFile(rendered.filePath);
+
+    } catch (error) {
+      logger.error('오분이 합성 이미지 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'AVATAR_RENDER_FAILED',
+        message: '오분이 이미지를 만드는 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/avatar/render/url:
+ *   get:
+ *     summary: 내 오분이 합성 이미지 URL (공유/푸시 알림용)
+ *     description: 인증 없이 접근 가능한 캐시 이미지 URL을 반환합니다. 착용 세트가 바뀌면 URL도 바뀝니다.
+ *     tags: [Avatar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           enum: [128, 256, 512, 1024]
+ *           default: 512
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, webp]
+ *           default: png
+ *     responses:
+ *       200:
+ *         description: 이미지 URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 url:
+ *                   type: string
+ *                   example: https://api.fivlo.app/uploads/avatars/3f2a..._512.png
+ *                 hash:
+ *                   type: string
+ *                 size:
+ *                   type: integer
+ *                 format:
+ *                   type: string
+ */
+router.get('/render/url',
+  authenticateToken,
+  renderValidators,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { size, format } = req.query;
+
+      const rendered = await avatarRenderService.renderForUser(userId, { size, format });
+
+      res.json({
+        success: true,
+        url: `${req.protocol}://${req.get('host')}${rendered.url}`,
+        hash: rendered.hash,
+        size: rendered.size,
+        format: rendered.format
+      });
+
+    } catch (error) {
+      logger.error('오분이 합성 이미지 URL 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'AVATAR_RENDER_FAILED',
+        message: '오분이 이미지를 만드는 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+module.exports = router;
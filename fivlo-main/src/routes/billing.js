@@ -0,0 +1,405 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const billingService = require('../services/billingService');
+const { supportedProviders, checkoutProviders, storeProviders } = require('../services/paymentProviders');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Billing
+ *   description: 구독 결제, 인앱 영수증 검증, 결제 웹훅
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('결제 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/billing/checkout:
+ *   post:
+ *     summary: 구독 결제 세션 생성 (잠금 해제 트리거)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/checkout',
+  authenticateToken,
+  [
+    body('plan')
+      .isIn(['premium_monthly', 'premium_yearly'])
+      .withMessage('올바른 구독 플랜을 선택해주세요.'),
+    body('returnUrl')
+      .optional()
+      .isURL()
+      .withMessage('올바른 리턴 URL을 입력해주세요.'),
+    body('cancelUrl')
+      .optional()
+      .isURL()
+      .withMessage('올바른 취소 URL을 입력해주세요.'),
+    body('provider')
+      .optional()
+      .isIn(checkoutProviders)
+      .withMessage('지원하지 않는 결제 수단입니다.'),
+    body('promoCode')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('올바른 프로모션 코드를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { plan, returnUrl, cancelUrl, provider, promoCode } = req.body;
+      const userId = req.user.id;
+
+      logger.info('결제 세션 생성 요청', { 
+        userId,
+        plan,
+        ip: req.ip
+      });
+
+      const checkoutSession = await billingService.createCheckoutSession({
+        userId,
+        plan,
+        returnUrl,
+        cancelUrl,
+        provider,
+        promoCode,
+        deviceId: req.get('X-Device-Id') || null,
+        ip: req.ip
+      });
+
+      logger.info('결제 세션 생성 성공', { 
+        userId,
+        sessionId: checkoutSession.id
+      });
+
+      res.json({
+        success: true,
+        message: '결제 세션이 생성되었습니다.',
+        checkoutUrl: checkoutSession.url,
+        sessionId: checkoutSession.id,
+        provider: checkoutSession.provider,
+        amount: checkoutSession.amount,
+        discountAmount: checkoutSession.discountAmount,
+        currency: checkoutSession.currency,
+        clientParams: checkoutSession.clientParams
+      });
+
+    } catch (error) {
+      logger.error('결제 세션 생성 오류:', error);
+
+      if (error.message === '이미 Premium 구독 중입니다.') {
+        return res.status(409).json({
+          success: false,
+          error: 'ALREADY_SUBSCRIBED',
+          message: error.message
+        });
+      }
+
+      if (error.message.startsWith('PROMO_')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          message: '사용할 수 없는 프로모션 코드입니다.'
+        });
+      }
+
+      if (error.message === 'PAYMENT_PROVIDER_UNAVAILABLE') {
+        return res.status(400).json({
+          success: false,
+          error: 'PAYMENT_PROVIDER_UNAVAILABLE',
+          message: '지원하지 않는 결제 수단입니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'CHECKOUT_SESSION_FAILED',
+        message: '결제 세션 생성 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/billing/cancel:
+ *   post:
+ *     summary: 구독 해지 예약 (남은 이용 기간 종료 후 free 전환)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/cancel',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      logger.info('구독 해지 요청', { userId });
+
+      const result = await billingService.cancelSubscription(userId);
+
+      res.json({
+        success: true,
+        message: result.message,
+        accessUntil: result.accessUntil
+      });
+
+    } catch (error) {
+      logger.error('구독 해지 오류:', error);
+
+      if (error.message === 'Premium 구독 중이 아닙니다.') {
+        return res.status(409).json({
+          success: false,
+          error: 'NOT_SUBSCRIBED',
+          message: error.message
+        });
+      }
+
+      if (error.message === 'STORE_MANAGED_SUBSCRIPTION') {
+        return res.status(409).json({
+          success: false,
+          error: 'STORE_MANAGED_SUBSCRIPTION',
+          message: 'App Store 또는 Google Play 구독 관리에서 해지해주세요.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SUBSCRIPTION_CANCEL_FAILED',
+        message: '구독 해지 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+// 스토어별 영수증 검증 요청 본문
+const STORE_RECEIPT_PAYLOADS = {
+  apple: ({ receipt }) => ({ receipt }),
+  google: ({ purchaseToken, productId }) => ({ purchaseToken, productId })
+};
+
+/**
+ * 스토어 영수증 검증 결과 응답 (apple/google 공통)
+ */
+const handleStoreReceipt = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { store } = req.params;
+
+    logger.info('스토어 영수증 검증 요청', { userId, store, ip: req.ip });
+
+    const result = await billingService.verifyStoreReceipt(userId, store, STORE_RECEIPT_PAYLOADS[store](req.body));
+
+    res.json({
+      success: true,
+      message: result.duplicate ? '이미 반영된 영수증입니다.' : 'Premium 구독이 활성화되었습니다.',
+      duplicate: result.duplicate,
+      bonusCoins: result.bonusCoins,
+      subscription: result.subscription
+    });
+
+  } catch (error) {
+    logger.error('스토어 영수증 검증 오류:', error);
+
+    if (error.message === 'INVALID_RECEIPT') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_RECEIPT',
+        message: '유효하지 않은 영수증입니다.'
+      });
+    }
+
+    if (error.message === 'RECEIPT_NOT_ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        error: 'RECEIPT_NOT_ACTIVE',
+        message: '만료되었거나 환불된 구독입니다.'
+      });
+    }
+
+    if (error.message === 'RECEIPT_ALREADY_LINKED') {
+      return res.status(409).json({
+        success: false,
+        error: 'RECEIPT_ALREADY_LINKED',
+        message: '다른 계정에 연결된 구독입니다.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'RECEIPT_VERIFICATION_FAILED',
+      message: '영수증 검증 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/billing/receipts/{store}:
+ *   post:
+ *     summary: 인앱 구독 영수증 검증 후 Premium 활성화 (App Store / Google Play)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: store
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [apple, google]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               receipt:
+ *                 type: string
+ *                 description: base64 앱 영수증 (apple 필수)
+ *               purchaseToken:
+ *                 type: string
+ *                 description: 구매 토큰 (google 필수)
+ *               productId:
+ *                 type: string
+ *                 description: 상품 ID (google 필수)
+ */
+router.post('/receipts/:store',
+  authenticateToken,
+  [
+    param('store')
+      .isIn(storeProviders)
+      .withMessage('지원하지 않는 스토어입니다.'),
+    body('receipt')
+      .if(param('store').equals('apple'))
+      .isString()
+      .notEmpty()
+      .withMessage('영수증 데이터가 필요합니다.'),
+    body('purchaseToken')
+      .if(param('store').equals('google'))
+      .isString()
+      .notEmpty()
+      .withMessage('구매 토큰이 필요합니다.'),
+    body('productId')
+      .if(param('store').equals('google'))
+      .isString()
+      .notEmpty()
+      .withMessage('상품 ID가 필요합니다.')
+  ],
+  handleValidationErrors,
+  handleStoreReceipt
+);
+
+/**
+ * @swagger
+ * /api/billing/webhook/{provider}:
+ *   post:
+ *     summary: PG 웹훅/스토어 서버 알림 - 서명 검증 후 구독 상태 반영 (provider 생략 시 기본 결제사)
+ *     description: App Store Server Notifications V2는 apple, Google Play RTDN(Pub/Sub push)은 google로 설정
+ *     tags: [Billing]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [stripe, portone, fake, apple, google]
+ */
+router.post(['/webhook', '/webhook/:provider'],
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+
+      if (provider && !supportedProviders.includes(provider)) {
+        return res.status(404).json({
+          success: false,
+          error: 'UNKNOWN_PAYMENT_PROVIDER',
+          message: '지원하지 않는 결제 수단입니다.'
+        });
+      }
+
+      logger.info('결제 웹훅 수신', { 
+        provider,
+        ip: req.ip
+      });
+
+      // 서명 검증은 파싱 전 원본 본문 기준 (server.js의 express.json verify 참고)
+      const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+      const result = await billingService.handleWebhook(rawBody, req.headers, provider);
+
+      logger.info('웹훅 처리 성공', { 
+        provider,
+        type: result.type,
+        duplicate: result.duplicate
+      });
+
+      res.json({
+        success: true,
+        message: '웹훅이 처리되었습니다.',
+        result
+      });
+
+    } catch (error) {
+      logger.error('웹훅 처리 오류:', error);
+
+      if (error.message === 'INVALID_WEBHOOK_SIGNATURE') {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_WEBHOOK_SIGNATURE',
+          message: '웹훅 서명이 올바르지 않습니다.'
+        });
+      }
+
+      if (error.message === 'PAYMENT_PROVIDER_UNAVAILABLE') {
+        return res.status(404).json({
+          success: false,
+          error: 'UNKNOWN_PAYMENT_PROVIDER',
+          message: '지원하지 않는 결제 수단입니다.'
+        });
+      }
+
+      if (error.message === 'PAYMENT_EVENT_IN_PROGRESS') {
+        return res.status(409).json({
+          success: false,
+          error: 'PAYMENT_EVENT_IN_PROGRESS',
+          message: '같은 결제 이벤트를 처리 중입니다. 잠시 후 다시 시도해주세요.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'WEBHOOK_PROCESSING_FAILED',
+        message: '웹훅 처리 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,12 +1,22 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const coinService = require('../services/coinService');
+const rewardEngine = require('../services/rewardEngine');
+const customizationService = require('../services/customization-service');
+const ShopItem = require('../models/ShopItem');
 const { authenticateToken } = require('../middleware/auth');
 const { requirePremiumFeature, PREMIUM_FEATURES } = require('../middleware/premiumMiddleware');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// 적립 사유 → 보상 이벤트
+const EARN_EVENTS = {
+  pomodoro_complete: { type: rewardEngine.EVENTS.POMODORO_CYCLE_COMPLETED, display: '포모도로 1 사이클 완료' },
+  task_all_done: { type: rewardEngine.EVENTS.TASKS_ALL_COMPLETED, display: '하루 전체 Task 완료' },
+  reminder_all_checked: { type: rewardEngine.EVENTS.REMINDERS_ALL_CHECKED, display: '망각방지 알림 전체 완료' }
+};
+
 /**
  * @swagger
  * tags:
@@ -198,9 +208,17 @@ router.get('/transactions',
  *       - 포모도로 1 사이클 완료
  *       - 하루 모든 Task 완료 
  *       - 망각방지 알림 전체 완료
+ *       
+ *       적립 코인 수와 일일 한도는 보상 규칙에서 정합니다 (요청의 amount는 무시).
  *     tags: [Coins]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: 같은 키로 재요청하면 이전 적립 결과를 그대로 반환
  *     requestBody:
  *       required: true
  *       content:
@@ -209,7 +227,6 @@ router.get('/transactions',
  *             type: object
  *             required:
  *               - reason
- *               - amount
  *             properties:
  *               reason:
  *                 type: string
@@ -218,57 +235,61 @@ router.get('/transactions',
  *               amount:
  *                 type: integer
  *                 minimum: 1
- *                 description: 적립할 코인 수
+ *                 description: (사용하지 않음) 적립할 코인 수
  *     responses:
  *       200:
  *         description: 코인 적립 성공
+ *       429:
+ *         description: 오늘 해당 사유의 적립 한도 도달
  */
 router.post('/earn',
   authenticateToken,
   requirePremiumFeature(PREMIUM_FEATURES.COINS),
   [
     body('reason')
-      .isIn(['pomodoro_complete', 'task_all_done', 'reminder_all_checked'])
+      .isIn(Object.keys(EARN_EVENTS))
       .withMessage('올바른 적립 사유를 선택해주세요.'),
     body('amount')
+      .optional()
       .isInt({ min: 1 })
       .withMessage('적립 코인은 1개 이상이어야 합니다.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { reason, amount } = req.body;
+      const { reason } = req.body;
       const userId = req.user.id;
+      const idempotencyKey = req.get('Idempotency-Key') || null;
 
       logger.info('코인 적립 요청', { 
         userId, 
         reason, 
-        amount 
+        idempotencyKey
       });
 
-      const result = await coinService.earnCoins(userId, {
-        reason,
-        amount,
-        metadata: {
-          timestamp: new Date(),
-          ip: req.ip,
-          userAgent: req.get('User-Agent')
-        }
+      const result = await rewardEngine.handle({
+        type: EARN_EVENTS[reason].type,
+        userId,
+        idempotencyKey: idempotencyKey ? `api:${idempotencyKey}` : null
       });
 
+      if (result.awarded === 0) {
+        throw new Error('DAILY_LIMIT_EXCEEDED');
+      }
+
       logger.info('코인 적립 성공', { 
         userId, 
         reason, 
-        amount,
+        amount: result.awarded,
         newBalance: result.newBalance
       });
 
       res.json({
         success: true,
-        message: `${amount}개 코인이 적립되었습니다.`,
-        coinEarned: amount,
+        message: `${result.awarded}개 코인이 적립되었습니다.`,
+        coinEarned: result.awarded,
         newBalance: result.newBalance,
-        reason: result.reasonDisplay
+        reason: EARN_EVENTS[reason].display
       });
 
     } catch (error) {
@@ -296,9 +317,16 @@ router.post('/earn',
  * /api/coins/spend:
  *   post:
  *     summary: 코인 소모 (커스터마이징 아이템 구매)
+ *     description: 아이템 가격만큼 코인을 차감하고 인벤토리에 추가합니다 (한 트랜잭션).
  *     tags: [Coins]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: 같은 키로 재요청하면 이전 구매 결과를 그대로 반환
  *     requestBody:
  *       required: true
  *       content:
@@ -320,7 +348,7 @@ router.post('/earn',
  *               amount:
  *                 type: integer
  *                 minimum: 1
- *                 description: 소모할 코인 수
+ *                 description: 소모할 코인 수 (할인이 반영된 현재 판매가와 다르면 409)
  *     responses:
  *       200:
  *         description: 코인 소모 성공
@@ -337,6 +365,7 @@ router.post('/spend',
       .withMessage('아이템 ID가 필요합니다.'),
     body('amount')
       .isInt({ min: 1 })
+      .toInt()
       .withMessage('소모 코인은 1개 이상이어야 합니다.')
   ],
   handleValidationErrors,
@@ -344,43 +373,54 @@ router.post('/spend',
     try {
       const { reason, itemId, amount } = req.body;
       const userId = req.user.id;
+      const idempotencyKey = req.get('Idempotency-Key') || null;
 
       logger.info('코인 소모 요청', { 
         userId, 
         reason, 
         itemId, 
-        amount 
-      });
-
-      const result = await coinService.spendCoins(userId, {
-        reason,
-        itemId,
         amount,
-        metadata: {
-          timestamp: new Date(),
-          ip: req.ip
-        }
+        idempotencyKey
       });
 
+      const item = await ShopItem.findById(itemId).select('price discount isActive');
+      if (!item || !item.isActive) {
+        throw new Error('ITEM_NOT_FOUND');
+      }
+
+      // 앱에 표시된 가격과 현재 판매가(할인 반영)가 다르면 차감하지 않음
+      if (item.finalPrice !== amount) {
+        return res.status(409).json({
+          success: false,
+          error: 'PRICE_CHANGED',
+          message: '아이템 가격이 변경되었습니다. 다시 확인해주세요.',
+          price: item.finalPrice
+        });
+      }
+
+      const result = await customizationService.purchaseItem(userId, itemId, { idempotencyKey });
+
       logger.info('코인 소모 성공', { 
         userId, 
         itemId, 
-        amount,
-        newBalance: result.newBalance
+        amount: result.coinSpent,
+        newBalance: result.remainingCoins,
+        duplicate: result.duplicate
       });
 
       res.json({
         success: true,
-        message: `${amount}개 코인을 사용했습니다.`,
-        coinSpent: amount,
-        newBalance: result.newBalance,
-        item: result.item
+        message: `${result.coinSpent}개 코인을 사용했습니다.`,
+        coinSpent: result.coinSpent,
+        newBalance: result.remainingCoins,
+        item: result.item,
+        mysteryBox: result.mysteryBox || null
       });
 
     } catch (error) {
       logger.error('코인 소모 오류:', error);
 
-      if (error.message === 'INSUFFICIENT_COINS') {
+      if (error.message.includes('코인이 부족')) {
         return res.status(400).json({
           success: false,
           error: 'INSUFFICIENT_COINS',
@@ -388,7 +428,7 @@ router.post('/spend',
         });
       }
 
-      if (error.message === 'ITEM_NOT_FOUND') {
+      if (error.message === 'ITEM_NOT_FOUND' || error.message.includes('아이템을 찾을 수 없습니다')) {
         return res.status(404).json({
           success: false,
           error: 'ITEM_NOT_FOUND',
@@ -396,7 +436,7 @@ router.post('/spend',
         });
       }
 
-      if (error.message === 'ITEM_ALREADY_OWNED') {
+      if (error.message.includes('이미 보유')) {
         return res.status(409).json({
           success: false,
           error: 'ITEM_ALREADY_OWNED',
@@ -404,6 +444,38 @@ router.post('/spend',
         });
       }
 
+      if (error.message.includes('최대 보유 수량')) {
+        return res.status(409).json({
+          success: false,
+          error: 'ITEM_LIMIT_REACHED',
+          message: '최대 보유 수량을 초과했습니다.'
+        });
+      }
+
+      if (error.message.includes('1인당 구매 가능 수량')) {
+        return res.status(409).json({
+          success: false,
+          error: 'PURCHASE_LIMIT_REACHED',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('품절')) {
+        return res.status(409).json({
+          success: false,
+          error: 'SOLD_OUT',
+          message: '품절된 아이템입니다.'
+        });
+      }
+
+      if (error.message.includes('판매가 시작되지 않은') || error.message.includes('판매가 종료된')) {
+        return res.status(409).json({
+          success: false,
+          error: 'NOT_ON_SALE',
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'COIN_SPEND_FAILED',
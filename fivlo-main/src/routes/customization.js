@@ -307,7 +307,9 @@ router.post('/purchase', authenticateToken, async (req, res) => {
     
     logger.info(`아이템 구매 요청: 사용자=${req.user.id}, 아이템=${itemId}`);
     
-    const result = await customizationService.purchaseItem(req.user.id, itemId);
+    const result = await customizationService.purchaseItem(req.user.id, itemId, {
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
     
     res.json({
       success: true,
@@ -317,6 +319,14 @@ router.post('/purchase', authenticateToken, async (req, res) => {
     
   } catch (error) {
     logger.error('아이템 구매 실패:', error);
+    
+    if (/품절|판매가 시작되지 않은|판매가 종료된|1인당 구매 가능 수량/.test(error.message)) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: error.message
@@ -344,6 +354,10 @@ router.post('/purchase', authenticateToken, async (req, res) => {
  *               itemId:
  *                 type: string
  *                 example: 507f1f77bcf86cd799439011
+ *               color:
+ *                 type: string
+ *                 example: blue
+ *                 description: 선택 색상 이름 (아이템의 colors 중 하나, 생략 시 기본 이미지)
  *     responses:
  *       200:
  *         description: 아이템 착용 성공
@@ -405,7 +419,7 @@ router.post('/purchase', authenticateToken, async (req, res) => {
  */
 router.post('/equip', authenticateToken, async (req, res) => {
   try {
-    const { itemId } = req.body;
+    const { itemId, color } = req.body;
     
     if (!itemId) {
       return res.status(400).json({
@@ -414,9 +428,9 @@ router.post('/equip', authenticateToken, async (req, res) => {
       });
     }
     
-    logger.info(`아이템 착용 요청: 사용자=${req.user.id}, 아이템=${itemId}`);
+    logger.info(`아이템 착용 요청: 사용자=${req.user.id}, 아이템=${itemId}, 색상=${color || '기본'}`);
     
-    const result = await customizationService.equipItem(req.user.id, itemId);
+    const result = await customizationService.equipItem(req.user.id, itemId, color || null);
     
     res.json({
       success: true,
@@ -516,6 +530,200 @@ router.post('/unequip', authenticateToken, async (req, res) => {
   }
 });
 
+// 환불/되팔기 오류 응답
+const sendReturnError = (res, error) => {
+  if (error.message.includes('보유하지 않은')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (/환불할 수 없는|되팔 수 없는|환불 가능 기간|이미 처리된/.test(error.message)) {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * @swagger
+ * /api/customization/returns/{itemId}:
+ *   get:
+ *     summary: 아이템 환불/되팔기 가능 여부와 반환 코인 조회
+ *     tags: [Customization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refundable:
+ *                       type: boolean
+ *                     refundableUntil:
+ *                       type: string
+ *                       format: date-time
+ *                     refundAmount:
+ *                       type: integer
+ *                     sellable:
+ *                       type: boolean
+ *                     sellBackAmount:
+ *                       type: integer
+ *       404:
+ *         description: 보유하지 않은 아이템
+ */
+router.get('/returns/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const result = await customizationService.getReturnQuote(req.user.id, req.params.itemId);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('아이템 환불/되팔기 조회 실패:', error);
+    sendReturnError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/customization/refund:
+ *   post:
+ *     summary: 아이템 환불
+ *     description: 구매 후 환불 가능 기간(기본 24시간) 안에 한 번도 착용하지 않은 아이템은 구매 가격 전액을 돌려받습니다.
+ *     tags: [Customization]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: 환불 성공
+ *       404:
+ *         description: 보유하지 않은 아이템
+ *       409:
+ *         description: 환불할 수 없는 아이템 (착용했거나 기간 경과)
+ */
+router.post('/refund', authenticateToken, async (req, res) => {
+  try {
+    const { itemId } = req.body;
+    
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        message: '아이템 ID가 필요합니다'
+      });
+    }
+    
+    logger.info(`아이템 환불 요청: 사용자=${req.user.id}, 아이템=${itemId}`);
+    
+    const result = await customizationService.refundItem(req.user.id, itemId, {
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.coinReturned}코인이 환불되었습니다`
+    });
+    
+  } catch (error) {
+    logger.error('아이템 환불 실패:', error);
+    sendReturnError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/customization/sell-back:
+ *   post:
+ *     summary: 아이템 되팔기
+ *     description: 환불 기간이 지났거나 착용한 구매 아이템을 구매 가격의 일부(기본 30%)를 받고 되팝니다. 착용 중이면 착용 해제됩니다.
+ *     tags: [Customization]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: 되팔기 성공
+ *       404:
+ *         description: 보유하지 않은 아이템
+ *       409:
+ *         description: 되팔 수 없는 아이템
+ */
+router.post('/sell-back', authenticateToken, async (req, res) => {
+  try {
+    const { itemId } = req.body;
+    
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        message: '아이템 ID가 필요합니다'
+      });
+    }
+    
+    logger.info(`아이템 되팔기 요청: 사용자=${req.user.id}, 아이템=${itemId}`);
+    
+    const result = await customizationService.sellBackItem(req.user.id, itemId, {
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.coinReturned}코인을 받았습니다`
+    });
+    
+  } catch (error) {
+    logger.error('아이템 되팔기 실패:', error);
+    sendReturnError(res, error);
+  }
+});
+
 /**
  * @route GET /api/customization/coins
  * @desc 사용자 코인 조회
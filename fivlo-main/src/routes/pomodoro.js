@@ -1,7 +1,6 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const pomodoroService = require('../services/pomodoroService');
-const coinService = require('../services/coinService');
 const { authenticateToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
@@ -47,13 +46,20 @@ const handleValidationErrors = (req, res, next) => {
 router.post('/sessions',
   authenticateToken,
   [
+    // Task를 연결하면 목표/색상은 생략 가능 (Task 제목/색상 사용)
     body('goal')
+      .if((value, { req }) => !req.body.taskId || value !== undefined)
       .trim()
       .isLength({ min: 1, max: 100 })
       .withMessage('목표는 1-100자 사이로 입력해주세요.'),
     body('color')
+      .if((value, { req }) => !req.body.taskId || value !== undefined)
       .matches(/^#[0-9A-Fa-f]{6}$/)
       .withMessage('올바른 색상 코드를 입력해주세요. (예: #FF6B6B)'),
+    body('taskId')
+      .optional()
+      .isMongoId()
+      .withMessage('올바른 Task ID를 입력해주세요.'),
     body('focusMinutes')
       .optional()
       .isInt({ min: 5, max: 60 })
@@ -61,12 +67,24 @@ router.post('/sessions',
     body('breakMinutes')
       .optional()
       .isInt({ min: 1, max: 15 })
-      .withMessage('휴식 시간은 1-15분 사이여야 합니다.')
+      .withMessage('휴식 시간은 1-15분 사이여야 합니다.'),
+    body('type')
+      .optional()
+      .isIn(['focus', 'break', 'long_break'])
+      .withMessage('세션 유형은 focus, break, long_break 중 하나여야 합니다.'),
+    body('profileId')
+      .optional()
+      .isMongoId()
+      .withMessage('올바른 프로필 ID를 입력해주세요.'),
+    body('cycleId')
+      .optional()
+      .isString()
+      .withMessage('올바른 사이클 ID를 입력해주세요.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { goal, color, focusMinutes = 25, breakMinutes = 5 } = req.body;
+      const { goal, color, focusMinutes = 25, breakMinutes = 5, type, profileId, cycleId, taskId } = req.body;
       const userId = req.user.id;
 
       logger.info('포모도로 세션 생성 요청', { 
@@ -74,14 +92,21 @@ router.post('/sessions',
         goal, 
         color,
         focusMinutes,
-        breakMinutes
+        breakMinutes,
+        type,
+        profileId,
+        taskId
       });
 
       const session = await pomodoroService.createSession(userId, {
         goal,
         color,
         focusMinutes,
-        breakMinutes
+        breakMinutes,
+        type,
+        profileId,
+        cycleId,
+        taskId
       });
 
       logger.info('포모도로 세션 생성 성공', { 
@@ -101,6 +126,11 @@ router.post('/sessions',
           breakMinutes: session.breakMinutes,
           status: session.status,
           totalCycleMinutes: session.focusMinutes + session.breakMinutes,
+          type: session.type,
+          duration: session.duration,
+          cycleId: session.cycleId,
+          profile: session.profile,
+          taskId: session.taskId,
           createdAt: session.createdAt
         }
       });
@@ -108,6 +138,22 @@ router.post('/sessions',
     } catch (error) {
       logger.error('포모도로 세션 생성 오류:', error);
 
+      if (error.message === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'PROFILE_NOT_FOUND',
+          message: '존재하지 않는 포모도로 프로필입니다.'
+        });
+      }
+
+      if (error.message === 'TASK_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'TASK_NOT_FOUND',
+          message: '존재하지 않는 Task입니다.'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'SESSION_CREATION_FAILED',
@@ -117,6 +163,54 @@ router.post('/sessions',
   }
 );
 
+/**
+ * @swagger
+ * /api/pomodoro/sessions/active:
+ *   get:
+ *     summary: 진행 중인 포모도로 세션 조회 (서버 기준 남은 시간, 다른 기기에서 이어하기)
+ *     description: 앱이 꺼져 있는 동안 시간이 다 된 세션은 완료 처리되어 autoCompleted로 반환됩니다.
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/sessions/active',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const result = await pomodoroService.getActiveSession(userId);
+
+      res.json({
+        success: true,
+        session: result.session ? {
+          id: result.session.id,
+          goal: result.session.goal,
+          color: result.session.color,
+          type: result.session.type,
+          duration: result.session.duration,
+          cycleId: result.session.cycleId,
+          profile: result.session.profile,
+          taskId: result.session.taskId,
+          status: result.session.status
+        } : null,
+        timer: result.timer,
+        autoCompleted: result.autoCompleted,
+        serverTime: new Date()
+      });
+
+    } catch (error) {
+      logger.error('진행 중인 포모도로 세션 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'ACTIVE_SESSION_FAILED',
+        message: '진행 중인 세션 조회 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/pomodoro/sessions/{sessionId}/start:
@@ -157,8 +251,9 @@ router.put('/sessions/:sessionId/start',
           status: session.status,
           currentPhase: session.currentPhase,
           startedAt: session.startedAt,
-          remainingSeconds: session.remainingSeconds
-        }
+          remainingSeconds: session.remainingTime
+        },
+        timer: pomodoroService.getTimerState(session)
       });
 
     } catch (error) {
@@ -236,13 +331,30 @@ router.put('/sessions/:sessionId/pause',
           id: session.id,
           status: session.status,
           pausedAt: session.pausedAt,
-          remainingSeconds: session.remainingSeconds
-        }
+          remainingSeconds: session.remainingTime
+        },
+        timer: pomodoroService.getTimerState(session)
       });
 
     } catch (error) {
       logger.error('포모도로 세션 일시정지 오류:', error);
 
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'SESSION_NOT_FOUND',
+          message: '존재하지 않는 세션입니다.'
+        });
+      }
+
+      if (error.message === 'SESSION_ALREADY_COMPLETED') {
+        return res.status(409).json({
+          success: false,
+          error: 'SESSION_ALREADY_COMPLETED',
+          message: '이미 완료된 세션입니다.'
+        });
+      }
+
       if (error.message === 'SESSION_NOT_RUNNING') {
         return res.status(400).json({
           success: false,
@@ -260,6 +372,144 @@ router.put('/sessions/:sessionId/pause',
   }
 );
 
+/**
+ * @swagger
+ * /api/pomodoro/sessions/{sessionId}/resume:
+ *   put:
+ *     summary: 일시정지한 포모도로 세션 재개 (일시정지 시간은 남은 시간에서 제외)
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/resume',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('포모도로 세션 재개 요청', { userId, sessionId });
+
+      const session = await pomodoroService.resumeSession(userId, sessionId);
+
+      res.json({
+        success: true,
+        message: '포모도로 세션이 재개되었습니다.',
+        session: {
+          id: session.id,
+          status: session.status,
+          remainingSeconds: session.remainingTime
+        },
+        timer: pomodoroService.getTimerState(session)
+      });
+
+    } catch (error) {
+      logger.error('포모도로 세션 재개 오류:', error);
+
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'SESSION_NOT_FOUND',
+          message: '존재하지 않는 세션입니다.'
+        });
+      }
+
+      if (error.message === 'SESSION_NOT_PAUSED') {
+        return res.status(409).json({
+          success: false,
+          error: 'SESSION_NOT_PAUSED',
+          message: '일시정지된 세션이 아닙니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SESSION_RESUME_FAILED',
+        message: '세션 재개 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+const INTERRUPTION_ERRORS = {
+  SESSION_NOT_FOUND: { status: 404, message: '존재하지 않는 세션입니다.' },
+  NOT_FOCUS_SESSION: { status: 400, message: '집중 세션에서만 방해를 기록할 수 있습니다.' },
+  SESSION_NOT_ACTIVE: { status: 409, message: '진행 중이거나 일시정지된 세션에서만 방해를 기록할 수 있습니다.' },
+  INTERRUPTION_LIMIT_REACHED: { status: 409, message: '이 세션에서 기록할 수 있는 방해 횟수를 초과했습니다.' }
+};
+
+/**
+ * @swagger
+ * /api/pomodoro/sessions/{sessionId}/interruptions:
+ *   post:
+ *     summary: 집중 방해 기록 (internal - 휴대폰/잡생각 등, external - 연락/소음 등)
+ *     description: 기록된 방해는 세션 완료 시 집중도 점수(focusScore)에 반영됩니다.
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/sessions/:sessionId/interruptions',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.'),
+    body('kind')
+      .isIn(['internal', 'external'])
+      .withMessage('방해 유형은 internal 또는 external이어야 합니다.'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('방해 이유는 1-50자 사이로 입력해주세요.'),
+    body('occurredAt')
+      .optional()
+      .isISO8601()
+      .withMessage('올바른 시각 형식을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+      const { kind, reason, occurredAt } = req.body;
+
+      const result = await pomodoroService.recordInterruption(userId, sessionId, { kind, reason, occurredAt });
+
+      res.status(201).json({
+        success: true,
+        message: '집중 방해가 기록되었습니다.',
+        interruption: result.interruption,
+        interruptionCount: result.interruptionCount
+      });
+
+    } catch (error) {
+      logger.error('포모도로 집중 방해 기록 오류:', error);
+
+      const known = INTERRUPTION_ERRORS[error.message];
+      if (known) {
+        return res.status(known.status).json({
+          success: false,
+          error: error.message,
+          message: known.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'INTERRUPTION_RECORD_FAILED',
+        message: '집중 방해 기록 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/pomodoro/sessions/{sessionId}/complete:
@@ -286,21 +536,8 @@ router.put('/sessions/:sessionId/complete',
 
       const result = await pomodoroService.completeSession(userId, sessionId);
 
-      // 프리미엄 사용자이고 1일 1회 제한에 걸리지 않은 경우 코인 지급
-      let coinEarned = 0;
-      if (result.session.cycleCompleted && req.user.checkPremiumStatus()) {
-        try {
-          const coinResult = await coinService.earnCoins(userId, {
-            reason: 'pomodoro_complete',
-            amount: 1,
-            sessionId: result.session.id
-          });
-          coinEarned = coinResult.amount;
-        } catch (coinError) {
-          // 코인 지급 실패해도 세션 완료는 성공으로 처리
-          logger.warn('포모도로 완료 코인 지급 실패:', coinError);
-        }
-      }
+      // 프리미엄 사용자 코인은 세션 완료 처리에서 1일 1회 지급됨
+      const coinEarned = result.coinAwarded || 0;
 
       logger.info('포모도로 세션 완료 성공', { 
         userId, 
@@ -315,13 +552,20 @@ router.put('/sessions/:sessionId/complete',
           ? '포모도로 사이클이 완료되었습니다!' 
           : '포모도로 세션이 완료되었습니다.',
         coinEarned,
+        unlockedAchievements: result.unlockedAchievements,
+        streak: result.streak,
         cycleCompleted: result.session.cycleCompleted,
+        nextSession: result.nextSession,
+        task: result.task,
         totalFocusTime: result.session.actualFocusTime,
         session: {
           id: result.session.id,
           status: result.session.status,
           completedAt: result.session.completedAt,
-          efficiency: result.session.efficiency
+          efficiency: result.session.efficiency,
+          focusScore: result.session.focusScore,
+          focusScoreDetails: result.session.focusScoreDetails,
+          interruptionCount: result.session.interruptions.length
         }
       });
 
@@ -405,4 +649,218 @@ router.get('/stats',
   }
 );
 
+const PROFILE_ERRORS = {
+  PROFILE_NOT_FOUND: { status: 404, message: '존재하지 않는 포모도로 프로필입니다.' },
+  PROFILE_LIMIT_REACHED: { status: 409, message: '저장할 수 있는 포모도로 프로필 수를 초과했습니다.' },
+  PROFILE_NAME_DUPLICATE: { status: 409, message: '같은 이름의 포모도로 프로필이 이미 있습니다.' }
+};
+
+/**
+ * 포모도로 프로필 오류 응답 (알 수 없는 오류는 500)
+ */
+const sendProfileError = (res, error, fallbackError, fallbackMessage) => {
+  const known = PROFILE_ERRORS[error.message];
+  if (known) {
+    return res.status(known.status).json({
+      success: false,
+      error: error.message,
+      message: known.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: fallbackMessage
+  });
+};
+
+const profileValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('프로필 이름은 1-30자 사이로 입력해주세요.'),
+  body('focusMinutes')
+    .optional()
+    .isInt({ min: 5, max: 120 })
+    .withMessage('집중 시간은 5-120분 사이여야 합니다.')
+    .toInt(),
+  body('shortBreakMinutes')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('짧은 휴식 시간은 1-30분 사이여야 합니다.')
+    .toInt(),
+  body('longBreakMinutes')
+    .optional()
+    .isInt({ min: 5, max: 60 })
+    .withMessage('긴 휴식 시간은 5-60분 사이여야 합니다.')
+    .toInt(),
+  body('longBreakInterval')
+    .optional()
+    .isInt({ min: 2, max: 8 })
+    .withMessage('긴 휴식 주기는 집중 2-8회 사이여야 합니다.')
+    .toInt(),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault는 true 또는 false여야 합니다.')
+    .toBoolean()
+];
+
+/**
+ * @swagger
+ * /api/pomodoro/profiles:
+ *   get:
+ *     summary: 포모도로 프로필 목록 조회 (집중·짧은 휴식·긴 휴식 시간, 긴 휴식 주기)
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/profiles',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const result = await pomodoroService.getProfiles(userId);
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프로필 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'PROFILE_FETCH_FAILED',
+        message: '프로필 조회 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/profiles:
+ *   post:
+ *     summary: 포모도로 프로필 생성 (예 - 50분 집중 + 10분 휴식, 3회마다 30분 긴 휴식)
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/profiles',
+  authenticateToken,
+  profileValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { name, focusMinutes, shortBreakMinutes, longBreakMinutes, longBreakInterval, isDefault } = req.body;
+
+      const profile = await pomodoroService.createProfile(userId, {
+        name,
+        focusMinutes,
+        shortBreakMinutes,
+        longBreakMinutes,
+        longBreakInterval,
+        isDefault
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '포모도로 프로필이 저장되었습니다.',
+        profile
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프로필 생성 오류:', error);
+      sendProfileError(res, error, 'PROFILE_CREATION_FAILED', '프로필 저장 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/profiles/{profileId}:
+ *   patch:
+ *     summary: 포모도로 프로필 수정 (이미 생성된 세션에는 적용되지 않음)
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/profiles/:profileId',
+  authenticateToken,
+  [
+    param('profileId')
+      .isMongoId()
+      .withMessage('올바른 프로필 ID를 입력해주세요.'),
+    ...profileValidators(true)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { profileId } = req.params;
+      const { name, focusMinutes, shortBreakMinutes, longBreakMinutes, longBreakInterval, isDefault } = req.body;
+
+      const profile = await pomodoroService.updateProfile(userId, profileId, {
+        name,
+        focusMinutes,
+        shortBreakMinutes,
+        longBreakMinutes,
+        longBreakInterval,
+        isDefault
+      });
+
+      res.json({
+        success: true,
+        message: '포모도로 프로필이 수정되었습니다.',
+        profile
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프로필 수정 오류:', error);
+      sendProfileError(res, error, 'PROFILE_UPDATE_FAILED', '프로필 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/profiles/{profileId}:
+ *   delete:
+ *     summary: 포모도로 프로필 삭제
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/profiles/:profileId',
+  authenticateToken,
+  [
+    param('profileId')
+      .isMongoId()
+      .withMessage('올바른 프로필 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { profileId } = req.params;
+
+      await pomodoroService.deleteProfile(userId, profileId);
+
+      res.json({
+        success: true,
+        message: '포모도로 프로필이 삭제되었습니다.'
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프로필 삭제 오류:', error);
+      sendProfileError(res, error, 'PROFILE_DELETE_FAILED', '프로필 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,492 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const promotionService = require('../services/promotionService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: 프로모션 코드, 무료 체험, 친구 초대
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('프로모션 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      userId: req.user?.id
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// 서비스 에러 코드 → HTTP 응답
+const PROMOTION_ERRORS = {
+  PROMO_NOT_FOUND: [404, '존재하지 않는 프로모션 코드입니다.'],
+  PROMO_EXPIRED: [410, '사용 기간이 아닌 프로모션 코드입니다.'],
+  PROMO_USAGE_LIMIT_REACHED: [410, '사용 한도가 모두 소진된 프로모션 코드입니다.'],
+  PROMO_ALREADY_REDEEMED: [409, '이미 사용한 프로모션 코드입니다.'],
+  PROMO_NOT_APPLICABLE: [400, '선택한 플랜에 사용할 수 없는 프로모션 코드입니다.'],
+  PROMO_REQUIRES_CHECKOUT: [400, '결제 시 적용되는 할인 코드입니다.'],
+  ALREADY_SUBSCRIBED: [409, '이미 Premium 구독 중입니다.'],
+  DEVICE_ID_REQUIRED: [400, '디바이스 정보가 필요합니다.'],
+  TRIAL_NOT_ELIGIBLE: [409, '무료 체험 대상이 아닙니다.'],
+  TRIAL_ALREADY_USED: [409, '이미 무료 체험을 사용했습니다.'],
+  INVALID_REFERRAL_CODE: [404, '존재하지 않는 초대 코드입니다.'],
+  REFERRAL_NOT_ALLOWED: [400, '본인의 초대 코드는 사용할 수 없습니다.'],
+  REFERRAL_ALREADY_APPLIED: [409, '이미 초대 코드를 입력했습니다.'],
+  REFERRAL_WINDOW_CLOSED: [410, '초대 코드 입력 기간이 지났습니다.'],
+  REFERRAL_REJECTED: [403, '초대 보상 지급 조건을 충족하지 않습니다.']
+};
+
+const sendPromotionError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = PROMOTION_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1]
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// 디바이스 식별자 (앱이 X-Device-Id 헤더로 전달)
+const getDeviceId = (req) => req.get('X-Device-Id') || req.body.deviceId || null;
+
+/**
+ * @swagger
+ * /api/promotions/validate:
+ *   post:
+ *     summary: 프로모션 코드 확인 (할인 금액 미리보기)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/validate',
+  authenticateToken,
+  [
+    body('code')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('프로모션 코드를 입력해주세요.'),
+    body('plan')
+      .optional()
+      .isIn(['premium_monthly', 'premium_yearly'])
+      .withMessage('올바른 구독 플랜을 선택해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preview = await promotionService.previewPromoCode(req.user.id, req.body.code, req.body.plan);
+
+      res.json({
+        success: true,
+        promotion: preview
+      });
+
+    } catch (error) {
+      logger.error('프로모션 코드 확인 오류:', error);
+      sendPromotionError(res, error, 'PROMO_VALIDATION_FAILED', '프로모션 코드 확인 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/redeem:
+ *   post:
+ *     summary: 무료 개월 프로모션 코드 사용 (할인 코드는 /api/billing/checkout의 promoCode로 적용)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/redeem',
+  authenticateToken,
+  [
+    body('code')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('프로모션 코드를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await promotionService.redeemPromoCode(req.user.id, req.body.code, {
+        deviceId: getDeviceId(req),
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: `Premium ${result.months}개월이 지급되었습니다.`,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('프로모션 코드 사용 오류:', error);
+      sendPromotionError(res, error, 'PROMO_REDEEM_FAILED', '프로모션 코드 사용 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/trial:
+ *   get:
+ *     summary: 무료 체험 가능 여부 조회
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/trial',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const eligibility = await promotionService.getTrialEligibility(req.user.id, req.get('X-Device-Id'));
+
+      res.json({
+        success: true,
+        ...eligibility
+      });
+
+    } catch (error) {
+      logger.error('무료 체험 조회 오류:', error);
+      sendPromotionError(res, error, 'TRIAL_STATUS_FAILED', '무료 체험 정보 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/trial:
+ *   post:
+ *     summary: 무료 체험 시작 (계정/이메일/디바이스당 1회)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/trial',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await promotionService.startFreeTrial(req.user.id, {
+        deviceId: getDeviceId(req),
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${result.trialDays}일 무료 체험이 시작되었습니다.`,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('무료 체험 시작 오류:', error);
+      sendPromotionError(res, error, 'TRIAL_START_FAILED', '무료 체험 시작 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/referrals/me:
+ *   get:
+ *     summary: 내 초대 코드/링크 및 초대 현황
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/referrals/me',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const referral = await promotionService.getReferralInfo(req.user.id);
+
+      res.json({
+        success: true,
+        referral
+      });
+
+    } catch (error) {
+      logger.error('초대 정보 조회 오류:', error);
+      sendPromotionError(res, error, 'REFERRAL_INFO_FAILED', '초대 정보 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/referrals/redeem:
+ *   post:
+ *     summary: 초대 코드 입력 (가입 후 일정 기간 이내, 양쪽 모두 보상)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/referrals/redeem',
+  authenticateToken,
+  [
+    body('code')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('초대 코드를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await promotionService.applyReferral(req.user.id, req.body.code, {
+        deviceId: getDeviceId(req),
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: `${result.referrerName}님의 초대 보상이 지급되었습니다.`,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('초대 코드 입력 오류:', error);
+      sendPromotionError(res, error, 'REFERRAL_REDEEM_FAILED', '초대 코드 적용 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/codes:
+ *   get:
+ *     summary: 프로모션 코드 목록 (관리자)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/codes',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('active는 true/false여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const active = req.query.active === undefined ? null : req.query.active === 'true';
+      const promoCodes = await promotionService.listPromoCodes({ active });
+
+      res.json({
+        success: true,
+        promoCodes
+      });
+
+    } catch (error) {
+      logger.error('프로모션 코드 목록 조회 오류:', error);
+      sendPromotionError(res, error, 'PROMO_LIST_FAILED', '프로모션 코드 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/codes:
+ *   post:
+ *     summary: 프로모션 코드 생성 (관리자)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/codes',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('code')
+      .isString()
+      .trim()
+      .isLength({ min: 4, max: 32 })
+      .matches(/^[A-Za-z0-9_-]+$/)
+      .withMessage('코드는 4-32자의 영문, 숫자, -, _ 만 사용할 수 있습니다.'),
+    body('type')
+      .isIn(['percentage', 'fixed', 'free_months'])
+      .withMessage('올바른 혜택 유형을 선택해주세요.'),
+    body('value')
+      .isInt({ min: 1 })
+      .withMessage('혜택 값은 1 이상이어야 합니다.'),
+    body('plans')
+      .optional()
+      .isArray()
+      .withMessage('plans는 배열이어야 합니다.'),
+    body('maxRedemptions')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('사용 한도는 1 이상이어야 합니다.'),
+    body('perUserLimit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('계정당 사용 한도는 1 이상이어야 합니다.'),
+    body('startsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('올바른 시작일을 입력해주세요.'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('올바른 만료일을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const promoCode = await promotionService.createPromoCode(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: '프로모션 코드가 생성되었습니다.',
+        promoCode
+      });
+
+    } catch (error) {
+      logger.error('프로모션 코드 생성 오류:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'PROMO_CODE_EXISTS',
+          message: '이미 존재하는 프로모션 코드입니다.'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'VALIDATION_ERROR',
+          message: error.message
+        });
+      }
+
+      sendPromotionError(res, error, 'PROMO_CREATE_FAILED', '프로모션 코드 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/codes/{id}:
+ *   patch:
+ *     summary: 프로모션 코드 수정/비활성화 (관리자)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/codes/:id',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('올바른 프로모션 코드 ID가 아닙니다.'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive는 true/false여야 합니다.'),
+    body('maxRedemptions')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('사용 한도는 1 이상이어야 합니다.'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('올바른 만료일을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const promoCode = await promotionService.updatePromoCode(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: '프로모션 코드가 수정되었습니다.',
+        promoCode
+      });
+
+    } catch (error) {
+      logger.error('프로모션 코드 수정 오류:', error);
+      sendPromotionError(res, error, 'PROMO_UPDATE_FAILED', '프로모션 코드 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/report:
+ *   get:
+ *     summary: 프로모션 성과 리포트 (코드별 사용, 체험 전환율, 초대 현황) (관리자)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ */
+router.get('/report',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('올바른 시작일을 입력해주세요.'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('올바른 종료일을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const report = await promotionService.getReport({ from: req.query.from, to: req.query.to });
+
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      logger.error('프로모션 리포트 조회 오류:', error);
+      sendPromotionError(res, error, 'PROMO_REPORT_FAILED', '프로모션 리포트 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+module.exports = router;
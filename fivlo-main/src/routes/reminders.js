@@ -78,7 +78,7 @@ const logger = require('../utils/logger');
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     
     logger.info(`망각방지 알림 목록 조회 요청`, { userId, isPremium });
 
@@ -170,7 +170,7 @@ router.get('/', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { title, time, days, location } = req.body;
     
     logger.info(`망각방지 알림 생성 요청`, { 
@@ -275,7 +275,7 @@ router.post('/', authenticateToken, async (req, res) => {
 router.patch('/:reminderId', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { reminderId } = req.params;
     const updateData = req.body;
     
@@ -401,17 +401,22 @@ router.delete('/:reminderId', authenticateToken, async (req, res) => {
  *                 coinEarned:
  *                   type: number
  *                   example: 1
+ *                 unlockedAchievements:
+ *                   type: array
+ *                   description: 이번 체크로 해제된 업적
+ *                   items:
+ *                     type: object
  */
 router.put('/:reminderId/check', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { reminderId } = req.params;
     
     logger.info(`망각방지 알림 체크 요청`, { userId, reminderId, isPremium });
 
     // 알림 체크 처리
-    await reminderService.completeReminder(userId, reminderId);
+    const checkResult = await reminderService.completeReminder(userId, reminderId);
     
     // 오늘 모든 알림이 체크되었는지 확인 및 코인 지급
     const completionResult = await reminderService.checkDailyReminderCompletion(userId);
@@ -434,7 +439,8 @@ router.put('/:reminderId/check', authenticateToken, async (req, res) => {
     res.json({
       checked: true,
       allRemindersChecked,
-      coinEarned
+      coinEarned,
+      unlockedAchievements: checkResult.unlockedAchievements || []
     });
 
   } catch (error) {
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const rewardEngine = require('../services/rewardEngine');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rewards
+ *   description: 코인 보상 규칙 관리 (관리자)
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('보상 규칙 API 유효성 검사 실패', {
+      errors: errors.array(),
+      url: req.originalUrl,
+      userId: req.user?.id
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// 생성/수정 공통 검증 (생성 시 필수 항목은 라우트에서 추가)
+const ruleValidators = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('규칙 이름은 1-100자여야 합니다.'),
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('지급 코인은 1 이상이어야 합니다.'),
+  body('dailyCap')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('일일 한도는 1 이상이어야 합니다.'),
+  body('weeklyCap')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('주간 한도는 1 이상이어야 합니다.'),
+  body('conditions.milestones')
+    .optional()
+    .isArray()
+    .withMessage('milestones는 배열이어야 합니다.'),
+  body('multipliers')
+    .optional()
+    .isArray()
+    .withMessage('multipliers는 배열이어야 합니다.'),
+  body('multipliers.*.factor')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('배율은 0.1-10 사이여야 합니다.'),
+  body('multipliers.*.startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('올바른 배율 시작일을 입력해주세요.'),
+  body('multipliers.*.endsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('올바른 배율 종료일을 입력해주세요.'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive는 true/false여야 합니다.')
+];
+
+const sendRuleError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'REWARD_RULE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'REWARD_RULE_NOT_FOUND',
+      message: '존재하지 않는 보상 규칙입니다.'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'REWARD_RULE_EXISTS',
+      message: '이미 존재하는 규칙 키입니다.'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/rewards/rules:
+ *   get:
+ *     summary: 보상 규칙 목록 (관리자)
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [pomodoro.cycle_completed, tasks.all_completed, reminders.all_checked, streak.reached, subscription.started]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ */
+router.get('/rules',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('event')
+      .optional()
+      .isIn(Object.values(rewardEngine.EVENTS))
+      .withMessage('올바른 이벤트를 선택해주세요.'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('active는 true/false여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const active = req.query.active === undefined ? null : req.query.active === 'true';
+      const rules = await rewardEngine.listRules({ event: req.query.event || null, active });
+
+      res.json({
+        success: true,
+        rules
+      });
+
+    } catch (error) {
+      logger.error('보상 규칙 목록 조회 오류:', error);
+      sendRuleError(res, error, 'REWARD_RULE_LIST_FAILED', '보상 규칙 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rewards/rules:
+ *   post:
+ *     summary: 보상 규칙 생성 (관리자)
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, name, event, reason, amount]
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: weekend_pomodoro
+ *               name:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: 코인 거래 사유 코드
+ *               amount:
+ *                 type: integer
+ *               dailyCap:
+ *                 type: integer
+ *               weeklyCap:
+ *                 type: integer
+ *               conditions:
+ *                 type: object
+ *                 properties:
+ *                   milestones:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *               multipliers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     factor:
+ *                       type: number
+ *                     startsAt:
+ *                       type: string
+ *                       format: date-time
+ *                     endsAt:
+ *                       type: string
+ *                       format: date-time
+ */
+router.post('/rules',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('key')
+      .isString()
+      .trim()
+      .matches(/^[a-z0-9_]{1,50}$/)
+      .withMessage('규칙 키는 50자 이하의 영문 소문자, 숫자, _ 만 사용할 수 있습니다.'),
+    body('name')
+      .notEmpty()
+      .withMessage('규칙 이름이 필요합니다.'),
+    body('event')
+      .isIn(Object.values(rewardEngine.EVENTS))
+      .withMessage('올바른 이벤트를 선택해주세요.'),
+    body('reason')
+      .notEmpty()
+      .withMessage('거래 사유가 필요합니다.'),
+    body('amount')
+      .isInt({ min: 1 })
+      .withMessage('지급 코인은 1 이상이어야 합니다.'),
+    ...ruleValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await rewardEngine.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: '보상 규칙이 생성되었습니다.',
+        rule
+      });
+
+    } catch (error) {
+      logger.error('보상 규칙 생성 오류:', error);
+      sendRuleError(res, error, 'REWARD_RULE_CREATE_FAILED', '보상 규칙 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rewards/rules/{id}:
+ *   patch:
+ *     summary: 보상 규칙 수정/비활성화 (관리자, key와 event는 변경 불가)
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/rules/:id',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('올바른 보상 규칙 ID가 아닙니다.'),
+    ...ruleValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await rewardEngine.updateRule(req.params.id, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: '보상 규칙이 수정되었습니다.',
+        rule
+      });
+
+    } catch (error) {
+      logger.error('보상 규칙 수정 오류:', error);
+      sendRuleError(res, error, 'REWARD_RULE_UPDATE_FAILED', '보상 규칙 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticateToken, premiumMiddleware } = require('../middleware/auth');
 const customizationService = require('../services/customization-service');
 const coinService = require('../services/coinService');
+const mysteryBoxService = require('../services/mysteryBoxService');
 const logger = require('../utils/logger');
 
 /**
@@ -69,7 +70,9 @@ router.post('/purchase', authenticateToken, premiumMiddleware, async (req, res)
       });
     }
 
-    const purchaseResult = await customizationService.purchaseItem(userId, itemId);
+    const purchaseResult = await customizationService.purchaseItem(userId, itemId, {
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
     
     logger.info(`아이템 구매 완료`, { 
       userId, 
@@ -86,7 +89,9 @@ router.post('/purchase', authenticateToken, premiumMiddleware, async (req, res)
         id: purchaseResult.item._id,
         name: purchaseResult.item.name,
         category: purchaseResult.item.category
-      }
+      },
+      // 선물 상자를 산 경우 개봉 결과
+      mysteryBox: purchaseResult.mysteryBox || null
     });
 
   } catch (error) {
@@ -102,12 +107,24 @@ router.post('/purchase', authenticateToken, premiumMiddleware, async (req, res)
       });
     }
     
-    if (error.message.includes('이미 구매')) {
+    if (error.message.includes('이미 보유')) {
       return res.status(400).json({
         error: '이미 구매한 아이템입니다.'
       });
     }
     
+    if (error.message.includes('최대 보유 수량')) {
+      return res.status(400).json({
+        error: '더 이상 보유할 수 없는 아이템입니다.'
+      });
+    }
+    
+    if (/품절|판매가 시작되지 않은|판매가 종료된|1인당 구매 가능 수량|나올 아이템이 없습니다|다른 구매에 사용된/.test(error.message)) {
+      return res.status(409).json({
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       error: '아이템 구매에 실패했습니다.'
     });
@@ -154,9 +171,9 @@ router.get('/inventory', authenticateToken, premiumMiddleware, async (req, res)
 router.post('/inventory/equip', authenticateToken, premiumMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { itemId } = req.body;
+    const { itemId, color } = req.body;
     
-    logger.info(`아이템 착용 요청`, { userId, itemId });
+    logger.info(`아이템 착용 요청`, { userId, itemId, color });
 
     if (!itemId) {
       return res.status(400).json({
@@ -164,13 +181,14 @@ router.post('/inventory/equip', authenticateToken, premiumMiddleware, async (req
       });
     }
 
-    await customizationService.equipItem(userId, itemId);
+    await customizationService.equipItem(userId, itemId, color || null);
     
-    logger.info(`아이템 착용 완료`, { userId, itemId });
+    logger.info(`아이템 착용 완료`, { userId, itemId, color });
 
     res.json({
       message: '아이템이 성공적으로 착용되었습니다.',
-      equippedItemId: itemId
+      equippedItemId: itemId,
+      color: color || null
     });
 
   } catch (error) {
@@ -180,6 +198,12 @@ router.post('/inventory/equip', authenticateToken, premiumMiddleware, async (req
       itemId: req.body?.itemId 
     });
     
+    if (error.message.includes('색상')) {
+      return res.status(400).json({
+        error: '선택할 수 없는 색상입니다.'
+      });
+    }
+    
     res.status(500).json({
       error: '아이템 착용에 실패했습니다.'
     });
@@ -226,7 +250,7 @@ router.post('/inventory/unequip', authenticateToken, premiumMiddleware, async (r
 router.get('/avatar', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     
     logger.info(`오분이 모습 조회 요청`, { userId, isPremium });
 
@@ -274,4 +298,209 @@ router.get('/avatar', authenticateToken, async (req, res) => {
   }
 });
 
+// 코디 프리셋 오류 응답
+const handlePresetError = (res, error, fallbackMessage) => {
+  if (error.message === 'PRESET_NOT_FOUND') {
+    return res.status(404).json({
+      error: '프리셋을 찾을 수 없습니다.'
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError' ||
+      /최대|같은 이름|보유하지 않은|착용할 수 없는|색상/.test(error.message)) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallbackMessage
+  });
+};
+
+// 자동 적용 상황 값 검증 (focus | break | null)
+const isValidPresetContext = (context) => context === undefined || context === null || ['focus', 'break'].includes(context);
+
+// 11.7 코디 프리셋 목록
+router.get('/presets', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await customizationService.getOutfitPresets(userId);
+
+    res.json({
+      presets: result.presets,
+      maxPresets: result.maxPresets
+    });
+
+  } catch (error) {
+    logger.error('코디 프리셋 목록 조회 실패', { error: error.message, userId: req.user?.id });
+    handlePresetError(res, error, '코디 프리셋 목록을 불러오는데 실패했습니다.');
+  }
+});
+
+// 11.8 코디 프리셋 저장 (items 생략 시 현재 착용 중인 코디 저장)
+router.post('/presets', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, items, context } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: '프리셋 이름은 필수 항목입니다.'
+      });
+    }
+
+    if (!isValidPresetContext(context)) {
+      return res.status(400).json({
+        error: '자동 적용 상황은 focus 또는 break 중 하나여야 합니다.'
+      });
+    }
+
+    const preset = await customizationService.createOutfitPreset(userId, {
+      name: name.trim(),
+      items,
+      context
+    });
+
+    logger.info('코디 프리셋 저장 완료', { userId, presetId: preset._id });
+
+    res.status(201).json({
+      message: '코디 프리셋이 저장되었습니다.',
+      preset
+    });
+
+  } catch (error) {
+    logger.error('코디 프리셋 저장 실패', { error: error.message, userId: req.user?.id });
+    handlePresetError(res, error, '코디 프리셋 저장에 실패했습니다.');
+  }
+});
+
+// 11.9 코디 프리셋 수정
+router.put('/presets/:presetId', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { presetId } = req.params;
+    const { name, items, context } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        error: '프리셋 이름이 올바르지 않습니다.'
+      });
+    }
+
+    if (!isValidPresetContext(context)) {
+      return res.status(400).json({
+        error: '자동 적용 상황은 focus 또는 break 중 하나여야 합니다.'
+      });
+    }
+
+    const preset = await customizationService.updateOutfitPreset(userId, presetId, {
+      name: name !== undefined ? name.trim() : undefined,
+      items,
+      context
+    });
+
+    res.json({
+      message: '코디 프리셋이 수정되었습니다.',
+      preset
+    });
+
+  } catch (error) {
+    logger.error('코디 프리셋 수정 실패', { error: error.message, userId: req.user?.id, presetId: req.params.presetId });
+    handlePresetError(res, error, '코디 프리셋 수정에 실패했습니다.');
+  }
+});
+
+// 11.10 코디 프리셋 삭제
+router.delete('/presets/:presetId', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { presetId } = req.params;
+
+    await customizationService.deleteOutfitPreset(userId, presetId);
+
+    res.json({
+      message: '코디 프리셋이 삭제되었습니다.'
+    });
+
+  } catch (error) {
+    logger.error('코디 프리셋 삭제 실패', { error: error.message, userId: req.user?.id, presetId: req.params.presetId });
+    handlePresetError(res, error, '코디 프리셋 삭제에 실패했습니다.');
+  }
+});
+
+// 11.11 코디 프리셋 착용 (한 번에 전체 코디 변경)
+router.post('/presets/:presetId/apply', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { presetId } = req.params;
+
+    const result = await customizationService.applyOutfitPreset(userId, presetId);
+
+    logger.info('코디 프리셋 착용 완료', { userId, presetId, skippedCategories: result.skippedCategories });
+
+    res.json({
+      message: '코디 프리셋을 착용했습니다.',
+      equippedItems: result.equippedItems,
+      equippedColors: result.equippedColors,
+      skippedCategories: result.skippedCategories
+    });
+
+  } catch (error) {
+    logger.error('코디 프리셋 착용 실패', { error: error.message, userId: req.user?.id, presetId: req.params.presetId });
+    handlePresetError(res, error, '코디 프리셋 착용에 실패했습니다.');
+  }
+});
+
+// 11.12 한정/시즌 드롭 피드 ('곧 출시' / '곧 종료')
+router.get('/drops', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const feed = await customizationService.getDropFeed(userId);
+
+    res.json(feed);
+
+  } catch (error) {
+    logger.error('드롭 피드 조회 실패', { error: error.message, userId: req.user?.id });
+
+    res.status(500).json({
+      error: '드롭 소식을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 11.13 선물 상자 확률 공개 (등급별 확률, 천장, 중복 전환 코인, 등장 아이템)
+router.get('/mystery-box/odds', authenticateToken, async (req, res) => {
+  try {
+    const odds = await mysteryBoxService.getOdds();
+
+    res.json(odds);
+
+  } catch (error) {
+    logger.error('선물 상자 확률 조회 실패', { error: error.message, userId: req.user?.id });
+
+    res.status(500).json({
+      error: '선물 상자 확률을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 11.14 내 선물 상자 천장 진행 상황
+router.get('/mystery-box/status', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const status = await mysteryBoxService.getStatus(req.user.id);
+
+    res.json(status);
+
+  } catch (error) {
+    logger.error('선물 상자 천장 조회 실패', { error: error.message, userId: req.user?.id });
+
+    res.status(500).json({
+      error: '선물 상자 정보를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const streakService = require('../services/streakService');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Streaks
+ *   description: 접속/집중/Task 연속 기록 및 스트릭 프리즈
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StreakState:
+ *       type: object
+ *       properties:
+ *         current:
+ *           type: integer
+ *           description: 현재 연속 일수 (끊긴 경우 0)
+ *         best:
+ *           type: integer
+ *           description: 최고 연속 일수
+ *         lastActiveDate:
+ *           type: string
+ *           example: '2025-01-15'
+ *           description: 마지막 활동일 (사용자 시간대 기준)
+ *         startedDate:
+ *           type: string
+ *           example: '2025-01-09'
+ *         isActiveToday:
+ *           type: boolean
+ *         atRisk:
+ *           type: boolean
+ *           description: 오늘 활동하지 않으면 끊기거나 프리즈가 사용될 상태
+ */
+
+/**
+ * @swagger
+ * /api/streaks:
+ *   get:
+ *     summary: 연속 기록 조회 (Home 화면)
+ *     tags: [Streaks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 연속 기록 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 timezone:
+ *                   type: string
+ *                   example: Asia/Seoul
+ *                 today:
+ *                   type: string
+ *                   example: '2025-01-15'
+ *                 streaks:
+ *                   type: object
+ *                   properties:
+ *                     login:
+ *                       $ref: '#/components/schemas/StreakState'
+ *                     focus:
+ *                       $ref: '#/components/schemas/StreakState'
+ *                     task:
+ *                       $ref: '#/components/schemas/StreakState'
+ *                 streakFreeze:
+ *                   type: object
+ *                   properties:
+ *                     owned:
+ *                       type: integer
+ *                     max:
+ *                       type: integer
+ *                     used:
+ *                       type: integer
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    logger.info('연속 기록 조회', { userId });
+
+    const result = await streakService.getStreaks(userId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('연속 기록 조회 오류:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'STREAK_FETCH_FAILED',
+      message: '연속 기록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/streaks/check-in:
+ *   post:
+ *     summary: 오늘 접속 기록 (앱 실행 시 호출)
+ *     description: 저장된 토큰으로 앱을 다시 열 때처럼 로그인 없이 접속한 경우에도 접속 연속 기록을 갱신합니다.
+ *     tags: [Streaks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 접속 기록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 extended:
+ *                   type: boolean
+ *                   description: 이번 요청으로 연속 일수가 늘어났는지 여부
+ *                 frozenDates:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: 이번에 스트릭 프리즈로 보호된 날짜
+ *                 coinReward:
+ *                   type: object
+ *                   nullable: true
+ *                 streaks:
+ *                   type: object
+ */
+router.post('/check-in', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const checkIn = await streakService.recordActivity(userId, streakService.TYPES.LOGIN);
+    if (!checkIn) {
+      throw new Error('접속 기록에 실패했습니다.');
+    }
+
+    const result = await streakService.getStreaks(userId);
+
+    logger.info('접속 기록', { userId, extended: checkIn.extended, current: checkIn.streak.current });
+
+    res.json({
+      success: true,
+      extended: checkIn.extended,
+      frozenDates: checkIn.frozenDates,
+      coinReward: checkIn.coinReward,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('접속 기록 오류:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'STREAK_CHECK_IN_FAILED',
+      message: '접속 기록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -15,7 +15,7 @@ const router = express.Router();
 const { authenticateToken, premiumMiddleware } = require('../middleware/auth');
 const { upload, processImage, handleUploadError } = require('../middleware/upload');
 const taskService = require('../services/taskService');
-const coinService = require('../services/coinService');
+const rewardEngine = require('../services/rewardEngine');
 const logger = require('../utils/logger');
 
 // =========================
@@ -145,6 +145,54 @@ router.get('/calendar/:year/:month', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tasks/time-summary?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ * 예상 vs 실제 소요 시간 (Task별, 카테고리별) - 날짜를 생략하면 오늘
+ */
+router.get('/time-summary', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const today = new Date().toISOString().split('T')[0];
+    const startDate = req.query.startDate || req.query.date || today;
+    const endDate = req.query.endDate || startDate;
+
+    const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    if (!isValidDate(startDate) || !isValidDate(endDate) || startDate > endDate) {
+      logger.warn('Task 소요 시간 요약 조회 실패 - 잘못된 날짜', { userId, startDate, endDate });
+      return res.status(400).json({
+        success: false,
+        message: '올바른 기간을 입력해주세요. (YYYY-MM-DD 형식)'
+      });
+    }
+
+    const summary = await taskService.getTimeSummary(userId, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task 소요 시간 요약 조회 성공',
+      data: {
+        startDate,
+        endDate,
+        ...summary
+      }
+    });
+
+  } catch (error) {
+    logger.error('Task 소요 시간 요약 조회 실패', { 
+      error: error.message, 
+      stack: error.stack,
+      userId: req.user?.userId,
+      query: req.query
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Task 소요 시간 요약을 불러오는데 실패했습니다.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // =========================
 // Task CRUD API
 // =========================
@@ -176,13 +224,23 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    const hasEstimate = taskData.estimatedMinutes !== undefined && taskData.estimatedMinutes !== null;
+    if (hasEstimate && !(Number.isInteger(Number(taskData.estimatedMinutes)) && Number(taskData.estimatedMinutes) >= 0)) {
+      logger.warn('Task 생성 실패 - 잘못된 예상 소요 시간', { userId, estimatedMinutes: taskData.estimatedMinutes });
+      return res.status(400).json({
+        success: false,
+        message: '예상 소요 시간은 0 이상의 정수(분)로 입력해주세요.'
+      });
+    }
+
     const newTask = await taskService.createTask(userId, {
       title: taskData.title,
       date: taskData.date,
       categoryId: taskData.categoryId, // 카테고리 ID
       repeat: taskData.repeat || false, // 매일 반복 여부
       growthAlbum: taskData.growthAlbum || false, // 성장앨범 연동 여부
-      notes: taskData.notes || ''
+      notes: taskData.notes || '',
+      estimatedMinutes: hasEstimate ? Number(taskData.estimatedMinutes) : null // 예상 소요 시간 (분)
     });
     
     logger.info(`Task 생성 완료`, { 
@@ -353,14 +411,22 @@ router.put('/:taskId/complete', authenticateToken, async (req, res) => {
 
     // Premium 사용자 && 하루 전체 Task 완료 시 코인 지급
     let coinReward = null;
-    if (req.user.subscriptionType === 'premium' && result.allTasksCompleted) {
+    if (req.user.checkPremiumStatus() && result.allTasksCompleted) {
       try {
-        coinReward = await coinService.awardCoins(userId, 'daily_tasks', '하루 전체 Task 완료');
-        logger.info(`하루 전체 Task 완료 코인 지급`, { 
-          userId, 
-          coins: coinReward.amount,
-          date: result.date
+        const reward = await rewardEngine.handle({
+          type: rewardEngine.EVENTS.TASKS_ALL_COMPLETED,
+          userId,
+          relatedType: 'task'
         });
+
+        if (reward.awarded > 0) {
+          coinReward = { amount: reward.awarded, newBalance: reward.newBalance };
+          logger.info(`하루 전체 Task 완료 코인 지급`, { 
+            userId, 
+            coins: coinReward.amount,
+            date: result.date
+          });
+        }
       } catch (coinError) {
         logger.error('코인 지급 실패', { 
           error: coinError.message, 
@@ -384,6 +450,8 @@ router.put('/:taskId/complete', authenticateToken, async (req, res) => {
         task: result.task,
         allTasksCompleted: result.allTasksCompleted,
         coinReward: coinReward,
+        unlockedAchievements: result.unlockedAchievements,
+        streak: result.streak,
         needsGrowthAlbumPhoto: result.task.growthAlbum // 성장앨범 사진 업로드 필요 여부
       }
     });
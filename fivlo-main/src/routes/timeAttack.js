@@ -35,6 +35,50 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// 세션 상태 변경 API 오류 코드 → 응답
+const SESSION_ERRORS = {
+  SESSION_NOT_FOUND: { status: 404, message: '존재하지 않는 세션입니다.' },
+  SESSION_NOT_IN_PROGRESS: { status: 400, message: '진행 중인 세션이 아닙니다.' },
+  SESSION_NOT_PAUSED: { status: 400, message: '일시정지된 세션이 아닙니다.' },
+  SESSION_NOT_ACTIVE: { status: 400, message: '진행 중이거나 일시정지된 세션이 아닙니다.' },
+  NO_PREVIOUS_STEP: { status: 400, message: '이전 단계가 없습니다.' },
+  SESSION_ALREADY_ENDED: { status: 409, message: '이미 종료된 세션입니다.' }
+};
+
+const sendSessionError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = SESSION_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped.status).json({
+      success: false,
+      error: error.message,
+      message: mapped.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * 일시정지/재개/이전 단계/포기 응답용 세션 상태
+ */
+const formatSessionState = (session) => ({
+  id: session.id,
+  status: session.status,
+  currentStepIndex: session.currentStepIndex,
+  currentStep: session.currentStep,
+  progress: session.progress,
+  startedAt: session.startedAt,
+  pausedAt: session.pausedAt,
+  pauseDuration: session.pauseDuration,
+  remainingTime: session.remainingTime,
+  actualDuration: session.actualDuration,
+  abandonedAt: session.abandonedAt
+});
+
 /**
  * @swagger
  * /api/time-attack/sessions:
@@ -263,6 +307,7 @@ router.put('/sessions/:sessionId/next-step',
       const session = await timeAttackService.nextStep(userId, sessionId);
 
       const isCompleted = session.currentStepIndex >= session.steps.length;
+      const completedStep = session.steps[session.currentStepIndex - 1];
 
       logger.info('타임어택 단계 진행 성공', { 
         userId, 
@@ -282,6 +327,11 @@ router.put('/sessions/:sessionId/next-step',
           currentStepIndex: session.currentStepIndex,
           currentStep: session.currentStep,
           progress: session.progress,
+          completedStep: {
+            name: completedStep.name,
+            minutes: completedStep.minutes,
+            actualSeconds: completedStep.actualSeconds
+          },
           completedAt: session.completedAt,
           performance: session.performance
         }
@@ -298,6 +348,18 @@ router.put('/sessions/:sessionId/next-step',
         });
       }
 
+      if (error.message === 'SESSION_NOT_IN_PROGRESS') {
+        return res.status(400).json({
+          success: false,
+          error: 'SESSION_NOT_IN_PROGRESS',
+          message: '진행 중인 세션만 다음 단계로 넘어갈 수 있습니다.'
+        });
+      }
+
+      if (SESSION_ERRORS[error.message]) {
+        return sendSessionError(res, error);
+      }
+
       res.status(500).json({
         success: false,
         error: 'NEXT_STEP_FAILED',
@@ -307,6 +369,190 @@ router.put('/sessions/:sessionId/next-step',
   }
 );
 
+/**
+ * @swagger
+ * /api/time-attack/sessions/{sessionId}/pause:
+ *   put:
+ *     summary: 타임어택 세션 일시정지
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/pause',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('타임어택 세션 일시정지 요청', { userId, sessionId });
+
+      const session = await timeAttackService.pauseSession(userId, sessionId);
+
+      logger.info('타임어택 세션 일시정지 성공', { 
+        userId, 
+        sessionId,
+        status: session.status,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      res.json({
+        success: true,
+        message: '타임어택을 일시정지했습니다.',
+        session: formatSessionState(session)
+      });
+
+    } catch (error) {
+      logger.error('타임어택 세션 일시정지 오류:', error);
+      sendSessionError(res, error, 'SESSION_PAUSE_FAILED', '세션 일시정지 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/sessions/{sessionId}/resume:
+ *   put:
+ *     summary: 일시정지한 타임어택 세션 재개 (일시정지 시간은 소요 시간에서 제외)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/resume',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('타임어택 세션 재개 요청', { userId, sessionId });
+
+      const session = await timeAttackService.resumeSession(userId, sessionId);
+
+      logger.info('타임어택 세션 재개 성공', { 
+        userId, 
+        sessionId,
+        status: session.status,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      res.json({
+        success: true,
+        message: '타임어택을 다시 시작합니다.',
+        session: formatSessionState(session)
+      });
+
+    } catch (error) {
+      logger.error('타임어택 세션 재개 오류:', error);
+      sendSessionError(res, error, 'SESSION_RESUME_FAILED', '세션 재개 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/sessions/{sessionId}/previous-step:
+ *   put:
+ *     summary: 이전 단계로 돌아가기
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/previous-step',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('타임어택 이전 단계 이동 요청', { userId, sessionId });
+
+      const session = await timeAttackService.previousStep(userId, sessionId);
+
+      logger.info('타임어택 이전 단계 이동 성공', { 
+        userId, 
+        sessionId,
+        status: session.status,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      res.json({
+        success: true,
+        message: '이전 단계로 돌아갔습니다.',
+        session: formatSessionState(session)
+      });
+
+    } catch (error) {
+      logger.error('타임어택 이전 단계 이동 오류:', error);
+      sendSessionError(res, error, 'PREVIOUS_STEP_FAILED', '이전 단계로 이동 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/sessions/{sessionId}/abandon:
+ *   put:
+ *     summary: 타임어택 세션 포기 (완료 처리 없이 종료)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/abandon',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('타임어택 세션 포기 요청', { userId, sessionId });
+
+      const session = await timeAttackService.abandonSession(userId, sessionId);
+
+      logger.info('타임어택 세션 포기 성공', { 
+        userId, 
+        sessionId,
+        status: session.status,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      res.json({
+        success: true,
+        message: '타임어택을 종료했습니다.',
+        session: formatSessionState(session)
+      });
+
+    } catch (error) {
+      logger.error('타임어택 세션 포기 오류:', error);
+      sendSessionError(res, error, 'SESSION_ABANDON_FAILED', '세션 종료 중 오류가 발생했습니다.');
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/time-attack/sessions/{sessionId}/complete:
@@ -367,6 +613,10 @@ router.put('/sessions/:sessionId/complete',
         });
       }
 
+      if (SESSION_ERRORS[error.message]) {
+        return sendSessionError(res, error);
+      }
+
       res.status(500).json({
         success: false,
         error: 'SESSION_COMPLETE_FAILED',
@@ -376,4 +626,279 @@ router.put('/sessions/:sessionId/complete',
   }
 );
 
+/**
+ * @swagger
+ * /api/time-attack/stats:
+ *   get:
+ *     summary: 타임어택 통계 (효율/정확도, 목표별 성과, 단계별 계획 대비 실제 시간 추이)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats',
+  authenticateToken,
+  [
+    query('period')
+      .optional()
+      .isIn(['week', 'month', 'all'])
+      .withMessage('기간은 week, month, all 중 하나여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const period = req.query.period || 'month';
+
+      const stats = await timeAttackService.getStats(userId, period);
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      logger.error('타임어택 통계 조회 오류:', error);
+      res.status(500).json({
+        success: false,
+        error: 'STATS_FETCH_FAILED',
+        message: '타임어택 통계 조회 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+// 템플릿 API 오류 코드 → 응답
+const TEMPLATE_ERRORS = {
+  TEMPLATE_NOT_FOUND: { status: 404, message: '템플릿을 찾을 수 없습니다.' },
+  TEMPLATE_LIMIT_REACHED: { status: 400, message: '템플릿은 최대 20개까지 저장할 수 있습니다.' },
+  TEMPLATE_NAME_DUPLICATE: { status: 409, message: '같은 이름의 템플릿이 이미 있습니다.' },
+  TEMPLATE_TOO_LONG: { status: 400, message: '템플릿의 총 시간은 180분을 넘을 수 없습니다.' }
+};
+
+const sendTemplateError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = TEMPLATE_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped.status).json({
+      success: false,
+      error: error.message,
+      message: mapped.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+const templateValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('템플릿 이름은 1-30자 사이로 입력해주세요.'),
+  body('goal')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('목표는 100자 이하로 입력해주세요.'),
+  (isUpdate ? body('steps').optional() : body('steps'))
+    .isArray({ min: 1, max: 10 })
+    .withMessage('단계는 1-10개 사이여야 합니다.'),
+  body('steps.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('단계명은 1-50자 사이로 입력해주세요.'),
+  body('steps.*.minutes')
+    .isInt({ min: 1, max: 180 })
+    .withMessage('단계별 시간은 1-180분 사이여야 합니다.')
+    .toInt(),
+  body('steps.*.cueText')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('음성 안내 문구는 100자 이하로 입력해주세요.')
+];
+
+const templateIdValidator = [
+  param('templateId')
+    .isMongoId()
+    .withMessage('올바른 템플릿 ID를 입력해주세요.')
+];
+
+/**
+ * @swagger
+ * /api/time-attack/templates:
+ *   get:
+ *     summary: 타임어택 템플릿 목록 조회 (최근 사용 순, 사용 통계 포함)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/templates',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const { templates, maxTemplates } = await timeAttackService.getTemplates(userId);
+
+      res.json({
+        success: true,
+        templates,
+        maxTemplates
+      });
+
+    } catch (error) {
+      logger.error('타임어택 템플릿 목록 조회 오류:', error);
+      sendTemplateError(res, error, 'TEMPLATE_FETCH_FAILED', '템플릿 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/templates:
+ *   post:
+ *     summary: 타임어택 템플릿 저장 (단계별 시간, 음성 안내 문구)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/templates',
+  authenticateToken,
+  templateValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { name, goal, steps } = req.body;
+
+      const template = await timeAttackService.createTemplate(userId, { name, goal, steps });
+
+      res.status(201).json({
+        success: true,
+        message: '템플릿이 저장되었습니다.',
+        template
+      });
+
+    } catch (error) {
+      logger.error('타임어택 템플릿 생성 오류:', error);
+      sendTemplateError(res, error, 'TEMPLATE_CREATE_FAILED', '템플릿 저장 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/templates/{templateId}:
+ *   patch:
+ *     summary: 타임어택 템플릿 수정 (steps를 보내면 단계 전체 교체)
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/templates/:templateId',
+  authenticateToken,
+  templateIdValidator,
+  templateValidators(true),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { name, goal, steps } = req.body;
+
+      const template = await timeAttackService.updateTemplate(userId, req.params.templateId, { name, goal, steps });
+
+      res.json({
+        success: true,
+        message: '템플릿이 수정되었습니다.',
+        template
+      });
+
+    } catch (error) {
+      logger.error('타임어택 템플릿 수정 오류:', error);
+      sendTemplateError(res, error, 'TEMPLATE_UPDATE_FAILED', '템플릿 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/templates/{templateId}:
+ *   delete:
+ *     summary: 타임어택 템플릿 삭제
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/templates/:templateId',
+  authenticateToken,
+  templateIdValidator,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      await timeAttackService.deleteTemplate(userId, req.params.templateId);
+
+      res.json({
+        success: true,
+        message: '템플릿이 삭제되었습니다.'
+      });
+
+    } catch (error) {
+      logger.error('타임어택 템플릿 삭제 오류:', error);
+      sendTemplateError(res, error, 'TEMPLATE_DELETE_FAILED', '템플릿 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/time-attack/templates/{templateId}/sessions:
+ *   post:
+ *     summary: 템플릿으로 타임어택 세션 생성
+ *     tags: [TimeAttack]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/templates/:templateId/sessions',
+  authenticateToken,
+  templateIdValidator,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const { session, template } = await timeAttackService.createSessionFromTemplate(userId, req.params.templateId);
+
+      res.status(201).json({
+        success: true,
+        message: '템플릿으로 타임어택 세션이 생성되었습니다.',
+        session: {
+          id: session.id,
+          goal: session.goal,
+          totalMinutes: session.totalMinutes,
+          steps: session.steps.map((step, index) => ({
+            order: index,
+            name: step.name,
+            minutes: step.minutes,
+            cueText: step.cueText,
+            completed: step.completed
+          })),
+          status: session.status,
+          templateId: session.templateId,
+          createdAt: session.createdAt
+        },
+        template
+      });
+
+    } catch (error) {
+      logger.error('타임어택 템플릿 세션 생성 오류:', error);
+      sendTemplateError(res, error, 'SESSION_CREATE_FAILED', '세션 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
 module.exports = router;
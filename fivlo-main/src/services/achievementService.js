@@ -0,0 +1,318 @@
+/**
+ * 업적(배지) 서비스
+ * 포모도로/Task/망각방지 알림 완료 시 evaluate()로 지표를 다시 계산해 업적을 해제하고,
+ * 해제된 업적의 보상(코인 또는 상점 아이템)을 한 번만 지급합니다.
+ *
+ * 지표:
+ * - pomodoro_sessions / focus_minutes: User.totalPomodoroSessions / User.totalFocusTime
+ * - tasks_completed / category_tasks_completed: 완료된 Task 수 (전체 / 카테고리별 최대)
+ * - reminders_completed: Reminder.stats.totalCompleted 합계
+ */
+
+const mongoose = require('mongoose');
+const Achievement = require('../models/Achievement');
+const UserAchievement = require('../models/UserAchievement');
+const UserInventory = require('../models/UserInventory');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Reminder = require('../models/Reminder');
+const coinService = require('./coinService');
+const entitlementService = require('./entitlementService');
+const logger = require('../utils/logger');
+
+const METRICS = Achievement.METRICS;
+
+// 활동 종류별로 다시 계산할 지표
+const TRIGGER_METRICS = {
+  pomodoro: [METRICS.POMODORO_SESSIONS, METRICS.FOCUS_MINUTES],
+  task: [METRICS.TASKS_COMPLETED, METRICS.CATEGORY_TASKS_COMPLETED],
+  reminder: [METRICS.REMINDERS_COMPLETED]
+};
+
+// 최초 실행 시 생성하는 기본 업적 (이미 있으면 관리자가 수정한 값을 유지)
+const DEFAULT_ACHIEVEMENTS = [
+  { key: 'first_focus', name: '첫 집중', description: '포모도로 집중 세션을 처음 완료했어요.', icon: 'hourglass-start', category: 'focus', metric: METRICS.POMODORO_SESSIONS, threshold: 1, reward: { type: 'coins', coins: 1 }, order: 1 },
+  { key: 'focus_sessions_50', name: '집중 습관', description: '포모도로 집중 세션을 50번 완료했어요.', icon: 'hourglass-half', category: 'focus', metric: METRICS.POMODORO_SESSIONS, threshold: 50, reward: { type: 'coins', coins: 10 }, order: 2 },
+  { key: 'focus_hours_10', name: '10시간 몰입', description: '누적 집중 시간이 10시간을 넘었어요.', icon: 'clock-o', category: 'focus', metric: METRICS.FOCUS_MINUTES, threshold: 600, reward: { type: 'coins', coins: 5 }, order: 3 },
+  { key: 'focus_hours_100', name: '몰입의 달인', description: '누적 집중 시간이 100시간을 넘었어요.', icon: 'fire', category: 'focus', metric: METRICS.FOCUS_MINUTES, threshold: 6000, reward: { type: 'coins', coins: 30 }, order: 4 },
+  { key: 'first_task', name: '첫 걸음', description: 'Task를 처음 완료했어요.', icon: 'check', category: 'task', metric: METRICS.TASKS_COMPLETED, threshold: 1, reward: { type: 'coins', coins: 1 }, order: 1 },
+  { key: 'tasks_100', name: '실천가', description: 'Task를 100개 완료했어요.', icon: 'check-square', category: 'task', metric: METRICS.TASKS_COMPLETED, threshold: 100, reward: { type: 'coins', coins: 15 }, order: 2 },
+  { key: 'category_master', name: '한 우물 파기', description: '한 카테고리에서 Task를 30개 완료했어요.', icon: 'star', category: 'task', metric: METRICS.CATEGORY_TASKS_COMPLETED, threshold: 30, reward: { type: 'coins', coins: 10 }, order: 3 },
+  { key: 'first_reminder', name: '잊지 않았어요', description: '망각방지 알림을 처음 완료했어요.', icon: 'bell', category: 'reminder', metric: METRICS.REMINDERS_COMPLETED, threshold: 1, reward: { type: 'coins', coins: 1 }, order: 1 },
+  { key: 'reminders_100', name: '기억력 챔피언', description: '망각방지 알림을 100번 완료했어요.', icon: 'trophy', category: 'reminder', metric: METRICS.REMINDERS_COMPLETED, threshold: 100, reward: { type: 'coins', coins: 15 }, order: 2 }
+];
+
+class AchievementService {
+  constructor() {
+    this.defaultsEnsured = false;
+  }
+
+  /**
+   * 활동 후 업적 평가 (해제 + 보상 지급)
+   * 업적 처리 실패가 원래 활동(세션/Task/알림 완료)을 실패시키지 않도록 오류는 기록만 함
+   * @param {String} userId - 사용자 ID
+   * @param {String} trigger - pomodoro | task | reminder (없으면 전체 지표)
+   * @returns {Array} 이번에 해제된 업적 목록
+   */
+  async evaluate(userId, trigger = null) {
+    try {
+      await this.ensureDefaultAchievements();
+
+      const metrics = trigger ? TRIGGER_METRICS[trigger] : Object.values(METRICS);
+      if (!metrics) {
+        throw new Error(`알 수 없는 업적 평가 트리거입니다: ${trigger}`);
+      }
+
+      const achievements = await Achievement.find({ isActive: true, metric: { $in: metrics } });
+      if (achievements.length === 0) {
+        return [];
+      }
+
+      const unlockedIds = await UserAchievement.find({
+        userId,
+        achievementId: { $in: achievements.map(achievement => achievement._id) },
+        unlockedAt: { $ne: null }
+      }).distinct('achievementId');
+      const unlockedSet = new Set(unlockedIds.map(id => id.toString()));
+
+      const pending = achievements.filter(achievement => !unlockedSet.has(achievement._id.toString()));
+      if (pending.length === 0) {
+        return [];
+      }
+
+      const values = await this.getMetricValues(userId, [...new Set(pending.map(achievement => achievement.metric))]);
+      const unlocked = [];
+
+      for (const achievement of pending) {
+        const progress = values[achievement.metric] || 0;
+        const result = await this.updateProgress(userId, achievement, progress);
+        if (result) {
+          unlocked.push(result);
+        }
+      }
+
+      if (unlocked.length > 0) {
+        logger.info('업적 해제', { userId, trigger, achievements: unlocked.map(item => item.key) });
+      }
+
+      return unlocked;
+
+    } catch (error) {
+      logger.error('업적 평가 실패', { error: error.message, userId, trigger });
+      return [];
+    }
+  }
+
+  /**
+   * 진행도 저장 및 목표 도달 시 해제
+   * 해제는 unlockedAt이 비어 있을 때만 성공하는 조건부 업데이트로 처리해 보상이 한 번만 지급됨
+   * @returns {Object|null} 이번 호출에서 해제되었으면 업적 정보
+   */
+  async updateProgress(userId, achievement, progress) {
+    await UserAchievement.updateOne(
+      { userId, achievementId: achievement._id, unlockedAt: null },
+      { $set: { progress }, $setOnInsert: { userId, achievementId: achievement._id } },
+      { upsert: true }
+    ).catch(error => {
+      // 동시 평가로 문서가 먼저 생성된 경우
+      if (error.code !== 11000) throw error;
+    });
+
+    if (progress < achievement.threshold) {
+      return null;
+    }
+
+    const userAchievement = await UserAchievement.findOneAndUpdate(
+      { userId, achievementId: achievement._id, unlockedAt: null },
+      { $set: { unlockedAt: new Date(), progress } },
+      { new: true }
+    );
+
+    if (!userAchievement) {
+      return null;
+    }
+
+    const reward = await this.grantReward(userId, achievement);
+    if (reward.coins > 0 || reward.itemId) {
+      userAchievement.reward = reward;
+      await userAchievement.save();
+    }
+
+    return {
+      key: achievement.key,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      reward
+    };
+  }
+
+  /**
+   * 해제 보상 지급
+   * 코인은 Premium 사용자에게만 지급하며 업적 키를 원장 중복 방지 키로 사용
+   */
+  async grantReward(userId, achievement) {
+    const reward = { coins: 0, itemId: null };
+
+    try {
+      if (achievement.reward.type === 'coins' && achievement.reward.coins > 0) {
+        const user = await User.findById(userId);
+        if (entitlementService.isPremium(user)) {
+          const coinResult = await coinService.awardCoins(
+            userId,
+            'achievement_reward',
+            `업적 달성: ${achievement.name}`,
+            achievement.reward.coins,
+            { ledgerKey: `achievement:${achievement.key}`, relatedId: achievement._id }
+          );
+          reward.coins = coinResult ? coinResult.amount : 0;
+        }
+      }
+
+      if (achievement.reward.type === 'shop_item' && achievement.reward.itemId) {
+        const inventory = await UserInventory.grantRewardItem(userId, achievement.reward.itemId, 'achievement');
+        reward.itemId = inventory ? achievement.reward.itemId : null;
+      }
+    } catch (error) {
+      logger.error('업적 보상 지급 실패', { error: error.message, userId, achievement: achievement.key });
+    }
+
+    return reward;
+  }
+
+  /**
+   * 지표 값 계산
+   * @param {Array} metrics - 계산할 지표 목록
+   * @returns {Object} { [metric]: value }
+   */
+  async getMetricValues(userId, metrics) {
+    const values = {};
+    const objectId = new mongoose.Types.ObjectId(userId);
+
+    if (metrics.includes(METRICS.POMODORO_SESSIONS) || metrics.includes(METRICS.FOCUS_MINUTES)) {
+      const user = await User.findById(userId).select('totalPomodoroSessions totalFocusTime');
+      values[METRICS.POMODORO_SESSIONS] = user ? user.totalPomodoroSessions || 0 : 0;
+      values[METRICS.FOCUS_MINUTES] = user ? user.totalFocusTime || 0 : 0;
+    }
+
+    if (metrics.includes(METRICS.TASKS_COMPLETED)) {
+      values[METRICS.TASKS_COMPLETED] = await Task.countDocuments({ userId, isCompleted: true });
+    }
+
+    if (metrics.includes(METRICS.CATEGORY_TASKS_COMPLETED)) {
+      const [top] = await Task.aggregate([
+        { $match: { userId: objectId, isCompleted: true, categoryId: { $ne: null } } },
+        { $group: { _id: '$categoryId', completed: { $sum: 1 } } },
+        { $sort: { completed: -1 } },
+        { $limit: 1 }
+      ]);
+      values[METRICS.CATEGORY_TASKS_COMPLETED] = top ? top.completed : 0;
+    }
+
+    if (metrics.includes(METRICS.REMINDERS_COMPLETED)) {
+      const [total] = await Reminder.aggregate([
+        { $match: { userId: objectId } },
+        { $group: { _id: null, completed: { $sum: '$stats.totalCompleted' } } }
+      ]);
+      values[METRICS.REMINDERS_COMPLETED] = total ? total.completed : 0;
+    }
+
+    return values;
+  }
+
+  /**
+   * 사용자 업적 목록 (잠김/해제, 진행도 포함)
+   * GET /api/achievements
+   */
+  async getUserAchievements(userId) {
+    try {
+      await this.ensureDefaultAchievements();
+
+      const [achievements, userAchievements] = await Promise.all([
+        Achievement.find({ isActive: true }).sort({ category: 1, order: 1 }).lean(),
+        UserAchievement.find({ userId }).lean()
+      ]);
+
+      const progressMap = new Map(userAchievements.map(item => [item.achievementId.toString(), item]));
+      const values = await this.getMetricValues(userId, Object.values(METRICS));
+
+      const items = achievements
+        .map(achievement => {
+          const userAchievement = progressMap.get(achievement._id.toString());
+          const isUnlocked = !!(userAchievement && userAchievement.unlockedAt);
+          const progress = isUnlocked ? achievement.threshold : Math.min(values[achievement.metric] || 0, achievement.threshold);
+
+          return {
+            key: achievement.key,
+            name: achievement.name,
+            description: achievement.description,
+            icon: achievement.icon,
+            category: achievement.category,
+            threshold: achievement.threshold,
+            progress,
+            progressRate: Math.round((progress / achievement.threshold) * 100),
+            isUnlocked,
+            isHidden: achievement.isHidden,
+            isNew: isUnlocked && !userAchievement.seenAt,
+            unlockedAt: isUnlocked ? userAchievement.unlockedAt : null,
+            reward: achievement.reward
+          };
+        })
+        // 숨김 업적은 해제 전까지 노출하지 않음
+        .filter(item => item.isUnlocked || !item.isHidden);
+
+      const unlockedCount = items.filter(item => item.isUnlocked).length;
+
+      return {
+        achievements: items,
+        summary: {
+          total: items.length,
+          unlocked: unlockedCount,
+          newCount: items.filter(item => item.isNew).length
+        }
+      };
+
+    } catch (error) {
+      logger.error('업적 목록 조회 실패', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 새로 해제된 업적 확인 처리
+   * POST /api/achievements/seen
+   * @param {Array} keys - 확인한 업적 키 (없으면 전체)
+   */
+  async markSeen(userId, keys = null) {
+    const query = { userId, unlockedAt: { $ne: null }, seenAt: null };
+
+    if (keys && keys.length > 0) {
+      const achievements = await Achievement.find({ key: { $in: keys } }).select('_id');
+      query.achievementId = { $in: achievements.map(achievement => achievement._id) };
+    }
+
+    const result = await UserAchievement.updateMany(query, { $set: { seenAt: new Date() } });
+    return { updated: result.modifiedCount };
+  }
+
+  /**
+   * 기본 업적 생성 (없는 업적만 추가)
+   */
+  async ensureDefaultAchievements() {
+    if (this.defaultsEnsured) {
+      return;
+    }
+
+    await Achievement.bulkWrite(DEFAULT_ACHIEVEMENTS.map(achievement => ({
+      updateOne: {
+        filter: { key: achievement.key },
+        update: { $setOnInsert: achievement },
+        upsert: true
+      }
+    })));
+
+    this.defaultsEnsured = true;
+  }
+}
+
+module.exports = new AchievementService();
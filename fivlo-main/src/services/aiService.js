@@ -257,6 +257,158 @@ class AIService {
     };
   }
 
+  /**
+   * 타임어택 목표 단계별 분해
+   * 사용자의 과거 단계별 실제 소요 시간(stepPace)이 있으면 같은 이름의 단계는 실제 페이스로 배정
+   * @param {String} goal - 타임어택 목표
+   * @param {Number} totalMinutes - 총 소요 시간 (분)
+   * @param {Array} stepPace - [{ name, count, avgPlannedMinutes, avgActualMinutes }]
+   * @returns {Array} [{ name, duration }] (duration 합계 = totalMinutes)
+   */
+  async breakdownGoal(goal, totalMinutes, stepPace = []) {
+    let steps;
+
+    try {
+      if (!this.isInitialized) {
+        steps = this.generateFallbackBreakdown(goal, totalMinutes);
+      } else {
+        const response = await this.openai.chat.completions.create({
+          model: 'gpt-3.5-turbo',
+          messages: [
+            {
+              role: 'system',
+              content: '당신은 시간 관리 코치입니다. 목표를 제한 시간 안에 끝낼 수 있는 3-7개의 단계로 나누고, [{"name": "단계명", "duration": 분}] 형식의 JSON 배열로만 응답해주세요.'
+            },
+            {
+              role: 'user',
+              content: this.buildBreakdownPrompt(goal, totalMinutes, stepPace)
+            }
+          ],
+          max_tokens: 400,
+          temperature: 0.5
+        });
+
+        steps = this.parseBreakdownSteps(response.choices[0].message.content);
+      }
+    } catch (error) {
+      logger.error(`타임어택 목표 분해 실패: ${error.message}`, { goal });
+      steps = this.generateFallbackBreakdown(goal, totalMinutes);
+    }
+
+    return this.applyStepPace(steps, totalMinutes, stepPace);
+  }
+
+  /**
+   * 목표 분해 프롬프트 생성
+   */
+  buildBreakdownPrompt(goal, totalMinutes, stepPace) {
+    let prompt = `목표: "${goal}"
+제한 시간: ${totalMinutes}분`;
+
+    if (stepPace.length > 0) {
+      prompt += `\n\n⏱ 사용자의 실제 단계별 소요 시간 (계획 → 실제 평균):\n${stepPace
+        .map(pace => `- ${pace.name}: ${pace.avgPlannedMinutes}분 → ${pace.avgActualMinutes}분 (${pace.count}회)`)
+        .join('\n')}`;
+      prompt += '\n\n비슷한 단계가 있다면 같은 단계명을 사용하고, 실제 평균 시간을 기준으로 시간을 배분해주세요.';
+    }
+
+    prompt += `\n\n각 단계의 duration 합계가 ${totalMinutes}분이 되도록 해주세요.`;
+
+    return prompt;
+  }
+
+  /**
+   * AI 응답에서 단계 목록 추출
+   */
+  parseBreakdownSteps(content) {
+    const match = content && content.match(/\[[\s\S]*\]/);
+    if (!match) {
+      throw new Error('단계 목록을 찾을 수 없습니다.');
+    }
+
+    const steps = JSON.parse(match[0])
+      .filter(step => step && step.name && Number(step.duration) > 0)
+      .map(step => ({
+        name: String(step.name).trim().slice(0, 50),
+        duration: Number(step.duration)
+      }));
+
+    if (steps.length === 0) {
+      throw new Error('유효한 단계가 없습니다.');
+    }
+
+    return steps;
+  }
+
+  /**
+   * 폴백 목표 분해 (준비 10% / 본 작업 80% / 마무리 10%)
+   */
+  generateFallbackBreakdown(goal, totalMinutes) {
+    return [
+      { name: '준비하기', duration: totalMinutes * 0.1 },
+      { name: goal.slice(0, 50), duration: totalMinutes * 0.8 },
+      { name: '마무리하기', duration: totalMinutes * 0.1 }
+    ];
+  }
+
+  /**
+   * 과거 실제 소요 시간 반영
+   * 기록이 있는 단계는 실제 평균 시간으로 고정하고, 나머지 단계가 남은 시간을 비율대로 나눔
+   * 고정한 시간만으로 제한 시간을 넘으면 전체를 비율대로 줄임
+   */
+  applyStepPace(steps, totalMinutes, stepPace = []) {
+    const paceByName = new Map(stepPace.map(pace => [pace.name, pace]));
+
+    const fixedMinutes = steps.reduce((sum, step) => {
+      const pace = paceByName.get(step.name);
+      return pace ? sum + pace.avgActualMinutes : sum;
+    }, 0);
+    const flexibleSteps = steps.filter(step => !paceByName.has(step.name));
+    const flexibleMinutes = flexibleSteps.reduce((sum, step) => sum + step.duration, 0);
+    const remainingMinutes = totalMinutes - fixedMinutes;
+
+    let adjusted;
+    if (fixedMinutes > 0 && remainingMinutes >= flexibleSteps.length) {
+      adjusted = steps.map(step => {
+        const pace = paceByName.get(step.name);
+        if (pace) {
+          return { ...step, duration: pace.avgActualMinutes };
+        }
+        return {
+          ...step,
+          duration: flexibleMinutes > 0
+            ? (step.duration / flexibleMinutes) * remainingMinutes
+            : remainingMinutes / flexibleSteps.length
+        };
+      });
+    } else {
+      const plannedMinutes = steps.reduce((sum, step) => sum + step.duration, 0) || 1;
+      adjusted = steps.map(step => ({ ...step, duration: (step.duration / plannedMinutes) * totalMinutes }));
+    }
+
+    return this.roundStepDurations(adjusted, totalMinutes);
+  }
+
+  /**
+   * 단계별 시간을 1분 이상의 정수로 맞추고 합계를 totalMinutes로 보정
+   */
+  roundStepDurations(steps, totalMinutes) {
+    const rounded = steps
+      .slice(0, Math.max(1, totalMinutes))
+      .map(step => ({ ...step, duration: Math.max(1, Math.round(step.duration)) }));
+
+    let diff = totalMinutes - rounded.reduce((sum, step) => sum + step.duration, 0);
+    while (diff !== 0) {
+      // 가장 긴 단계부터 1분씩 보정 (줄일 때는 1분 아래로 내려가지 않도록)
+      const target = rounded.reduce((longest, step) => (step.duration > longest.duration ? step : longest));
+      if (diff < 0 && target.duration <= 1) break;
+      target.duration += diff > 0 ? 1 : -1;
+      diff += diff > 0 ? -1 : 1;
+    }
+
+    return rounded;
+  }
+
   /**
    * 집중 인사이트 생성 (analytics에서 호출)
    */
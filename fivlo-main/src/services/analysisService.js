@@ -2,6 +2,7 @@ const PomodoroSession = require('../models/PomodoroSession');
 const User = require('../models/User');
 const statisticsHelper = require('../utils/statistics');
 const aiService = require('./aiService');
+const entitlementService = require('./entitlementService');
 const logger = require('../utils/logger');
 const moment = require('moment-timezone');
 
@@ -29,6 +30,7 @@ class AnalysisService {
       const hourlyData = statisticsHelper.generateHourlyData(sessions);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
       const optimalTime = statisticsHelper.findOptimalFocusTime(hourlyData);
+      const distractions = statisticsHelper.calculateDistractionStats(sessions);
 
       logger.info('일간 통계 조회 완료', {
         userId,
@@ -46,7 +48,8 @@ class AnalysisService {
         stats,
         hourlyData,
         goalStats,
-        optimalTime
+        optimalTime,
+        distractions
       };
 
     } catch (error) {
@@ -73,6 +76,7 @@ class AnalysisService {
       const stats = statisticsHelper.calculatePeriodStats(sessions);
       const weeklyData = statisticsHelper.generateWeeklyData(sessions, dateRange.start);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
+      const distractions = statisticsHelper.calculateDistractionStats(sessions);
 
       logger.info('주간 통계 조회 완료', {
         userId,
@@ -90,6 +94,7 @@ class AnalysisService {
         stats,
         weeklyData,
         goalStats,
+        distractions,
         bestDay: weeklyData.reduce((best, current) => 
           current.minutes > best.minutes ? current : best, weeklyData[0]
         )
@@ -120,6 +125,7 @@ class AnalysisService {
       const monthlyData = statisticsHelper.generateMonthlyData(sessions, year, month);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
       const calendarHeatmap = statisticsHelper.generateCalendarHeatmap(sessions, year, month);
+      const distractions = statisticsHelper.calculateDistractionStats(sessions);
 
       logger.info('월간 통계 조회 완료', {
         userId,
@@ -141,6 +147,7 @@ class AnalysisService {
         monthlyData,
         goalStats,
         calendarHeatmap,
+        distractions,
         activeDays: monthlyData.filter(day => day.minutes > 0).length
       };
 
@@ -157,7 +164,7 @@ class AnalysisService {
     try {
       const user = await User.findById(userId);
       
-      if (!user || !user.isPremium) {
+      if (!entitlementService.isPremium(user)) {
         throw new Error('D-Day 기능은 유료 사용자만 이용할 수 있습니다.');
       }
 
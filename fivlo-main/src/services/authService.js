@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const streakService = require('./streakService');
 const { generateTokenPair, verifyToken } = require('../utils/jwt');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
@@ -81,6 +82,9 @@ class AuthService {
       user.lastLoginAt = new Date();
       await user.save();
 
+      // 접속 연속 기록
+      await streakService.recordActivity(user._id, streakService.TYPES.LOGIN);
+
       // 토큰 생성
       const tokens = generateTokenPair(user);
 
@@ -158,6 +162,9 @@ class AuthService {
       user.lastLoginAt = new Date();
       await user.save();
 
+      // 접속 연속 기록
+      await streakService.recordActivity(user._id, streakService.TYPES.LOGIN);
+
       // 토큰 생성
       const tokens = generateTokenPair(user);
 
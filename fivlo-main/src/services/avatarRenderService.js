@@ -0,0 +1,266 @@
+/**
+ * 오분이 아바타 렌더링 서비스
+ * 기본 캐릭터와 착용 아이템(background/bottom/top/accessory) 이미지를 sharp로 합성해
+ * 공유/알림용 단일 이미지(PNG/WebP, 여러 크기)로 제공합니다.
+ *
+ * 합성 결과는 착용 세트(아이템 + 선택 색상 + 이미지 경로) 해시를 키로
+ * uploads/avatars 아래에 파일로 캐시하며, 같은 세트를 착용한 사용자끼리 공유됩니다.
+ */
+
+const sharp = require('sharp');
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const UserInventory = require('../models/UserInventory');
+const User = require('../models/User');
+const entitlementService = require('./entitlementService');
+const logger = require('../utils/logger');
+
+// 합성 순서 (뒤에 있을수록 위에 그려짐)
+const LAYER_ORDER = ['background', 'base', 'bottom', 'top', 'accessory'];
+
+const SIZES = [128, 256, 512, 1024];
+const FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// 합성 캔버스 크기 (요청 크기로는 합성 후 축소)
+const CANVAS_SIZE = 1024;
+
+// 합성 방식이 바뀌면 올려서 기존 캐시를 무효화
+const RENDER_VERSION = 1;
+
+const CACHE_DIR = path.join(__dirname, '../../uploads/avatars');
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const ASSET_DIR = process.env.AVATAR_ASSET_DIR || path.join(__dirname, '../../assets');
+const BASE_CHARACTER_IMAGE = process.env.AVATAR_BASE_IMAGE || '/images/obooni/base.png';
+
+// 이 기간 동안 조회되지 않은 캐시 파일은 정리
+const CACHE_MAX_AGE_DAYS = parseInt(process.env.AVATAR_CACHE_MAX_AGE_DAYS) || 30;
+
+class AvatarRenderService {
+  constructor() {
+    this.SIZES = SIZES;
+    this.FORMATS = Object.keys(FORMATS);
+    // 같은 이미지를 동시에 합성하지 않도록 진행 중인 렌더링 공유
+    this.pendingRenders = new Map();
+  }
+
+  /**
+   * 사용자 아바타 렌더링 (캐시 우선)
+   * @param {String} userId - 사용자 ID
+   * @param {Object} options - { size, format }
+   * @returns {Object} { hash, filePath, url, contentType, size, format, cached }
+   */
+  async renderForUser(userId, options = {}) {
+    const size = SIZES.includes(Number(options.size)) ? Number(options.size) : 512;
+    const format = FORMATS[options.format] ? options.format : 'png';
+
+    try {
+      const layers = await this.getLayers(userId);
+      const hash = this.getCacheKey(layers);
+      const fileName = `${hash}_${size}.${format}`;
+      const filePath = path.join(CACHE_DIR, fileName);
+
+      const result = {
+        hash,
+        filePath,
+        url: `/uploads/avatars/${fileName}`,
+        contentType: FORMATS[format],
+        size,
+        format,
+        cached: true
+      };
+
+      if (await this.touchCacheFile(filePath)) {
+        return result;
+      }
+
+      if (!this.pendingRenders.has(filePath)) {
+        const render = this.renderToFile(layers, size, format, filePath)
+          .finally(() => this.pendingRenders.delete(filePath));
+        this.pendingRenders.set(filePath, render);
+      }
+      await this.pendingRenders.get(filePath);
+
+      logger.info('오분이 아바타 렌더링 완료', { userId, hash, size, format, layers: layers.map(layer => layer.slot) });
+
+      return { ...result, cached: false };
+
+    } catch (error) {
+      logger.error('오분이 아바타 렌더링 실패', { error: error.message, userId, size, format });
+      throw error;
+    }
+  }
+
+  /**
+   * 합성할 레이어 목록 (착용 아이템 + 선택 색상 반영)
+   * 무료 사용자는 기본 캐릭터만 렌더링
+   */
+  async getLayers(userId) {
+    const layers = [{ slot: 'base', itemId: null, color: null, src: BASE_CHARACTER_IMAGE }];
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('사용자를 찾을 수 없습니다.');
+    }
+
+    const inventory = entitlementService.isPremium(user)
+      ? await UserInventory.findOne({ userId }).populate([
+        { path: 'equippedItems.top', select: 'name imageUrl colors' },
+        { path: 'equippedItems.bottom', select: 'name imageUrl colors' },
+        { path: 'equippedItems.accessory', select: 'name imageUrl colors' },
+        { path: 'equippedItems.background', select: 'name imageUrl colors' }
+      ])
+      : null;
+
+    if (inventory) {
+      ['background', 'bottom', 'top', 'accessory'].forEach(slot => {
+        const item = inventory.equippedItems[slot];
+        if (!item || !item.imageUrl) {
+          return;
+        }
+
+        const color = (inventory.equippedColors && inventory.equippedColors[slot]) || null;
+        const variant = color ? item.colors.find(entry => entry.name === color) : null;
+
+        layers.push({
+          slot,
+          itemId: item._id.toString(),
+          color: variant ? variant.name : null,
+          src: variant && variant.imageUrl ? variant.imageUrl : item.imageUrl
+        });
+      });
+    }
+
+    return layers.sort((a, b) => LAYER_ORDER.indexOf(a.slot) - LAYER_ORDER.indexOf(b.slot));
+  }
+
+  /**
+   * 착용 세트 해시 (이미지 경로까지 포함해 아이템 이미지 교체 시 새로 렌더링)
+   */
+  getCacheKey(layers) {
+    const signature = JSON.stringify({
+      version: RENDER_VERSION,
+      layers: layers.map(layer => [layer.slot, layer.itemId, layer.color, layer.src])
+    });
+
+    return crypto.createHash('sha256').update(signature).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * 레이어 합성 후 파일로 저장
+   */
+  async renderToFile(layers, size, format, filePath) {
+    const inputs = [];
+    for (const layer of layers) {
+      const buffer = await this.loadLayer(layer.src);
+      inputs.push({
+        input: await sharp(buffer)
+          .resize(CANVAS_SIZE, CANVAS_SIZE, {
+            fit: layer.slot === 'background' ? 'cover' : 'contain',
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+          })
+          .png()
+          .toBuffer()
+      });
+    }
+
+    const composed = await sharp({
+      create: {
+        width: CANVAS_SIZE,
+        height: CANVAS_SIZE,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    })
+      .composite(inputs)
+      .png()
+      .toBuffer();
+
+    let output = sharp(composed).resize(size, size);
+    output = format === 'webp' ? output.webp({ quality: 90 }) : output.png({ compressionLevel: 9 });
+
+    // 임시 파일에 쓴 뒤 이름을 바꿔 읽는 쪽이 미완성 파일을 받지 않도록 함
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await output.toFile(tempPath);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * 레이어 이미지 읽기
+   * - http(s) URL: 다운로드
+   * - /uploads/...: 업로드 디렉토리
+   * - 그 외 경로: 아바타 에셋 디렉토리(AVATAR_ASSET_DIR)
+   */
+  async loadLayer(src) {
+    if (/^https?:\/\//.test(src)) {
+      const response = await axios.get(src, { responseType: 'arraybuffer', timeout: 10000 });
+      return Buffer.from(response.data);
+    }
+
+    const rootDir = src.startsWith('/uploads/') ? UPLOADS_DIR : ASSET_DIR;
+    const relativePath = src.startsWith('/uploads/') ? src.slice('/uploads/'.length) : src.replace(/^\/+/, '');
+    const filePath = path.resolve(rootDir, relativePath);
+
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`허용되지 않은 이미지 경로입니다: ${src}`);
+    }
+
+    return fs.readFile(filePath);
+  }
+
+  /**
+   * 캐시 파일이 있으면 최근 조회 시각을 갱신
+   * @returns {Boolean} 캐시 존재 여부
+   */
+  async touchCacheFile(filePath) {
+    try {
+      const now = new Date();
+      await fs.utimes(filePath, now, now);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 오래 조회되지 않은 캐시 파일 정리
+   * @returns {Number} 삭제한 파일 수
+   */
+  async pruneCache(maxAgeDays = CACHE_MAX_AGE_DAYS) {
+    const threshold = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    let fileNames = [];
+    try {
+      fileNames = await fs.readdir(CACHE_DIR);
+    } catch (error) {
+      return 0;
+    }
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(CACHE_DIR, fileName);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.mtimeMs < threshold) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        logger.warn('아바타 캐시 파일 정리 실패', { fileName, error: error.message });
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('아바타 캐시 정리 완료', { removed, maxAgeDays });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = new AvatarRenderService();
@@ -1,42 +1,94 @@
 /**
  * 결제 및 구독 관리 서비스
  * Premium 구독 결제 세션 생성 및 웹훅 처리
+ * 실제 결제사 연동은 paymentProviders 어댑터(stripe, portone, fake)에 위임합니다.
+ * 앱 인앱 구독(apple, google)도 같은 어댑터 구조로 영수증/서버 알림을 처리합니다.
  */
 
 const User = require('../models/User');
+const PaymentEvent = require('../models/PaymentEvent');
+const entitlementService = require('./entitlementService');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
+const rewardEngine = require('./rewardEngine');
+const promotionService = require('./promotionService');
+const paymentProviders = require('./paymentProviders');
 const logger = require('../utils/logger');
 
+const { PAYMENT_EVENT_TYPES } = paymentProviders;
+
+// 처리 중(processing) 상태로 이 시간 이상 남은 이벤트는 중단된 것으로 보고 재처리
+const PAYMENT_EVENT_STALE_MS = 5 * 60 * 1000;
+
 class BillingService {
+  /**
+   * 결제 프로바이더 조회
+   */
+  getProvider(name) {
+    return paymentProviders.getProvider(name);
+  }
+
   /**
    * 구독 결제 세션 생성
    * POST /api/billing/checkout
    */
-  async createCheckoutSession(userId, plan = 'premium') {
+  async createCheckoutSession({
+    userId,
+    plan = 'premium_monthly',
+    returnUrl,
+    cancelUrl,
+    provider: providerName,
+    promoCode,
+    deviceId,
+    ip
+  }) {
     try {
-      logger.info('구독 결제 세션 생성 요청', { userId, plan });
+      logger.info('구독 결제 세션 생성 요청', { userId, plan, provider: providerName, promoCode });
 
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType === 'premium') {
+      // 체험/프로모션으로 받은 Premium(결제사 구독 없음)은 유료 전환 허용
+      if (entitlementService.isPremium(user) && user.subscription.provider) {
         throw new Error('이미 Premium 구독 중입니다.');
       }
 
-      // 실제 결제 시스템 연동 시 구현 (Stripe, 아임포트 등)
-      // 현재는 더미 데이터 반환
+      const provider = this.getProvider(providerName);
+
+      // 할인 코드는 결제 완료 웹훅에서 확정
+      const discount = promoCode
+        ? await promotionService.reserveCheckoutDiscount(user._id, promoCode, plan, { deviceId, ip })
+        : null;
+
+      const session = await provider.createCheckout({
+        userId: user._id.toString(),
+        plan,
+        returnUrl,
+        cancelUrl,
+        discount
+      });
+
+      if (discount) {
+        await promotionService.attachCheckoutSession(discount.redemptionId, session.sessionId);
+      }
+
       const checkoutSession = {
-        sessionId: `cs_test_${Date.now()}`,
-        url: `https://checkout.fivlo.com/pay/${userId}`,
+        id: session.sessionId,
+        sessionId: session.sessionId,
+        url: session.url,
+        provider: provider.name,
         plan,
-        amount: 4900, // 월 4,900원
-        currency: 'KRW'
+        amount: session.amount,
+        discountAmount: discount ? discount.discountAmount : 0,
+        currency: session.currency,
+        clientParams: session.clientParams
       };
 
       logger.info('구독 결제 세션 생성 완료', { 
         userId, 
         sessionId: checkoutSession.sessionId,
+        provider: provider.name,
         plan,
         amount: checkoutSession.amount
       });
@@ -53,62 +105,366 @@ class BillingService {
   }
 
   /**
-   * 결제 웹훅 처리 (결제 성공 시 Premium 승격)
-   * POST /api/billing/webhook
+   * 결제 웹훅 처리 (서명 검증 → 중복 확인 → 구독 반영)
+   * POST /api/billing/webhook/:provider
+   * @param {Buffer} rawBody - 서명 검증용 원본 본문
+   * @param {Object} headers - 요청 헤더
+   * @param {String} providerName - 프로바이더 이름 (미지정 시 기본 프로바이더)
    */
-  async handlePaymentWebhook(webhookData) {
-    try {
-      logger.info('결제 웹훅 수신', { webhookData });
+  async handleWebhook(rawBody, headers, providerName) {
+    const provider = this.getProvider(providerName);
+    const event = await provider.verifyWebhook(rawBody, headers);
 
-      const { userId, sessionId, status, plan } = webhookData;
+    logger.info('결제 웹훅 검증 완료', {
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      userId: event.userId
+    });
 
-      if (status !== 'completed') {
-        logger.warn('결제 미완료 상태', { userId, sessionId, status });
-        return { success: false, message: '결제가 완료되지 않았습니다.' };
-      }
+    return await this.processPaymentEvent(provider, event);
+  }
+
+  /**
+   * 인앱 구독 영수증 검증 (App Store / Google Play)
+   * POST /api/billing/receipts/:store
+   * @param {String} userId - 사용자 ID
+   * @param {String} store - apple | google
+   * @param {Object} payload - apple: { receipt }, google: { purchaseToken, productId }
+   */
+  async verifyStoreReceipt(userId, store, payload) {
+    try {
+      logger.info('스토어 영수증 검증 요청', { userId, store });
 
-      // 사용자 Premium 승격
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      // Premium 구독 활성화
-      user.subscriptionType = 'premium';
-      user.subscriptionStartDate = new Date();
-      
-      // 1개월 후 만료 (실제로는 결제 시스템에서 관리)
-      const subscriptionEndDate = new Date();
-      subscriptionEndDate.setMonth(subscriptionEndDate.getMonth() + 1);
-      user.subscriptionEndDate = subscriptionEndDate;
-      
-      // 초기 코인 지급 (Premium 가입 보너스)
-      user.coins += 10;
+      const provider = this.getProvider(store);
+      const event = await provider.verifyReceipt(payload);
+
+      // 다른 계정에서 이미 사용 중인 스토어 구독은 연결하지 않음 (계정 공유 방지)
+      const linkedUser = await User.findOne({
+        _id: { $ne: user._id },
+        'subscription.provider': store,
+        'subscription.externalId': { $in: [event.externalId, event.previousExternalId].filter(Boolean) }
+      });
+      if ((event.accountId && event.accountId !== user._id.toString()) || linkedUser) {
+        throw new Error('RECEIPT_ALREADY_LINKED');
+      }
 
-      await user.save();
+      const result = await this.processPaymentEvent(provider, { ...event, userId: user._id.toString() });
 
-      logger.info('Premium 구독 활성화 완료', { 
-        userId, 
-        sessionId,
-        subscriptionEndDate: user.subscriptionEndDate,
-        bonusCoins: 10
+      // 자동 갱신이 꺼진 구독은 기간 종료 시까지만 유지
+      const updatedUser = await User.findById(user._id);
+      if (event.autoRenew === false && !updatedUser.subscription.cancelAtPeriodEnd) {
+        await subscriptionLifecycleService.transition(updatedUser, subscriptionLifecycleService.LIFECYCLE_EVENTS.CANCEL_REQUESTED, {
+          periodEnd: event.periodEnd
+        });
+      }
+
+      logger.info('스토어 영수증 검증 완료', {
+        userId,
+        store,
+        externalId: event.externalId,
+        duplicate: result.duplicate
       });
 
-      return { 
-        success: true, 
-        message: 'Premium 구독이 활성화되었습니다.',
-        subscriptionEndDate: user.subscriptionEndDate,
-        bonusCoins: 10
+      return {
+        duplicate: result.duplicate,
+        bonusCoins: result.bonusCoins || 0,
+        subscription: entitlementService.getSubscriptionSummary(updatedUser)
       };
     } catch (error) {
-      logger.error('결제 웹훅 처리 실패', { 
-        error: error.message, 
-        webhookData 
+      logger.error('스토어 영수증 검증 실패', {
+        error: error.message,
+        userId,
+        store
       });
       throw error;
     }
   }
 
+  /**
+   * 정규화된 결제 이벤트 기록 후 반영 (동일 이벤트 재전송은 한 번만 처리)
+   * 이전 처리가 실패했거나 중단된 이벤트는 재전송 시 다시 처리
+   */
+  async processPaymentEvent(provider, event) {
+    let record;
+    try {
+      record = await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+        userId: event.userId || null,
+        plan: event.plan || null,
+        externalId: event.externalId || null,
+        paymentId: event.paymentId || null,
+        amount: event.amount || null,
+        currency: event.currency || 'KRW'
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      record = await this.claimPaymentEventRetry(provider.name, event.id);
+      if (!record) {
+        logger.info('이미 처리된 결제 이벤트', { provider: provider.name, eventId: event.id });
+        return { success: true, duplicate: true, type: event.type };
+      }
+    }
+
+    try {
+      const result = await this.applyPaymentEvent(event, provider.name, provider.source);
+
+      record.status = event.type === PAYMENT_EVENT_TYPES.IGNORED ? 'ignored' : 'processed';
+      record.userId = record.userId || (result.userId || null);
+      record.processedAt = new Date();
+      await record.save();
+
+      return { success: true, duplicate: false, type: event.type, ...result };
+    } catch (error) {
+      record.status = 'failed';
+      record.errorMessage = error.message;
+      await record.save();
+
+      logger.error('결제 이벤트 처리 실패', {
+        error: error.message,
+        provider: provider.name,
+        eventId: event.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 재전송된 결제 이벤트의 재처리 권한 획득
+   * 실패했거나 처리 중에 멈춘 이벤트만 다시 processing으로 바꿔 재처리 (동시 재전송은 한 요청만 성공)
+   * @returns {Object|null} 재처리할 기록 (이미 처리/무시된 이벤트면 null)
+   */
+  async claimPaymentEventRetry(providerName, eventId) {
+    const staleBefore = new Date(Date.now() - PAYMENT_EVENT_STALE_MS);
+
+    const record = await PaymentEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lte: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing', errorMessage: null } },
+      { new: true }
+    );
+
+    if (record) {
+      logger.info('처리하지 못한 결제 이벤트 재처리', { provider: providerName, eventId });
+      return record;
+    }
+
+    const existing = await PaymentEvent.findOne({ provider: providerName, eventId });
+    if (existing && existing.status === 'processing') {
+      // 다른 요청이 처리 중 → 결제사가 나중에 다시 보내도록 실패 응답
+      throw new Error('PAYMENT_EVENT_IN_PROGRESS');
+    }
+
+    return null;
+  }
+
+  /**
+   * 정규화된 결제 이벤트를 구독 권한에 반영
+   */
+  async applyPaymentEvent(event, providerName, source = 'web') {
+    const user = await this.findUserForEvent(event, providerName);
+    if (!user) {
+      if (event.type === PAYMENT_EVENT_TYPES.IGNORED) {
+        return { userId: null };
+      }
+      // 기록된 결제가 없는 환불은 회수할 구독이 없음 (재전송해도 결과가 같으므로 실패로 남기지 않음)
+      if (event.type === PAYMENT_EVENT_TYPES.REFUND_COMPLETED) {
+        logger.warn('환불된 결제의 사용자를 찾을 수 없음', { provider: providerName, paymentId: event.paymentId });
+        return { userId: null };
+      }
+      throw new Error('결제 이벤트에 해당하는 사용자를 찾을 수 없습니다.');
+    }
+
+    const { LIFECYCLE_EVENTS } = subscriptionLifecycleService;
+
+    try {
+      switch (event.type) {
+        case PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED:
+        case PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED: {
+          // 체험/프로모션 Premium에서 전환한 경우도 최초 유료 가입으로 간주
+          // 실패 후 재처리하는 경우 이전 시도에서 이미 이 구독으로 전환되었을 수 있음
+          const isNewSubscription = !entitlementService.isPremium(user) || !user.subscription.provider ||
+            (event.type === PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED &&
+              user.subscription.provider === providerName &&
+              Boolean(event.externalId) && user.subscription.externalId === event.externalId);
+
+          await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED, {
+            plan: event.plan,
+            source,
+            provider: providerName,
+            externalId: event.externalId,
+            periodStart: event.periodStart,
+            periodEnd: event.periodEnd
+          });
+
+          // 최초 가입 시에만 보너스 코인 지급
+          let bonusCoins = 0;
+          if (event.type === PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED && isNewSubscription) {
+            const reward = await rewardEngine.handle({
+              type: rewardEngine.EVENTS.SUBSCRIPTION_STARTED,
+              userId: user._id,
+              idempotencyKey: event.id ? `payment:${event.id}` : null
+            });
+            bonusCoins = reward.awarded;
+          }
+
+          if (event.type === PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED) {
+            await promotionService.confirmCheckoutDiscounts(user._id, event.checkoutSessionId);
+          }
+
+          logger.info('Premium 구독 활성화 완료', { 
+            userId: user._id,
+            provider: providerName,
+            subscriptionEndDate: user.subscription.currentPeriodEnd,
+            bonusCoins
+          });
+
+          return {
+            userId: user._id,
+            message: 'Premium 구독이 활성화되었습니다.',
+            subscriptionEndDate: user.subscription.currentPeriodEnd,
+            bonusCoins
+          };
+        }
+
+        case PAYMENT_EVENT_TYPES.PAYMENT_FAILED:
+          await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.PAYMENT_FAILED);
+          logger.warn('구독 결제 실패', { userId: user._id, provider: providerName, externalId: event.externalId });
+          return { userId: user._id, message: '결제가 완료되지 않았습니다.' };
+
+        case PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED: {
+          // 이용 기간이 남아 있으면 기간 종료까지 유지, 아니면 즉시 만료
+          const periodEnd = event.periodEnd || user.subscription.currentPeriodEnd;
+          const lifecycleEvent = periodEnd && periodEnd > new Date()
+            ? LIFECYCLE_EVENTS.CANCEL_REQUESTED
+            : LIFECYCLE_EVENTS.EXPIRED;
+
+          await subscriptionLifecycleService.transition(user, lifecycleEvent, { periodEnd: event.periodEnd });
+          return { userId: user._id, message: 'Premium 구독이 해지되었습니다.' };
+        }
+
+        case PAYMENT_EVENT_TYPES.REFUND_COMPLETED:
+          await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.REFUNDED);
+          return { userId: user._id, message: 'Premium 구독이 환불 처리되었습니다.' };
+
+        default:
+          return { userId: user._id };
+      }
+    } catch (error) {
+      // 순서가 뒤바뀐 이벤트(예: 만료 후 결제 실패)는 재시도해도 의미가 없으므로 무시
+      if (error.message === 'INVALID_SUBSCRIPTION_TRANSITION') {
+        logger.warn('현재 구독 상태에 적용할 수 없는 결제 이벤트', {
+          userId: user._id,
+          type: event.type,
+          status: user.subscription.status
+        });
+        return { userId: user._id, message: '현재 구독 상태에 적용되지 않는 이벤트입니다.' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 이벤트의 사용자 조회 (userId가 없으면 결제사 구독 ID로 조회)
+   * 스토어 업그레이드/재구독으로 구독 ID가 바뀐 경우 이전 구독 ID로도 조회
+   * 결제 ID만 있는 이벤트(Stripe charge.refunded 등)는 원래 결제를 처리한 기록의 사용자
+   */
+  async findUserForEvent(event, providerName) {
+    if (event.userId) {
+      return await User.findById(event.userId);
+    }
+
+    const externalIds = [event.externalId, event.previousExternalId].filter(Boolean);
+    if (externalIds.length > 0) {
+      return await User.findOne({ 'subscription.externalId': { $in: externalIds } });
+    }
+
+    if (event.paymentId) {
+      const payment = await PaymentEvent.findOne({
+        provider: providerName,
+        paymentId: event.paymentId,
+        userId: { $ne: null }
+      }).sort({ createdAt: 1 });
+      return payment ? await User.findById(payment.userId) : null;
+    }
+    return null;
+  }
+
+  /**
+   * 결제사 구독 정보로 권한 동기화
+   */
+  async syncSubscription(userId) {
+    try {
+      const user = await entitlementService.resolveUser(userId);
+      const { provider: providerName, externalId } = user.subscription;
+
+      if (!providerName || !externalId) {
+        return entitlementService.getSubscriptionSummary(user);
+      }
+
+      const remote = await this.getProvider(providerName).fetchSubscription(externalId);
+
+      const { LIFECYCLE_EVENTS } = subscriptionLifecycleService;
+
+      if (remote.status === 'active' && remote.periodEnd && remote.periodEnd > new Date()) {
+        await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED, {
+          plan: remote.plan,
+          periodStart: remote.periodStart,
+          periodEnd: remote.periodEnd
+        });
+      } else if (remote.status === 'canceled' &&
+                 subscriptionLifecycleService.canTransition(user.subscription.status, 'expired')) {
+        await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.EXPIRED);
+      }
+
+      logger.info('결제사 구독 동기화 완료', { userId, provider: providerName, remoteStatus: remote.status });
+
+      return entitlementService.getSubscriptionSummary(user);
+    } catch (error) {
+      logger.error('결제사 구독 동기화 실패', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 결제 환불 (Premium 권한 즉시 회수)
+   */
+  async refundPayment(userId, paymentId, amount) {
+    try {
+      const user = await entitlementService.resolveUser(userId);
+      const lastPayment = await PaymentEvent.findOne({ userId: user._id, paymentId });
+      if (!lastPayment) {
+        throw new Error('환불할 결제 내역을 찾을 수 없습니다.');
+      }
+
+      const refund = await this.getProvider(lastPayment.provider).refund(paymentId, amount);
+      await subscriptionLifecycleService.transition(user, subscriptionLifecycleService.LIFECYCLE_EVENTS.REFUNDED);
+
+      logger.info('결제 환불 완료', { userId, paymentId, refundId: refund.refundId });
+
+      return refund;
+    } catch (error) {
+      logger.error('결제 환불 실패', { error: error.message, userId, paymentId });
+      throw error;
+    }
+  }
+
   /**
    * 구독 상태 조회
    * GET /api/users/me/subscription
@@ -117,35 +473,19 @@ class BillingService {
     try {
       logger.info('구독 상태 조회', { userId });
 
-      const user = await User.findById(userId).select('subscriptionType subscriptionEndDate coins');
+      const user = await User.findById(userId);
       if (!user) {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
+      const summary = entitlementService.getSubscriptionSummary(user);
       const subscription = {
-        type: user.subscriptionType,
-        isActive: user.subscriptionType === 'premium',
-        endDate: user.subscriptionEndDate,
-        coins: user.coins || 0
+        ...summary,
+        type: summary.isPremium ? 'premium' : 'free',
+        isActive: summary.isPremium,
+        endDate: summary.currentPeriodEnd
       };
 
-      // Premium 구독 만료 확인
-      if (user.subscriptionType === 'premium' && user.subscriptionEndDate) {
-        const now = new Date();
-        if (now > user.subscriptionEndDate) {
-          // 구독 만료 처리
-          user.subscriptionType = 'free';
-          user.subscriptionEndDate = null;
-          await user.save();
-          
-          subscription.type = 'free';
-          subscription.isActive = false;
-          subscription.endDate = null;
-
-          logger.info('Premium 구독 만료 처리', { userId });
-        }
-      }
-
       logger.info('구독 상태 조회 완료', { 
         userId, 
         subscriptionType: subscription.type,
@@ -163,7 +503,8 @@ class BillingService {
   }
 
   /**
-   * 구독 취소 (테스트용)
+   * 구독 해지 예약 (현재 이용 기간 종료 시까지 Premium 유지)
+   * POST /api/billing/cancel
    */
   async cancelSubscription(userId) {
     try {
@@ -174,20 +515,23 @@ class BillingService {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!entitlementService.isPremium(user) || user.subscription.cancelAtPeriodEnd) {
         throw new Error('Premium 구독 중이 아닙니다.');
       }
 
-      // 구독 취소 처리
-      user.subscriptionType = 'free';
-      user.subscriptionEndDate = null;
-      await user.save();
+      // 인앱 구독은 스토어 구독 관리 화면에서만 해지 가능
+      if (paymentProviders.storeProviders.includes(user.subscription.provider)) {
+        throw new Error('STORE_MANAGED_SUBSCRIPTION');
+      }
+
+      await subscriptionLifecycleService.cancelAtPeriodEnd(user);
 
-      logger.info('구독 취소 완료', { userId });
+      logger.info('구독 취소 완료', { userId, accessUntil: user.subscription.currentPeriodEnd });
 
       return { 
         success: true, 
-        message: '구독이 취소되었습니다.' 
+        message: '구독이 해지되었습니다. 남은 기간 동안은 Premium을 계속 이용할 수 있습니다.',
+        accessUntil: user.subscription.currentPeriodEnd
       };
     } catch (error) {
       logger.error('구독 취소 실패', { 
@@ -0,0 +1,485 @@
+// backend/src/services/coFocusService.js
+
+const crypto = require('crypto');
+const PomodoroSession = require('../models/PomodoroSession');
+const pomodoroService = require('./pomodoroService');
+const avatarRenderService = require('./avatarRenderService');
+const TimerUtils = require('../utils/timer');
+const logger = require('../utils/logger');
+
+// 방 코드 (헷갈리기 쉬운 0/O, 1/I 제외)
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const MAX_PARTICIPANTS = 10;
+// 연결이 끊긴 참여자를 방에서 내보내기까지 기다리는 시간 (재접속 허용)
+const DISCONNECT_GRACE_MS = 60 * 1000;
+
+/**
+ * 함께 집중하기 (Co-focus) 방 관리
+ * 방 상태는 실시간 서버 메모리에만 보관하고, 각 참여자의 집중/휴식은
+ * 본인의 PomodoroSession으로 생성되어 완료 시 기존 흐름대로 코인이 지급됨
+ */
+class CoFocusService {
+  constructor() {
+    this.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+    this.rooms = new Map();
+    // userId → roomCode (한 사용자는 한 방에만 참여)
+    this.userRooms = new Map();
+    this.namespace = null;
+  }
+
+  /**
+   * 방 상태 변경을 전달할 Socket.IO 네임스페이스 연결
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * 방 생성 (생성한 사용자가 호스트)
+   * @param {Object} user - 사용자 문서
+   * @param {Object} options - { goal, focusMinutes, breakMinutes }
+   */
+  async createRoom(user, options = {}) {
+    const userId = user._id.toString();
+    this.leaveCurrentRoom(userId);
+
+    const code = this.generateRoomCode();
+    const room = {
+      code,
+      hostId: userId,
+      goal: (options.goal || `${user.profileName}님의 함께 집중하기`).trim().slice(0, 100),
+      focusMinutes: options.focusMinutes || TimerUtils.POMODORO_DURATIONS.FOCUS,
+      breakMinutes: options.breakMinutes || TimerUtils.POMODORO_DURATIONS.SHORT_BREAK,
+      phase: null,
+      completedFocusPhases: 0,
+      participants: new Map(),
+      createdAt: new Date()
+    };
+    this.rooms.set(code, room);
+
+    await this.addParticipant(room, user);
+
+    logger.info('함께 집중하기 방 생성', { code, hostId: userId, focusMinutes: room.focusMinutes });
+
+    return room;
+  }
+
+  /**
+   * 방 참여 (이미 참여 중인 방이면 재접속으로 처리)
+   */
+  async joinRoom(user, code) {
+    const userId = user._id.toString();
+    const room = this.rooms.get(String(code || '').toUpperCase());
+    if (!room) {
+      throw new Error('ROOM_NOT_FOUND');
+    }
+
+    const existing = room.participants.get(userId);
+    if (existing) {
+      this.clearDisconnectTimer(existing);
+      existing.connected = true;
+      this.broadcastRoom(room);
+      return room;
+    }
+
+    if (room.participants.size >= MAX_PARTICIPANTS) {
+      throw new Error('ROOM_FULL');
+    }
+
+    this.leaveCurrentRoom(userId);
+    await this.addParticipant(room, user);
+
+    logger.info('함께 집중하기 방 참여', { code: room.code, userId, participants: room.participants.size });
+
+    this.broadcastRoom(room);
+    return room;
+  }
+
+  /**
+   * 참여자 추가 (아바타 이미지는 렌더링 실패 시 프로필 이미지로 대체)
+   */
+  async addParticipant(room, user) {
+    const userId = user._id.toString();
+    let avatarUrl = user.profileImage || null;
+
+    try {
+      const avatar = await avatarRenderService.renderForUser(userId, { size: 128 });
+      avatarUrl = avatar.url;
+    } catch (error) {
+      logger.warn(`함께 집중하기 아바타 렌더링 실패: ${error.message}`, { userId });
+    }
+
+    room.participants.set(userId, {
+      userId,
+      profileName: user.profileName,
+      avatarUrl,
+      status: 'waiting',
+      sessionId: null,
+      // 방에서 진행한 세션은 참여자별 사이클로 묶음
+      cycleId: null,
+      completionTimer: null,
+      disconnectTimer: null,
+      connected: true,
+      lastResult: null,
+      joinedAt: new Date()
+    });
+    this.userRooms.set(userId, room.code);
+  }
+
+  /**
+   * 방 나가기 (호스트가 나가면 가장 먼저 참여한 사람이 호스트가 됨)
+   * 진행 중인 본인 세션은 그대로 두며, 시간이 다 되면 스케줄러가 완료 처리
+   */
+  leaveRoom(userId, code) {
+    const room = this.rooms.get(code);
+    if (!room || !room.participants.has(userId)) {
+      throw new Error('NOT_IN_ROOM');
+    }
+
+    const participant = room.participants.get(userId);
+    this.clearCompletionTimer(participant);
+    this.clearDisconnectTimer(participant);
+    room.participants.delete(userId);
+    this.userRooms.delete(userId);
+
+    if (room.participants.size === 0) {
+      this.rooms.delete(code);
+      logger.info('함께 집중하기 방 종료', { code });
+      return null;
+    }
+
+    if (room.hostId === userId) {
+      room.hostId = room.participants.keys().next().value;
+    }
+
+    logger.info('함께 집중하기 방 나가기', { code, userId, hostId: room.hostId });
+
+    this.checkPhaseCompletion(room);
+    this.broadcastRoom(room);
+    return room;
+  }
+
+  /**
+   * 다른 방에 참여 중이면 먼저 나가기
+   */
+  leaveCurrentRoom(userId) {
+    const code = this.userRooms.get(userId);
+    if (code) {
+      this.leaveRoom(userId, code);
+    }
+  }
+
+  /**
+   * 연결 끊김 처리 (유예 시간 안에 다시 참여하지 않으면 방에서 내보냄)
+   */
+  handleDisconnect(userId) {
+    const code = this.userRooms.get(userId);
+    const room = code && this.rooms.get(code);
+    if (!room) {
+      return;
+    }
+
+    const participant = room.participants.get(userId);
+    participant.connected = false;
+    this.clearDisconnectTimer(participant);
+    participant.disconnectTimer = setTimeout(() => {
+      participant.disconnectTimer = null;
+      if (!participant.connected && this.userRooms.get(userId) === code) {
+        this.leaveRoom(userId, code);
+      }
+    }, DISCONNECT_GRACE_MS);
+
+    this.broadcastRoom(room);
+  }
+
+  /**
+   * 호스트가 모두 함께 하는 집중/휴식 시작
+   * 참여자마다 본인의 포모도로 세션을 생성·시작 (개인 세션이 진행 중인 참여자는 제외)
+   * @param {String} type - focus | break
+   */
+  async startPhase(userId, code, type = 'focus') {
+    const room = this.getRoomForMember(userId, code);
+    if (room.hostId !== userId) {
+      throw new Error('NOT_ROOM_HOST');
+    }
+    if (room.phase) {
+      throw new Error('PHASE_IN_PROGRESS');
+    }
+
+    const duration = type === 'focus' ? room.focusMinutes : room.breakMinutes;
+    const startedAt = new Date();
+    room.phase = {
+      type,
+      duration,
+      startedAt,
+      endsAt: new Date(startedAt.getTime() + TimerUtils.minutesToSeconds(duration) * 1000)
+    };
+
+    for (const participant of room.participants.values()) {
+      await this.startParticipantSession(room, participant);
+    }
+
+    logger.info('함께 집중하기 시작', {
+      code,
+      type,
+      duration,
+      participants: room.participants.size
+    });
+
+    this.checkPhaseCompletion(room);
+    this.broadcastRoom(room);
+    return room;
+  }
+
+  /**
+   * 참여자 본인의 세션 생성·시작
+   */
+  async startParticipantSession(room, participant) {
+    participant.lastResult = null;
+
+    try {
+      const session = await pomodoroService.createSession(participant.userId, {
+        goal: room.goal,
+        type: room.phase.type,
+        duration: room.phase.duration,
+        cycleId: participant.cycleId
+      });
+      await pomodoroService.startSession(participant.userId, session._id);
+
+      participant.sessionId = session._id.toString();
+      participant.cycleId = session.cycleId;
+      participant.status = room.phase.type === 'focus' ? 'focusing' : 'break';
+      this.scheduleCompletion(room, participant, session);
+    } catch (error) {
+      // 개인 세션이 이미 진행 중이면 이번 차례는 참여하지 않음
+      logger.warn(`함께 집중하기 참여자 세션 시작 실패: ${error.message}`, {
+        code: room.code,
+        userId: participant.userId
+      });
+      participant.sessionId = null;
+      participant.status = 'busy';
+      this.emitToUser(participant.userId, 'cofocus:error', {
+        error: 'SESSION_START_FAILED',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * 참여자 일시정지
+   */
+  async pauseParticipant(userId, code) {
+    const room = this.getRoomForMember(userId, code);
+    const participant = this.getActiveParticipant(room, userId);
+
+    await pomodoroService.pauseSession(userId, participant.sessionId);
+    this.clearCompletionTimer(participant);
+    participant.status = 'paused';
+
+    this.broadcastRoom(room);
+    return room;
+  }
+
+  /**
+   * 참여자 재개 (남은 시간 기준으로 완료 예약)
+   */
+  async resumeParticipant(userId, code) {
+    const room = this.getRoomForMember(userId, code);
+    const participant = this.getActiveParticipant(room, userId);
+
+    const session = await pomodoroService.resumeSession(userId, participant.sessionId);
+    participant.status = session.type === 'focus' ? 'focusing' : 'break';
+    this.scheduleCompletion(room, participant, session);
+
+    this.broadcastRoom(room);
+    return room;
+  }
+
+  /**
+   * 세션 종료 시각에 완료 처리 예약
+   */
+  scheduleCompletion(room, participant, session) {
+    this.clearCompletionTimer(participant);
+
+    const { remainingSeconds } = pomodoroService.getTimerState(session);
+    participant.completionTimer = setTimeout(() => {
+      participant.completionTimer = null;
+      this.completeParticipant(room, participant).catch(error => {
+        logger.error(`함께 집중하기 세션 완료 실패: ${error.message}`, {
+          code: room.code,
+          userId: participant.userId
+        });
+      });
+    }, remainingSeconds * 1000);
+  }
+
+  /**
+   * 참여자 세션 완료 (코인 지급 등은 pomodoroService 완료 흐름 그대로)
+   */
+  async completeParticipant(room, participant) {
+    const session = await PomodoroSession.findOne({ _id: participant.sessionId, userId: participant.userId });
+    if (!session) {
+      participant.status = 'waiting';
+      participant.sessionId = null;
+      this.checkPhaseCompletion(room);
+      return;
+    }
+
+    // 스케줄러가 먼저 완료한 경우에는 결과 없이 상태만 갱신
+    const result = await pomodoroService.settleExpiredSession(session);
+    if (!result && !session.isCompleted && session.status !== 'completed') {
+      // 타이머 오차로 아직 만료 전이면 남은 시간 후 다시 시도
+      if (session.status === 'running') {
+        this.scheduleCompletion(room, participant, session);
+      }
+      return;
+    }
+
+    participant.status = 'done';
+    participant.lastResult = result;
+    this.emitToUser(participant.userId, 'cofocus:completed', { code: room.code, result });
+
+    this.checkPhaseCompletion(room);
+    this.broadcastRoom(room);
+  }
+
+  /**
+   * 모든 참여자가 완료했거나 참여하지 않으면 현재 차례 종료
+   */
+  checkPhaseCompletion(room) {
+    if (!room.phase || !this.rooms.has(room.code)) {
+      return;
+    }
+
+    const inProgress = [...room.participants.values()]
+      .some(participant => ['focusing', 'break', 'paused'].includes(participant.status));
+    if (inProgress) {
+      return;
+    }
+
+    const endedType = room.phase.type;
+    if (endedType === 'focus') {
+      room.completedFocusPhases++;
+    }
+    room.phase = null;
+
+    for (const participant of room.participants.values()) {
+      participant.status = 'waiting';
+      participant.sessionId = null;
+    }
+
+    logger.info('함께 집중하기 차례 종료', { code: room.code, type: endedType });
+
+    if (this.namespace) {
+      this.namespace.to(this.getChannel(room.code)).emit('cofocus:phase-ended', {
+        code: room.code,
+        type: endedType,
+        nextType: endedType === 'focus' ? 'break' : 'focus',
+        completedFocusPhases: room.completedFocusPhases
+      });
+    }
+  }
+
+  /**
+   * 방 참여자인지 확인 후 방 반환
+   */
+  getRoomForMember(userId, code) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      throw new Error('ROOM_NOT_FOUND');
+    }
+    if (!room.participants.has(userId)) {
+      throw new Error('NOT_IN_ROOM');
+    }
+    return room;
+  }
+
+  /**
+   * 현재 차례에 세션이 있는 참여자
+   */
+  getActiveParticipant(room, userId) {
+    const participant = room.participants.get(userId);
+    if (!room.phase || !participant.sessionId) {
+      throw new Error('NO_ACTIVE_SESSION');
+    }
+    return participant;
+  }
+
+  /**
+   * 앱에 전달할 방 상태
+   */
+  toRoomState(room) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      goal: room.goal,
+      focusMinutes: room.focusMinutes,
+      breakMinutes: room.breakMinutes,
+      phase: room.phase,
+      completedFocusPhases: room.completedFocusPhases,
+      participants: [...room.participants.values()].map(participant => ({
+        userId: participant.userId,
+        profileName: participant.profileName,
+        avatarUrl: participant.avatarUrl,
+        status: participant.status,
+        sessionId: participant.sessionId,
+        connected: participant.connected,
+        isHost: participant.userId === room.hostId
+      })),
+      serverTime: new Date()
+    };
+  }
+
+  /**
+   * 방 전체에 상태 전달
+   */
+  broadcastRoom(room) {
+    if (this.namespace && this.rooms.has(room.code)) {
+      this.namespace.to(this.getChannel(room.code)).emit('cofocus:room', this.toRoomState(room));
+    }
+  }
+
+  /**
+   * 특정 사용자에게만 전달 (연결 시 사용자 채널에 참여)
+   */
+  emitToUser(userId, event, payload) {
+    if (this.namespace) {
+      this.namespace.to(this.getUserChannel(userId)).emit(event, payload);
+    }
+  }
+
+  getChannel(code) {
+    return `room:${code}`;
+  }
+
+  getUserChannel(userId) {
+    return `user:${userId}`;
+  }
+
+  clearCompletionTimer(participant) {
+    if (participant.completionTimer) {
+      clearTimeout(participant.completionTimer);
+      participant.completionTimer = null;
+    }
+  }
+
+  clearDisconnectTimer(participant) {
+    if (participant.disconnectTimer) {
+      clearTimeout(participant.disconnectTimer);
+      participant.disconnectTimer = null;
+    }
+  }
+
+  generateRoomCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH))
+        .map(byte => ROOM_CODE_CHARS[byte % ROOM_CODE_CHARS.length])
+        .join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+}
+
+module.exports = new CoFocusService();
@@ -2,89 +2,250 @@
  * 코인 시스템 서비스
  * Premium 사용자의 코인 적립/소모 관리
  * 
- * 코인 지급 조건:
- * - 포모도로 1 사이클 완료 (1일 1회)
- * - 하루 모든 Task 완료
- * - 망각방지 알림 전체 완료
+ * 어떤 활동에 몇 코인을 줄지(지급량, 일/주 한도, 배율)는 rewardEngine의 보상 규칙이 정하고,
+ * 이 서비스는 잔액과 거래 내역 반영만 담당합니다.
+ *
+ * 잔액(User.coins)과 거래 내역(CoinTransaction)은 항상 applyLedgerEntry를 거쳐
+ * 하나의 트랜잭션으로 함께 반영합니다. 잔액은 조건부 $inc로만 변경하므로
+ * 동시 요청에도 음수가 되지 않습니다.
+ * (트랜잭션을 지원하지 않는 단독 MongoDB 개발 환경에서는 보상 쓰기로 대체하며,
+ *  남는 불일치는 reconcileBalances 작업이 찾아냅니다)
  */
 
+const mongoose = require('mongoose');
 const CoinTransaction = require('../models/CoinTransaction');
 const User = require('../models/User');
+const entitlementService = require('./entitlementService');
+const eventStreamService = require('./eventStreamService');
 const logger = require('../utils/logger');
 
+const STATS_PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+// 드리프트 상세 보고 최대 건수
+const RECONCILE_REPORT_LIMIT = 100;
+
+// 거래 내역 기준 잔액 (적립은 +, 그 외는 -)
+const LEDGER_BALANCE_SUM = {
+  $sum: { $cond: [{ $eq: ['$type', 'earn'] }, '$amount', { $multiply: ['$amount', -1] }] }
+};
+
 class CoinService {
   /**
-   * 코인 지급 (Premium 전용)
+   * 로컬 날짜 키 (YYYY-MM-DD)
+   */
+  getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * 트랜잭션 안에서 작업 실행
+   * @param {Function} work - async (session) => result
+   * @param {ClientSession} session - 호출자가 이미 연 세션 (있으면 그대로 사용)
    */
-  async awardCoins(userId, reason, description = '', amount = 1) {
+  async runInTransaction(work, session = null) {
+    if (session) {
+      return work(session);
+    }
+
+    const transactionSession = await mongoose.startSession();
     try {
-      // 사용자 확인 (Premium 전용)
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('사용자를 찾을 수 없습니다.');
+      let result;
+      await transactionSession.withTransaction(async () => {
+        result = await work(transactionSession);
+      });
+      return result;
+    } catch (error) {
+      if (!this.isTransactionUnsupported(error)) {
+        throw error;
       }
 
-      if (user.subscriptionType !== 'premium') {
-        throw new Error('Premium 구독이 필요한 기능입니다.');
+      logger.warn('MongoDB 트랜잭션 미지원 환경 - 보상 쓰기로 코인 반영', { error: error.message });
+      return work(null);
+    } finally {
+      await transactionSession.endSession();
+    }
+  }
+
+  /**
+   * 단독(standalone) MongoDB에서 트랜잭션을 시작할 때 발생하는 오류 여부
+   */
+  isTransactionUnsupported(error) {
+    return error.code === 20 ||
+      /Transaction numbers are only allowed on a replica set member or mongos/.test(error.message);
+  }
+
+  /**
+   * 잔액 변경 + 거래 기록 (코인 원장 쓰기의 유일한 진입점)
+   * @param {String} userId - 사용자 ID
+   * @param {Object} entry - { type, amount, reason, description, relatedId, relatedType, metadata }
+   * @param {Object} options - { idempotencyKey, requestKey, session }
+   * @returns {Object} { transaction, newBalance, duplicate, replayed }
+   */
+  async applyLedgerEntry(userId, entry, options = {}) {
+    const { idempotencyKey = null, requestKey = null, session = null } = options;
+
+    const findDuplicate = async (querySession) => {
+      const conditions = [];
+      if (requestKey) conditions.push({ requestKey });
+      if (idempotencyKey) conditions.push({ idempotencyKey });
+      if (conditions.length === 0) return null;
+
+      const existing = await CoinTransaction.findOne({ userId, $or: conditions }).session(querySession);
+      if (!existing) return null;
+
+      return {
+        transaction: existing,
+        newBalance: existing.balanceAfter,
+        duplicate: true,
+        // 같은 요청의 재전송인지 (아니면 일일 제한 등 다른 요청과의 충돌)
+        replayed: !!requestKey && existing.requestKey === requestKey
+      };
+    };
+
+    const write = async (transactionSession) => {
+      const duplicate = await findDuplicate(transactionSession);
+      if (duplicate) {
+        return duplicate;
+      }
+
+      const delta = entry.type === 'earn' ? entry.amount : -entry.amount;
+      const filter = { _id: userId };
+      if (delta < 0) {
+        filter.coins = { $gte: entry.amount };
       }
 
-      // 중복 지급 방지 (하루 1회 제한이 있는 경우)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      const user = await User.findOneAndUpdate(
+        filter,
+        { $inc: { coins: delta } },
+        { new: true, session: transactionSession, projection: { coins: 1 } }
+      );
 
-      const dailyLimitReasons = ['pomodoro_cycle', 'daily_tasks', 'reminder_complete'];
-      
-      if (dailyLimitReasons.includes(reason)) {
-        const existingTransaction = await CoinTransaction.findOne({
+      if (!user) {
+        const exists = await User.exists({ _id: userId }).session(transactionSession);
+        throw new Error(exists ? '코인이 부족합니다.' : '사용자를 찾을 수 없습니다.');
+      }
+
+      try {
+        const [transaction] = await CoinTransaction.create([{
           userId,
-          reason,
-          createdAt: {
-            $gte: today,
-            $lt: tomorrow
-          }
+          type: entry.type,
+          amount: entry.amount,
+          reason: entry.reason,
+          description: entry.description,
+          balanceAfter: user.coins,
+          relatedId: entry.relatedId || null,
+          relatedType: entry.relatedType || 'other',
+          metadata: entry.metadata,
+          idempotencyKey: idempotencyKey || undefined,
+          requestKey: requestKey || undefined
+        }], { session: transactionSession });
+
+        return { transaction, newBalance: user.coins, duplicate: false, replayed: false };
+      } catch (error) {
+        // 트랜잭션이 없으면 잔액 변경을 직접 되돌림
+        if (!transactionSession) {
+          await User.updateOne({ _id: userId }, { $inc: { coins: -delta } });
+        }
+        throw error;
+      }
+    };
+
+    try {
+      const result = await this.runInTransaction(write, session);
+
+      // 다른 기기의 잔액 표시 갱신 (호출자 트랜잭션에 포함된 경우 커밋 전에 전달될 수 있어
+      // 앱은 이 이벤트를 잔액 재조회 신호로 사용)
+      if (!result.duplicate) {
+        eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.COINS_CHANGED, {
+          type: entry.type,
+          amount: entry.amount,
+          reason: entry.reason,
+          balance: result.newBalance
         });
+      }
 
-        if (existingTransaction) {
-          logger.warn('이미 오늘 코인을 지급받았습니다', { 
-            userId, 
-            reason, 
-            existingAmount: existingTransaction.amount 
-          });
-          return null; // 중복 지급 방지
+      return result;
+    } catch (error) {
+      // 동시에 들어온 같은 키의 요청이 먼저 반영된 경우 (호출자 세션은 이미 중단되었으므로 전파)
+      if (error.code === 11000 && !session) {
+        const duplicate = await findDuplicate(null);
+        if (duplicate) {
+          return duplicate;
         }
       }
+      throw error;
+    }
+  }
+
+  /**
+   * 코인 지급 (Premium 전용)
+   * @param {Object} options
+   * @param {String} options.idempotencyKey - 클라이언트 요청 키 (재요청이면 이전 결과 반환)
+   * @param {String} options.ledgerKey - 원장 중복 방지 키 (이미 사용된 키면 지급하지 않고 null 반환)
+   * @param {ObjectId} options.relatedId / options.relatedType - 관련 엔티티
+   * @param {Object} options.metadata - 거래 부가 정보
+   * @param {ClientSession} options.session - 호출자 트랜잭션 세션
+   * @returns {Object|null} 지급 결과 (ledgerKey가 이미 사용되었으면 null)
+   */
+  async awardCoins(userId, reason, description = '', amount = 1, options = {}) {
+    try {
+      // 사용자 확인 (Premium 전용)
+      const user = await User.findById(userId).session(options.session || null);
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
 
-      // 코인 거래 생성
-      const transaction = new CoinTransaction({
-        userId,
+      if (!entitlementService.isPremium(user)) {
+        throw new Error('Premium 구독이 필요한 기능입니다.');
+      }
+
+      const requestKey = options.idempotencyKey || null;
+
+      const result = await this.applyLedgerEntry(userId, {
         type: 'earn',
         amount,
         reason,
         description,
-        balanceAfter: user.coins + amount
+        relatedId: options.relatedId,
+        relatedType: options.relatedType,
+        metadata: options.metadata
+      }, {
+        idempotencyKey: options.ledgerKey || requestKey,
+        requestKey,
+        session: options.session
       });
 
-      await transaction.save();
-
-      // 사용자 코인 잔액 업데이트
-      user.coins += amount;
-      await user.save();
+      if (result.duplicate && !result.replayed) {
+        logger.warn('이미 지급된 코인입니다', { 
+          userId, 
+          reason, 
+          ledgerKey: options.ledgerKey,
+          existingAmount: result.transaction.amount 
+        });
+        return null; // 중복 지급 방지
+      }
 
       logger.info('코인 지급 완료', { 
         userId, 
         reason, 
         amount, 
-        newBalance: user.coins 
+        newBalance: result.newBalance,
+        duplicate: result.duplicate
       });
 
       return {
-        amount,
+        amount: result.transaction.amount,
         reason,
-        description,
-        newBalance: user.coins,
-        transaction: transaction._id
+        description: result.transaction.description,
+        newBalance: result.newBalance,
+        transaction: result.transaction._id,
+        duplicate: result.duplicate
       };
 
     } catch (error) {
@@ -100,53 +261,52 @@ class CoinService {
 
   /**
    * 코인 소모 (아이템 구매 등)
+   * @param {Object} options - { idempotencyKey, relatedId, relatedType, metadata, session }
    */
-  async spendCoins(userId, amount, reason, description = '') {
+  async spendCoins(userId, amount, reason, description = '', options = {}) {
     try {
       // 사용자 확인
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).session(options.session || null);
       if (!user) {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!entitlementService.isPremium(user)) {
         throw new Error('Premium 구독이 필요한 기능입니다.');
       }
 
-      // 잔액 확인
-      if (user.coins < amount) {
-        throw new Error(`코인이 부족합니다. (보유: ${user.coins}, 필요: ${amount})`);
-      }
+      const requestKey = options.idempotencyKey || null;
 
-      // 코인 거래 생성
-      const transaction = new CoinTransaction({
-        userId,
+      // 잔액 확인은 조건부 $inc로 원자적으로 처리
+      const result = await this.applyLedgerEntry(userId, {
         type: 'spend',
         amount,
         reason,
         description,
-        balanceAfter: user.coins - amount
+        relatedId: options.relatedId,
+        relatedType: options.relatedType,
+        metadata: options.metadata
+      }, {
+        idempotencyKey: requestKey,
+        requestKey,
+        session: options.session
       });
 
-      await transaction.save();
-
-      // 사용자 코인 잔액 업데이트
-      user.coins -= amount;
-      await user.save();
-
       logger.info('코인 소모 완료', { 
         userId, 
         reason, 
         amount, 
-        newBalance: user.coins 
+        newBalance: result.newBalance,
+        duplicate: result.duplicate
       });
 
       return {
-        amount,
+        amount: result.transaction.amount,
         reason,
-        description,
-        newBalance: user.coins,
-        transaction: transaction._id
+        description: result.transaction.description,
+        newBalance: result.newBalance,
+        transaction: result.transaction._id,
+        duplicate: result.duplicate
       };
 
     } catch (error) {
@@ -160,6 +320,14 @@ class CoinService {
     }
   }
 
+  /**
+   * 같은 Idempotency-Key로 이미 처리된 거래 조회
+   */
+  async findByRequestKey(userId, requestKey) {
+    if (!requestKey) return null;
+    return CoinTransaction.findOne({ userId, requestKey });
+  }
+
   /**
    * 코인 잔액 조회
    */
@@ -170,7 +338,7 @@ class CoinService {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!entitlementService.isPremium(user)) {
         return { balance: 0, isPremium: false };
       }
 
@@ -286,41 +454,289 @@ class CoinService {
   }
 
   /**
-   * 코인 획득 가능 여부 확인 (일일 제한)
+   * 코인 잔액 + 누적 적립/사용량 조회 (/api/coins)
    */
-  async canEarnToday(userId, reason) {
+  async getCoinBalance(userId) {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      const dailyLimitReasons = ['pomodoro_cycle', 'daily_tasks', 'reminder_complete'];
-      
-      if (!dailyLimitReasons.includes(reason)) {
-        return true; // 제한 없는 코인은 항상 획득 가능
+      const user = await User.findById(userId).select('coins');
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      const existingTransaction = await CoinTransaction.findOne({
-        userId,
-        reason,
-        createdAt: {
-          $gte: today,
-          $lt: tomorrow
-        }
+      const totals = await CoinTransaction.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: '$type', totalAmount: { $sum: '$amount' } } }
+      ]);
+
+      const totalOf = (type) => (totals.find(t => t._id === type) || { totalAmount: 0 }).totalAmount;
+
+      return {
+        balance: user.coins,
+        totalEarned: totalOf('earn'),
+        totalSpent: totalOf('spend')
+      };
+
+    } catch (error) {
+      logger.error('코인 잔액 조회 실패', { 
+        error: error.message, 
+        userId 
       });
+      throw error;
+    }
+  }
+
+  /**
+   * 코인 거래 내역 페이지 조회 (/api/coins/transactions)
+   * @param {Object} options - { page, limit, type: earn | spend | all }
+   */
+  async getCoinTransactions(userId, { page = 1, limit = 20, type = 'all' } = {}) {
+    try {
+      const query = { userId };
+      if (type && type !== 'all') {
+        query.type = type;
+      }
+
+      const [data, total] = await Promise.all([
+        CoinTransaction.getUserTransactions(userId, { type: query.type || null, limit, page }),
+        CoinTransaction.countDocuments(query)
+      ]);
 
-      return !existingTransaction;
+      return { data, total };
 
     } catch (error) {
-      logger.error('코인 획득 가능 여부 확인 실패', { 
+      logger.error('코인 거래 내역 조회 실패', { 
+        error: error.message, 
+        userId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 기간별 코인 통계 (/api/coins/stats)
+   * @param {String} period - week | month | year
+   */
+  async getCoinStats(userId, period = 'month') {
+    try {
+      const days = STATS_PERIOD_DAYS[period] || STATS_PERIOD_DAYS.month;
+      const since = new Date();
+      since.setHours(0, 0, 0, 0);
+      since.setDate(since.getDate() - (days - 1));
+
+      const match = {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: since }
+      };
+
+      const [byReason, byDay] = await Promise.all([
+        CoinTransaction.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: { type: '$type', reason: '$reason' },
+              totalAmount: { $sum: '$amount' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { totalAmount: -1 } }
+        ]),
+        CoinTransaction.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: {
+                date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                type: '$type'
+              },
+              totalAmount: { $sum: '$amount' }
+            }
+          },
+          { $sort: { '_id.date': 1 } }
+        ])
+      ]);
+
+      const sumOf = (type) => byReason
+        .filter(group => group._id.type === type)
+        .reduce((sum, group) => sum + group.totalAmount, 0);
+
+      const toBreakdown = (type) => byReason
+        .filter(group => group._id.type === type)
+        .map(group => ({ reason: group._id.reason, amount: group.totalAmount, count: group.count }));
+
+      const trends = byDay.reduce((result, group) => {
+        const day = result.find(item => item.date === group._id.date);
+        const target = day || { date: group._id.date, earned: 0, spent: 0 };
+        if (group._id.type === 'earn') target.earned += group.totalAmount;
+        if (group._id.type === 'spend') target.spent += group.totalAmount;
+        if (!day) result.push(target);
+        return result;
+      }, []);
+
+      const totalEarned = sumOf('earn');
+
+      return {
+        totalEarned,
+        totalSpent: sumOf('spend'),
+        dailyAverage: Math.round((totalEarned / days) * 100) / 100,
+        topEarningSources: toBreakdown('earn'),
+        spendingBreakdown: toBreakdown('spend'),
+        trends
+      };
+
+    } catch (error) {
+      logger.error('코인 통계 조회 실패', { 
         error: error.message, 
         userId, 
-        reason 
+        period 
       });
       throw error;
     }
   }
+
+  /**
+   * 거래 내역 기준 잔액 재계산 및 불일치(드리프트) 보고
+   * @param {Object} options
+   * @param {Boolean} options.fix - 불일치를 바로잡을지 여부 (기본: 보고만)
+   * @param {String} options.strategy - 바로잡는 방식
+   *   - ledger: 잔액을 거래 내역 합계로 재구성 (기본)
+   *   - adjust: 현재 잔액을 유지하고 차이만큼 admin_adjustment 거래를 기록
+   *     (원장 도입 전 적립분처럼 거래 내역 없이 쌓인 잔액을 원장에 반영할 때 사용)
+   * @returns {Object} 점검 결과
+   */
+  async reconcileBalances({ fix = false, strategy = 'ledger' } = {}) {
+    if (!['ledger', 'adjust'].includes(strategy)) {
+      throw new Error(`알 수 없는 보정 방식입니다: ${strategy}`);
+    }
+
+    try {
+      logger.info('코인 잔액 대사 시작', { fix, strategy });
+
+      const ledgerTotals = await CoinTransaction.aggregate([
+        {
+          $group: {
+            _id: '$userId',
+            balance: LEDGER_BALANCE_SUM
+          }
+        }
+      ]);
+      const ledgerBalances = new Map(ledgerTotals.map(total => [total._id.toString(), total.balance]));
+
+      const report = {
+        checkedUsers: 0,
+        driftedUsers: 0,
+        totalDrift: 0,
+        fixedUsers: 0,
+        drifts: []
+      };
+
+      const cursor = User.find({}).select('coins').lean().cursor();
+
+      for await (const user of cursor) {
+        report.checkedUsers += 1;
+
+        if ((user.coins || 0) === (ledgerBalances.get(user._id.toString()) || 0)) {
+          continue;
+        }
+
+        // 전체 합계를 구한 뒤 반영된 적립/사용일 수 있으므로 이 사용자만 다시 계산해 확인
+        const current = await this.getLedgerState(user._id);
+        if (!current || current.balance === current.ledgerBalance) {
+          continue;
+        }
+
+        const { balance: actual, ledgerBalance: expected } = current;
+        const drift = actual - expected;
+
+        report.driftedUsers += 1;
+        report.totalDrift += Math.abs(drift);
+        if (report.drifts.length < RECONCILE_REPORT_LIMIT) {
+          report.drifts.push({ userId: user._id, balance: actual, ledgerBalance: expected, drift });
+        }
+
+        logger.warn('코인 잔액 불일치 발견', { userId: user._id, balance: actual, ledgerBalance: expected, drift });
+
+        if (fix && await this.fixDrift(user._id, strategy)) {
+          report.fixedUsers += 1;
+        }
+      }
+
+      logger.info('코인 잔액 대사 완료', {
+        checkedUsers: report.checkedUsers,
+        driftedUsers: report.driftedUsers,
+        totalDrift: report.totalDrift,
+        fixedUsers: report.fixedUsers
+      });
+
+      return report;
+
+    } catch (error) {
+      logger.error('코인 잔액 대사 실패', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 사용자 한 명의 현재 잔액과 거래 내역 합계
+   * @param {ClientSession} session - 같은 트랜잭션 안에서 읽을 때 전달
+   * @returns {Object|null} { balance, ledgerBalance } (사용자가 없으면 null)
+   */
+  async getLedgerState(userId, session = null) {
+    const user = await User.findById(userId).select('coins').session(session).lean();
+    if (!user) {
+      return null;
+    }
+
+    const [total] = await CoinTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, balance: LEDGER_BALANCE_SUM } }
+    ]).session(session);
+
+    return { balance: user.coins || 0, ledgerBalance: total ? total.balance : 0 };
+  }
+
+  /**
+   * 사용자 한 명의 잔액 불일치 보정
+   * 대사 시작 시점의 합계가 아니라 보정하는 트랜잭션 안에서 잔액과 거래 내역 합계를 다시 읽어 사용
+   * @returns {Boolean} 보정 여부
+   */
+  async fixDrift(userId, strategy) {
+    try {
+      return await this.runInTransaction(async (session) => {
+        const current = await this.getLedgerState(userId, session);
+        if (!current || current.balance === current.ledgerBalance) {
+          return false;
+        }
+
+        const { balance, ledgerBalance } = current;
+
+        if (strategy === 'adjust') {
+          const drift = balance - ledgerBalance;
+          await CoinTransaction.create([{
+            userId,
+            type: drift > 0 ? 'earn' : 'spend',
+            amount: Math.abs(drift),
+            reason: 'admin_adjustment',
+            description: '코인 잔액 대사 보정',
+            balanceAfter: balance
+          }], { session });
+          return true;
+        }
+
+        // 거래 내역 합계가 음수이면 0으로 맞추고 보고에 남김
+        // (트랜잭션 미지원 환경에서 읽은 뒤 잔액이 바뀌었으면 건너뛰고 다음 대사에서 다시 확인)
+        const result = await User.updateOne(
+          { _id: userId, coins: balance },
+          { $set: { coins: Math.max(ledgerBalance, 0) } },
+          { session }
+        );
+        return result.modifiedCount === 1;
+      });
+
+    } catch (error) {
+      logger.error('코인 잔액 보정 실패', { error: error.message, userId, strategy });
+      return false;
+    }
+  }
 }
 
 module.exports = new CoinService();
@@ -2,8 +2,31 @@ const UserInventory = require('../models/UserInventory');
 const ShopItem = require('../models/ShopItem');
 const CoinTransaction = require('../models/CoinTransaction');
 const User = require('../models/User');
+const coinService = require('./coinService');
+const mysteryBoxService = require('./mysteryBoxService');
+const eventStreamService = require('./eventStreamService');
 const logger = require('../utils/logger');
 
+// '곧 출시' 피드 노출 기간 (announceDate가 없는 한정 아이템)
+const COMING_SOON_DAYS = 7;
+
+// '곧 종료' 피드 노출 기간
+const ENDING_SOON_HOURS = 72;
+
+// 구매 후 환불 가능 기간 (한 번도 착용하지 않은 아이템만)
+const REFUND_WINDOW_HOURS = parseInt(process.env.ITEM_REFUND_WINDOW_HOURS) || 24;
+
+// 되팔기 시 돌려받는 비율 (구매 가격 기준)
+const SELL_BACK_RATE = parseFloat(process.env.ITEM_SELL_BACK_RATE) || 0.3;
+
+// 판매 상태별 구매 실패 메시지
+const UNAVAILABLE_MESSAGES = {
+  inactive: '아이템을 찾을 수 없습니다',
+  upcoming: '아직 판매가 시작되지 않은 아이템입니다',
+  ended: '판매가 종료된 아이템입니다',
+  sold_out: '품절된 아이템입니다'
+};
+
 /**
  * 커스터마이징 서비스
  * 오분이 아이템 구매, 착용, 관리 기능 제공
@@ -45,10 +68,17 @@ class CustomizationService {
       
       logger.info(`사용자 인벤토리 조회 완료: ${userId}, 보유 아이템: ${stats.totalItems}개`);
       
+      const now = new Date();
+      
       return {
         inventory,
         stats,
-        equippedItems: inventory.getEquippedItems()
+        equippedItems: inventory.getEquippedItems(),
+        // 아이템별 환불/되팔기 가능 여부
+        returnOptions: inventory.items.map(entry => ({
+          itemId: entry.itemId && entry.itemId._id ? entry.itemId._id : entry.itemId,
+          ...this.getReturnOptions(entry, now)
+        }))
       };
       
     } catch (error) {
@@ -89,11 +119,21 @@ class CustomizationService {
       const inventory = await UserInventory.findOne({ userId });
       const ownedItemIds = inventory ? inventory.items.map(item => item.itemId.toString()) : [];
       
-      // 아이템에 소유 여부 추가
-      const itemsWithOwnership = items.map(item => ({
-        ...item,
-        isOwned: ownedItemIds.includes(item._id.toString())
-      }));
+      // 아이템에 소유 여부와 판매 상태 추가 (소모성 아이템은 보유 수량)
+      const itemsWithOwnership = items.map(rawItem => {
+        const item = { ...rawItem, ...this.getSaleInfo(rawItem) };
+        
+        if (item.category === 'consumable') {
+          const consumable = UserInventory.CONSUMABLES[item.type];
+          const ownedQuantity = inventory && consumable ? inventory.get(consumable.field) || 0 : 0;
+          return { ...item, isOwned: false, ownedQuantity, maxQuantity: consumable ? consumable.max : null };
+        }
+        
+        return {
+          ...item,
+          isOwned: ownedItemIds.includes(item._id.toString())
+        };
+      });
       
       logger.info(`상점 아이템 조회 완료: ${items.length}개`);
       
@@ -116,16 +156,110 @@ class CustomizationService {
   
   /**
    * 아이템 구매
+   * 재고/1인당 구매 수량 차감, 코인 차감, 거래 기록, 인벤토리 추가를 하나의 트랜잭션으로 처리
+   * 할인 중이면 할인가로 결제
+   * @param {Object} options - { idempotencyKey } 같은 키로 재요청하면 이전 구매 결과를 반환
    */
-  async purchaseItem(userId, itemId) {
+  async purchaseItem(userId, itemId, options = {}) {
     try {
       logger.info(`아이템 구매 시작: 사용자=${userId}, 아이템=${itemId}`);
       
-      const result = await UserInventory.purchaseItem(userId, itemId);
+      const item = await ShopItem.findById(itemId);
+      if (!item || !item.isActive) {
+        throw new Error('아이템을 찾을 수 없습니다');
+      }
+      
+      // 선물 상자는 구매 즉시 개봉
+      if (item.type === 'mystery_box') {
+        return await mysteryBoxService.purchaseAndOpen(userId, item, options);
+      }
       
-      logger.info(`아이템 구매 완료: 사용자=${userId}, 아이템=${itemId}, 잔여코인=${result.remainingCoins}`);
+      // 소모성 아이템(스트릭 프리즈 등)은 보유 목록 대신 수량으로 관리하며 여러 번 구매 가능
+      const isConsumable = item.category === 'consumable';
       
-      return result;
+      // 인벤토리가 없으면 미리 생성 (트랜잭션 안에서는 조건부 업데이트만 수행)
+      const currentInventory = await UserInventory.findOrCreateByUserId(userId);
+      if (!isConsumable && currentInventory.hasItem(item._id)) {
+        // 같은 Idempotency-Key의 재요청이면 아래에서 이전 결과를 그대로 반환
+        const previousPurchase = await coinService.findByRequestKey(userId, options.idempotencyKey);
+        if (!previousPurchase) {
+          throw new Error('이미 보유하고 있는 아이템입니다');
+        }
+      }
+      
+      const price = item.finalPrice;
+      const perUserLimit = item.isLimited ? item.limitedInfo.perUserLimit : null;
+      
+      const result = await coinService.runInTransaction(async (session) => {
+        // 재고는 결제 전에 먼저 확보 (트랜잭션이 없으면 실패 시 직접 되돌림)
+        const reserved = await ShopItem.reservePurchase(item, price, session);
+        if (!reserved) {
+          const current = await ShopItem.findById(item._id).session(session);
+          const status = current ? current.getAvailabilityStatus() : 'inactive';
+          throw new Error(UNAVAILABLE_MESSAGES[status] || UNAVAILABLE_MESSAGES.sold_out);
+        }
+        
+        let limitReserved = false;
+        const release = async () => {
+          await ShopItem.releasePurchase(item, price, session);
+          if (limitReserved) {
+            await UserInventory.releaseLimitedPurchase(userId, item._id, session);
+          }
+        };
+        
+        try {
+          if (perUserLimit) {
+            limitReserved = !!(await UserInventory.reserveLimitedPurchase(userId, item._id, perUserLimit, session));
+            if (!limitReserved) {
+              throw new Error(`1인당 구매 가능 수량(${perUserLimit}개)을 초과했습니다`);
+            }
+          }
+          
+          const payment = await coinService.spendCoins(userId, price, 'item_purchase', `아이템 구매: ${item.name}`, {
+            idempotencyKey: options.idempotencyKey,
+            relatedId: item._id,
+            relatedType: 'shop_item',
+            session
+          });
+          
+          if (payment.duplicate) {
+            await release();
+            return payment;
+          }
+          
+          if (isConsumable) {
+            const inventory = await UserInventory.addConsumable(userId, item.type, session);
+            if (!inventory) {
+              throw new Error('최대 보유 수량을 초과했습니다');
+            }
+            return { ...payment, inventory };
+          }
+          
+          const inventory = await UserInventory.addPurchasedItem(userId, item._id, price, payment.transaction, session);
+          if (!inventory) {
+            throw new Error('이미 보유하고 있는 아이템입니다');
+          }
+          
+          return { ...payment, inventory };
+          
+        } catch (error) {
+          if (!session) {
+            await release();
+          }
+          throw error;
+        }
+      });
+      
+      logger.info(`아이템 구매 완료: 사용자=${userId}, 아이템=${itemId}, 가격=${price}, 잔여코인=${result.newBalance}`);
+      
+      return {
+        item,
+        coinSpent: result.amount,
+        remainingCoins: result.newBalance,
+        transaction: result.transaction,
+        inventory: result.inventory || null,
+        duplicate: result.duplicate
+      };
       
     } catch (error) {
       logger.error(`아이템 구매 실패: 사용자=${userId}, 아이템=${itemId}`, error);
@@ -133,19 +267,317 @@ class CustomizationService {
     }
   }
   
+  /**
+   * 보유 항목의 환불/되팔기 조건
+   * - 환불: 구매한 아이템을 구매 후 REFUND_WINDOW_HOURS 안에, 한 번도 착용하지 않았으면 구매 가격 전액
+   * - 되팔기: 환불 조건이 지난 구매 아이템은 구매 가격의 SELL_BACK_RATE (업적/선물 상자 아이템 제외)
+   */
+  getReturnOptions(entry, now = new Date()) {
+    const isPurchased = entry.source === 'purchase' && entry.purchasePrice > 0;
+    const refundableUntil = new Date(entry.purchasedAt.getTime() + REFUND_WINDOW_HOURS * 60 * 60 * 1000);
+    const refundable = isPurchased && !entry.firstEquippedAt && now < refundableUntil;
+    const sellBackAmount = isPurchased ? Math.floor(entry.purchasePrice * SELL_BACK_RATE) : 0;
+    
+    return {
+      refundable,
+      refundableUntil: refundable ? refundableUntil : null,
+      refundAmount: refundable ? entry.purchasePrice : 0,
+      sellable: !refundable && sellBackAmount > 0,
+      sellBackAmount: !refundable ? sellBackAmount : 0
+    };
+  }
+  
+  /**
+   * 환불/되팔기 예상 금액 조회
+   */
+  async getReturnQuote(userId, itemId) {
+    const inventory = await UserInventory.findOne({ userId });
+    const entry = inventory ? inventory.getOwnedItem(itemId) : null;
+    if (!entry) {
+      throw new Error('보유하지 않은 아이템입니다');
+    }
+    
+    return {
+      itemId: entry.itemId,
+      purchasePrice: entry.purchasePrice,
+      purchasedAt: entry.purchasedAt,
+      source: entry.source,
+      refundWindowHours: REFUND_WINDOW_HOURS,
+      sellBackRate: SELL_BACK_RATE,
+      ...this.getReturnOptions(entry)
+    };
+  }
+  
+  /**
+   * 아이템 환불 (구매 가격 전액 반환, 한정 아이템은 재고와 1인당 구매 횟수 복구)
+   */
+  async refundItem(userId, itemId, options = {}) {
+    return this.returnItem(userId, itemId, 'refund', options);
+  }
+  
+  /**
+   * 아이템 되팔기 (구매 가격의 일부 반환)
+   */
+  async sellBackItem(userId, itemId, options = {}) {
+    return this.returnItem(userId, itemId, 'sell_back', options);
+  }
+  
+  /**
+   * 환불/되팔기 공통 처리
+   * 보유 항목 제거(착용 해제 포함), 반환 코인 거래 기록, ShopItem 통계 반영을 하나의 트랜잭션으로 처리
+   * @param {String} mode - 'refund' | 'sell_back'
+   * @param {Object} options - { idempotencyKey } 같은 키로 재요청하면 이전 결과를 반환
+   */
+  async returnItem(userId, itemId, mode, options = {}) {
+    const isRefund = mode === 'refund';
+    const reason = isRefund ? 'item_refund' : 'item_sell_back';
+    
+    try {
+      logger.info(`아이템 ${isRefund ? '환불' : '되팔기'} 시작: 사용자=${userId}, 아이템=${itemId}`);
+      
+      const previous = await coinService.findByRequestKey(userId, options.idempotencyKey);
+      if (previous && previous.reason === reason && previous.relatedId && previous.relatedId.toString() === itemId.toString()) {
+        return {
+          itemId,
+          mode,
+          coinReturned: previous.amount,
+          remainingCoins: previous.balanceAfter,
+          transaction: previous._id,
+          duplicate: true
+        };
+      }
+      
+      const [inventory, item] = await Promise.all([
+        UserInventory.findOne({ userId }),
+        ShopItem.findById(itemId)
+      ]);
+      const entry = inventory ? inventory.getOwnedItem(itemId) : null;
+      if (!entry) {
+        throw new Error('보유하지 않은 아이템입니다');
+      }
+      if (!item) {
+        throw new Error('아이템을 찾을 수 없습니다');
+      }
+      
+      const returnOptions = this.getReturnOptions(entry);
+      if (isRefund && !returnOptions.refundable) {
+        throw new Error('환불할 수 없는 아이템입니다 (착용했거나 환불 기간이 지났습니다)');
+      }
+      if (!isRefund && !returnOptions.sellable) {
+        throw new Error(returnOptions.refundable ? '환불 가능 기간에는 되팔 수 없습니다' : '되팔 수 없는 아이템입니다');
+      }
+      
+      const amount = isRefund ? returnOptions.refundAmount : returnOptions.sellBackAmount;
+      const snapshot = entry.toObject();
+      
+      // 조회 이후 착용/환불 기간 변경이 있었으면 제거되지 않도록 조건부로 제거
+      const conditions = isRefund
+        ? { source: 'purchase', firstEquippedAt: null, purchasedAt: { $gt: new Date(Date.now() - REFUND_WINDOW_HOURS * 60 * 60 * 1000) } }
+        : { source: 'purchase' };
+      
+      const result = await coinService.runInTransaction(async (session) => {
+        const removed = await UserInventory.removeOwnedItem(userId, entry._id, conditions, session);
+        if (!removed) {
+          throw new Error(isRefund ? '환불할 수 없는 아이템입니다 (착용했거나 환불 기간이 지났습니다)' : '보유하지 않은 아이템입니다');
+        }
+        
+        try {
+          const payout = await coinService.awardCoins(
+            userId,
+            reason,
+            `아이템 ${isRefund ? '환불' : '되팔기'}: ${item.name}`,
+            amount,
+            {
+              ledgerKey: `${reason}:${entry._id}`,
+              idempotencyKey: options.idempotencyKey,
+              relatedId: item._id,
+              relatedType: 'shop_item',
+              metadata: {
+                originalTransactionId: entry.transactionId,
+                purchasePrice: entry.purchasePrice,
+                purchasedAt: entry.purchasedAt
+              },
+              session
+            }
+          );
+          if (!payout) {
+            throw new Error('이미 처리된 요청입니다');
+          }
+          
+          await ShopItem.recordReturn(item, { refunded: isRefund, amount }, session);
+          
+          if (isRefund && item.isLimited && item.limitedInfo.perUserLimit) {
+            await UserInventory.releaseLimitedPurchase(userId, item._id, session);
+          }
+          
+          return payout;
+          
+        } catch (error) {
+          // 트랜잭션이 없으면 제거한 보유 항목을 되돌림
+          if (!session) {
+            await UserInventory.updateOne({ userId }, { $push: { items: snapshot } });
+          }
+          throw error;
+        }
+      });
+      
+      logger.info(`아이템 ${isRefund ? '환불' : '되팔기'} 완료: 사용자=${userId}, 아이템=${itemId}, 반환코인=${amount}, 잔여코인=${result.newBalance}`);
+      
+      return {
+        itemId: item._id,
+        mode,
+        coinReturned: result.amount,
+        remainingCoins: result.newBalance,
+        transaction: result.transaction,
+        duplicate: result.duplicate
+      };
+      
+    } catch (error) {
+      logger.error(`아이템 ${isRefund ? '환불' : '되팔기'} 실패: 사용자=${userId}, 아이템=${itemId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 한정/시즌 드롭 피드 (상점 상단 '곧 출시' / '곧 종료')
+   * - comingSoon: 판매 시작 전인 한정 아이템 (announceDate 이후, 없으면 출시 7일 전부터)
+   * - endingSoon: 72시간 안에 판매 또는 할인이 끝나는 아이템
+   */
+  async getDropFeed(userId) {
+    try {
+      const now = new Date();
+      const comingSoonUntil = new Date(now.getTime() + COMING_SOON_DAYS * 24 * 60 * 60 * 1000);
+      const endingSoonUntil = new Date(now.getTime() + ENDING_SOON_HOURS * 60 * 60 * 1000);
+      
+      const [upcomingItems, endingLimitedItems, endingSaleItems] = await Promise.all([
+        ShopItem.find({
+          isActive: true,
+          isLimited: true,
+          'limitedInfo.startDate': { $gt: now },
+          $or: [
+            { 'limitedInfo.announceDate': { $lte: now } },
+            { 'limitedInfo.announceDate': null, 'limitedInfo.startDate': { $lte: comingSoonUntil } }
+          ]
+        }).sort({ 'limitedInfo.startDate': 1 }),
+        ShopItem.find({
+          isActive: true,
+          isLimited: true,
+          $or: [{ 'limitedInfo.startDate': null }, { 'limitedInfo.startDate': { $lte: now } }],
+          'limitedInfo.endDate': { $gte: now, $lte: endingSoonUntil }
+        }),
+        ShopItem.find({
+          isActive: true,
+          'discount.isActive': true,
+          'discount.endDate': { $gte: now, $lte: endingSoonUntil }
+        })
+      ]);
+      
+      const comingSoon = upcomingItems.map(item => ({
+        ...this.formatDropItem(item, now),
+        startsAt: item.limitedInfo.startDate
+      }));
+      
+      // 판매 종료와 할인 종료 중 먼저 끝나는 시점 기준 (품절된 아이템은 제외)
+      const endingById = new Map();
+      endingLimitedItems
+        .filter(item => item.getAvailabilityStatus(now) === 'available')
+        .forEach(item => endingById.set(item._id.toString(), { item, endsAt: item.limitedInfo.endDate, endingType: 'limited' }));
+      endingSaleItems
+        .filter(item => item.isDiscountValid() && item.getAvailabilityStatus(now) === 'available')
+        .forEach(item => {
+          const existing = endingById.get(item._id.toString());
+          if (!existing || item.discount.endDate < existing.endsAt) {
+            endingById.set(item._id.toString(), { item, endsAt: item.discount.endDate, endingType: 'discount' });
+          }
+        });
+      
+      const endingSoon = Array.from(endingById.values())
+        .sort((a, b) => a.endsAt - b.endsAt)
+        .map(({ item, endsAt, endingType }) => ({
+          ...this.formatDropItem(item, now),
+          endsAt,
+          endingType
+        }));
+      
+      logger.info(`드롭 피드 조회: ${userId}, 곧 출시=${comingSoon.length}, 곧 종료=${endingSoon.length}`);
+      
+      return { comingSoon, endingSoon, serverTime: now };
+      
+    } catch (error) {
+      logger.error(`드롭 피드 조회 실패: ${userId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 예약 할인 시작/종료 반영 (스케줄러에서 주기적으로 호출)
+   */
+  async syncScheduledDiscounts() {
+    try {
+      const result = await ShopItem.syncScheduledDiscounts();
+      
+      if (result.activated > 0 || result.deactivated > 0) {
+        logger.info(`예약 할인 반영: 시작=${result.activated}개, 종료=${result.deactivated}개`);
+      }
+      
+      return result;
+      
+    } catch (error) {
+      logger.error('예약 할인 반영 실패', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 판매가/판매 상태 정보 (lean 조회 결과에도 사용)
+   */
+  getSaleInfo(item) {
+    const doc = item instanceof ShopItem ? item : ShopItem.hydrate(item);
+    
+    return {
+      finalPrice: doc.finalPrice,
+      isOnSale: doc.isOnSale,
+      availability: doc.getAvailabilityStatus(),
+      remainingQuantity: doc.remainingQuantity
+    };
+  }
+  
+  /**
+   * 드롭 피드 아이템 형식
+   */
+  formatDropItem(item, now) {
+    return {
+      id: item._id,
+      name: item.name,
+      category: item.category,
+      imageUrl: item.imageUrl,
+      thumbnailUrl: item.thumbnailUrl,
+      rarity: item.rarity,
+      price: item.price,
+      finalPrice: item.finalPrice,
+      discountPercentage: item.isOnSale ? item.discount.percentage : 0,
+      season: item.limitedInfo.season || null,
+      maxQuantity: item.limitedInfo.maxQuantity || null,
+      remainingQuantity: item.remainingQuantity,
+      perUserLimit: item.isLimited ? item.limitedInfo.perUserLimit || null : null,
+      availability: item.getAvailabilityStatus(now)
+    };
+  }
+  
   /**
    * 아이템 착용
+   * @param {String} color - 선택 색상 이름 (생략 시 기본 이미지)
    */
-  async equipItem(userId, itemId) {
+  async equipItem(userId, itemId, color = null) {
     try {
-      logger.info(`아이템 착용 시작: 사용자=${userId}, 아이템=${itemId}`);
+      logger.info(`아이템 착용 시작: 사용자=${userId}, 아이템=${itemId}, 색상=${color || '기본'}`);
       
       const inventory = await UserInventory.findOne({ userId });
       if (!inventory) {
         throw new Error('사용자 인벤토리를 찾을 수 없습니다');
       }
       
-      await inventory.equipItem(itemId);
+      await inventory.equipItem(itemId, color);
       
       // 착용된 아이템 정보와 함께 반환
       await inventory.populate([
@@ -169,8 +601,15 @@ class CustomizationService {
       
       logger.info(`아이템 착용 완료: 사용자=${userId}, 아이템=${itemId}`);
       
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.AVATAR_EQUIPPED, {
+        action: 'equip',
+        itemId,
+        color
+      });
+      
       return {
         equippedItems: inventory.getEquippedItems(),
+        equippedColors: inventory.equippedColors,
         message: '아이템이 착용되었습니다'
       };
       
@@ -196,6 +635,11 @@ class CustomizationService {
       
       logger.info(`아이템 착용 해제 완료: 사용자=${userId}, 카테고리=${category}`);
       
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.AVATAR_EQUIPPED, {
+        action: 'unequip',
+        category
+      });
+      
       return {
         equippedItems: inventory.getEquippedItems(),
         message: '아이템 착용이 해제되었습니다'
@@ -207,6 +651,258 @@ class CustomizationService {
     }
   }
   
+  /**
+   * 코디 프리셋 목록 조회
+   */
+  async getOutfitPresets(userId) {
+    try {
+      const inventory = await UserInventory.findOrCreateByUserId(userId);
+      
+      return {
+        presets: inventory.outfitPresets,
+        maxPresets: UserInventory.MAX_OUTFIT_PRESETS
+      };
+      
+    } catch (error) {
+      logger.error(`코디 프리셋 조회 실패: ${userId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 코디 프리셋 저장
+   * @param {Object} data - { name, items, context } items를 생략하면 현재 착용 중인 코디를 저장
+   */
+  async createOutfitPreset(userId, data) {
+    try {
+      const inventory = await UserInventory.findOrCreateByUserId(userId);
+      
+      if (inventory.outfitPresets.length >= UserInventory.MAX_OUTFIT_PRESETS) {
+        throw new Error(`프리셋은 최대 ${UserInventory.MAX_OUTFIT_PRESETS}개까지 저장할 수 있습니다`);
+      }
+      this.assertUniquePresetName(inventory, data.name);
+      
+      const items = data.items
+        ? await this.buildPresetItems(inventory, data.items)
+        : this.snapshotOutfit(inventory);
+      
+      inventory.outfitPresets.push({ name: data.name, items, context: null });
+      const preset = inventory.outfitPresets[inventory.outfitPresets.length - 1];
+      this.assignPresetContext(inventory, preset, data.context);
+      
+      await inventory.save();
+      
+      logger.info(`코디 프리셋 저장: 사용자=${userId}, 프리셋=${preset.name}, 상황=${preset.context || '없음'}`);
+      
+      return preset;
+      
+    } catch (error) {
+      logger.error(`코디 프리셋 저장 실패: ${userId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 코디 프리셋 수정 (이름, 구성, 자동 적용 상황)
+   */
+  async updateOutfitPreset(userId, presetId, updates) {
+    try {
+      const inventory = await UserInventory.findOne({ userId });
+      const preset = inventory && inventory.outfitPresets.id(presetId);
+      if (!preset) {
+        throw new Error('PRESET_NOT_FOUND');
+      }
+      
+      if (updates.name !== undefined && updates.name !== preset.name) {
+        this.assertUniquePresetName(inventory, updates.name);
+        preset.name = updates.name;
+      }
+      
+      if (updates.items !== undefined) {
+        preset.items = await this.buildPresetItems(inventory, updates.items);
+      }
+      
+      if (updates.context !== undefined) {
+        this.assignPresetContext(inventory, preset, updates.context);
+      }
+      
+      await inventory.save();
+      
+      logger.info(`코디 프리셋 수정: 사용자=${userId}, 프리셋=${presetId}`);
+      
+      return preset;
+      
+    } catch (error) {
+      logger.error(`코디 프리셋 수정 실패: 사용자=${userId}, 프리셋=${presetId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 코디 프리셋 삭제
+   */
+  async deleteOutfitPreset(userId, presetId) {
+    try {
+      const result = await UserInventory.updateOne(
+        { userId, 'outfitPresets._id': presetId },
+        { $pull: { outfitPresets: { _id: presetId } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new Error('PRESET_NOT_FOUND');
+      }
+      
+      logger.info(`코디 프리셋 삭제: 사용자=${userId}, 프리셋=${presetId}`);
+      
+      return { deleted: true };
+      
+    } catch (error) {
+      logger.error(`코디 프리셋 삭제 실패: 사용자=${userId}, 프리셋=${presetId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 코디 프리셋 한 번에 착용
+   */
+  async applyOutfitPreset(userId, presetId) {
+    try {
+      const inventory = await UserInventory.findOne({ userId });
+      const preset = inventory && inventory.outfitPresets.id(presetId);
+      if (!preset) {
+        throw new Error('PRESET_NOT_FOUND');
+      }
+      
+      const skippedCategories = inventory.applyPreset(preset);
+      await inventory.save();
+      
+      logger.info(`코디 프리셋 적용: 사용자=${userId}, 프리셋=${preset.name}`, { skippedCategories });
+      
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.AVATAR_EQUIPPED, {
+        action: 'preset',
+        presetId: preset._id
+      });
+      
+      return {
+        preset,
+        equippedItems: inventory.getEquippedItems(),
+        equippedColors: inventory.equippedColors,
+        skippedCategories
+      };
+      
+    } catch (error) {
+      logger.error(`코디 프리셋 적용 실패: 사용자=${userId}, 프리셋=${presetId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 상황별 코디 자동 적용 (포모도로 집중/휴식 시작 시)
+   * 코디 적용 실패가 원래 동작(세션 시작)을 실패시키지 않도록 오류는 기록만 함
+   * @param {String} context - focus | break
+   * @returns {Object|null} 적용한 프리셋 (지정된 프리셋이 없으면 null)
+   */
+  async applyContextPreset(userId, context) {
+    try {
+      const inventory = await UserInventory.findOne({ userId, 'outfitPresets.context': context });
+      if (!inventory) {
+        return null;
+      }
+      
+      const preset = inventory.outfitPresets.find(item => item.context === context);
+      if (!preset) {
+        return null;
+      }
+      
+      inventory.applyPreset(preset);
+      await inventory.save();
+      
+      logger.info(`상황별 코디 자동 적용: 사용자=${userId}, 상황=${context}, 프리셋=${preset.name}`);
+      
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.AVATAR_EQUIPPED, {
+        action: 'preset',
+        presetId: preset._id,
+        context
+      });
+      
+      return preset;
+      
+    } catch (error) {
+      logger.error(`상황별 코디 자동 적용 실패: 사용자=${userId}, 상황=${context}`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * 프리셋 구성 검증 (보유 여부, 카테고리, 색상)
+   * @param {Object} items - { top: { itemId, color } | null, ... } 생략한 카테고리는 착용 해제
+   */
+  async buildPresetItems(inventory, items) {
+    const result = {};
+    
+    for (const category of UserInventory.OUTFIT_CATEGORIES) {
+      const slot = items[category];
+      if (!slot || !slot.itemId) {
+        result[category] = { itemId: null, color: null };
+        continue;
+      }
+      
+      if (!inventory.hasItem(slot.itemId)) {
+        throw new Error('보유하지 않은 아이템입니다');
+      }
+      
+      const item = await ShopItem.findById(slot.itemId).select('category colors');
+      if (!item || item.category !== category) {
+        throw new Error(`${category} 카테고리에 착용할 수 없는 아이템입니다`);
+      }
+      
+      if (slot.color && !item.colors.some(variant => variant.name === slot.color)) {
+        throw new Error('선택할 수 없는 색상입니다');
+      }
+      
+      result[category] = { itemId: item._id, color: slot.color || null };
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 현재 착용 중인 코디
+   */
+  snapshotOutfit(inventory) {
+    const result = {};
+    UserInventory.OUTFIT_CATEGORIES.forEach(category => {
+      result[category] = {
+        itemId: inventory.equippedItems[category] || null,
+        color: inventory.equippedItems[category] ? inventory.equippedColors[category] || null : null
+      };
+    });
+    return result;
+  }
+  
+  assertUniquePresetName(inventory, name) {
+    if (inventory.outfitPresets.some(preset => preset.name === name)) {
+      throw new Error('같은 이름의 프리셋이 이미 있습니다');
+    }
+  }
+  
+  /**
+   * 자동 적용 상황 지정 (같은 상황의 기존 프리셋은 해제)
+   */
+  assignPresetContext(inventory, preset, context) {
+    if (!context) {
+      preset.context = null;
+      return;
+    }
+    
+    inventory.outfitPresets.forEach(other => {
+      if (other.context === context && !other._id.equals(preset._id)) {
+        other.context = null;
+      }
+    });
+    preset.context = context;
+  }
+  
   /**
    * 사용자 코인 조회
    */
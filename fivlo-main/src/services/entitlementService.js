@@ -0,0 +1,116 @@
+/**
+ * 구독 권한(Entitlement) 서비스
+ * Premium 여부 조회 및 구독 기간 기록을 한 곳에서 관리합니다.
+ * (상태 전이 규칙은 subscriptionLifecycleService 참고)
+ * 미들웨어, 코인/알림/분석 서비스, 구독 조회 API가 모두 이 서비스를 통해 권한을 확인합니다.
+ */
+
+const User = require('../models/User');
+const EntitlementUtils = require('../utils/entitlement');
+const logger = require('../utils/logger');
+
+class EntitlementService {
+  /**
+   * 사용자(문서 또는 ID)의 현재 권한 조회
+   * @param {Object|String} userOrId - User 문서 또는 사용자 ID
+   * @returns {Object} 권한 정보
+   */
+  async getEntitlement(userOrId) {
+    const user = await this.resolveUser(userOrId);
+    return EntitlementUtils.evaluate(user.subscription);
+  }
+
+  /**
+   * Premium 이용 가능 여부
+   * @param {Object} user - User 문서 (이미 조회된 경우 추가 쿼리 없음)
+   * @returns {Boolean}
+   */
+  isPremium(user) {
+    if (!user) return false;
+    return EntitlementUtils.evaluate(user.subscription).isPremium;
+  }
+
+  /**
+   * 구독 조회 API 응답 생성
+   * GET /api/users/me/subscription
+   */
+  getSubscriptionSummary(user) {
+    const entitlement = EntitlementUtils.evaluate(user.subscription);
+
+    return {
+      isPremium: entitlement.isPremium,
+      plan: entitlement.plan,
+      status: entitlement.status,
+      currentPeriodStart: entitlement.currentPeriodStart,
+      currentPeriodEnd: entitlement.currentPeriodEnd,
+      graceEndsAt: entitlement.graceEndsAt,
+      inGracePeriod: entitlement.inGracePeriod,
+      source: entitlement.source,
+      coins: user.coins || 0
+    };
+  }
+
+  /**
+   * Premium 권한 부여
+   * @param {String} userId - 사용자 ID
+   * @param {Object} options - { plan, status, source, provider, periodStart, periodEnd, externalId }
+   * @returns {Object} 갱신된 사용자 문서
+   */
+  async grantPremium(userId, options = {}) {
+    try {
+      const {
+        plan = EntitlementUtils.PLANS.PREMIUM_MONTHLY,
+        status = EntitlementUtils.STATUSES.ACTIVE,
+        source = 'web',
+        provider = null,
+        periodStart = new Date(),
+        periodEnd = null,
+        externalId = null
+      } = options;
+
+      const user = await this.resolveUser(userId);
+
+      await user.activatePremium(plan, {
+        status,
+        startDate: periodStart,
+        endDate: periodEnd,
+        source,
+        provider,
+        externalId
+      });
+
+      logger.info('Premium 권한 부여', {
+        userId: user._id,
+        plan,
+        source,
+        currentPeriodEnd: user.subscription.currentPeriodEnd
+      });
+
+      return user;
+    } catch (error) {
+      logger.error('Premium 권한 부여 실패', {
+        error: error.message,
+        userId,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * User 문서 조회 헬퍼
+   */
+  async resolveUser(userOrId) {
+    if (userOrId && userOrId instanceof User) {
+      return userOrId;
+    }
+
+    const user = await User.findById(userOrId);
+    if (!user) {
+      throw new Error('사용자를 찾을 수 없습니다.');
+    }
+    return user;
+  }
+}
+
+module.exports = new EntitlementService();
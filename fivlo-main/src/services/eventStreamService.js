@@ -0,0 +1,180 @@
+// backend/src/services/eventStreamService.js
+
+const logger = require('../utils/logger');
+
+// 재접속 시 다시 보내줄 수 있도록 사용자별로 보관하는 최근 이벤트 수와 보관 시간
+const REPLAY_BUFFER_SIZE = 100;
+const REPLAY_TTL_MS = 30 * 60 * 1000;
+
+// 앱에 전달하는 도메인 이벤트 종류
+const EVENT_TYPES = {
+  POMODORO_STARTED: 'pomodoro.started',
+  POMODORO_PAUSED: 'pomodoro.paused',
+  POMODORO_RESUMED: 'pomodoro.resumed',
+  POMODORO_COMPLETED: 'pomodoro.completed',
+  TIME_ATTACK_STEP_ADVANCED: 'timeAttack.stepAdvanced',
+  TIME_ATTACK_STATE_CHANGED: 'timeAttack.stateChanged',
+  TASK_COMPLETED: 'task.completed',
+  COINS_CHANGED: 'coins.changed',
+  AVATAR_EQUIPPED: 'avatar.equipped'
+};
+
+/**
+ * 사용자별 실시간 이벤트 스트림 (여러 기기 간 상태 동기화)
+ * 서비스에서 publish한 이벤트를 같은 사용자의 모든 기기에 전달하고,
+ * 재접속한 기기에는 마지막으로 받은 이벤트 이후의 이벤트를 다시 전달
+ *
+ * 이벤트 ID는 `${서버 시작 구분값}-${사용자별 순번}` 형식이며, 서버가 재시작되었거나
+ * 보관 범위를 벗어나 이어서 보낼 수 없으면 앱이 전체 상태를 다시 조회하도록 알림
+ *
+ * 보관 시간이 지나 비워진 사용자 항목은 정리하며, 다시 만들 때는 정리한 순번보다
+ * 큰 순번부터 시작해 예전 이벤트 ID가 새 이벤트와 이어지는 것으로 판단되지 않도록 함
+ */
+class EventStreamService {
+  constructor() {
+    this.EVENT_TYPES = EVENT_TYPES;
+    this.epoch = Date.now().toString(36);
+    // userId → { seq, events: [{ id, seq, type, data, createdAt }] }
+    this.buffers = new Map();
+    // 정리한 사용자 항목의 가장 큰 순번 (새 항목의 시작 순번)
+    this.evictedSeq = 0;
+    this.namespace = null;
+  }
+
+  /**
+   * 이벤트를 전달할 Socket.IO 네임스페이스 연결
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * 도메인 이벤트 발행
+   * 발행 실패가 원래 동작을 실패시키지 않도록 오류는 기록만 함
+   * @param {String|ObjectId} userId - 이벤트를 받을 사용자
+   * @param {String} type - EVENT_TYPES 중 하나
+   * @param {Object} data - 앱이 화면을 갱신하는 데 필요한 최소 정보
+   * @returns {Object|null} 발행한 이벤트
+   */
+  publish(userId, type, data = {}) {
+    try {
+      const key = userId.toString();
+      const buffer = this.buffers.get(key) || { seq: this.evictedSeq, events: [] };
+      this.buffers.set(key, buffer);
+
+      buffer.seq++;
+      const event = {
+        id: `${this.epoch}-${buffer.seq}`,
+        seq: buffer.seq,
+        type,
+        data,
+        createdAt: new Date()
+      };
+
+      buffer.events.push(event);
+      this.trimBuffer(buffer);
+
+      if (this.namespace) {
+        this.namespace.to(this.getUserChannel(key)).emit('event', this.toPayload(event));
+      }
+
+      logger.debug('실시간 이벤트 발행', { userId: key, type, eventId: event.id });
+
+      return event;
+    } catch (error) {
+      logger.error(`실시간 이벤트 발행 실패: ${error.message}`, { userId, type });
+      return null;
+    }
+  }
+
+  /**
+   * 마지막으로 받은 이벤트 이후의 이벤트
+   * @param {String} lastEventId - 앱이 마지막으로 받은 이벤트 ID (없으면 새 연결)
+   * @returns {Array|null} 다시 보낼 이벤트 (이어서 보낼 수 없으면 null)
+   */
+  getEventsSince(userId, lastEventId) {
+    if (!lastEventId) {
+      return [];
+    }
+
+    const [epoch, seqText] = String(lastEventId).split('-');
+    const lastSeq = parseInt(seqText, 10);
+    if (epoch !== this.epoch || Number.isNaN(lastSeq)) {
+      return null;
+    }
+
+    const buffer = this.buffers.get(userId.toString());
+    if (buffer && lastSeq > buffer.seq) {
+      return null;
+    }
+
+    if (!buffer || buffer.events.length === 0) {
+      // 보관 시간이 지나 비워진 경우에는 놓친 이벤트가 있었는지 알 수 없음
+      return buffer && buffer.seq === lastSeq ? [] : null;
+    }
+
+    const missed = buffer.events.filter(event => event.seq > lastSeq);
+    if (missed.length > 0 && missed[0].seq !== lastSeq + 1) {
+      return null;
+    }
+
+    return missed.map(event => this.toPayload(event));
+  }
+
+  /**
+   * 보관 개수/시간을 넘은 이벤트 제거
+   */
+  trimBuffer(buffer, now = Date.now()) {
+    const overflow = buffer.events.length - REPLAY_BUFFER_SIZE;
+    if (overflow > 0) {
+      buffer.events.splice(0, overflow);
+    }
+
+    while (buffer.events.length > 0 && now - buffer.events[0].createdAt.getTime() > REPLAY_TTL_MS) {
+      buffer.events.shift();
+    }
+  }
+
+  /**
+   * 오래된 이벤트 정리 (스케줄러)
+   * 보관 중인 이벤트가 모두 지난 사용자 항목은 삭제 (재접속 시 sync:reset)
+   * @returns {Number} 정리한 이벤트 수
+   */
+  pruneBuffers(now = Date.now()) {
+    let pruned = 0;
+    let evicted = 0;
+
+    for (const [key, buffer] of this.buffers) {
+      const before = buffer.events.length;
+      this.trimBuffer(buffer, now);
+      pruned += before - buffer.events.length;
+
+      if (buffer.events.length === 0) {
+        this.evictedSeq = Math.max(this.evictedSeq, buffer.seq);
+        this.buffers.delete(key);
+        evicted++;
+      }
+    }
+
+    if (pruned > 0 || evicted > 0) {
+      logger.info('실시간 이벤트 보관분 정리', { pruned, evicted, users: this.buffers.size });
+    }
+
+    return pruned;
+  }
+
+  toPayload(event) {
+    return {
+      id: event.id,
+      type: event.type,
+      data: event.data,
+      createdAt: event.createdAt
+    };
+  }
+
+  getUserChannel(userId) {
+    return `user:${userId}`;
+  }
+}
+
+module.exports = new EventStreamService();
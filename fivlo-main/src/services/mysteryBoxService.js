@@ -0,0 +1,384 @@
+/**
+ * 선물 상자(미스터리 박스) 서비스
+ * 상자를 사면 바로 열어 등급(rarity) 가중치에 따라 오분이 아이템 하나를 지급합니다.
+ *
+ * - 이미 가진 아이템이 나오면 등급별 코인으로 전환
+ * - 레어 이상을 PITY_THRESHOLD번 연속으로 못 받으면 다음 개봉은 레어 이상 확정 (천장)
+ * - 개봉 결과는 (서버 시드, 사용자, 개봉 번호)로 정해지는 난수로 결정되어
+ *   MYSTERY_BOX_SEED를 고정하면 같은 순서의 개봉은 항상 같은 결과가 나옵니다.
+ * - 결과는 결제 거래(CoinTransaction.metadata)에 기록
+ */
+
+const crypto = require('crypto');
+const ShopItem = require('../models/ShopItem');
+const UserInventory = require('../models/UserInventory');
+const coinService = require('./coinService');
+const logger = require('../utils/logger');
+
+// 등급 순서 (낮은 등급 → 높은 등급)
+const RARITIES = ['common', 'rare', 'epic', 'legendary'];
+
+// 등급별 기본 확률 (%)
+const RARITY_WEIGHTS = {
+  common: 70,
+  rare: 22,
+  epic: 7,
+  legendary: 1
+};
+
+// 천장: 레어 이상을 받지 못한 채 이 횟수째 여는 상자는 레어 이상 확정
+const PITY_THRESHOLD = parseInt(process.env.MYSTERY_BOX_PITY_THRESHOLD) || 10;
+
+// 중복 아이템 코인 전환량
+const DUPLICATE_COINS = {
+  common: 5,
+  rare: 12,
+  epic: 25,
+  legendary: 60
+};
+
+// 상자에서 나올 수 있는 카테고리 (소모성/한정 아이템 제외)
+const POOL_CATEGORIES = ['top', 'bottom', 'accessory', 'background'];
+
+// 서버 시드 (설정하지 않으면 서버 시작 시 무작위 생성)
+const SERVER_SEED = process.env.MYSTERY_BOX_SEED || crypto.randomBytes(16).toString('hex');
+
+class MysteryBoxService {
+  constructor() {
+    this.RARITIES = RARITIES;
+    this.PITY_THRESHOLD = PITY_THRESHOLD;
+  }
+
+  /**
+   * 시드 기반 난수 생성기 (mulberry32, 0 이상 1 미만)
+   * @param {String} seed - 시드 문자열
+   * @returns {Function} () => Number
+   */
+  createRng(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * 개봉별 시드 (서버 시드 + 사용자 + 개봉 번호)
+   */
+  getOpenSeed(userId, openNumber, serverSeed = SERVER_SEED) {
+    return `${serverSeed}:${userId}:${openNumber}`;
+  }
+
+  /**
+   * 상자에서 나올 수 있는 아이템 (등급별)
+   * @returns {Object} { common: [...], rare: [...], ... } 등급 안에서는 ID 순으로 정렬
+   */
+  async getPool() {
+    const items = await ShopItem.find({
+      isActive: true,
+      isLimited: { $ne: true },
+      category: { $in: POOL_CATEGORIES }
+    })
+      .select('name category type rarity imageUrl thumbnailUrl price')
+      .sort({ _id: 1 });
+
+    return RARITIES.reduce((pool, rarity) => {
+      pool[rarity] = items.filter(item => item.rarity === rarity);
+      return pool;
+    }, {});
+  }
+
+  /**
+   * 뽑힌 등급에 아이템이 없을 때 대신 지급할 등급
+   * 낮은 등급부터 찾고, 없으면 높은 등급에서 찾음
+   */
+  resolveRarity(rarity, pool) {
+    if (pool[rarity] && pool[rarity].length > 0) {
+      return rarity;
+    }
+
+    const index = RARITIES.indexOf(rarity);
+    const lower = RARITIES.slice(0, index).reverse().find(candidate => pool[candidate].length > 0);
+    if (lower) {
+      return lower;
+    }
+
+    return RARITIES.slice(index + 1).find(candidate => pool[candidate].length > 0) || null;
+  }
+
+  /**
+   * 상자 1개 결과 결정 (DB 접근 없음, 같은 입력이면 같은 결과)
+   * @param {Function} rng - 난수 생성기
+   * @param {Object} pool - getPool() 결과
+   * @param {Number} pityCounter - 이번 개봉 전 연속 미당첨 횟수
+   * @returns {Object|null} { item, rarity, rolledRarity, pityTriggered, roll }
+   */
+  roll(rng, pool, pityCounter = 0) {
+    const pityTriggered = pityCounter + 1 >= PITY_THRESHOLD;
+    const candidates = pityTriggered ? RARITIES.filter(rarity => rarity !== 'common') : RARITIES;
+
+    const totalWeight = candidates.reduce((sum, rarity) => sum + RARITY_WEIGHTS[rarity], 0);
+    const roll = rng();
+    let cursor = roll * totalWeight;
+    let rolledRarity = candidates[candidates.length - 1];
+    for (const rarity of candidates) {
+      cursor -= RARITY_WEIGHTS[rarity];
+      if (cursor < 0) {
+        rolledRarity = rarity;
+        break;
+      }
+    }
+
+    const rarity = this.resolveRarity(rolledRarity, pool);
+    if (!rarity) {
+      return null;
+    }
+
+    const tier = pool[rarity];
+    const item = tier[Math.floor(rng() * tier.length)];
+
+    return { item, rarity, rolledRarity, pityTriggered, roll };
+  }
+
+  /**
+   * 공개 확률표
+   * 아이템이 없는 등급은 대체 등급으로 합산한 실제 확률도 함께 제공
+   */
+  async getOdds() {
+    const pool = await this.getPool();
+
+    const effectiveRates = RARITIES.reduce((rates, rarity) => ({ ...rates, [rarity]: 0 }), {});
+    RARITIES.forEach(rarity => {
+      const resolved = this.resolveRarity(rarity, pool);
+      if (resolved) {
+        effectiveRates[resolved] += RARITY_WEIGHTS[rarity];
+      }
+    });
+
+    return {
+      rarities: RARITIES.map(rarity => ({
+        rarity,
+        rate: RARITY_WEIGHTS[rarity],
+        effectiveRate: effectiveRates[rarity],
+        itemCount: pool[rarity].length,
+        // 등급 안에서는 모든 아이템이 같은 확률
+        itemRate: pool[rarity].length > 0 ? Number((effectiveRates[rarity] / pool[rarity].length).toFixed(4)) : 0,
+        duplicateCoins: DUPLICATE_COINS[rarity]
+      })),
+      pity: {
+        threshold: PITY_THRESHOLD,
+        description: `레어 이상을 받지 못하고 ${PITY_THRESHOLD - 1}번 연속으로 열면 ${PITY_THRESHOLD}번째 상자는 레어 이상이 확정됩니다.`
+      },
+      items: RARITIES.flatMap(rarity => pool[rarity].map(item => ({
+        id: item._id,
+        name: item.name,
+        category: item.category,
+        rarity
+      })))
+    };
+  }
+
+  /**
+   * 사용자 천장 진행 상황
+   */
+  async getStatus(userId) {
+    const inventory = await UserInventory.findOrCreateByUserId(userId);
+    const pityCounter = inventory.mysteryBox ? inventory.mysteryBox.pityCounter : 0;
+
+    return {
+      openCount: inventory.mysteryBox ? inventory.mysteryBox.openCount : 0,
+      pityCounter,
+      pityThreshold: PITY_THRESHOLD,
+      opensUntilGuaranteed: Math.max(1, PITY_THRESHOLD - pityCounter)
+    };
+  }
+
+  /**
+   * 선물 상자 구매 후 개봉
+   * 결제, 천장 카운터, 아이템 지급(또는 코인 전환)을 하나의 트랜잭션으로 처리
+   * @param {Object} box - 선물 상자 ShopItem
+   * @param {Object} options - { idempotencyKey } 같은 키로 재요청하면 이전 개봉 결과를 반환
+   */
+  async purchaseAndOpen(userId, box, options = {}) {
+    try {
+      logger.info(`선물 상자 개봉 시작: 사용자=${userId}, 상자=${box._id}`);
+
+      const previous = await coinService.findByRequestKey(userId, options.idempotencyKey);
+      if (previous && previous.metadata && previous.metadata.mysteryBox) {
+        return this.formatReplay(box, previous);
+      }
+
+      const pool = await this.getPool();
+      const price = box.finalPrice;
+
+      // 인벤토리가 없으면 미리 생성 (트랜잭션 안에서는 조건부 업데이트만 수행)
+      await UserInventory.findOrCreateByUserId(userId);
+
+      const result = await coinService.runInTransaction(async (session) => {
+        const inventory = await UserInventory.startMysteryBoxOpen(userId, session);
+        const openNumber = inventory.mysteryBox.openCount;
+        const pityCounter = inventory.mysteryBox.pityCounter;
+
+        const outcome = this.roll(this.createRng(this.getOpenSeed(userId, openNumber)), pool, pityCounter);
+        if (!outcome) {
+          throw new Error('선물 상자에서 나올 아이템이 없습니다');
+        }
+
+        const resetPity = outcome.rarity !== 'common';
+        const owned = inventory.hasItem(outcome.item._id);
+        const metadata = {
+          mysteryBox: {
+            openNumber,
+            itemId: outcome.item._id,
+            itemName: outcome.item.name,
+            rarity: outcome.rarity,
+            rolledRarity: outcome.rolledRarity,
+            roll: outcome.roll,
+            pityTriggered: outcome.pityTriggered,
+            pityCounterBefore: pityCounter,
+            isDuplicate: owned,
+            coinsRefunded: owned ? DUPLICATE_COINS[outcome.rarity] : 0
+          }
+        };
+
+        const undoOpen = () => UserInventory.updateOne(
+          { userId },
+          { $inc: { 'mysteryBox.openCount': -1 } },
+          { session }
+        );
+
+        try {
+          const payment = await coinService.spendCoins(userId, price, 'mystery_box', `선물 상자: ${outcome.item.name} (${outcome.rarity})`, {
+            idempotencyKey: options.idempotencyKey,
+            relatedId: box._id,
+            relatedType: 'shop_item',
+            metadata,
+            session
+          });
+
+          // 동시에 들어온 같은 키의 요청이 먼저 처리됨
+          if (payment.duplicate) {
+            await undoOpen();
+            return { payment, replay: true };
+          }
+
+          await UserInventory.updateMysteryBoxPity(userId, resetPity, session);
+
+          let refund = null;
+          if (owned || !(await UserInventory.addMysteryBoxItem(userId, outcome.item._id, payment.transaction, session))) {
+            metadata.mysteryBox.isDuplicate = true;
+            metadata.mysteryBox.coinsRefunded = DUPLICATE_COINS[outcome.rarity];
+            refund = await coinService.awardCoins(
+              userId,
+              'mystery_box_duplicate',
+              `선물 상자 중복 아이템 전환: ${outcome.item.name}`,
+              DUPLICATE_COINS[outcome.rarity],
+              {
+                ledgerKey: `mystery_box:${payment.transaction}`,
+                relatedId: outcome.item._id,
+                relatedType: 'shop_item',
+                metadata,
+                session
+              }
+            );
+          }
+
+          return { payment, refund, outcome, metadata, pityCounter: resetPity ? 0 : pityCounter + 1 };
+
+        } catch (error) {
+          if (!session) {
+            await undoOpen();
+          }
+          throw error;
+        }
+      });
+
+      if (result.replay) {
+        const transaction = await coinService.findByRequestKey(userId, options.idempotencyKey);
+        return this.formatReplay(box, transaction);
+      }
+
+      const { payment, refund, outcome, metadata } = result;
+
+      logger.info('선물 상자 개봉 완료', {
+        userId,
+        boxId: box._id,
+        openNumber: metadata.mysteryBox.openNumber,
+        itemId: outcome.item._id,
+        rarity: outcome.rarity,
+        pityTriggered: outcome.pityTriggered,
+        isDuplicate: metadata.mysteryBox.isDuplicate
+      });
+
+      return {
+        item: box,
+        coinSpent: payment.amount,
+        remainingCoins: refund ? refund.newBalance : payment.newBalance,
+        transaction: payment.transaction,
+        inventory: null,
+        duplicate: false,
+        mysteryBox: {
+          reward: this.formatReward(outcome.item),
+          rarity: outcome.rarity,
+          isDuplicate: metadata.mysteryBox.isDuplicate,
+          coinsRefunded: metadata.mysteryBox.coinsRefunded,
+          pityTriggered: outcome.pityTriggered,
+          pityCounter: result.pityCounter,
+          pityThreshold: PITY_THRESHOLD
+        }
+      };
+
+    } catch (error) {
+      logger.error(`선물 상자 개봉 실패: 사용자=${userId}, 상자=${box._id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 같은 Idempotency-Key 재요청 시 기록된 개봉 결과 반환
+   */
+  async formatReplay(box, transaction) {
+    if (!transaction || !transaction.metadata || !transaction.metadata.mysteryBox) {
+      throw new Error('이미 다른 구매에 사용된 요청입니다');
+    }
+
+    const record = transaction.metadata.mysteryBox;
+    const item = await ShopItem.findById(record.itemId).select('name category type rarity imageUrl thumbnailUrl');
+
+    return {
+      item: box,
+      coinSpent: transaction.amount,
+      remainingCoins: transaction.balanceAfter,
+      transaction: transaction._id,
+      inventory: null,
+      duplicate: true,
+      mysteryBox: {
+        reward: item ? this.formatReward(item) : { id: record.itemId, name: record.itemName, rarity: record.rarity },
+        rarity: record.rarity,
+        isDuplicate: record.isDuplicate,
+        coinsRefunded: record.coinsRefunded,
+        pityTriggered: record.pityTriggered,
+        pityCounter: null,
+        pityThreshold: PITY_THRESHOLD
+      }
+    };
+  }
+
+  formatReward(item) {
+    return {
+      id: item._id,
+      name: item.name,
+      category: item.category,
+      type: item.type,
+      rarity: item.rarity,
+      imageUrl: item.imageUrl,
+      thumbnailUrl: item.thumbnailUrl
+    };
+  }
+}
+
+module.exports = new MysteryBoxService();
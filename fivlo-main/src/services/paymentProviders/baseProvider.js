@@ -0,0 +1,170 @@
+/**
+ * 결제 프로바이더 공통 인터페이스
+ * 모든 결제사 어댑터는 이 클래스를 상속하여 아래 메서드를 구현합니다.
+ *
+ * 웹훅은 verifyWebhook()에서 아래 형태의 정규화된 이벤트로 변환됩니다.
+ * {
+ *   id,            // 결제사 이벤트 ID (중복 처리 방지용)
+ *   type,          // PAYMENT_EVENT_TYPES 중 하나
+ *   userId,        // FIVLO 사용자 ID
+ *   plan,          // premium_monthly | premium_yearly
+ *   externalId,    // 결제사 구독 ID
+ *   paymentId,     // 결제사 결제 ID (환불 시 사용)
+ *   checkoutSessionId, // createCheckout()의 sessionId (checkout.completed 이벤트, 할인 확정용)
+ *   periodStart,   // 이용 기간 시작 (Date)
+ *   periodEnd,     // 이용 기간 종료 (Date)
+ *   amount,
+ *   currency
+ * }
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const PAYMENT_EVENT_TYPES = {
+  CHECKOUT_COMPLETED: 'checkout.completed',
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  SUBSCRIPTION_CANCELED: 'subscription.canceled',
+  REFUND_COMPLETED: 'refund.completed',
+  IGNORED: 'ignored'
+};
+
+// 플랜별 가격 (KRW)
+const PLAN_PRICES = {
+  premium_monthly: 4900,
+  premium_yearly: 49000
+};
+
+class BasePaymentProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * 결제(체크아웃) 세션 생성
+   * @param {Object} params - { userId, plan, returnUrl, cancelUrl, discount }
+   *   discount: 프로모션 할인 { type, value, discountAmount } (첫 결제에만 적용)
+   * @returns {Object} { sessionId, url, amount, currency, clientParams }
+   */
+  async createCheckout(params) {
+    throw new Error(`${this.name}: createCheckout is not implemented`);
+  }
+
+  /**
+   * 웹훅 서명 검증 및 이벤트 정규화
+   * @param {Buffer|String} rawBody - 원본 요청 본문
+   * @param {Object} headers - 요청 헤더
+   * @returns {Object} 정규화된 이벤트
+   */
+  async verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name}: verifyWebhook is not implemented`);
+  }
+
+  /**
+   * 결제사 구독 정보 조회
+   * @param {String} externalId - 결제사 구독 ID
+   * @returns {Object} { externalId, status, periodStart, periodEnd, plan }
+   */
+  async fetchSubscription(externalId) {
+    throw new Error(`${this.name}: fetchSubscription is not implemented`);
+  }
+
+  /**
+   * 결제사 구독 해지 (현재 이용 기간 종료 시 갱신 중단)
+   * @param {String} externalId - 결제사 구독 ID
+   * @returns {Object} { externalId, cancelAtPeriodEnd }
+   */
+  async cancelSubscription(externalId) {
+    throw new Error(`${this.name}: cancelSubscription is not implemented`);
+  }
+
+  /**
+   * 정기 결제 갱신 청구 (구독 라이프사이클 작업에서 이용 기간 종료 시 호출)
+   * 결제사가 스스로 갱신하는 경우(Stripe 구독, 스토어) null을 반환하고,
+   * 빌링키처럼 서버가 직접 청구해야 하는 결제사만 구현합니다.
+   * @param {Object} params - { userId, plan, externalId, periodStart }
+   * @returns {Object|null} { paymentId, periodStart, periodEnd, amount }
+   */
+  async chargeRenewal(params) {
+    return null;
+  }
+
+  /**
+   * 결제 환불
+   * @param {String} paymentId - 결제사 결제 ID
+   * @param {Number} amount - 환불 금액 (미지정 시 전액)
+   * @returns {Object} { refundId, status, amount }
+   */
+  async refund(paymentId, amount) {
+    throw new Error(`${this.name}: refund is not implemented`);
+  }
+
+  /**
+   * 플랜 가격 조회
+   */
+  getPlanPrice(plan) {
+    const amount = PLAN_PRICES[plan];
+    if (!amount) {
+      throw new Error(`지원하지 않는 구독 플랜입니다: ${plan}`);
+    }
+    return amount;
+  }
+
+  /**
+   * 할인 적용 후 첫 결제 금액
+   */
+  getCheckoutAmount(plan, discount) {
+    const amount = this.getPlanPrice(plan);
+    return discount ? Math.max(0, amount - discount.discountAmount) : amount;
+  }
+
+  /**
+   * 웹훅 시크릿 설정 확인
+   * 시크릿 없이 검증하면 빈 키로 만든 서명이 통과하거나 예외가 나므로 서명 오류로 거절
+   */
+  assertWebhookSecret() {
+    if (!this.config.webhookSecret) {
+      logger.error('결제 웹훅 시크릿이 설정되지 않았습니다.', { provider: this.name });
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+  }
+
+  /**
+   * HMAC-SHA256 서명 계산
+   */
+  sign(payload, secret, encoding = 'hex') {
+    return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+  }
+
+  /**
+   * 타이밍 공격에 안전한 서명 비교
+   */
+  safeCompare(expected, actual) {
+    if (!expected || !actual) return false;
+
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+
+    if (expectedBuffer.length !== actualBuffer.length) return false;
+    return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+  }
+
+  /**
+   * 웹훅 타임스탬프 허용 범위 확인 (재전송 공격 방지)
+   * @param {Number} timestampSeconds - 웹훅 타임스탬프 (초)
+   * @param {Number} toleranceSeconds - 허용 오차 (초)
+   */
+  isTimestampFresh(timestampSeconds, toleranceSeconds = 300) {
+    const timestamp = Number(timestampSeconds);
+    if (!Number.isFinite(timestamp)) return false;
+    return Math.abs(Date.now() / 1000 - timestamp) <= toleranceSeconds;
+  }
+}
+
+module.exports = {
+  BasePaymentProvider,
+  PAYMENT_EVENT_TYPES,
+  PLAN_PRICES
+};
@@ -0,0 +1,219 @@
+/**
+ * 로컬 개발/테스트용 결제 어댑터 (네트워크 사용 없음)
+ * NODE_ENV가 test/development일 때만 사용 가능하며 FAKE_PAYMENT_WEBHOOK_SECRET이 필요합니다.
+ * 동일한 호출 순서에 대해 항상 동일한 ID와 서명을 만들어내므로
+ * 체크아웃 → 웹훅 → Premium 활성화 흐름을 테스트에서 그대로 재현할 수 있습니다.
+ *
+ * 사용 예:
+ *   const { sessionId } = await provider.createCheckout({ userId, plan });
+ *   const { rawBody, headers } = provider.simulateCheckoutCompleted(sessionId);
+ *   await billingService.handleWebhook(rawBody, headers, 'fake');
+ */
+
+const { BasePaymentProvider, PAYMENT_EVENT_TYPES } = require('./baseProvider');
+const EntitlementUtils = require('../../utils/entitlement');
+
+const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+class FakePaymentProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('fake', {
+      webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+      checkoutBaseUrl: 'http://localhost/fake-checkout',
+      now: () => new Date(),
+      ...config
+    });
+
+    if (!this.config.webhookSecret) {
+      throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET 환경 변수가 설정되지 않았습니다.');
+    }
+
+    this.reset();
+  }
+
+  /**
+   * 내부 상태 초기화 (테스트 간 격리용)
+   */
+  reset() {
+    this.sequence = 0;
+    this.sessions = new Map();
+    this.subscriptions = new Map();
+    this.refunds = [];
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  async createCheckout({ userId, plan, discount }) {
+    const amount = this.getCheckoutAmount(plan, discount);
+    const sessionId = this.nextId('fake_cs');
+
+    this.sessions.set(sessionId, {
+      sessionId,
+      userId: String(userId),
+      plan,
+      amount,
+      status: 'open'
+    });
+
+    return {
+      sessionId,
+      url: `${this.config.checkoutBaseUrl}/${sessionId}`,
+      amount,
+      currency: 'KRW',
+      clientParams: null
+    };
+  }
+
+  /**
+   * 서명된 웹훅 요청 생성
+   * @param {Object} payload - 웹훅 본문
+   * @returns {Object} { rawBody, headers }
+   */
+  buildWebhook(payload) {
+    const rawBody = JSON.stringify(payload);
+    return {
+      rawBody: Buffer.from(rawBody),
+      headers: {
+        [FAKE_SIGNATURE_HEADER]: this.sign(rawBody, this.config.webhookSecret)
+      }
+    };
+  }
+
+  /**
+   * 체크아웃 결제 완료 웹훅 시뮬레이션
+   */
+  simulateCheckoutCompleted(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`존재하지 않는 결제 세션입니다: ${sessionId}`);
+    }
+
+    const periodStart = this.config.now();
+    const periodEnd = EntitlementUtils.calculatePeriodEnd(session.plan, periodStart);
+    const subscriptionId = session.subscriptionId || this.nextId('fake_sub');
+    const paymentId = this.nextId('fake_pay');
+
+    session.status = 'complete';
+    session.subscriptionId = subscriptionId;
+    this.subscriptions.set(subscriptionId, {
+      externalId: subscriptionId,
+      userId: session.userId,
+      plan: session.plan,
+      status: 'active',
+      periodStart,
+      periodEnd,
+      cancelAtPeriodEnd: false
+    });
+
+    return this.buildWebhook({
+      id: this.nextId('fake_evt'),
+      type: PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED,
+      userId: session.userId,
+      plan: session.plan,
+      externalId: subscriptionId,
+      paymentId,
+      checkoutSessionId: sessionId,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      amount: session.amount,
+      currency: 'KRW'
+    });
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    const body = rawBody.toString();
+    const expected = this.sign(body, this.config.webhookSecret);
+
+    if (!this.safeCompare(expected, headers[FAKE_SIGNATURE_HEADER])) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const event = JSON.parse(body);
+    return {
+      ...event,
+      periodStart: event.periodStart ? new Date(event.periodStart) : null,
+      periodEnd: event.periodEnd ? new Date(event.periodEnd) : null
+    };
+  }
+
+  async fetchSubscription(externalId) {
+    const subscription = this.subscriptions.get(externalId);
+    if (!subscription) {
+      throw new Error(`존재하지 않는 구독입니다: ${externalId}`);
+    }
+    return { ...subscription };
+  }
+
+  async cancelSubscription(externalId) {
+    const subscription = this.subscriptions.get(externalId);
+    if (!subscription) {
+      throw new Error(`존재하지 않는 구독입니다: ${externalId}`);
+    }
+
+    subscription.cancelAtPeriodEnd = true;
+    return { externalId, cancelAtPeriodEnd: true };
+  }
+
+  /**
+   * 정기 결제 갱신 시뮬레이션 (다음 주기로 기간 연장 후 결제 성공 웹훅 생성)
+   */
+  simulateRenewal(externalId) {
+    const subscription = this.subscriptions.get(externalId);
+    if (!subscription) {
+      throw new Error(`존재하지 않는 구독입니다: ${externalId}`);
+    }
+
+    subscription.periodStart = subscription.periodEnd;
+    subscription.periodEnd = EntitlementUtils.calculatePeriodEnd(subscription.plan, subscription.periodStart);
+
+    return this.buildWebhook({
+      id: this.nextId('fake_evt'),
+      type: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED,
+      userId: subscription.userId,
+      plan: subscription.plan,
+      externalId,
+      paymentId: this.nextId('fake_pay'),
+      periodStart: subscription.periodStart.toISOString(),
+      periodEnd: subscription.periodEnd.toISOString(),
+      amount: this.getPlanPrice(subscription.plan),
+      currency: 'KRW'
+    });
+  }
+
+  /**
+   * 갱신 결제 실패 웹훅 시뮬레이션
+   */
+  simulatePaymentFailed(externalId) {
+    const subscription = this.subscriptions.get(externalId);
+    if (!subscription) {
+      throw new Error(`존재하지 않는 구독입니다: ${externalId}`);
+    }
+
+    return this.buildWebhook({
+      id: this.nextId('fake_evt'),
+      type: PAYMENT_EVENT_TYPES.PAYMENT_FAILED,
+      userId: subscription.userId,
+      plan: subscription.plan,
+      externalId,
+      amount: this.getPlanPrice(subscription.plan),
+      currency: 'KRW'
+    });
+  }
+
+  async refund(paymentId, amount) {
+    const refund = {
+      refundId: this.nextId('fake_re'),
+      paymentId,
+      status: 'succeeded',
+      amount: amount || null
+    };
+
+    this.refunds.push(refund);
+    return { refundId: refund.refundId, status: refund.status, amount: refund.amount };
+  }
+}
+
+module.exports = FakePaymentProvider;
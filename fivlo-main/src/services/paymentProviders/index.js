@@ -0,0 +1,109 @@
+/**
+ * 결제 프로바이더 레지스트리
+ * PAYMENT_PROVIDER 환경 변수로 기본 프로바이더를 선택합니다.
+ * (stripe | portone | fake, 기본값 stripe / 테스트·개발 환경에서는 fake)
+ * fake 프로바이더는 NODE_ENV가 test 또는 development일 때만 사용할 수 있습니다.
+ *
+ * 앱스토어 인앱 구독(apple, google)은 체크아웃 없이 영수증 검증/서버 알림만 처리합니다.
+ * STORE_RECEIPT_VERIFIER 환경 변수로 검증기를 선택합니다.
+ * (live | stub, 운영 환경이 아니면 기본값 stub)
+ */
+
+const { PAYMENT_EVENT_TYPES, PLAN_PRICES } = require('./baseProvider');
+const StripeProvider = require('./stripeProvider');
+const PortOneProvider = require('./portoneProvider');
+const FakePaymentProvider = require('./fakeProvider');
+const { StoreProvider, STORE_PRODUCT_PLANS } = require('./storeProvider');
+const AppleReceiptVerifier = require('./storeVerifiers/appleVerifier');
+const GooglePlayVerifier = require('./storeVerifiers/googleVerifier');
+const StubStoreVerifier = require('./storeVerifiers/stubVerifier');
+
+/**
+ * 스토어 검증기 선택 (운영 환경에서는 stub 사용 불가)
+ */
+const getStoreVerifierMode = () => {
+  return process.env.STORE_RECEIPT_VERIFIER ||
+    (process.env.NODE_ENV === 'production' ? 'live' : 'stub');
+};
+
+const createStoreProvider = (store, LiveVerifier) => {
+  const verifier = getStoreVerifierMode() === 'stub'
+    ? new StubStoreVerifier(store, { productPlans: STORE_PRODUCT_PLANS })
+    : new LiveVerifier();
+  return new StoreProvider(store, verifier);
+};
+
+const providerFactories = {
+  stripe: () => new StripeProvider(),
+  portone: () => new PortOneProvider(),
+  fake: () => new FakePaymentProvider(),
+  apple: () => createStoreProvider('apple', AppleReceiptVerifier),
+  google: () => createStoreProvider('google', GooglePlayVerifier)
+};
+
+// 웹 체크아웃을 지원하는 프로바이더
+const checkoutProviders = ['stripe', 'portone', 'fake'];
+
+// 앱스토어 인앱 구독 프로바이더
+const storeProviders = ['apple', 'google'];
+
+// fake 프로바이더를 허용하는 환경 (NODE_ENV 미설정, staging 등은 허용하지 않음)
+const FAKE_PROVIDER_ENVS = ['test', 'development'];
+
+const instances = new Map();
+
+const isFakeProviderAllowed = () => FAKE_PROVIDER_ENVS.includes(process.env.NODE_ENV);
+
+/**
+ * 기본 프로바이더 이름
+ */
+const getDefaultProviderName = () => {
+  return process.env.PAYMENT_PROVIDER ||
+    (isFakeProviderAllowed() ? 'fake' : 'stripe');
+};
+
+/**
+ * 프로바이더 인스턴스 조회 (이름별 싱글톤)
+ * @param {String} name - 프로바이더 이름 (미지정 시 기본 프로바이더)
+ */
+const getProvider = (name = getDefaultProviderName()) => {
+  const createProvider = providerFactories[name];
+  if (!createProvider) {
+    throw new Error(`지원하지 않는 결제 프로바이더입니다: ${name}`);
+  }
+
+  // 테스트/개발 환경 외에는 가짜 결제를 허용하지 않음 (누구나 Premium을 지급받을 수 있음)
+  if (name === 'fake' && !isFakeProviderAllowed()) {
+    throw new Error('PAYMENT_PROVIDER_UNAVAILABLE');
+  }
+
+  if (storeProviders.includes(name) && getStoreVerifierMode() === 'stub' &&
+      process.env.NODE_ENV === 'production') {
+    throw new Error('운영 환경에서는 stub 영수증 검증기를 사용할 수 없습니다.');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, createProvider());
+  }
+  return instances.get(name);
+};
+
+/**
+ * 프로바이더 인스턴스 교체 (테스트에서 설정을 바꾼 인스턴스 주입용)
+ */
+const setProvider = (name, provider) => {
+  instances.set(name, provider);
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  getDefaultProviderName,
+  isFakeProviderAllowed,
+  PAYMENT_EVENT_TYPES,
+  PLAN_PRICES,
+  STORE_PRODUCT_PLANS,
+  supportedProviders: Object.keys(providerFactories),
+  checkoutProviders,
+  storeProviders
+};
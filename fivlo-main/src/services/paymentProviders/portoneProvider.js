@@ -0,0 +1,292 @@
+/**
+ * PortOne(포트원) V2 국내 PG 결제 어댑터
+ * 앱/웹에서 PortOne SDK(requestIssueBillingKeyAndPay)를 호출하고,
+ * 결제 결과는 웹훅 + 결제 단건 조회로 확정합니다.
+ *
+ * SDK에 전달하는 금액/customData는 앱에서 바꿀 수 있으므로, customData에 서버 서명을 넣고
+ * 결제 완료 시 서명과 실제 결제 금액을 서버가 정한 금액과 비교합니다. (불일치 시 결제 취소)
+ *
+ * PortOne 빌링키는 스스로 갱신 결제를 하지 않으므로, 이용 기간이 끝나면
+ * 구독 라이프사이클 작업이 chargeRenewal()로 빌링키 결제를 청구합니다.
+ *
+ * 환경 변수:
+ * - PORTONE_API_SECRET
+ * - PORTONE_STORE_ID
+ * - PORTONE_CHANNEL_KEY
+ * - PORTONE_WEBHOOK_SECRET (whsec_ 로 시작하는 웹훅 시크릿)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { BasePaymentProvider, PAYMENT_EVENT_TYPES } = require('./baseProvider');
+const EntitlementUtils = require('../../utils/entitlement');
+const logger = require('../../utils/logger');
+
+const PORTONE_API_URL = 'https://api.portone.io';
+
+const PLAN_ORDER_NAMES = {
+  premium_monthly: 'FIVLO Premium 월간 구독',
+  premium_yearly: 'FIVLO Premium 연간 구독'
+};
+
+class PortOneProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('portone', {
+      apiSecret: process.env.PORTONE_API_SECRET,
+      storeId: process.env.PORTONE_STORE_ID,
+      channelKey: process.env.PORTONE_CHANNEL_KEY,
+      webhookSecret: process.env.PORTONE_WEBHOOK_SECRET,
+      ...config
+    });
+
+    this.client = axios.create({
+      baseURL: PORTONE_API_URL,
+      timeout: 10000,
+      headers: {
+        Authorization: `PortOne ${this.config.apiSecret}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async createCheckout({ userId, plan, discount }) {
+    const amount = this.getCheckoutAmount(plan, discount);
+    const paymentId = `fivlo_${userId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+    // PortOne은 서버에서 결제창 URL을 만들지 않고 SDK 파라미터를 내려줌
+    return {
+      sessionId: paymentId,
+      url: null,
+      amount,
+      currency: 'KRW',
+      clientParams: {
+        storeId: this.config.storeId,
+        channelKey: this.config.channelKey,
+        paymentId,
+        orderName: PLAN_ORDER_NAMES[plan],
+        totalAmount: amount,
+        currency: 'CURRENCY_KRW',
+        billingKeyMethod: 'CARD',
+        customData: this.buildCustomData({ userId: String(userId), plan, amount, paymentId })
+      }
+    };
+  }
+
+  /**
+   * 서버 서명을 포함한 customData 생성
+   * @param {Object} data - { userId, plan, amount, paymentId }
+   */
+  buildCustomData(data) {
+    return JSON.stringify({ ...data, signature: this.signCustomData(data) });
+  }
+
+  signCustomData(data) {
+    const { signature, ...fields } = data;
+    return this.sign(JSON.stringify(fields), this.config.apiSecret);
+  }
+
+  /**
+   * 결제 건의 customData 검증 (서명이 없거나 다른 결제의 데이터면 null)
+   */
+  parseCustomData(payment) {
+    let data;
+    try {
+      data = payment.customData ? JSON.parse(payment.customData) : null;
+    } catch (error) {
+      return null;
+    }
+
+    if (!data || data.paymentId !== payment.id ||
+        !this.safeCompare(this.signCustomData(data), data.signature)) {
+      return null;
+    }
+    return data;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    this.assertWebhookSecret();
+
+    const webhookId = headers['webhook-id'];
+    const timestamp = headers['webhook-timestamp'];
+    const signatureHeader = headers['webhook-signature'] || '';
+
+    // Standard Webhooks 규격: base64(HMAC-SHA256(secret, "{id}.{timestamp}.{body}"))
+    const secret = Buffer.from(this.config.webhookSecret.replace(/^whsec_/, ''), 'base64');
+    const expected = this.sign(`${webhookId}.${timestamp}.${rawBody.toString()}`, secret, 'base64');
+    const verified = signatureHeader
+      .split(' ')
+      .map(entry => entry.split(',')[1])
+      .some(signature => this.safeCompare(expected, signature));
+
+    if (!webhookId || !verified || !this.isTimestampFresh(timestamp)) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return this.normalizeEvent(webhookId, event);
+  }
+
+  /**
+   * PortOne 웹훅 이벤트를 공통 이벤트 형태로 변환
+   * 웹훅 본문에는 결제 ID만 있으므로 결제 단건 조회로 상세 정보를 확정
+   */
+  async normalizeEvent(webhookId, event) {
+    const data = event.data || {};
+
+    if (event.type === 'BillingKey.Deleted') {
+      return {
+        id: webhookId,
+        type: PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED,
+        externalId: data.billingKey,
+        userId: null,
+        plan: null
+      };
+    }
+
+    const typeMap = {
+      'Transaction.Paid': PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED,
+      'Transaction.Failed': PAYMENT_EVENT_TYPES.PAYMENT_FAILED,
+      'Transaction.Cancelled': PAYMENT_EVENT_TYPES.REFUND_COMPLETED
+    };
+
+    if (!typeMap[event.type] || !data.paymentId) {
+      return { id: webhookId, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: event.type };
+    }
+
+    const { data: payment } = await this.client.get(`/payments/${encodeURIComponent(data.paymentId)}`);
+    const customData = this.parseCustomData(payment);
+    const paidAmount = payment.amount ? payment.amount.total : null;
+
+    if (!customData) {
+      logger.warn('PortOne 결제 customData 검증 실패', { paymentId: payment.id, type: event.type });
+      return { id: webhookId, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: event.type };
+    }
+
+    // 앱에서 결제 금액을 바꾼 결제는 Premium을 지급하지 않고 취소
+    // 서버가 직접 취소한 결제의 취소 웹훅(Transaction.Cancelled)은 기존 구독에 반영하지 않음
+    if (paidAmount !== customData.amount) {
+      if (event.type === 'Transaction.Paid') {
+        logger.warn('PortOne 결제 금액 불일치', {
+          paymentId: payment.id,
+          userId: customData.userId,
+          expectedAmount: customData.amount,
+          paidAmount
+        });
+        await this.cancelMismatchedPayment(payment.id);
+      }
+      return { id: webhookId, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: event.type };
+    }
+
+    const paidAt = payment.paidAt ? new Date(payment.paidAt) : new Date();
+    // 갱신 결제는 chargeRenewal()에서 정한 이용 기간 시작일 기준
+    const isRenewal = customData.kind === 'renewal';
+    const periodStart = isRenewal ? new Date(customData.periodStart) : paidAt;
+
+    return {
+      id: webhookId,
+      type: isRenewal && event.type === 'Transaction.Paid'
+        ? PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED
+        : typeMap[event.type],
+      userId: customData.userId,
+      plan: customData.plan,
+      externalId: payment.billingKey || null,
+      paymentId: payment.id,
+      checkoutSessionId: isRenewal ? null : payment.id,
+      periodStart,
+      periodEnd: EntitlementUtils.calculatePeriodEnd(customData.plan, periodStart),
+      amount: paidAmount,
+      currency: 'KRW'
+    };
+  }
+
+  /**
+   * 금액이 맞지 않는 결제 취소 (웹훅 재전송으로 이미 취소된 경우 실패는 기록만 함)
+   */
+  async cancelMismatchedPayment(paymentId) {
+    try {
+      await this.client.post(`/payments/${encodeURIComponent(paymentId)}/cancel`, {
+        reason: '결제 금액 불일치'
+      });
+    } catch (error) {
+      logger.error('PortOne 결제 취소 실패', { paymentId, error: error.message });
+    }
+  }
+
+  /**
+   * 빌링키로 다음 이용 기간 결제
+   * 결제 ID를 사용자/기간별로 고정해 작업이 재실행되어도 같은 기간을 두 번 청구하지 않음
+   */
+  async chargeRenewal({ userId, plan, externalId, periodStart }) {
+    const amount = this.getPlanPrice(plan);
+    const start = new Date(periodStart);
+    const paymentId = `fivlo_renew_${userId}_${start.getTime()}`;
+
+    try {
+      await this.client.post(`/payments/${encodeURIComponent(paymentId)}/billing-key`, {
+        storeId: this.config.storeId,
+        billingKey: externalId,
+        orderName: PLAN_ORDER_NAMES[plan],
+        amount: { total: amount },
+        currency: 'KRW',
+        customData: this.buildCustomData({
+          userId: String(userId),
+          plan,
+          amount,
+          paymentId,
+          kind: 'renewal',
+          periodStart: start.toISOString()
+        })
+      });
+    } catch (error) {
+      // 이전 실행에서 이미 결제된 기간
+      if (!error.response || !error.response.data || error.response.data.type !== 'ALREADY_PAID') {
+        throw error;
+      }
+    }
+
+    return {
+      paymentId,
+      periodStart: start,
+      periodEnd: EntitlementUtils.calculatePeriodEnd(plan, start),
+      amount
+    };
+  }
+
+  async fetchSubscription(externalId) {
+    const { data } = await this.client.get(`/billing-keys/${encodeURIComponent(externalId)}`);
+
+    return {
+      externalId: data.billingKey,
+      status: data.status === 'ISSUED' ? 'active' : 'canceled',
+      plan: null,
+      periodStart: data.issuedAt ? new Date(data.issuedAt) : null,
+      periodEnd: null, // 빌링키에는 이용 기간이 없음 (갱신은 chargeRenewal로 처리)
+      cancelAtPeriodEnd: data.status !== 'ISSUED'
+    };
+  }
+
+  async cancelSubscription(externalId) {
+    // 빌링키를 삭제하면 이후 정기 결제가 발생하지 않음 (이용 기간 관리는 서버에서 수행)
+    await this.client.delete(`/billing-keys/${encodeURIComponent(externalId)}`);
+
+    return {
+      externalId,
+      cancelAtPeriodEnd: true
+    };
+  }
+
+  async refund(paymentId, amount) {
+    const { data } = await this.client.post(`/payments/${encodeURIComponent(paymentId)}/cancel`, {
+      reason: 'FIVLO 구독 환불',
+      ...(amount && { amount })
+    });
+
+    return {
+      refundId: data.cancellation ? data.cancellation.id : null,
+      status: data.cancellation ? data.cancellation.status : 'REQUESTED',
+      amount: data.cancellation ? data.cancellation.totalAmount : amount
+    };
+  }
+}
+
+module.exports = PortOneProvider;
@@ -0,0 +1,131 @@
+/**
+ * 앱스토어 인앱 구독 어댑터 (App Store, Google Play)
+ * 영수증 검증과 서버 알림 해석은 스토어별 검증기(storeVerifiers)에 위임하고,
+ * 결과를 웹 결제와 동일한 정규화 이벤트로 변환해 같은 구독 권한 흐름에 태웁니다.
+ *
+ * 구독 해지/환불은 사용자가 스토어에서 직접 처리하므로 서버에서 요청하지 않습니다.
+ *
+ * 환경 변수:
+ * - STORE_PRODUCT_PREMIUM_MONTHLY / STORE_PRODUCT_PREMIUM_YEARLY (스토어 상품 ID)
+ */
+
+const { BasePaymentProvider, PAYMENT_EVENT_TYPES } = require('./baseProvider');
+const EntitlementUtils = require('../../utils/entitlement');
+
+// 스토어 상품 ID → 구독 플랜 (두 스토어에 같은 상품 ID를 등록)
+const STORE_PRODUCT_PLANS = {
+  [process.env.STORE_PRODUCT_PREMIUM_MONTHLY || 'fivlo_premium_monthly']: EntitlementUtils.PLANS.PREMIUM_MONTHLY,
+  [process.env.STORE_PRODUCT_PREMIUM_YEARLY || 'fivlo_premium_yearly']: EntitlementUtils.PLANS.PREMIUM_YEARLY
+};
+
+// 이용 기간이 남아 있으면 Premium을 유지하는 스토어 거래 상태
+const ENTITLED_TRANSACTION_STATUSES = ['active', 'grace', 'canceled'];
+
+class StoreProvider extends BasePaymentProvider {
+  /**
+   * @param {String} store - apple | google
+   * @param {Object} verifier - 스토어 검증기 (appleVerifier, googleVerifier, stubVerifier)
+   */
+  constructor(store, verifier) {
+    super(store, {});
+    this.source = store;
+    this.verifier = verifier;
+  }
+
+  async createCheckout() {
+    throw new Error('STORE_MANAGED_SUBSCRIPTION');
+  }
+
+  /**
+   * 앱에서 전달한 영수증(구매 토큰) 검증
+   * @param {Object} payload - apple: { receipt }, google: { purchaseToken, productId }
+   * @returns {Object} 정규화된 체크아웃 완료 이벤트
+   */
+  async verifyReceipt(payload) {
+    const transaction = await this.verifier.verifyReceipt(payload);
+    const plan = STORE_PRODUCT_PLANS[transaction.productId];
+
+    if (!plan) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    if (!this.isEntitled(transaction)) {
+      throw new Error('RECEIPT_NOT_ACTIVE');
+    }
+
+    return {
+      ...this.toEvent(transaction, PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED),
+      // 같은 결제 기간의 영수증 재제출은 한 번만 반영
+      id: `receipt_${transaction.transactionId || transaction.externalId}_${transaction.periodEnd.getTime()}`
+    };
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    const notification = await this.verifier.decodeNotification(rawBody, headers);
+
+    if (notification.type === PAYMENT_EVENT_TYPES.IGNORED || !notification.externalId) {
+      return { id: notification.id, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: notification.rawType };
+    }
+
+    // 알림에 거래 정보가 없으면 (Google RTDN) 스토어에서 조회
+    const transaction = notification.transaction ||
+      await this.verifier.fetchSubscription(notification.externalId);
+
+    return {
+      ...this.toEvent(transaction, notification.type),
+      id: notification.id,
+      rawType: notification.rawType
+    };
+  }
+
+  async fetchSubscription(externalId) {
+    const transaction = await this.verifier.fetchSubscription(externalId);
+
+    return {
+      externalId: transaction.externalId,
+      status: this.isEntitled(transaction) && transaction.status !== 'canceled' ? 'active' : 'canceled',
+      plan: STORE_PRODUCT_PLANS[transaction.productId] || null,
+      periodStart: transaction.periodStart,
+      periodEnd: transaction.periodEnd,
+      cancelAtPeriodEnd: !transaction.autoRenew
+    };
+  }
+
+  async cancelSubscription() {
+    throw new Error('STORE_MANAGED_SUBSCRIPTION');
+  }
+
+  async refund() {
+    throw new Error('STORE_MANAGED_SUBSCRIPTION');
+  }
+
+  isEntitled(transaction) {
+    return ENTITLED_TRANSACTION_STATUSES.includes(transaction.status) &&
+      !!transaction.periodEnd && transaction.periodEnd > new Date();
+  }
+
+  /**
+   * 스토어 거래 정보 → 정규화된 결제 이벤트
+   */
+  toEvent(transaction, type) {
+    return {
+      type,
+      userId: null,
+      plan: STORE_PRODUCT_PLANS[transaction.productId] || null,
+      externalId: transaction.externalId,
+      previousExternalId: transaction.previousExternalId || null,
+      paymentId: transaction.transactionId || null,
+      periodStart: transaction.periodStart,
+      periodEnd: transaction.periodEnd,
+      autoRenew: transaction.autoRenew,
+      accountId: transaction.accountId || null,
+      amount: null,
+      currency: null
+    };
+  }
+}
+
+module.exports = {
+  StoreProvider,
+  STORE_PRODUCT_PLANS
+};
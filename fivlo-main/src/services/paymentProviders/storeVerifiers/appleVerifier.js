@@ -0,0 +1,268 @@
+/**
+ * App Store 영수증/알림 검증기
+ * - 앱 영수증: verifyReceipt API (운영 → 21007 응답 시 샌드박스 재시도)
+ * - 서버 알림: App Store Server Notifications V2 (x5c 인증서 체인 + ES256 JWS 서명 검증)
+ * - 구독 조회: App Store Server API (/inApps/v1/subscriptions)
+ *
+ * 환경 변수:
+ * - APPLE_BUNDLE_ID
+ * - APPLE_SHARED_SECRET (App 전용 공유 암호)
+ * - APPLE_ISSUER_ID / APPLE_KEY_ID / APPLE_PRIVATE_KEY (App Store Server API 키)
+ * - APPLE_ROOT_CA_SHA256 (Apple Root CA - G3 인증서 SHA-256 지문)
+ * - APPLE_ENVIRONMENT (production | sandbox, 기본값 production)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PAYMENT_EVENT_TYPES } = require('../baseProvider');
+
+const VERIFY_RECEIPT_URLS = {
+  production: 'https://buy.itunes.apple.com/verifyReceipt',
+  sandbox: 'https://sandbox.itunes.apple.com/verifyReceipt'
+};
+
+const SERVER_API_URLS = {
+  production: 'https://api.storekit.itunes.apple.com',
+  sandbox: 'https://api.storekit-sandbox.itunes.apple.com'
+};
+
+// 샌드박스 영수증을 운영 URL로 보냈을 때의 응답 코드
+const SANDBOX_RECEIPT_STATUS = 21007;
+
+class AppleReceiptVerifier {
+  constructor(config = {}) {
+    this.store = 'apple';
+    this.config = {
+      bundleId: process.env.APPLE_BUNDLE_ID,
+      sharedSecret: process.env.APPLE_SHARED_SECRET,
+      issuerId: process.env.APPLE_ISSUER_ID,
+      keyId: process.env.APPLE_KEY_ID,
+      privateKey: (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+      rootCertFingerprint: process.env.APPLE_ROOT_CA_SHA256,
+      environment: process.env.APPLE_ENVIRONMENT || 'production',
+      ...config
+    };
+  }
+
+  /**
+   * 앱 영수증 검증
+   * @param {Object} payload - { receipt } (base64 앱 영수증)
+   * @returns {Object} 스토어 거래 정보
+   */
+  async verifyReceipt({ receipt }) {
+    const body = {
+      'receipt-data': receipt,
+      password: this.config.sharedSecret,
+      'exclude-old-transactions': true
+    };
+
+    let { data } = await axios.post(VERIFY_RECEIPT_URLS.production, body, { timeout: 10000 });
+    if (data.status === SANDBOX_RECEIPT_STATUS) {
+      ({ data } = await axios.post(VERIFY_RECEIPT_URLS.sandbox, body, { timeout: 10000 }));
+    }
+
+    if (data.status !== 0 || !data.receipt || data.receipt.bundle_id !== this.config.bundleId) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    // 가장 늦게 만료되는 거래가 현재 구독 상태
+    const latest = (data.latest_receipt_info || []).reduce((current, item) => {
+      return !current || Number(item.expires_date_ms) > Number(current.expires_date_ms) ? item : current;
+    }, null);
+
+    if (!latest) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    const renewal = (data.pending_renewal_info || [])
+      .find(item => item.original_transaction_id === latest.original_transaction_id) || {};
+
+    return this.toTransaction(
+      {
+        originalTransactionId: latest.original_transaction_id,
+        transactionId: latest.transaction_id,
+        productId: latest.product_id,
+        purchaseDate: Number(latest.purchase_date_ms),
+        expiresDate: Number(latest.expires_date_ms),
+        revocationDate: latest.cancellation_date_ms ? Number(latest.cancellation_date_ms) : null,
+        environment: data.environment
+      },
+      {
+        autoRenewStatus: renewal.auto_renew_status === '1' ? 1 : 0,
+        gracePeriodExpiresDate: renewal.grace_period_expires_date_ms
+          ? Number(renewal.grace_period_expires_date_ms)
+          : null
+      }
+    );
+  }
+
+  /**
+   * 서버 알림(V2) 검증 및 해석
+   * @param {Buffer} rawBody - { signedPayload }
+   */
+  async decodeNotification(rawBody) {
+    let signedPayload;
+    try {
+      ({ signedPayload } = JSON.parse(rawBody.toString()));
+    } catch (error) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const payload = this.verifySignedPayload(signedPayload);
+    const data = payload.data || {};
+
+    if (data.bundleId && data.bundleId !== this.config.bundleId) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const transaction = data.signedTransactionInfo
+      ? this.toTransaction(
+        this.verifySignedPayload(data.signedTransactionInfo),
+        data.signedRenewalInfo ? this.verifySignedPayload(data.signedRenewalInfo) : {}
+      )
+      : null;
+
+    return {
+      id: payload.notificationUUID,
+      type: this.mapNotificationType(payload.notificationType, payload.subtype),
+      rawType: payload.subtype ? `${payload.notificationType}.${payload.subtype}` : payload.notificationType,
+      externalId: transaction ? transaction.externalId : null,
+      transaction
+    };
+  }
+
+  /**
+   * 알림 타입 → 공통 결제 이벤트 타입
+   */
+  mapNotificationType(notificationType, subtype) {
+    switch (notificationType) {
+      case 'SUBSCRIBED':
+      case 'DID_RENEW':
+        return PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED;
+      case 'DID_CHANGE_RENEWAL_STATUS':
+        return subtype === 'AUTO_RENEW_DISABLED'
+          ? PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED
+          : PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED;
+      case 'DID_FAIL_TO_RENEW':
+        return PAYMENT_EVENT_TYPES.PAYMENT_FAILED;
+      case 'EXPIRED':
+      case 'GRACE_PERIOD_EXPIRED':
+        return PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED;
+      case 'REFUND':
+      case 'REVOKE':
+        return PAYMENT_EVENT_TYPES.REFUND_COMPLETED;
+      default:
+        return PAYMENT_EVENT_TYPES.IGNORED;
+    }
+  }
+
+  /**
+   * App Store Server API로 구독 상태 조회
+   * @param {String} originalTransactionId
+   */
+  async fetchSubscription(originalTransactionId) {
+    const token = jwt.sign(
+      { iss: this.config.issuerId, aud: 'appstoreconnect-v1', bid: this.config.bundleId },
+      this.config.privateKey,
+      { algorithm: 'ES256', keyid: this.config.keyId, expiresIn: '5m' }
+    );
+
+    const baseURL = SERVER_API_URLS[this.config.environment] || SERVER_API_URLS.production;
+    const { data } = await axios.get(
+      `${baseURL}/inApps/v1/subscriptions/${encodeURIComponent(originalTransactionId)}`,
+      { headers: { Authorization: `Bearer ${token}` }, timeout: 10000 }
+    );
+
+    const lastTransaction = (data.data || [])
+      .flatMap(group => group.lastTransactions || [])
+      .find(item => item.originalTransactionId === originalTransactionId);
+
+    if (!lastTransaction) {
+      throw new Error(`존재하지 않는 구독입니다: ${originalTransactionId}`);
+    }
+
+    return this.toTransaction(
+      this.verifySignedPayload(lastTransaction.signedTransactionInfo),
+      lastTransaction.signedRenewalInfo ? this.verifySignedPayload(lastTransaction.signedRenewalInfo) : {}
+    );
+  }
+
+  /**
+   * Apple JWS 검증 (x5c 체인이 Apple 루트 인증서로 끝나는지 + 리프 인증서 서명 확인)
+   * @returns {Object} 디코딩된 페이로드
+   */
+  verifySignedPayload(jws) {
+    try {
+      const [headerPart, payloadPart, signaturePart] = String(jws).split('.');
+      const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString());
+      const chain = (header.x5c || []).map(cert => new crypto.X509Certificate(Buffer.from(cert, 'base64')));
+
+      if (header.alg !== 'ES256' || chain.length < 2) {
+        throw new Error('invalid header');
+      }
+
+      for (let i = 0; i < chain.length - 1; i++) {
+        if (!chain[i].checkIssued(chain[i + 1]) || !chain[i].verify(chain[i + 1].publicKey)) {
+          throw new Error('invalid certificate chain');
+        }
+      }
+
+      const rootFingerprint = chain[chain.length - 1].fingerprint256.replace(/:/g, '').toUpperCase();
+      const expectedFingerprint = (this.config.rootCertFingerprint || '').replace(/:/g, '').toUpperCase();
+      if (!expectedFingerprint || rootFingerprint !== expectedFingerprint) {
+        throw new Error('untrusted root certificate');
+      }
+
+      const verified = crypto.verify(
+        'sha256',
+        Buffer.from(`${headerPart}.${payloadPart}`),
+        { key: chain[0].publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signaturePart, 'base64url')
+      );
+      if (!verified) {
+        throw new Error('invalid signature');
+      }
+
+      return JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+    } catch (error) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+  }
+
+  /**
+   * Apple 거래 정보 → 스토어 공통 거래 정보
+   * @param {Object} info - JWSTransactionDecodedPayload 형태
+   * @param {Object} renewal - JWSRenewalInfoDecodedPayload 형태
+   */
+  toTransaction(info, renewal = {}) {
+    const now = Date.now();
+    const expiresDate = Number(info.expiresDate);
+    const gracePeriodExpiresDate = renewal.gracePeriodExpiresDate ? Number(renewal.gracePeriodExpiresDate) : null;
+
+    let status = 'expired';
+    if (info.revocationDate) {
+      status = 'refunded';
+    } else if (expiresDate > now) {
+      status = renewal.autoRenewStatus === 0 ? 'canceled' : 'active';
+    } else if (gracePeriodExpiresDate && gracePeriodExpiresDate > now) {
+      status = 'grace';
+    }
+
+    return {
+      externalId: info.originalTransactionId,
+      transactionId: info.transactionId,
+      previousExternalId: null,
+      productId: info.productId,
+      status,
+      periodStart: new Date(Number(info.purchaseDate)),
+      periodEnd: new Date(status === 'grace' ? gracePeriodExpiresDate : expiresDate),
+      autoRenew: renewal.autoRenewStatus !== 0,
+      // appAccountToken은 UUID 형식이라 FIVLO 사용자 ID와 직접 비교하지 않음
+      accountId: null,
+      environment: (info.environment || this.config.environment || '').toLowerCase()
+    };
+  }
+}
+
+module.exports = AppleReceiptVerifier;
@@ -0,0 +1,243 @@
+/**
+ * Google Play 구매 토큰/알림 검증기
+ * - 구매 토큰: Android Publisher API purchases.subscriptionsv2.get (+ 미확인 구매 acknowledge)
+ * - 서버 알림: Real-time developer notifications (Pub/Sub push, OIDC 토큰 검증)
+ *
+ * 환경 변수:
+ * - GOOGLE_PLAY_PACKAGE_NAME
+ * - GOOGLE_PLAY_SERVICE_ACCOUNT (서비스 계정 키 JSON 문자열)
+ * - GOOGLE_PUBSUB_AUDIENCE (Pub/Sub push 구독에 설정한 audience)
+ * - GOOGLE_PUBSUB_SERVICE_ACCOUNT (Pub/Sub push 인증에 사용하는 서비스 계정 이메일)
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { PAYMENT_EVENT_TYPES } = require('../baseProvider');
+
+const ANDROID_PUBLISHER_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v1/certs';
+const ANDROID_PUBLISHER_SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+
+const SUBSCRIPTION_STATES = {
+  SUBSCRIPTION_STATE_ACTIVE: 'active',
+  SUBSCRIPTION_STATE_IN_GRACE_PERIOD: 'grace',
+  SUBSCRIPTION_STATE_CANCELED: 'canceled',
+  SUBSCRIPTION_STATE_ON_HOLD: 'on_hold',
+  SUBSCRIPTION_STATE_PAUSED: 'on_hold',
+  SUBSCRIPTION_STATE_EXPIRED: 'expired',
+  SUBSCRIPTION_STATE_PENDING: 'pending'
+};
+
+// subscriptionNotification.notificationType 값
+const NOTIFICATION_TYPES = {
+  1: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED, // RECOVERED
+  2: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED, // RENEWED
+  3: PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED, // CANCELED
+  4: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED, // PURCHASED
+  5: PAYMENT_EVENT_TYPES.PAYMENT_FAILED, // ON_HOLD
+  6: PAYMENT_EVENT_TYPES.PAYMENT_FAILED, // IN_GRACE_PERIOD
+  7: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED, // RESTARTED
+  12: PAYMENT_EVENT_TYPES.REFUND_COMPLETED, // REVOKED
+  13: PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED // EXPIRED
+};
+
+class GooglePlayVerifier {
+  constructor(config = {}) {
+    this.store = 'google';
+    this.config = {
+      packageName: process.env.GOOGLE_PLAY_PACKAGE_NAME,
+      serviceAccount: process.env.GOOGLE_PLAY_SERVICE_ACCOUNT
+        ? JSON.parse(process.env.GOOGLE_PLAY_SERVICE_ACCOUNT)
+        : {},
+      pubsubAudience: process.env.GOOGLE_PUBSUB_AUDIENCE,
+      pubsubServiceAccount: process.env.GOOGLE_PUBSUB_SERVICE_ACCOUNT,
+      ...config
+    };
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.certs = null;
+    this.certsExpiresAt = 0;
+  }
+
+  /**
+   * 구매 토큰 검증
+   * @param {Object} payload - { purchaseToken, productId }
+   * @returns {Object} 스토어 거래 정보
+   */
+  async verifyReceipt({ purchaseToken, productId }) {
+    const data = await this.getSubscriptionPurchase(purchaseToken);
+    const transaction = this.toTransaction(purchaseToken, data);
+
+    if (productId && transaction.productId !== productId) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    // 3일 내 acknowledge 하지 않으면 Google이 자동 환불함
+    if (data.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_PENDING' &&
+        ['active', 'grace'].includes(transaction.status)) {
+      const accessToken = await this.getAccessToken();
+      await axios.post(
+        `${ANDROID_PUBLISHER_URL}/applications/${this.config.packageName}/purchases/subscriptions/` +
+          `${encodeURIComponent(transaction.productId)}/tokens/${encodeURIComponent(purchaseToken)}:acknowledge`,
+        {},
+        { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 10000 }
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * RTDN(Pub/Sub push) 검증 및 해석
+   * 알림 본문에는 구매 토큰만 있으므로 기간 정보는 StoreProvider가 조회로 보완
+   */
+  async decodeNotification(rawBody, headers) {
+    await this.verifyPushToken(headers.authorization);
+
+    let notification;
+    let messageId;
+    try {
+      const { message } = JSON.parse(rawBody.toString());
+      messageId = message.messageId;
+      notification = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    } catch (error) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    if (notification.packageName !== this.config.packageName) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const subscriptionNotification = notification.subscriptionNotification;
+    if (!subscriptionNotification) {
+      return { id: messageId, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: 'non_subscription', externalId: null, transaction: null };
+    }
+
+    const { notificationType, purchaseToken } = subscriptionNotification;
+    return {
+      id: messageId,
+      type: NOTIFICATION_TYPES[notificationType] || PAYMENT_EVENT_TYPES.IGNORED,
+      rawType: String(notificationType),
+      externalId: purchaseToken,
+      transaction: null
+    };
+  }
+
+  async fetchSubscription(purchaseToken) {
+    const data = await this.getSubscriptionPurchase(purchaseToken);
+    return this.toTransaction(purchaseToken, data);
+  }
+
+  async getSubscriptionPurchase(purchaseToken) {
+    const accessToken = await this.getAccessToken();
+
+    try {
+      const { data } = await axios.get(
+        `${ANDROID_PUBLISHER_URL}/applications/${this.config.packageName}/purchases/subscriptionsv2/tokens/` +
+          encodeURIComponent(purchaseToken),
+        { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 10000 }
+      );
+      return data;
+    } catch (error) {
+      if (error.response && [400, 404, 410].includes(error.response.status)) {
+        throw new Error('INVALID_RECEIPT');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 서비스 계정 JWT로 OAuth 액세스 토큰 발급 (만료 1분 전까지 재사용)
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const { client_email: clientEmail, private_key: privateKey } = this.config.serviceAccount;
+    const assertion = jwt.sign(
+      { iss: clientEmail, scope: ANDROID_PUBLISHER_SCOPE, aud: GOOGLE_TOKEN_URL },
+      privateKey,
+      { algorithm: 'RS256', expiresIn: '1h' }
+    );
+
+    const form = new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    });
+    const { data } = await axios.post(GOOGLE_TOKEN_URL, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + data.expires_in * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Pub/Sub push 요청의 Google 서명 OIDC 토큰 검증
+   */
+  async verifyPushToken(authorization = '') {
+    try {
+      const token = authorization.replace(/^Bearer\s+/i, '');
+      const decoded = jwt.decode(token, { complete: true });
+      const certs = await this.getGoogleCerts();
+      const cert = decoded && certs[decoded.header.kid];
+
+      if (!cert) {
+        throw new Error('unknown signing key');
+      }
+
+      const claims = jwt.verify(token, cert, {
+        algorithms: ['RS256'],
+        audience: this.config.pubsubAudience,
+        issuer: ['https://accounts.google.com', 'accounts.google.com']
+      });
+
+      if (!claims.email_verified || claims.email !== this.config.pubsubServiceAccount) {
+        throw new Error('unexpected service account');
+      }
+    } catch (error) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+  }
+
+  async getGoogleCerts() {
+    if (this.certs && Date.now() < this.certsExpiresAt) {
+      return this.certs;
+    }
+
+    const { data } = await axios.get(GOOGLE_CERTS_URL, { timeout: 10000 });
+    this.certs = data;
+    this.certsExpiresAt = Date.now() + 60 * 60 * 1000;
+    return this.certs;
+  }
+
+  /**
+   * SubscriptionPurchaseV2 → 스토어 공통 거래 정보
+   */
+  toTransaction(purchaseToken, data) {
+    const lineItem = (data.lineItems || [])[0] || {};
+    const accountIdentifiers = data.externalAccountIdentifiers || {};
+
+    return {
+      externalId: purchaseToken,
+      transactionId: data.latestOrderId || null,
+      // 업그레이드/재구독 시 이전 구매 토큰
+      previousExternalId: data.linkedPurchaseToken || null,
+      productId: lineItem.productId,
+      status: SUBSCRIPTION_STATES[data.subscriptionState] || 'expired',
+      periodStart: data.startTime ? new Date(data.startTime) : null,
+      periodEnd: lineItem.expiryTime ? new Date(lineItem.expiryTime) : null,
+      autoRenew: !!(lineItem.autoRenewingPlan && lineItem.autoRenewingPlan.autoRenewEnabled),
+      // 앱에서 obfuscatedAccountId로 FIVLO 사용자 ID를 넘김
+      accountId: accountIdentifiers.obfuscatedExternalAccountId || null,
+      environment: data.testPurchase ? 'sandbox' : 'production'
+    };
+  }
+}
+
+module.exports = GooglePlayVerifier;
@@ -0,0 +1,185 @@
+/**
+ * 로컬 개발/테스트용 스토어 영수증 검증기 (네트워크 사용 없음)
+ * 영수증/구매 토큰은 "stub." + base64url(JSON) 형식이며 서명 없이 그대로 해석합니다.
+ * 개발 빌드 앱이나 테스트에서 createReceipt()로 만든 토큰을 그대로 제출하면 됩니다.
+ *
+ * 사용 예:
+ *   const receipt = verifier.createReceipt({ productId: 'fivlo_premium_monthly', userId });
+ *   await billingService.verifyStoreReceipt(userId, 'apple', { receipt });
+ *   const { rawBody, headers } = verifier.simulateRenewal(externalId);
+ *   await billingService.handleWebhook(rawBody, headers, 'apple');
+ */
+
+const crypto = require('crypto');
+const EntitlementUtils = require('../../../utils/entitlement');
+const { PAYMENT_EVENT_TYPES } = require('../baseProvider');
+
+const STUB_TOKEN_PREFIX = 'stub.';
+const STUB_SIGNATURE_HEADER = 'x-store-stub-signature';
+
+class StubStoreVerifier {
+  constructor(store, config = {}) {
+    this.store = store;
+    this.config = {
+      webhookSecret: process.env.STORE_STUB_WEBHOOK_SECRET || 'store_stub_webhook_secret',
+      productPlans: {},
+      now: () => new Date(),
+      ...config
+    };
+
+    this.reset();
+  }
+
+  /**
+   * 내부 상태 초기화 (테스트 간 격리용)
+   */
+  reset() {
+    this.sequence = 0;
+    this.transactions = new Map();
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${this.store}_${prefix}_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * 테스트용 영수증(구매 토큰) 생성
+   * @param {Object} params - { productId, userId, externalId, periodStart, periodEnd, status, autoRenew }
+   */
+  createReceipt({ productId, userId, externalId, periodStart, periodEnd, status = 'active', autoRenew = true }) {
+    const start = periodStart ? new Date(periodStart) : this.config.now();
+    const plan = this.config.productPlans[productId] || EntitlementUtils.PLANS.PREMIUM_MONTHLY;
+
+    const transaction = {
+      externalId: externalId || this.nextId('otx'),
+      transactionId: this.nextId('tx'),
+      previousExternalId: null,
+      productId,
+      status,
+      periodStart: start,
+      periodEnd: periodEnd ? new Date(periodEnd) : EntitlementUtils.calculatePeriodEnd(plan, start),
+      autoRenew,
+      accountId: userId ? String(userId) : null,
+      environment: 'stub'
+    };
+
+    this.transactions.set(transaction.externalId, transaction);
+    return STUB_TOKEN_PREFIX + Buffer.from(JSON.stringify(transaction)).toString('base64url');
+  }
+
+  async verifyReceipt({ receipt, purchaseToken, productId }) {
+    const token = receipt || purchaseToken || '';
+    if (!token.startsWith(STUB_TOKEN_PREFIX)) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    let transaction;
+    try {
+      transaction = JSON.parse(Buffer.from(token.slice(STUB_TOKEN_PREFIX.length), 'base64url').toString());
+    } catch (error) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    if (!transaction.externalId || (productId && transaction.productId !== productId)) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    // 이후 알림에서 갱신된 상태가 있으면 그 상태를 우선
+    const stored = this.transactions.get(transaction.externalId) || {
+      ...transaction,
+      periodStart: new Date(transaction.periodStart),
+      periodEnd: new Date(transaction.periodEnd)
+    };
+    this.transactions.set(stored.externalId, stored);
+
+    return { ...stored };
+  }
+
+  /**
+   * 서명된 서버 알림 요청 생성
+   * @param {Object} payload - { id, type, externalId }
+   * @returns {Object} { rawBody, headers }
+   */
+  buildNotification(payload) {
+    const rawBody = JSON.stringify({ id: this.nextId('ntf'), ...payload });
+    return {
+      rawBody: Buffer.from(rawBody),
+      headers: {
+        [STUB_SIGNATURE_HEADER]: crypto.createHmac('sha256', this.config.webhookSecret).update(rawBody).digest('hex')
+      }
+    };
+  }
+
+  /**
+   * 자동 갱신 알림 시뮬레이션 (다음 주기로 기간 연장)
+   */
+  simulateRenewal(externalId) {
+    const transaction = this.getTransaction(externalId);
+    const plan = this.config.productPlans[transaction.productId] || EntitlementUtils.PLANS.PREMIUM_MONTHLY;
+
+    transaction.transactionId = this.nextId('tx');
+    transaction.periodStart = transaction.periodEnd;
+    transaction.periodEnd = EntitlementUtils.calculatePeriodEnd(plan, transaction.periodStart);
+    transaction.status = 'active';
+
+    return this.buildNotification({ type: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED, externalId });
+  }
+
+  /**
+   * 자동 갱신 해지 알림 시뮬레이션 (이용 기간 종료 시까지 유지)
+   */
+  simulateAutoRenewDisabled(externalId) {
+    const transaction = this.getTransaction(externalId);
+    transaction.autoRenew = false;
+    transaction.status = 'canceled';
+
+    return this.buildNotification({ type: PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED, externalId });
+  }
+
+  /**
+   * 환불 알림 시뮬레이션
+   */
+  simulateRefund(externalId) {
+    const transaction = this.getTransaction(externalId);
+    transaction.status = 'refunded';
+
+    return this.buildNotification({ type: PAYMENT_EVENT_TYPES.REFUND_COMPLETED, externalId });
+  }
+
+  async decodeNotification(rawBody, headers) {
+    const body = rawBody.toString();
+    const expected = crypto.createHmac('sha256', this.config.webhookSecret).update(body).digest('hex');
+    const actual = headers[STUB_SIGNATURE_HEADER] || '';
+
+    if (expected.length !== actual.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const notification = JSON.parse(body);
+    const transaction = this.transactions.get(notification.externalId);
+
+    return {
+      id: notification.id,
+      type: notification.type || PAYMENT_EVENT_TYPES.IGNORED,
+      rawType: notification.type,
+      externalId: notification.externalId,
+      transaction: transaction ? { ...transaction } : null
+    };
+  }
+
+  async fetchSubscription(externalId) {
+    return { ...this.getTransaction(externalId) };
+  }
+
+  getTransaction(externalId) {
+    const transaction = this.transactions.get(externalId);
+    if (!transaction) {
+      throw new Error(`존재하지 않는 구독입니다: ${externalId}`);
+    }
+    return transaction;
+  }
+}
+
+module.exports = StubStoreVerifier;
@@ -0,0 +1,218 @@
+/**
+ * Stripe 카드 결제 어댑터 (해외 카드 결제)
+ *
+ * 환경 변수:
+ * - STRIPE_SECRET_KEY
+ * - STRIPE_WEBHOOK_SECRET
+ * - STRIPE_PRICE_PREMIUM_MONTHLY / STRIPE_PRICE_PREMIUM_YEARLY (Stripe Price ID)
+ */
+
+const axios = require('axios');
+const { BasePaymentProvider, PAYMENT_EVENT_TYPES } = require('./baseProvider');
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+class StripeProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('stripe', {
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      prices: {
+        premium_monthly: process.env.STRIPE_PRICE_PREMIUM_MONTHLY,
+        premium_yearly: process.env.STRIPE_PRICE_PREMIUM_YEARLY
+      },
+      ...config
+    });
+
+    this.client = axios.create({
+      baseURL: STRIPE_API_URL,
+      timeout: 10000,
+      headers: {
+        Authorization: `Bearer ${this.config.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+
+  async createCheckout({ userId, plan, returnUrl, cancelUrl, discount }) {
+    const priceId = this.config.prices[plan];
+    if (!priceId) {
+      throw new Error(`Stripe 가격 ID가 설정되지 않은 플랜입니다: ${plan}`);
+    }
+
+    const form = new URLSearchParams({
+      mode: 'subscription',
+      'line_items[0][price]': priceId,
+      'line_items[0][quantity]': '1',
+      success_url: returnUrl || process.env.BILLING_RETURN_URL,
+      cancel_url: cancelUrl || process.env.BILLING_CANCEL_URL,
+      client_reference_id: String(userId),
+      'metadata[userId]': String(userId),
+      'metadata[plan]': plan,
+      'subscription_data[metadata][userId]': String(userId),
+      'subscription_data[metadata][plan]': plan
+    });
+
+    // 프로모션 할인은 첫 결제에만 적용되는 1회용 쿠폰으로 전달
+    if (discount) {
+      const coupon = await this.createCoupon(discount);
+      form.append('discounts[0][coupon]', coupon.id);
+    }
+
+    const { data } = await this.client.post('/checkout/sessions', form.toString());
+
+    return {
+      sessionId: data.id,
+      url: data.url,
+      amount: this.getCheckoutAmount(plan, discount),
+      currency: 'KRW',
+      clientParams: null
+    };
+  }
+
+  async createCoupon(discount) {
+    const form = new URLSearchParams({ duration: 'once', max_redemptions: '1' });
+    if (discount.type === 'percentage') {
+      form.append('percent_off', String(discount.value));
+    } else {
+      form.append('amount_off', String(discount.discountAmount));
+      form.append('currency', 'krw');
+    }
+
+    const { data } = await this.client.post('/coupons', form.toString());
+    return data;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    this.assertWebhookSecret();
+
+    const signatureHeader = headers['stripe-signature'] || '';
+    const parts = signatureHeader.split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=');
+      if (key && value) {
+        acc[key] = acc[key] ? [...acc[key], value] : [value];
+      }
+      return acc;
+    }, {});
+
+    const timestamp = parts.t && parts.t[0];
+    const payload = `${timestamp}.${rawBody.toString()}`;
+    const expected = this.sign(payload, this.config.webhookSecret);
+    const verified = (parts.v1 || []).some(signature => this.safeCompare(expected, signature));
+
+    if (!verified || !this.isTimestampFresh(timestamp)) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    return this.normalizeEvent(JSON.parse(rawBody.toString()));
+  }
+
+  /**
+   * Stripe 이벤트를 공통 이벤트 형태로 변환
+   */
+  normalizeEvent(event) {
+    const object = event.data && event.data.object ? event.data.object : {};
+    const metadata = object.metadata || {};
+    const base = {
+      id: event.id,
+      userId: metadata.userId || object.client_reference_id || null,
+      plan: metadata.plan || null,
+      currency: (object.currency || 'krw').toUpperCase()
+    };
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return {
+          ...base,
+          type: PAYMENT_EVENT_TYPES.CHECKOUT_COMPLETED,
+          externalId: object.subscription,
+          paymentId: object.payment_intent || null,
+          checkoutSessionId: object.id,
+          amount: object.amount_total
+        };
+
+      case 'invoice.paid': {
+        const line = object.lines && object.lines.data && object.lines.data[0];
+        const lineMetadata = (line && line.metadata) || {};
+        return {
+          ...base,
+          userId: base.userId || lineMetadata.userId || null,
+          plan: base.plan || lineMetadata.plan || null,
+          type: PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED,
+          externalId: object.subscription,
+          paymentId: object.payment_intent || null,
+          periodStart: line ? new Date(line.period.start * 1000) : null,
+          periodEnd: line ? new Date(line.period.end * 1000) : null,
+          amount: object.amount_paid
+        };
+      }
+
+      case 'invoice.payment_failed':
+        return {
+          ...base,
+          type: PAYMENT_EVENT_TYPES.PAYMENT_FAILED,
+          externalId: object.subscription,
+          amount: object.amount_due
+        };
+
+      case 'customer.subscription.deleted':
+        return {
+          ...base,
+          type: PAYMENT_EVENT_TYPES.SUBSCRIPTION_CANCELED,
+          externalId: object.id,
+          periodEnd: object.current_period_end ? new Date(object.current_period_end * 1000) : null
+        };
+
+      case 'charge.refunded':
+        return {
+          ...base,
+          type: PAYMENT_EVENT_TYPES.REFUND_COMPLETED,
+          paymentId: object.payment_intent,
+          amount: object.amount_refunded
+        };
+
+      default:
+        return { ...base, type: PAYMENT_EVENT_TYPES.IGNORED, rawType: event.type };
+    }
+  }
+
+  async fetchSubscription(externalId) {
+    const { data } = await this.client.get(`/subscriptions/${externalId}`);
+
+    return {
+      externalId: data.id,
+      status: data.status,
+      plan: data.metadata ? data.metadata.plan : null,
+      periodStart: new Date(data.current_period_start * 1000),
+      periodEnd: new Date(data.current_period_end * 1000),
+      cancelAtPeriodEnd: !!data.cancel_at_period_end
+    };
+  }
+
+  async cancelSubscription(externalId) {
+    const form = new URLSearchParams({ cancel_at_period_end: 'true' });
+    const { data } = await this.client.post(`/subscriptions/${externalId}`, form.toString());
+
+    return {
+      externalId: data.id,
+      cancelAtPeriodEnd: !!data.cancel_at_period_end
+    };
+  }
+
+  async refund(paymentId, amount) {
+    const form = new URLSearchParams({ payment_intent: paymentId });
+    if (amount) {
+      form.append('amount', String(amount));
+    }
+
+    const { data } = await this.client.post('/refunds', form.toString());
+
+    return {
+      refundId: data.id,
+      status: data.status,
+      amount: data.amount
+    };
+  }
+}
+
+module.exports = StripeProvider;
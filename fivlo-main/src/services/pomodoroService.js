@@ -2,6 +2,13 @@
 
 const PomodoroSession = require('../models/PomodoroSession');
 const User = require('../models/User');
+const Task = require('../models/Task');
+const entitlementService = require('./entitlementService');
+const rewardEngine = require('./rewardEngine');
+const achievementService = require('./achievementService');
+const streakService = require('./streakService');
+const customizationService = require('./customization-service');
+const eventStreamService = require('./eventStreamService');
 const TimerUtils = require('../utils/timer');
 const logger = require('../utils/logger');
 
@@ -11,21 +18,34 @@ class PomodoroService {
    */
   async createSession(userId, sessionData) {
     try {
-      const { goal, color, type = 'focus', duration, cycleId } = sessionData;
+      const { goal, color, type = 'focus', duration, cycleId, profileId, taskId } = sessionData;
 
-      // 기존 활성 세션 확인
+      // 기존 활성 세션 확인 (시간이 다 된 세션은 완료 처리 후 진행)
       const activeSession = await PomodoroSession.findActiveSession(userId);
-      if (activeSession) {
+      if (activeSession && !(await this.settleExpiredSession(activeSession))) {
         throw new Error('이미 진행 중인 세션이 있습니다. 먼저 완료하거나 취소해주세요.');
       }
 
+      // 연결할 Task (목표/색상을 지정하지 않으면 Task 제목/색상 사용)
+      let task = null;
+      if (taskId) {
+        task = await Task.findOne({ _id: taskId, userId }).populate('categoryId', 'color');
+        if (!task) {
+          throw new Error('TASK_NOT_FOUND');
+        }
+      }
+
+      // 포모도로 프로필 (지정 프로필 → 진행 중인 사이클의 프로필 → 기본 프로필)
+      const profile = await this.resolveSessionProfile(userId, profileId, cycleId);
+
       // 세션 시간 설정
-      const sessionDuration = duration || TimerUtils.getSessionDuration(type);
+      const sessionDuration = duration || TimerUtils.getSessionDuration(type, null, profile);
       
       // 색상 검증
+      const taskColor = task && (task.color || (task.categoryId && task.categoryId.color));
       const sessionColor = color && TimerUtils.isValidColor(color) 
         ? color 
-        : TimerUtils.getRandomColor();
+        : (taskColor && TimerUtils.isValidColor(taskColor) ? taskColor : TimerUtils.getRandomColor());
 
       // 사이클 ID 생성
       const sessionCycleId = cycleId || TimerUtils.generateCycleId(userId);
@@ -37,12 +57,14 @@ class PomodoroService {
       // 새 세션 생성
       const session = new PomodoroSession({
         userId,
-        goal: goal.trim(),
+        goal: (goal || task.title).trim().slice(0, 100),
         color: sessionColor,
+        taskId: task ? task._id : null,
         type,
         duration: sessionDuration,
         cycleId: sessionCycleId,
         cyclePosition,
+        profile,
         status: 'pending'
       });
 
@@ -53,7 +75,9 @@ class PomodoroService {
         sessionId: session._id,
         goal: session.goal,
         type: session.type,
-        duration: session.duration
+        duration: session.duration,
+        profile: profile.name,
+        taskId: session.taskId
       });
 
       return session;
@@ -75,6 +99,9 @@ class PomodoroService {
 
       await session.start();
 
+      // 집중/휴식 상황에 지정된 코디 프리셋 자동 적용
+      await customizationService.applyContextPreset(userId, session.type === 'focus' ? 'focus' : 'break');
+
       logger.info('포모도로 세션 시작', {
         userId,
         sessionId: session._id,
@@ -82,6 +109,13 @@ class PomodoroService {
         type: session.type
       });
 
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.POMODORO_STARTED, {
+        sessionId: session._id,
+        goal: session.goal,
+        color: session.color,
+        timer: this.getTimerState(session)
+      });
+
       return session;
     } catch (error) {
       logger.error(`포모도로 세션 시작 실패: ${error.message}`, { userId, sessionId });
@@ -91,44 +125,75 @@ class PomodoroService {
 
   /**
    * 세션 완료
+   * @param {Number} actualDuration - 실제 진행 시간 (초)
+   * @param {Object} options - { autoCompleted } 서버가 만료된 세션을 완료 처리하는 경우
    */
-  async completeSession(userId, sessionId, actualDuration = null) {
+  async completeSession(userId, sessionId, actualDuration = null, options = {}) {
     try {
       const session = await PomodoroSession.findOne({ _id: sessionId, userId });
       if (!session) {
         throw new Error('세션을 찾을 수 없습니다.');
       }
 
-      if (actualDuration !== null) {
-        session.actualDuration = actualDuration;
+      // 앱과 서버(만료 처리)가 동시에 완료하더라도 보상은 한 번만 처리되도록 선점
+      const claim = await PomodoroSession.updateOne(
+        { _id: session._id, isCompleted: false, status: { $ne: 'cancelled' } },
+        { $set: { isCompleted: true, autoCompleted: Boolean(options.autoCompleted) } }
+      );
+      if (session.isCompleted || claim.modifiedCount === 0) {
+        throw new Error('SESSION_ALREADY_COMPLETED');
+      }
+      session.autoCompleted = Boolean(options.autoCompleted);
+
+      // 실제 진행 시간을 지정하지 않으면 일시정지 시간을 제외한 경과 시간
+      const completedDuration = actualDuration !== null ? actualDuration : session.elapsedTime;
+      const scoreDetails = TimerUtils.calculateFocusScoreDetails(session, completedDuration);
+      if (scoreDetails) {
+        const { score, ...details } = scoreDetails;
+        session.focusScore = score;
+        session.focusScoreDetails = details;
       }
 
-      await session.complete();
+      await session.complete(completedDuration);
 
       const result = {
         session,
         coinAwarded: 0,
         nextSession: null,
-        cycleCompleted: false
+        cycleCompleted: false,
+        unlockedAchievements: [],
+        streak: null,
+        task: null
       };
 
       if (session.type === 'focus') {
+        result.task = await this.addFocusTimeToTask(userId, session);
+
         const coinResult = await this.awardCoins(userId, session);
         result.coinAwarded = coinResult.coinAwarded;
+        result.unlockedAchievements = await achievementService.evaluate(userId, 'pomodoro');
+        result.streak = await streakService.recordActivity(userId, streakService.TYPES.FOCUS);
       }
 
-      const nextSessionType = TimerUtils.getNextSessionType(session.type);
-      result.nextSession = {
-        type: nextSessionType,
-        duration: TimerUtils.getSessionDuration(nextSessionType),
-        goal: nextSessionType === 'focus' ? '' : '휴식 시간'
-      };
+      result.nextSession = await this.getNextSessionProposal(session);
 
       logger.info('포모도로 세션 완료', {
         userId,
         sessionId: session._id,
         type: session.type,
-        coinAwarded: result.coinAwarded
+        coinAwarded: result.coinAwarded,
+        focusScore: session.focusScore,
+        nextSessionType: result.nextSession.type,
+        autoCompleted: session.autoCompleted
+      });
+
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.POMODORO_COMPLETED, {
+        sessionId: session._id,
+        type: session.type,
+        autoCompleted: session.autoCompleted,
+        focusScore: session.focusScore,
+        coinAwarded: result.coinAwarded,
+        nextSession: result.nextSession
       });
 
       return result;
@@ -139,20 +204,407 @@ class PomodoroService {
   }
 
   /**
-   * 활성 세션 조회
+   * 완료한 집중 세션 시간을 연결된 Task의 실제 소요 시간에 누적
+   * Task 갱신 실패가 세션 완료를 실패시키지 않도록 오류는 기록만 함
+   * @returns {Object|null} { taskId, title, estimatedMinutes, actualMinutes, pomodoroCount }
+   */
+  async addFocusTimeToTask(userId, session) {
+    if (!session.taskId || !session.actualDuration) {
+      return null;
+    }
+
+    try {
+      const task = await Task.addFocusTime(userId, session.taskId, session.actualDuration);
+      if (!task) {
+        return null;
+      }
+
+      logger.info('포모도로 집중 시간 Task 누적', {
+        userId,
+        sessionId: session._id,
+        taskId: task._id,
+        focusSeconds: session.actualDuration,
+        actualMinutes: task.actualMinutes
+      });
+
+      return {
+        taskId: task._id,
+        title: task.title,
+        estimatedMinutes: task.estimatedMinutes,
+        actualMinutes: task.actualMinutes,
+        pomodoroCount: task.pomodoroCount
+      };
+    } catch (error) {
+      logger.error(`Task 집중 시간 누적 실패: ${error.message}`, { userId, sessionId: session._id, taskId: session.taskId });
+      return null;
+    }
+  }
+
+  /**
+   * 완료한 세션의 프로필 기준으로 다음 세션(유형/시간) 제안
+   * 집중 세션을 프로필의 긴 휴식 주기만큼 완료하면 긴 휴식을 제안
+   */
+  async getNextSessionProposal(session) {
+    const profile = TimerUtils.toProfileSnapshot(session.profile && session.profile.focusMinutes ? session.profile : null);
+
+    const completedFocusSessions = await PomodoroSession.countDocuments({
+      cycleId: session.cycleId,
+      type: 'focus',
+      isCompleted: true
+    });
+
+    const nextSessionType = TimerUtils.getNextSessionType(session.type, completedFocusSessions, profile.longBreakInterval);
+
+    return {
+      type: nextSessionType,
+      duration: TimerUtils.getSessionDuration(nextSessionType, null, profile),
+      isLongBreak: nextSessionType === 'long_break',
+      goal: nextSessionType === 'focus' ? '' : '휴식 시간',
+      cycleId: session.cycleId,
+      profileId: profile.profileId,
+      completedFocusSessions,
+      // 다음 긴 휴식까지 남은 집중 세션 수
+      focusSessionsUntilLongBreak: profile.longBreakInterval - (completedFocusSessions % profile.longBreakInterval)
+    };
+  }
+
+  /**
+   * 세션에 사용할 프로필 결정
+   * @param {String} profileId - 지정한 프로필 ID (없으면 사이클/기본 프로필)
+   * @param {String} cycleId - 이어서 진행할 사이클 ID
+   * @returns {Object} 프로필 스냅샷
+   */
+  async resolveSessionProfile(userId, profileId = null, cycleId = null) {
+    if (!profileId && cycleId) {
+      const previousSession = await PomodoroSession.findOne({ userId, cycleId })
+        .sort({ cyclePosition: -1 })
+        .select('profile');
+
+      if (previousSession && previousSession.profile && previousSession.profile.focusMinutes) {
+        return TimerUtils.toProfileSnapshot(previousSession.profile);
+      }
+    }
+
+    const user = await User.findById(userId).select('pomodoroProfiles');
+    const profiles = (user && user.pomodoroProfiles) || [];
+
+    if (profileId) {
+      const profile = profiles.find(item => item._id.equals(profileId));
+      if (!profile) {
+        throw new Error('PROFILE_NOT_FOUND');
+      }
+      return TimerUtils.toProfileSnapshot(profile);
+    }
+
+    return TimerUtils.toProfileSnapshot(profiles.find(item => item.isDefault));
+  }
+
+  /**
+   * 포모도로 프로필 목록 조회
+   */
+  async getProfiles(userId) {
+    try {
+      const user = await User.findById(userId).select('pomodoroProfiles');
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
+
+      return {
+        profiles: user.pomodoroProfiles,
+        defaultProfile: TimerUtils.DEFAULT_PROFILE,
+        maxProfiles: User.MAX_POMODORO_PROFILES
+      };
+    } catch (error) {
+      logger.error(`포모도로 프로필 조회 실패: ${error.message}`, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 포모도로 프로필 생성
+   * @param {Object} data - { name, focusMinutes, shortBreakMinutes, longBreakMinutes, longBreakInterval, isDefault }
+   */
+  async createProfile(userId, data) {
+    try {
+      const user = await User.findById(userId).select('pomodoroProfiles');
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
+
+      if (user.pomodoroProfiles.length >= User.MAX_POMODORO_PROFILES) {
+        throw new Error('PROFILE_LIMIT_REACHED');
+      }
+      this.assertUniqueProfileName(user, data.name);
+
+      const defaults = TimerUtils.DEFAULT_PROFILE;
+      user.pomodoroProfiles.push({
+        name: data.name,
+        focusMinutes: data.focusMinutes || defaults.focusMinutes,
+        shortBreakMinutes: data.shortBreakMinutes || defaults.shortBreakMinutes,
+        longBreakMinutes: data.longBreakMinutes || defaults.longBreakMinutes,
+        longBreakInterval: data.longBreakInterval || defaults.longBreakInterval
+      });
+      const profile = user.pomodoroProfiles[user.pomodoroProfiles.length - 1];
+      this.assignDefaultProfile(user, profile, data.isDefault);
+
+      await user.save();
+
+      logger.info('포모도로 프로필 생성', { userId, profileId: profile._id, name: profile.name });
+
+      return profile;
+    } catch (error) {
+      logger.error(`포모도로 프로필 생성 실패: ${error.message}`, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 포모도로 프로필 수정
+   * 이미 생성된 세션은 생성 시점의 프로필 스냅샷을 유지
+   */
+  async updateProfile(userId, profileId, updates) {
+    try {
+      const user = await User.findById(userId).select('pomodoroProfiles');
+      const profile = user && user.pomodoroProfiles.id(profileId);
+      if (!profile) {
+        throw new Error('PROFILE_NOT_FOUND');
+      }
+
+      if (updates.name !== undefined && updates.name !== profile.name) {
+        this.assertUniqueProfileName(user, updates.name);
+        profile.name = updates.name;
+      }
+
+      ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'longBreakInterval'].forEach(field => {
+        if (updates[field] !== undefined) {
+          profile[field] = updates[field];
+        }
+      });
+
+      if (updates.isDefault !== undefined) {
+        this.assignDefaultProfile(user, profile, updates.isDefault);
+      }
+
+      await user.save();
+
+      logger.info('포모도로 프로필 수정', { userId, profileId });
+
+      return profile;
+    } catch (error) {
+      logger.error(`포모도로 프로필 수정 실패: ${error.message}`, { userId, profileId });
+      throw error;
+    }
+  }
+
+  /**
+   * 포모도로 프로필 삭제
+   */
+  async deleteProfile(userId, profileId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, 'pomodoroProfiles._id': profileId },
+        { $pull: { pomodoroProfiles: { _id: profileId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error('PROFILE_NOT_FOUND');
+      }
+
+      logger.info('포모도로 프로필 삭제', { userId, profileId });
+
+      return { deleted: true };
+    } catch (error) {
+      logger.error(`포모도로 프로필 삭제 실패: ${error.message}`, { userId, profileId });
+      throw error;
+    }
+  }
+
+  assertUniqueProfileName(user, name) {
+    if (user.pomodoroProfiles.some(profile => profile.name === name)) {
+      throw new Error('PROFILE_NAME_DUPLICATE');
+    }
+  }
+
+  /**
+   * 기본 프로필 지정 (기존 기본 프로필은 해제)
+   */
+  assignDefaultProfile(user, profile, isDefault) {
+    if (!isDefault) {
+      profile.isDefault = false;
+      return;
+    }
+
+    user.pomodoroProfiles.forEach(other => {
+      other.isDefault = other._id.equals(profile._id);
+    });
+  }
+
+  /**
+   * 집중 방해 기록
+   * @param {Object} data - { kind: internal | external, reason, occurredAt }
+   * @returns {Object} { interruption, interruptionCount }
+   */
+  async recordInterruption(userId, sessionId, data) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      if (session.type !== 'focus') {
+        throw new Error('NOT_FOCUS_SESSION');
+      }
+
+      if (session.status !== 'running' && session.status !== 'paused') {
+        throw new Error('SESSION_NOT_ACTIVE');
+      }
+
+      if (session.interruptions.length >= PomodoroSession.MAX_INTERRUPTIONS) {
+        throw new Error('INTERRUPTION_LIMIT_REACHED');
+      }
+
+      // 기록 시각은 세션 시작 이후, 현재 이전으로 제한
+      const now = new Date();
+      const requestedAt = data.occurredAt ? new Date(data.occurredAt) : now;
+      const occurredAt = new Date(Math.min(now.getTime(), Math.max(session.startTime.getTime(), requestedAt.getTime())));
+      const timeInfo = TimerUtils.calculateRemainingTime(
+        session.startTime,
+        session.duration,
+        session.totalPausedTime,
+        session.status === 'paused' && session.pausedAt < occurredAt ? session.pausedAt : occurredAt
+      );
+
+      const interruption = {
+        kind: data.kind,
+        reason: data.reason.trim(),
+        occurredAt,
+        elapsedSeconds: timeInfo.elapsedSeconds
+      };
+
+      // 동시에 들어온 기록이 서로 덮어쓰지 않도록 $push로 추가
+      const updated = await PomodoroSession.findOneAndUpdate(
+        {
+          _id: session._id,
+          status: { $in: ['running', 'paused'] },
+          [`interruptions.${PomodoroSession.MAX_INTERRUPTIONS - 1}`]: { $exists: false }
+        },
+        { $push: { interruptions: interruption } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new Error('SESSION_NOT_ACTIVE');
+      }
+
+      logger.info('포모도로 집중 방해 기록', {
+        userId,
+        sessionId: session._id,
+        kind: interruption.kind,
+        reason: interruption.reason,
+        interruptionCount: updated.interruptions.length
+      });
+
+      return {
+        interruption: updated.interruptions[updated.interruptions.length - 1],
+        interruptionCount: updated.interruptions.length
+      };
+    } catch (error) {
+      logger.error(`포모도로 집중 방해 기록 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 세션 일시정지
+   */
+  async pauseSession(userId, sessionId) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      // 일시정지 요청 전에 이미 시간이 다 되었으면 완료 처리
+      if (await this.settleExpiredSession(session)) {
+        throw new Error('SESSION_ALREADY_COMPLETED');
+      }
+
+      if (session.status !== 'running') {
+        throw new Error('SESSION_NOT_RUNNING');
+      }
+
+      await session.pause();
+
+      logger.info('포모도로 세션 일시정지', { userId, sessionId: session._id });
+
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.POMODORO_PAUSED, {
+        sessionId: session._id,
+        timer: this.getTimerState(session)
+      });
+
+      return session;
+    } catch (error) {
+      logger.error(`포모도로 세션 일시정지 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 일시정지한 세션 재개 (다른 기기에서도 이어서 진행 가능)
+   */
+  async resumeSession(userId, sessionId) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      if (session.status !== 'paused') {
+        throw new Error('SESSION_NOT_PAUSED');
+      }
+
+      await session.start();
+
+      await customizationService.applyContextPreset(userId, session.type === 'focus' ? 'focus' : 'break');
+
+      logger.info('포모도로 세션 재개', {
+        userId,
+        sessionId: session._id,
+        totalPausedTime: session.totalPausedTime
+      });
+
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.POMODORO_RESUMED, {
+        sessionId: session._id,
+        timer: this.getTimerState(session)
+      });
+
+      return session;
+    } catch (error) {
+      logger.error(`포모도로 세션 재개 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 활성 세션 조회 (서버 기준 남은 시간)
+   * 앱이 꺼져 있는 동안 시간이 다 된 세션은 완료 처리하고 그 결과를 함께 반환
+   * @returns {Object} { session, timer, autoCompleted }
    */
   async getActiveSession(userId) {
     try {
       const session = await PomodoroSession.findActiveSession(userId);
       if (!session) {
-        return null;
+        return { session: null, timer: null, autoCompleted: null };
+      }
+
+      const autoCompleted = await this.settleExpiredSession(session);
+      if (autoCompleted) {
+        return { session: null, timer: null, autoCompleted };
       }
 
-      const stateInfo = TimerUtils.validateSessionState(session);
-      
       return {
         session,
-        ...stateInfo
+        timer: this.getTimerState(session),
+        autoCompleted: null
       };
     } catch (error) {
       logger.error(`활성 세션 조회 실패: ${error.message}`, { userId });
@@ -160,13 +612,106 @@ class PomodoroService {
     }
   }
 
+  /**
+   * 서버 기준 타이머 상태 (앱은 이 값으로 자체 타이머를 보정)
+   */
+  getTimerState(session, now = new Date()) {
+    const stateInfo = TimerUtils.validateSessionState(session);
+    const remainingSeconds = session.startTime
+      ? stateInfo.timeInfo.remainingSeconds
+      : TimerUtils.minutesToSeconds(session.duration);
+
+    return {
+      sessionId: session._id,
+      status: session.status,
+      type: session.type,
+      duration: session.duration,
+      startTime: session.startTime,
+      pausedAt: session.pausedAt,
+      totalPausedTime: session.totalPausedTime,
+      remainingSeconds,
+      elapsedSeconds: stateInfo.timeInfo.elapsedSeconds || 0,
+      progress: stateInfo.progress,
+      // 진행 중일 때만 종료 예정 시각 제공 (일시정지 중에는 재개 시점에 따라 달라짐)
+      endsAt: session.status === 'running' ? new Date(now.getTime() + remainingSeconds * 1000) : null,
+      serverTime: now
+    };
+  }
+
+  /**
+   * 시간이 다 된 진행 중 세션 완료 처리
+   * @returns {Object|null} 완료 처리 결과 (만료되지 않았거나 이미 완료된 경우 null)
+   */
+  async settleExpiredSession(session) {
+    if (session.status !== 'running' || !session.startTime) {
+      return null;
+    }
+
+    const timeInfo = TimerUtils.calculateRemainingTime(session.startTime, session.duration, session.totalPausedTime);
+    if (!timeInfo.isExpired) {
+      return null;
+    }
+
+    try {
+      // 실제 진행 시간은 목표 시간으로 기록 (앱이 꺼져 있던 시간은 포함하지 않음)
+      const result = await this.completeSession(
+        session.userId,
+        session._id,
+        TimerUtils.minutesToSeconds(session.duration),
+        { autoCompleted: true }
+      );
+
+      return {
+        sessionId: result.session._id,
+        type: result.session.type,
+        completedAt: result.session.completedAt,
+        focusScore: result.session.focusScore,
+        coinAwarded: result.coinAwarded,
+        nextSession: result.nextSession,
+        unlockedAchievements: result.unlockedAchievements,
+        streak: result.streak,
+        task: result.task
+      };
+    } catch (error) {
+      if (error.message === 'SESSION_ALREADY_COMPLETED') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 시간이 다 된 진행 중 세션 일괄 완료 처리 (스케줄러)
+   * @returns {Number} 완료 처리한 세션 수
+   */
+  async completeExpiredSessions(now = new Date()) {
+    const sessions = await PomodoroSession.findExpiredRunningSessions(now);
+    let completed = 0;
+
+    for (const session of sessions) {
+      try {
+        if (await this.settleExpiredSession(session)) {
+          completed++;
+        }
+      } catch (error) {
+        logger.error(`만료 세션 완료 처리 실패: ${error.message}`, { sessionId: session._id, userId: session.userId });
+      }
+    }
+
+    if (completed > 0) {
+      logger.info('만료된 포모도로 세션 완료 처리', { completed });
+    }
+
+    return completed;
+  }
+
   /**
    * 코인 지급
    */
   async awardCoins(userId, session) {
     try {
       const user = await User.findById(userId);
-      if (!user || !user.isPremium) {
+      if (!entitlementService.isPremium(user)) {
         return { coinAwarded: 0, reason: 'not_premium' };
       }
 
@@ -174,23 +719,20 @@ class PomodoroService {
         return { coinAwarded: 0, reason: 'already_awarded' };
       }
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const todaySession = await PomodoroSession.findOne({
+      // 지급량과 1일 한도는 보상 규칙(pomodoro_cycle)에서 결정
+      const reward = await rewardEngine.handle({
+        type: rewardEngine.EVENTS.POMODORO_CYCLE_COMPLETED,
         userId,
-        type: 'focus',
-        isCompleted: true,
-        coinAwarded: true,
-        completedAt: { $gte: today }
+        idempotencyKey: `pomodoro:${session._id}`,
+        relatedId: session._id,
+        relatedType: 'pomodoro'
       });
 
-      if (todaySession) {
+      if (reward.awarded === 0) {
         return { coinAwarded: 0, reason: 'daily_limit_reached' };
       }
 
-      const coinAmount = 1;
-      await user.addCoins(coinAmount, `포모도로 집중 세션 완료: ${session.goal}`);
+      const coinAmount = reward.awarded;
 
       session.coinAwarded = true;
       session.coinAmount = coinAmount;
@@ -205,7 +747,7 @@ class PomodoroService {
       return { 
         coinAwarded: coinAmount, 
         reason: 'success',
-        totalCoins: user.coins + coinAmount
+        totalCoins: reward.newBalance
       };
     } catch (error) {
       logger.error(`코인 지급 실패: ${error.message}`, { userId, sessionId: session._id });
@@ -235,10 +777,10 @@ class PomodoroService {
             count: stat.count,
             totalMinutes: minutes
           };
-        } else if (stat._id === 'break') {
+        } else if (stat._id === 'break' || stat._id === 'long_break') {
           result.break = {
-            count: stat.count,
-            totalMinutes: minutes
+            count: result.break.count + stat.count,
+            totalMinutes: result.break.totalMinutes + minutes
           };
         }
       });
@@ -422,7 +964,7 @@ class PomodoroService {
       logger.info(`모든 포모도로 세션 조회 요청`, { userId });
       const sessions = await PomodoroSession.find({ userId })
         .sort({ createdAt: -1 })
-        .select('goal color type duration status createdAt');
+        .select('goal color type duration status taskId createdAt');
 
       logger.info(`모든 포모도로 세션 조회 완료`, { userId, sessionCount: sessions.length });
       return sessions;
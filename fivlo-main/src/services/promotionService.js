@@ -0,0 +1,857 @@
+/**
+ * 프로모션 서비스
+ * 프로모션 코드, 1회 무료 체험, 친구 초대 보상을 관리합니다.
+ *
+ * - 할인 코드(percentage/fixed): 결제 세션 생성 시 예약(pending) → 결제 완료 웹훅에서 확정(applied)
+ *   (결제하지 않은 예약은 PROMO_RESERVATION_HOURS 후 만료되어 사용 횟수를 돌려줌)
+ * - 무료 개월 코드(free_months): 결제 없이 즉시 Premium 지급
+ * - 계정당 사용 한도는 사용 기록의 순번(slot) 유니크 인덱스로 보장 (기록 저장 → 사용 횟수 증가 → 지급)
+ * - 무료 체험: 계정/이메일/디바이스당 1회 (TrialClaim 유니크 인덱스)
+ * - 친구 초대: 초대한 사람과 초대받은 사람 모두 보상
+ *   (Premium 사용자는 coinService.awardCoins로 코인, 그 외는 Premium 이용일)
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const TrialClaim = require('../models/TrialClaim');
+const Referral = require('../models/Referral');
+const entitlementService = require('./entitlementService');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
+const coinService = require('./coinService');
+const { PLAN_PRICES } = require('./paymentProviders');
+const EntitlementUtils = require('../utils/entitlement');
+const logger = require('../utils/logger');
+
+const { LIFECYCLE_EVENTS } = subscriptionLifecycleService;
+
+// 무료 체험 기간 (일)
+const FREE_TRIAL_DAYS = parseInt(process.env.FREE_TRIAL_DAYS || '7', 10);
+
+// 친구 초대 보상
+const REFERRAL_REWARD_DAYS = parseInt(process.env.REFERRAL_REWARD_DAYS || '7', 10);
+const REFERRAL_REWARD_COINS = parseInt(process.env.REFERRAL_REWARD_COINS || '30', 10);
+// 가입 후 초대 코드 입력 가능 기간 (일)
+const REFERRAL_WINDOW_DAYS = parseInt(process.env.REFERRAL_WINDOW_DAYS || '7', 10);
+// 초대한 사람의 월간 보상 한도 (초과 시 초대받은 사람만 보상)
+const REFERRAL_MONTHLY_LIMIT = parseInt(process.env.REFERRAL_MONTHLY_LIMIT || '10', 10);
+
+// 초대 코드 문자 (혼동되는 0/O, 1/I 제외)
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+// 결제 세션용 할인 예약 유지 시간
+const PROMO_RESERVATION_HOURS = parseInt(process.env.PROMO_RESERVATION_HOURS || '24', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PromotionService {
+  /**
+   * 이메일 정규화 (체험 중복 방지용)
+   * 대소문자, +태그, gmail 주소의 점(.)을 제거
+   */
+  normalizeEmail(email) {
+    const [localPart, domain = ''] = String(email).toLowerCase().trim().split('@');
+    let local = localPart.split('+')[0];
+
+    if (['gmail.com', 'googlemail.com'].includes(domain)) {
+      local = local.replace(/\./g, '');
+      return `${local}@gmail.com`;
+    }
+
+    return `${local}@${domain}`;
+  }
+
+  /**
+   * 결제사 구독 없이 Premium 기간 지급 (체험 이외: 무료 개월 코드, 초대 보상)
+   * 결제사 정기 결제 중인 사용자는 기간을 임의로 늘릴 수 없으므로 null 반환
+   * @returns {Date|null} 지급 후 Premium 종료일
+   */
+  async grantPremiumPeriod(user, { source, days = 0, months = 0 }) {
+    const entitlement = await entitlementService.getEntitlement(user);
+
+    if (entitlement.isPremium && user.subscription.provider) {
+      return null;
+    }
+
+    // 체험/프로모션 기간이 남아 있으면 그 종료일부터 연장 (유예 기간 중이면 지금부터)
+    const now = new Date();
+    const extendsCurrent = entitlement.isPremium && entitlement.currentPeriodEnd > now;
+    const periodStart = extendsCurrent ? user.subscription.currentPeriodStart : now;
+    const periodEnd = new Date(extendsCurrent ? entitlement.currentPeriodEnd : now);
+    periodEnd.setMonth(periodEnd.getMonth() + months);
+    periodEnd.setTime(periodEnd.getTime() + days * DAY_MS);
+
+    await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED, {
+      plan: entitlement.isPremium ? user.subscription.plan : EntitlementUtils.PLANS.PREMIUM_MONTHLY,
+      source,
+      detachProvider: true,
+      periodStart,
+      periodEnd
+    });
+
+    // 자동 갱신되지 않는 기간이므로 종료 시 유예 없이 만료
+    user.subscription.cancelAtPeriodEnd = true;
+    await user.save();
+
+    return periodEnd;
+  }
+
+  // ===== 프로모션 코드 =====
+
+  /**
+   * 사용 가능한 프로모션 코드 조회 및 사용자별 제한 확인
+   */
+  async findRedeemableCode(userId, code, { plan = null, deviceId = null } = {}) {
+    const promoCode = await PromoCode.findOne({ code: String(code).toUpperCase().trim() });
+    if (!promoCode) {
+      throw new Error('PROMO_NOT_FOUND');
+    }
+
+    if (!promoCode.isRedeemable()) {
+      throw new Error(promoCode.remainingRedemptions === 0 ? 'PROMO_USAGE_LIMIT_REACHED' : 'PROMO_EXPIRED');
+    }
+
+    if (plan && !promoCode.appliesToPlan(plan)) {
+      throw new Error('PROMO_NOT_APPLICABLE');
+    }
+
+    const userRedemptions = await PromoRedemption.countDocuments({
+      promoCodeId: promoCode._id,
+      userId,
+      status: { $in: ['pending', 'applied'] }
+    });
+    if (userRedemptions >= promoCode.perUserLimit) {
+      throw new Error('PROMO_ALREADY_REDEEMED');
+    }
+
+    // 같은 디바이스에서 여러 계정으로 사용하는 경우 차단
+    if (deviceId) {
+      const deviceRedemptions = await PromoRedemption.countDocuments({
+        promoCodeId: promoCode._id,
+        deviceId,
+        userId: { $ne: userId },
+        status: { $in: ['pending', 'applied'] }
+      });
+      if (deviceRedemptions > 0) {
+        throw new Error('PROMO_ALREADY_REDEEMED');
+      }
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * 사용 횟수 원자적 증가 (전체 한도 초과 시 실패)
+   */
+  async incrementRedemptionCount(promoCode) {
+    const updated = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error('PROMO_USAGE_LIMIT_REACHED');
+    }
+    return updated;
+  }
+
+  /**
+   * 사용 기록을 먼저 저장해 계정당 한도를 차지한 뒤 전체 사용 횟수 증가
+   * 순번(slot) 유니크 인덱스로 동시 요청 중 한도를 넘는 요청은 실패하며,
+   * 전체 한도 초과로 실패하면 저장한 기록을 지움
+   * @param {Object} fields - 저장할 PromoRedemption 필드 (status, plan 등)
+   * @returns {Object} 저장된 PromoRedemption
+   */
+  async claimRedemption(promoCode, userId, fields) {
+    const usedSlots = await PromoRedemption.distinct('slot', {
+      promoCodeId: promoCode._id,
+      userId,
+      slot: { $type: 'number' }
+    });
+    const slot = Array.from({ length: promoCode.perUserLimit }, (_, index) => index + 1)
+      .find(candidate => !usedSlots.includes(candidate));
+    if (!slot) {
+      throw new Error('PROMO_ALREADY_REDEEMED');
+    }
+
+    let redemption;
+    try {
+      redemption = await PromoRedemption.create({
+        ...fields,
+        promoCodeId: promoCode._id,
+        code: promoCode.code,
+        userId,
+        type: promoCode.type,
+        slot
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('PROMO_ALREADY_REDEEMED');
+      }
+      throw error;
+    }
+
+    try {
+      await this.incrementRedemptionCount(promoCode);
+    } catch (error) {
+      await PromoRedemption.deleteOne({ _id: redemption._id });
+      throw error;
+    }
+
+    return redemption;
+  }
+
+  /**
+   * 차지한 사용 기록 되돌리기 (순번과 전체 사용 횟수 반환)
+   * @param {String} status - expired: 기록을 남김, null: 기록 삭제 (지급 실패)
+   * @returns {Boolean} 되돌렸는지 여부 (이미 확정/만료된 기록이면 false)
+   */
+  async releaseRedemption(redemptionId, status = null) {
+    const redemption = status
+      ? await PromoRedemption.findOneAndUpdate(
+        { _id: redemptionId, status: 'pending' },
+        { $set: { status }, $unset: { slot: 1 } }
+      )
+      : await PromoRedemption.findOneAndDelete({ _id: redemptionId, status: 'pending' });
+    if (!redemption) {
+      return false;
+    }
+
+    await PromoCode.updateOne(
+      { _id: redemption.promoCodeId, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+    return true;
+  }
+
+  /**
+   * 프로모션 코드 미리보기 (결제 화면의 할인 금액 표시용)
+   * POST /api/promotions/validate
+   */
+  async previewPromoCode(userId, code, plan = 'premium_monthly') {
+    try {
+      const promoCode = await this.findRedeemableCode(userId, code, { plan });
+      const originalAmount = PLAN_PRICES[plan];
+      const discountAmount = promoCode.calculateDiscount(originalAmount);
+
+      return {
+        code: promoCode.code,
+        type: promoCode.type,
+        value: promoCode.value,
+        plan,
+        originalAmount,
+        discountAmount,
+        finalAmount: originalAmount - discountAmount,
+        requiresCheckout: promoCode.type !== 'free_months'
+      };
+    } catch (error) {
+      logger.warn('프로모션 코드 확인 실패', { userId, code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 결제 세션용 할인 코드 예약
+   * billingService.createCheckoutSession에서 호출하며, 결제 재시도 시 기존 예약을 재사용
+   * 예약한 시점에 사용 횟수를 차지하고, 결제하지 않으면 만료 작업이 돌려줌
+   * @returns {Object} { redemptionId, type, value, discountAmount }
+   */
+  async reserveCheckoutDiscount(userId, code, plan, { deviceId = null, ip = null } = {}) {
+    const normalizedCode = String(code).toUpperCase().trim();
+    const expiresAt = new Date(Date.now() + PROMO_RESERVATION_HOURS * 60 * 60 * 1000);
+
+    const reused = await this.reusePendingReservation(userId, normalizedCode, plan, expiresAt);
+    if (reused) {
+      return reused;
+    }
+
+    const promoCode = await this.findRedeemableCode(userId, normalizedCode, { plan, deviceId });
+    if (promoCode.type === 'free_months') {
+      throw new Error('PROMO_NOT_APPLICABLE');
+    }
+
+    const discountAmount = promoCode.calculateDiscount(PLAN_PRICES[plan]);
+    let redemption;
+    try {
+      redemption = await this.claimRedemption(promoCode, userId, {
+        status: 'pending',
+        plan,
+        discountAmount,
+        expiresAt,
+        deviceId,
+        ip
+      });
+    } catch (error) {
+      // 같은 사용자의 결제 세션이 동시에 만들어진 경우 먼저 저장된 예약을 재사용
+      const concurrent = error.message === 'PROMO_ALREADY_REDEEMED' &&
+        await this.reusePendingReservation(userId, normalizedCode, plan, expiresAt);
+      if (concurrent) {
+        return concurrent;
+      }
+      throw error;
+    }
+
+    logger.info('할인 코드 예약', { userId, code: promoCode.code, plan, discountAmount });
+
+    return { redemptionId: redemption._id, type: promoCode.type, value: promoCode.value, discountAmount };
+  }
+
+  /**
+   * 결제 재시도 시 기존 할인 예약 재사용 (플랜/만료 시각 갱신)
+   * @returns {Object|null} reserveCheckoutDiscount 결과 (예약이 없으면 null)
+   */
+  async reusePendingReservation(userId, code, plan, expiresAt) {
+    const pending = await PromoRedemption.findOne({ userId, code, status: 'pending' });
+    if (!pending) {
+      return null;
+    }
+
+    const promoCode = await PromoCode.findById(pending.promoCodeId);
+    if (!promoCode.appliesToPlan(plan)) {
+      throw new Error('PROMO_NOT_APPLICABLE');
+    }
+
+    const discountAmount = promoCode.calculateDiscount(PLAN_PRICES[plan]);
+
+    pending.plan = plan;
+    pending.discountAmount = discountAmount;
+    pending.expiresAt = expiresAt;
+    await pending.save();
+
+    return { redemptionId: pending._id, type: promoCode.type, value: promoCode.value, discountAmount };
+  }
+
+  /**
+   * 예약을 결제 세션에 연결 (결제 재시도로 세션이 바뀌면 마지막 세션으로 갱신)
+   */
+  async attachCheckoutSession(redemptionId, checkoutSessionId) {
+    await PromoRedemption.updateOne(
+      { _id: redemptionId, status: 'pending' },
+      { $set: { checkoutSessionId } }
+    );
+  }
+
+  /**
+   * 결제 완료 시 해당 결제 세션의 할인 예약 확정 (billingService.applyPaymentEvent)
+   * 웹훅이 늦어 이미 만료된 예약은 돌려준 사용 횟수를 다시 차지하고 확정
+   */
+  async confirmCheckoutDiscounts(userId, checkoutSessionId) {
+    if (!checkoutSessionId) return;
+
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { userId, checkoutSessionId, status: { $in: ['pending', 'expired'] } },
+      { $set: { status: 'applied', appliedAt: new Date(), expiresAt: null } }
+    );
+    if (!redemption) return;
+
+    if (redemption.status === 'expired') {
+      await PromoCode.updateOne({ _id: redemption.promoCodeId }, { $inc: { redemptionCount: 1 } });
+    }
+
+    logger.info('할인 코드 적용 확정', { userId, code: redemption.code, checkoutSessionId });
+  }
+
+  /**
+   * 결제하지 않은 할인 예약 만료 (스케줄러 작업)
+   * @returns {Number} 만료 처리한 예약 수
+   */
+  async expirePendingRedemptions(now = new Date()) {
+    const candidates = await PromoRedemption.find({
+      status: 'pending',
+      expiresAt: { $ne: null, $lte: now }
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+      // 같은 예약을 동시에 확정/만료하는 경우 한 쪽만 성공
+      if (await this.releaseRedemption(_id, 'expired')) {
+        expired += 1;
+      }
+    }
+
+    if (expired > 0) {
+      logger.info('결제하지 않은 할인 예약 만료', { expired });
+    }
+
+    return expired;
+  }
+
+  /**
+   * 무료 개월 코드 사용
+   * POST /api/promotions/redeem
+   */
+  async redeemPromoCode(userId, code, { deviceId = null, ip = null } = {}) {
+    try {
+      logger.info('프로모션 코드 사용 요청', { userId, code });
+
+      const user = await entitlementService.resolveUser(userId);
+      const promoCode = await this.findRedeemableCode(user._id, code, { deviceId });
+
+      if (promoCode.type !== 'free_months') {
+        throw new Error('PROMO_REQUIRES_CHECKOUT');
+      }
+
+      if (entitlementService.isPremium(user) && user.subscription.provider) {
+        throw new Error('ALREADY_SUBSCRIBED');
+      }
+
+      // 사용 기록과 사용 횟수를 먼저 차지한 뒤 지급 (지급 실패 시 되돌림)
+      const redemption = await this.claimRedemption(promoCode, user._id, { status: 'pending', deviceId, ip });
+
+      let grantedUntil;
+      try {
+        grantedUntil = await this.grantPremiumPeriod(user, { source: 'promo', months: promoCode.value });
+      } catch (error) {
+        await this.releaseRedemption(redemption._id);
+        throw error;
+      }
+
+      await PromoRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { status: 'applied', grantedUntil, appliedAt: new Date() } }
+      );
+
+      logger.info('프로모션 코드 사용 완료', { userId, code: promoCode.code, grantedUntil });
+
+      return {
+        code: promoCode.code,
+        type: promoCode.type,
+        months: promoCode.value,
+        grantedUntil,
+        subscription: entitlementService.getSubscriptionSummary(user)
+      };
+    } catch (error) {
+      logger.error('프로모션 코드 사용 실패', { error: error.message, userId, code });
+      throw error;
+    }
+  }
+
+  /**
+   * 프로모션 코드 생성 (관리자)
+   */
+  async createPromoCode(data, adminId) {
+    try {
+      const promoCode = await PromoCode.create({
+        code: data.code,
+        type: data.type,
+        value: data.value,
+        plans: data.plans || [],
+        maxRedemptions: data.maxRedemptions || null,
+        perUserLimit: data.perUserLimit || 1,
+        startsAt: data.startsAt || null,
+        expiresAt: data.expiresAt || null,
+        description: data.description || '',
+        createdBy: adminId
+      });
+
+      logger.info('프로모션 코드 생성', { code: promoCode.code, type: promoCode.type, adminId });
+      return promoCode;
+    } catch (error) {
+      logger.error('프로모션 코드 생성 실패', { error: error.message, code: data.code });
+      throw error;
+    }
+  }
+
+  /**
+   * 프로모션 코드 목록 (관리자)
+   */
+  async listPromoCodes({ active = null } = {}) {
+    const query = {};
+    if (active !== null) query.isActive = active;
+
+    return await PromoCode.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * 프로모션 코드 수정 (관리자, 사용 한도/기간/활성 여부만 변경 가능)
+   */
+  async updatePromoCode(promoCodeId, updates) {
+    const allowed = ['maxRedemptions', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive', 'description'];
+    const promoCode = await PromoCode.findById(promoCodeId);
+    if (!promoCode) {
+      throw new Error('PROMO_NOT_FOUND');
+    }
+
+    allowed.forEach(field => {
+      if (updates[field] !== undefined) {
+        promoCode[field] = updates[field];
+      }
+    });
+
+    await promoCode.save();
+    logger.info('프로모션 코드 수정', { code: promoCode.code, updates: Object.keys(updates) });
+    return promoCode;
+  }
+
+  // ===== 무료 체험 =====
+
+  /**
+   * 무료 체험 가능 여부
+   * GET /api/promotions/trial
+   */
+  async getTrialEligibility(userId, deviceId = null) {
+    const user = await entitlementService.resolveUser(userId);
+    const reason = await this.getTrialIneligibleReason(user, deviceId);
+
+    return {
+      eligible: !reason,
+      reason,
+      trialDays: FREE_TRIAL_DAYS
+    };
+  }
+
+  async getTrialIneligibleReason(user, deviceId) {
+    // 구독 이력이 있는 계정은 체험 불가
+    if (user.subscription.status !== EntitlementUtils.STATUSES.NONE) {
+      return 'ALREADY_SUBSCRIBED_BEFORE';
+    }
+
+    const conditions = [
+      { userId: user._id },
+      { normalizedEmail: this.normalizeEmail(user.email) }
+    ];
+    if (deviceId) {
+      conditions.push({ deviceId });
+    }
+
+    const claim = await TrialClaim.findOne({ $or: conditions });
+    return claim ? 'TRIAL_ALREADY_USED' : null;
+  }
+
+  /**
+   * 무료 체험 시작
+   * POST /api/promotions/trial
+   */
+  async startFreeTrial(userId, { deviceId, ip = null }) {
+    try {
+      logger.info('무료 체험 시작 요청', { userId, deviceId });
+
+      if (!deviceId) {
+        throw new Error('DEVICE_ID_REQUIRED');
+      }
+
+      const user = await entitlementService.resolveUser(userId);
+      const reason = await this.getTrialIneligibleReason(user, deviceId);
+      if (reason) {
+        throw new Error(reason === 'TRIAL_ALREADY_USED' ? 'TRIAL_ALREADY_USED' : 'TRIAL_NOT_ELIGIBLE');
+      }
+
+      const startedAt = new Date();
+      const endsAt = new Date(startedAt.getTime() + FREE_TRIAL_DAYS * DAY_MS);
+
+      // 동시 요청도 유니크 인덱스로 한 번만 성공
+      try {
+        await TrialClaim.create({
+          userId: user._id,
+          normalizedEmail: this.normalizeEmail(user.email),
+          deviceId,
+          ip,
+          startedAt,
+          endsAt
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('TRIAL_ALREADY_USED');
+        }
+        throw error;
+      }
+
+      await subscriptionLifecycleService.transition(user, LIFECYCLE_EVENTS.TRIAL_STARTED, {
+        plan: EntitlementUtils.PLANS.PREMIUM_MONTHLY,
+        source: 'trial',
+        detachProvider: true,
+        periodStart: startedAt,
+        periodEnd: endsAt
+      });
+
+      logger.info('무료 체험 시작', { userId, endsAt });
+
+      return {
+        trialDays: FREE_TRIAL_DAYS,
+        endsAt,
+        subscription: entitlementService.getSubscriptionSummary(user)
+      };
+    } catch (error) {
+      logger.error('무료 체험 시작 실패', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // ===== 친구 초대 =====
+
+  generateReferralCode() {
+    const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+    return Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * 내 초대 코드/링크 및 초대 현황
+   * GET /api/promotions/referrals/me
+   */
+  async getReferralInfo(userId) {
+    try {
+      const user = await entitlementService.resolveUser(userId);
+
+      // 초대 코드는 최초 조회 시 발급 (충돌 시 재시도)
+      for (let attempt = 0; !user.referralCode && attempt < 5; attempt++) {
+        try {
+          user.referralCode = this.generateReferralCode();
+          await user.save();
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          user.referralCode = undefined;
+        }
+      }
+
+      const [invitedCount, rewardedCount] = await Promise.all([
+        Referral.countDocuments({ referrerId: user._id }),
+        Referral.countDocuments({ referrerId: user._id, status: 'rewarded', 'referrerReward.type': { $ne: 'none' } })
+      ]);
+
+      const baseUrl = process.env.REFERRAL_BASE_URL || 'https://fivlo.app/invite';
+
+      return {
+        code: user.referralCode,
+        link: `${baseUrl}/${user.referralCode}`,
+        invitedCount,
+        rewardedCount,
+        reward: {
+          premiumDays: REFERRAL_REWARD_DAYS,
+          coins: REFERRAL_REWARD_COINS
+        },
+        monthlyLimit: REFERRAL_MONTHLY_LIMIT
+      };
+    } catch (error) {
+      logger.error('초대 정보 조회 실패', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 초대 코드 입력 (회원가입 시 또는 가입 후 REFERRAL_WINDOW_DAYS 이내)
+   * POST /api/promotions/referrals/redeem
+   */
+  async applyReferral(inviteeId, code, { deviceId, ip = null }) {
+    try {
+      logger.info('초대 코드 입력', { inviteeId, code });
+
+      if (!deviceId) {
+        throw new Error('DEVICE_ID_REQUIRED');
+      }
+
+      const invitee = await entitlementService.resolveUser(inviteeId);
+      const referrer = await User.findOne({ referralCode: String(code).toUpperCase().trim() });
+
+      if (!referrer || !referrer.isActive) {
+        throw new Error('INVALID_REFERRAL_CODE');
+      }
+
+      if (referrer._id.equals(invitee._id) ||
+          this.normalizeEmail(referrer.email) === this.normalizeEmail(invitee.email)) {
+        throw new Error('REFERRAL_NOT_ALLOWED');
+      }
+
+      if (invitee.referredBy || await Referral.exists({ inviteeId: invitee._id })) {
+        throw new Error('REFERRAL_ALREADY_APPLIED');
+      }
+
+      if (Date.now() - invitee.createdAt.getTime() > REFERRAL_WINDOW_DAYS * DAY_MS) {
+        throw new Error('REFERRAL_WINDOW_CLOSED');
+      }
+
+      // 악용 의심: 이미 초대 보상을 받은 디바이스이거나 초대한 사람이 체험에 사용한 디바이스
+      let rejectReason = null;
+      if (await Referral.exists({ inviteeDeviceId: deviceId })) {
+        rejectReason = 'DEVICE_ALREADY_USED';
+      } else if (await TrialClaim.exists({ userId: referrer._id, deviceId })) {
+        rejectReason = 'SELF_REFERRAL_DEVICE';
+      }
+
+      if (rejectReason) {
+        await Referral.create({
+          referrerId: referrer._id,
+          inviteeId: invitee._id,
+          code: referrer.referralCode,
+          status: 'rejected',
+          rejectReason,
+          inviteeDeviceId: deviceId,
+          ip
+        });
+
+        logger.warn('초대 보상 거절 (악용 의심)', { inviteeId, referrerId: referrer._id, rejectReason });
+        throw new Error('REFERRAL_REJECTED');
+      }
+
+      // 초대받은 사람 기록을 먼저 만들어 동시 요청 시 중복 보상 방지 (inviteeId 유니크)
+      let referral;
+      try {
+        referral = await Referral.create({
+          referrerId: referrer._id,
+          inviteeId: invitee._id,
+          code: referrer.referralCode,
+          status: 'rewarded',
+          inviteeDeviceId: deviceId,
+          ip
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('REFERRAL_ALREADY_APPLIED');
+        }
+        throw error;
+      }
+
+      invitee.referredBy = referrer._id;
+      await invitee.save();
+
+      const monthStart = new Date();
+      monthStart.setDate(1);
+      monthStart.setHours(0, 0, 0, 0);
+      const referrerMonthlyRewards = await Referral.countDocuments({
+        referrerId: referrer._id,
+        status: 'rewarded',
+        'referrerReward.type': { $in: ['coins', 'premium_days'] },
+        rewardedAt: { $gte: monthStart }
+      });
+
+      referral.inviteeReward = await this.rewardReferralParticipant(invitee, '친구 초대 가입 보상');
+      referral.referrerReward = referrerMonthlyRewards < REFERRAL_MONTHLY_LIMIT
+        ? await this.rewardReferralParticipant(referrer, `친구 초대 보상 (${invitee.profileName})`)
+        : { type: 'none', amount: 0 };
+      referral.rewardedAt = new Date();
+      await referral.save();
+
+      logger.info('초대 보상 지급 완료', {
+        inviteeId,
+        referrerId: referrer._id,
+        inviteeReward: referral.inviteeReward,
+        referrerReward: referral.referrerReward
+      });
+
+      return {
+        referrerName: referrer.profileName,
+        reward: referral.inviteeReward,
+        subscription: entitlementService.getSubscriptionSummary(invitee)
+      };
+    } catch (error) {
+      logger.error('초대 코드 적용 실패', { error: error.message, inviteeId, code });
+      throw error;
+    }
+  }
+
+  /**
+   * 초대 보상 지급 (Premium이면 코인, 아니면 Premium 이용일)
+   */
+  async rewardReferralParticipant(user, description) {
+    if (entitlementService.isPremium(user)) {
+      await coinService.awardCoins(user._id, 'referral_reward', description, REFERRAL_REWARD_COINS);
+      return { type: 'coins', amount: REFERRAL_REWARD_COINS };
+    }
+
+    await this.grantPremiumPeriod(user, { source: 'referral', days: REFERRAL_REWARD_DAYS });
+    return { type: 'premium_days', amount: REFERRAL_REWARD_DAYS };
+  }
+
+  // ===== 리포트 =====
+
+  /**
+   * 프로모션 성과 리포트 (관리자)
+   * GET /api/promotions/report
+   */
+  async getReport({ from, to } = {}) {
+    try {
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+      const range = { $gte: start, $lte: end };
+
+      const [promoStats, trialCount, convertedTrials, referralStats, topReferrers] = await Promise.all([
+        PromoRedemption.aggregate([
+          { $match: { createdAt: range } },
+          {
+            $group: {
+              _id: '$code',
+              type: { $first: '$type' },
+              redemptions: { $sum: 1 },
+              applied: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] } },
+              pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+              totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$discountAmount', 0] } }
+            }
+          },
+          { $sort: { redemptions: -1 } }
+        ]),
+        TrialClaim.countDocuments({ startedAt: range }),
+        // 체험 후 유료 결제로 전환한 사용자
+        TrialClaim.aggregate([
+          { $match: { startedAt: range } },
+          { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+          { $unwind: '$user' },
+          { $match: { 'user.subscription.source': { $in: ['web', 'apple', 'google'] } } },
+          { $count: 'count' }
+        ]),
+        Referral.aggregate([
+          { $match: { createdAt: range } },
+          {
+            $group: {
+              _id: { status: '$status', rejectReason: '$rejectReason' },
+              count: { $sum: 1 }
+            }
+          }
+        ]),
+        Referral.aggregate([
+          { $match: { createdAt: range, status: 'rewarded' } },
+          { $group: { _id: '$referrerId', invites: { $sum: 1 } } },
+          { $sort: { invites: -1 } },
+          { $limit: 10 },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: '$user' },
+          { $project: { _id: 0, userId: '$_id', profileName: '$user.profileName', invites: 1 } }
+        ])
+      ]);
+
+      const converted = convertedTrials.length > 0 ? convertedTrials[0].count : 0;
+      const referrals = referralStats.reduce((acc, item) => {
+        if (item._id.status === 'rewarded') {
+          acc.rewarded += item.count;
+        } else {
+          acc.rejected += item.count;
+          acc.rejectReasons[item._id.rejectReason] = item.count;
+        }
+        return acc;
+      }, { rewarded: 0, rejected: 0, rejectReasons: {} });
+
+      return {
+        period: { from: start, to: end },
+        promoCodes: promoStats.map(item => ({
+          code: item._id,
+          type: item.type,
+          redemptions: item.redemptions,
+          applied: item.applied,
+          pending: item.pending,
+          totalDiscount: item.totalDiscount
+        })),
+        trials: {
+          started: trialCount,
+          converted,
+          conversionRate: trialCount > 0 ? Math.round((converted / trialCount) * 100) : 0
+        },
+        referrals: {
+          ...referrals,
+          topReferrers
+        }
+      };
+    } catch (error) {
+      logger.error('프로모션 리포트 생성 실패', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PromotionService();
@@ -1,5 +1,8 @@
 const Reminder = require('../models/Reminder');
 const User = require('../models/User');
+const entitlementService = require('./entitlementService');
+const rewardEngine = require('./rewardEngine');
+const achievementService = require('./achievementService');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 
@@ -36,7 +39,7 @@ class ReminderService {
       }
 
       // 위치 설정이 있는 경우 유료 사용자인지 확인
-      if (reminderData.location && reminderData.location.latitude && !user.isPremium) {
+      if (reminderData.location && reminderData.location.latitude && !entitlementService.isPremium(user)) {
         throw new Error('위치 기반 알림은 유료 사용자만 이용할 수 있습니다.');
       }
 
@@ -96,7 +99,7 @@ class ReminderService {
       const user = await User.findById(userId);
       
       // 위치 설정 업데이트 시 유료 사용자 확인
-      if (updateData.location && updateData.location.latitude && !user.isPremium) {
+      if (updateData.location && updateData.location.latitude && !entitlementService.isPremium(user)) {
         throw new Error('위치 기반 알림은 유료 사용자만 이용할 수 있습니다.');
       }
 
@@ -192,6 +195,7 @@ class ReminderService {
 
       // 오늘 모든 알림이 완료되었는지 확인하고 코인 지급
       const coinReward = await this.checkDailyReminderCompletion(userId);
+      const unlockedAchievements = await achievementService.evaluate(userId, 'reminder');
 
       logger.info('알림 완료 처리', {
         userId,
@@ -203,7 +207,8 @@ class ReminderService {
       return {
         reminder,
         alreadyCompleted: false,
-        coinReward
+        coinReward,
+        unlockedAchievements
       };
     } catch (error) {
       logger.error(`알림 완료 처리 실패: ${error.message}`, { userId, reminderId });
@@ -217,7 +222,7 @@ class ReminderService {
   async checkDailyReminderCompletion(userId) {
     try {
       const user = await User.findById(userId);
-      if (!user || !user.isPremium) {
+      if (!entitlementService.isPremium(user)) {
         return null; // 무료 사용자는 코인 지급 없음
       }
 
@@ -241,17 +246,15 @@ class ReminderService {
       );
 
       if (allCompleted) {
-        // 오늘 이미 코인을 지급받았는지 확인
-        const todayString = today.toISOString().split('T')[0];
-        const alreadyRewarded = user.dailyRewards.some(
-          reward => reward.date.toISOString().split('T')[0] === todayString && 
-                   reward.type === 'reminder_completion'
-        );
-
-        if (!alreadyRewarded) {
-          // 코인 지급
-          const rewardAmount = 1;
-          user.coins += rewardAmount;
+        // 코인 지급 (지급량과 1일 한도는 보상 규칙 reminder_complete에서 결정)
+        const reward = await rewardEngine.handle({
+          type: rewardEngine.EVENTS.REMINDERS_ALL_CHECKED,
+          userId,
+          relatedType: 'reminder'
+        });
+
+        if (reward.awarded > 0) {
+          const rewardAmount = reward.awarded;
           user.dailyRewards.push({
             type: 'reminder_completion',
             amount: rewardAmount,
@@ -264,14 +267,14 @@ class ReminderService {
           logger.info('알림 완료 코인 지급', {
             userId,
             rewardAmount,
-            totalCoins: user.coins,
+            totalCoins: reward.newBalance,
             completedReminders: todayReminders.length
           });
 
           return {
             rewarded: true,
             amount: rewardAmount,
-            totalCoins: user.coins,
+            totalCoins: reward.newBalance,
             message: '모든 알림을 완료하여 코인을 받았습니다!'
           };
         }
@@ -0,0 +1,356 @@
+/**
+ * 코인 보상 규칙 엔진
+ * 활동 이벤트(포모도로 사이클 완료, 하루 Task 전체 완료 등)를 받아
+ * Mongo에 저장된 보상 규칙(RewardRule)에 따라 코인을 지급합니다.
+ *
+ * 사용 예:
+ *   await rewardEngine.handle({
+ *     type: rewardEngine.EVENTS.POMODORO_CYCLE_COMPLETED,
+ *     userId,
+ *     idempotencyKey: `pomodoro:${session._id}`,
+ *     relatedId: session._id,
+ *     relatedType: 'pomodoro'
+ *   });
+ *
+ * 일/주 한도는 기간별 슬롯 키(reward:<규칙>:<기간>:<번호>)를 코인 원장의
+ * 중복 방지 키로 사용해 동시 요청에서도 한도를 넘지 않도록 보장합니다.
+ */
+
+const RewardRule = require('../models/RewardRule');
+const CoinTransaction = require('../models/CoinTransaction');
+const User = require('../models/User');
+const coinService = require('./coinService');
+const entitlementService = require('./entitlementService');
+const logger = require('../utils/logger');
+
+const REWARD_EVENTS = RewardRule.EVENTS;
+
+// 규칙 캐시 유지 시간 (관리자 수정 시 즉시 무효화)
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+// 최초 실행 시 생성하는 기본 규칙 (이미 있으면 관리자가 수정한 값을 유지)
+const DEFAULT_REWARD_RULES = [
+  {
+    key: 'pomodoro_cycle',
+    name: '포모도로 1 사이클 완료',
+    event: REWARD_EVENTS.POMODORO_CYCLE_COMPLETED,
+    reason: 'pomodoro_cycle',
+    amount: 1,
+    dailyCap: 1
+  },
+  {
+    key: 'daily_tasks',
+    name: '하루 전체 Task 완료',
+    event: REWARD_EVENTS.TASKS_ALL_COMPLETED,
+    reason: 'daily_tasks',
+    amount: 1,
+    dailyCap: 1
+  },
+  {
+    key: 'reminder_complete',
+    name: '망각방지 알림 전체 완료',
+    event: REWARD_EVENTS.REMINDERS_ALL_CHECKED,
+    reason: 'reminder_complete',
+    amount: 1,
+    dailyCap: 1
+  },
+  {
+    key: 'streak_milestone',
+    name: '연속 달성 보상',
+    event: REWARD_EVENTS.STREAK_REACHED,
+    reason: 'streak_reward',
+    amount: 5,
+    conditions: { milestones: [7, 30, 100] }
+  },
+  {
+    key: 'premium_signup_bonus',
+    name: 'Premium 가입 보너스',
+    event: REWARD_EVENTS.SUBSCRIPTION_STARTED,
+    reason: 'special_event',
+    amount: 10
+  }
+];
+
+class RewardEngine {
+  constructor() {
+    this.EVENTS = REWARD_EVENTS;
+    this.rulesCache = null;
+    this.rulesCachedAt = 0;
+    this.defaultsEnsured = false;
+  }
+
+  /**
+   * 이벤트 처리 (코인 보상 지급의 단일 진입점)
+   * @param {Object} event
+   * @param {String} event.type - REWARD_EVENTS 값
+   * @param {String} event.userId - 사용자 ID
+   * @param {Number} event.value - 이벤트 값 (연속 달성 일수 등, 선택)
+   * @param {String} event.idempotencyKey - 같은 이벤트 재전송 시 중복 지급 방지 키 (선택)
+   * @param {Date} event.occurredAt - 발생 시각 (기본: 현재)
+   * @param {ObjectId} event.relatedId / event.relatedType - 관련 엔티티 (선택)
+   * @returns {Object} { type, awarded, newBalance, rewards: [{ rule, status, amount }] }
+   */
+  async handle(event) {
+    const { type, userId } = event;
+    const occurredAt = event.occurredAt || new Date();
+
+    try {
+      if (!Object.values(REWARD_EVENTS).includes(type)) {
+        throw new Error(`알 수 없는 보상 이벤트입니다: ${type}`);
+      }
+
+      const result = { type, awarded: 0, newBalance: null, rewards: [] };
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
+
+      // 코인은 Premium 전용
+      if (!entitlementService.isPremium(user)) {
+        result.skipped = 'not_premium';
+        return result;
+      }
+
+      const rules = (await this.getActiveRules()).filter(rule => rule.event === type);
+
+      for (const rule of rules) {
+        const reward = await this.applyRule(rule, event, occurredAt);
+        result.rewards.push(reward);
+
+        if (reward.status === 'awarded' || reward.status === 'replayed') {
+          result.awarded += reward.amount;
+          result.newBalance = reward.newBalance;
+        }
+      }
+
+      if (result.newBalance === null) {
+        result.newBalance = user.coins;
+      }
+
+      logger.info('보상 이벤트 처리 완료', {
+        userId,
+        type,
+        awarded: result.awarded,
+        rewards: result.rewards.map(reward => `${reward.rule}:${reward.status}`)
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('보상 이벤트 처리 실패', { error: error.message, userId, type });
+      throw error;
+    }
+  }
+
+  /**
+   * 규칙 하나 적용
+   * @returns {Object} { rule, status: awarded | replayed | capped | duplicate | not_matched | failed, amount, newBalance }
+   */
+  async applyRule(rule, event, occurredAt) {
+    const reward = { rule: rule.key, status: 'not_matched', amount: 0, newBalance: null };
+
+    if (!rule.matches(event)) {
+      return reward;
+    }
+
+    try {
+      const amount = rule.calculateAmount(occurredAt);
+      const requestKey = event.idempotencyKey ? `${rule.key}:${event.idempotencyKey}` : null;
+      const ledgerKeys = await this.getLedgerKeys(rule, event.userId, occurredAt, requestKey);
+
+      if (ledgerKeys.length === 0) {
+        reward.status = 'capped';
+        return reward;
+      }
+
+      for (const ledgerKey of ledgerKeys) {
+        const coinResult = await coinService.awardCoins(event.userId, rule.reason, rule.name, amount, {
+          idempotencyKey: requestKey,
+          ledgerKey,
+          relatedId: event.relatedId,
+          relatedType: event.relatedType
+        });
+
+        // 이미 사용된 슬롯이면 다음 슬롯 시도
+        if (!coinResult) {
+          continue;
+        }
+
+        reward.status = coinResult.duplicate ? 'replayed' : 'awarded';
+        reward.amount = coinResult.amount;
+        reward.newBalance = coinResult.newBalance;
+        return reward;
+      }
+
+      reward.status = rule.dailyCap || rule.weeklyCap ? 'capped' : 'duplicate';
+      return reward;
+
+    } catch (error) {
+      logger.error('보상 규칙 적용 실패', { error: error.message, rule: rule.key, userId: event.userId });
+      reward.status = 'failed';
+      return reward;
+    }
+  }
+
+  /**
+   * 이번 지급에 사용할 원장 중복 방지 키 후보
+   * - 일/주 한도가 있으면 해당 기간의 슬롯 키 (빈 슬롯을 차례로 사용)
+   * - 한도가 없으면 이벤트 키 하나 (없으면 제한 없이 지급)
+   */
+  async getLedgerKeys(rule, userId, occurredAt, requestKey) {
+    if (rule.dailyCap) {
+      // 일 한도와 함께 주 한도가 있으면 이번 주 지급 횟수를 먼저 확인 (같은 요청의 재전송은 제외)
+      if (rule.weeklyCap) {
+        const weeklyCount = await this.countRewards(rule, userId, this.getWeekStart(occurredAt));
+        if (weeklyCount >= rule.weeklyCap && !await coinService.findByRequestKey(userId, requestKey)) {
+          return [];
+        }
+      }
+
+      const period = coinService.getDateKey(occurredAt);
+      return this.buildSlotKeys(rule.key, period, rule.dailyCap);
+    }
+
+    if (rule.weeklyCap) {
+      const period = `w${coinService.getDateKey(this.getWeekStart(occurredAt))}`;
+      return this.buildSlotKeys(rule.key, period, rule.weeklyCap);
+    }
+
+    return [requestKey ? `reward:${requestKey}` : null];
+  }
+
+  buildSlotKeys(ruleKey, period, cap) {
+    return Array.from({ length: cap }, (_, index) => `reward:${ruleKey}:${period}:${index + 1}`);
+  }
+
+  /**
+   * 기간 내 규칙 지급 횟수
+   */
+  async countRewards(rule, userId, since) {
+    return CoinTransaction.countDocuments({
+      userId,
+      idempotencyKey: { $regex: `^reward:${rule.key}:` },
+      createdAt: { $gte: since }
+    });
+  }
+
+  /**
+   * 주 시작일 (월요일 00:00, 서버 로컬 시간)
+   */
+  getWeekStart(date = new Date()) {
+    const weekStart = new Date(date);
+    weekStart.setHours(0, 0, 0, 0);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+    return weekStart;
+  }
+
+  /**
+   * 활성 규칙 조회 (캐시)
+   */
+  async getActiveRules() {
+    if (this.rulesCache && Date.now() - this.rulesCachedAt < RULE_CACHE_TTL_MS) {
+      return this.rulesCache;
+    }
+
+    await this.ensureDefaultRules();
+
+    this.rulesCache = await RewardRule.find({ isActive: true });
+    this.rulesCachedAt = Date.now();
+    return this.rulesCache;
+  }
+
+  invalidateCache() {
+    this.rulesCache = null;
+    this.rulesCachedAt = 0;
+  }
+
+  /**
+   * 기본 규칙 생성 (없는 규칙만 추가)
+   */
+  async ensureDefaultRules() {
+    if (this.defaultsEnsured) {
+      return;
+    }
+
+    await RewardRule.bulkWrite(DEFAULT_REWARD_RULES.map(rule => ({
+      updateOne: {
+        filter: { key: rule.key },
+        update: { $setOnInsert: rule },
+        upsert: true
+      }
+    })));
+
+    this.defaultsEnsured = true;
+  }
+
+  // ===== 관리자 =====
+
+  /**
+   * 보상 규칙 목록 (관리자)
+   */
+  async listRules({ event = null, active = null } = {}) {
+    await this.ensureDefaultRules();
+
+    const query = {};
+    if (event) query.event = event;
+    if (active !== null) query.isActive = active;
+
+    return await RewardRule.find(query).sort({ event: 1, key: 1 });
+  }
+
+  /**
+   * 보상 규칙 생성 (관리자)
+   */
+  async createRule(data, adminId) {
+    try {
+      const rule = await RewardRule.create({
+        key: data.key,
+        name: data.name,
+        event: data.event,
+        reason: data.reason,
+        amount: data.amount,
+        dailyCap: data.dailyCap || null,
+        weeklyCap: data.weeklyCap || null,
+        conditions: data.conditions || {},
+        multipliers: data.multipliers || [],
+        isActive: data.isActive !== undefined ? data.isActive : true,
+        description: data.description || '',
+        updatedBy: adminId
+      });
+
+      this.invalidateCache();
+      logger.info('보상 규칙 생성', { key: rule.key, event: rule.event, adminId });
+      return rule;
+    } catch (error) {
+      logger.error('보상 규칙 생성 실패', { error: error.message, key: data.key });
+      throw error;
+    }
+  }
+
+  /**
+   * 보상 규칙 수정 (관리자, key/event는 변경 불가)
+   */
+  async updateRule(ruleId, updates, adminId) {
+    const allowed = ['name', 'reason', 'amount', 'dailyCap', 'weeklyCap', 'conditions', 'multipliers', 'isActive', 'description'];
+    const rule = await RewardRule.findById(ruleId);
+    if (!rule) {
+      throw new Error('REWARD_RULE_NOT_FOUND');
+    }
+
+    allowed.forEach(field => {
+      if (updates[field] !== undefined) {
+        rule[field] = updates[field];
+      }
+    });
+    rule.updatedBy = adminId;
+
+    await rule.save();
+    this.invalidateCache();
+
+    logger.info('보상 규칙 수정', { key: rule.key, updates: Object.keys(updates), adminId });
+    return rule;
+  }
+}
+
+module.exports = new RewardEngine();
@@ -0,0 +1,277 @@
+const ShopItem = require('../models/ShopItem');
+const logger = require('../utils/logger');
+
+// 관리자가 수정할 수 있는 필드 (stats, limitedInfo.soldQuantity 등 집계 값 제외)
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'category', 'type', 'imageUrl', 'thumbnailUrl', 'previewImageUrl',
+  'rarity', 'tags', 'isLimited', 'sortOrder', 'releaseDate'
+];
+
+const LIMITED_INFO_FIELDS = ['startDate', 'endDate', 'maxQuantity', 'perUserLimit', 'announceDate', 'season'];
+
+/**
+ * 상점 카탈로그 관리 서비스 (관리자)
+ * 아이템 등록/수정/판매 중단, 이미지와 색상 변형, 예약 할인, 판매 통계
+ */
+class ShopAdminService {
+  /**
+   * 아이템 목록 (판매 중단 아이템 포함)
+   * @param {Object} filters - { category, active, limited, search, page, limit }
+   */
+  async listItems(filters = {}) {
+    const { category, active = null, limited = null, search, page = 1, limit = 50 } = filters;
+
+    const query = {};
+    if (category) query.category = category;
+    if (active !== null) query.isActive = active;
+    if (limited !== null) query.isLimited = limited;
+    if (search) query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [items, totalCount] = await Promise.all([
+      ShopItem.find(query)
+        .sort({ category: 1, sortOrder: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ShopItem.countDocuments(query)
+    ]);
+
+    return {
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 아이템 상세
+   */
+  async getItem(itemId) {
+    const item = await ShopItem.findById(itemId);
+    if (!item) {
+      throw new Error('SHOP_ITEM_NOT_FOUND');
+    }
+    return item;
+  }
+
+  /**
+   * 아이템 등록
+   */
+  async createItem(data, adminId) {
+    try {
+      const item = new ShopItem({ colors: data.colors || [], isActive: data.isActive !== undefined ? data.isActive : true });
+      this.applyUpdates(item, data);
+      item.updatedBy = adminId;
+
+      await item.save();
+
+      logger.info('상점 아이템 등록', { itemId: item._id, name: item.name, category: item.category, adminId });
+      return item;
+    } catch (error) {
+      logger.error('상점 아이템 등록 실패', { error: error.message, name: data.name });
+      throw error;
+    }
+  }
+
+  /**
+   * 아이템 수정 (판매 재개는 isActive: true)
+   */
+  async updateItem(itemId, updates, adminId) {
+    const item = await this.getItem(itemId);
+
+    this.applyUpdates(item, updates);
+    if (updates.isActive !== undefined) {
+      item.isActive = updates.isActive;
+      item.retiredAt = updates.isActive ? null : item.retiredAt || new Date();
+    }
+    item.updatedBy = adminId;
+
+    await item.save();
+
+    logger.info('상점 아이템 수정', { itemId: item._id, updates: Object.keys(updates), adminId });
+    return item;
+  }
+
+  /**
+   * 아이템 판매 중단 (이미 구매한 사용자의 인벤토리/착용 상태는 유지)
+   */
+  async retireItem(itemId, adminId) {
+    const item = await this.getItem(itemId);
+
+    item.isActive = false;
+    item.retiredAt = item.retiredAt || new Date();
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 아이템 판매 중단', { itemId: item._id, name: item.name, adminId });
+    return item;
+  }
+
+  /**
+   * 대표 이미지 교체 (처리된 업로드 이미지 경로)
+   */
+  async setItemImage(itemId, imageInfo, adminId) {
+    const item = await this.getItem(itemId);
+
+    item.imageUrl = imageInfo.imageUrl;
+    item.thumbnailUrl = imageInfo.thumbnailUrl;
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 아이템 이미지 교체', { itemId: item._id, imageUrl: item.imageUrl, adminId });
+    return item;
+  }
+
+  /**
+   * 색상 변형 추가/교체 (같은 이름이면 교체)
+   * @param {Object} color - { name, hex, imageUrl }
+   */
+  async upsertColor(itemId, color, adminId) {
+    const item = await this.getItem(itemId);
+
+    const existing = item.colors.find(entry => entry.name === color.name);
+    if (existing) {
+      existing.hex = color.hex || existing.hex;
+      existing.imageUrl = color.imageUrl || existing.imageUrl;
+    } else {
+      if (!color.imageUrl) {
+        throw new Error('새 색상에는 이미지가 필요합니다');
+      }
+      item.colors.push({ name: color.name, hex: color.hex || '', imageUrl: color.imageUrl });
+    }
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 아이템 색상 저장', { itemId: item._id, color: color.name, replaced: !!existing, adminId });
+    return item;
+  }
+
+  /**
+   * 색상 변형 삭제 (해당 색상을 착용 중인 사용자는 기본 이미지로 렌더링됨)
+   */
+  async removeColor(itemId, colorName, adminId) {
+    const item = await this.getItem(itemId);
+
+    const index = item.colors.findIndex(entry => entry.name === colorName);
+    if (index === -1) {
+      throw new Error('SHOP_ITEM_COLOR_NOT_FOUND');
+    }
+    item.colors.splice(index, 1);
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 아이템 색상 삭제', { itemId: item._id, color: colorName, adminId });
+    return item;
+  }
+
+  /**
+   * 할인 예약 (시작/종료 시각에 맞춰 스케줄러가 켜고 끔)
+   * @param {Object} discount - { percentage, startDate, endDate }
+   */
+  async scheduleDiscount(itemId, discount, adminId) {
+    const item = await this.getItem(itemId);
+
+    const startDate = discount.startDate ? new Date(discount.startDate) : new Date();
+    const endDate = discount.endDate ? new Date(discount.endDate) : null;
+    if (endDate && endDate <= startDate) {
+      throw new Error('할인 종료일은 시작일 이후여야 합니다');
+    }
+
+    const now = new Date();
+    item.discount = {
+      percentage: discount.percentage,
+      startDate,
+      endDate,
+      isScheduled: true,
+      // 이미 시작 시각이 지났으면 다음 스케줄러 실행을 기다리지 않고 바로 적용
+      isActive: startDate <= now && (!endDate || endDate > now)
+    };
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 할인 예약', {
+      itemId: item._id,
+      percentage: discount.percentage,
+      startDate,
+      endDate,
+      adminId
+    });
+    return item;
+  }
+
+  /**
+   * 할인 취소
+   */
+  async cancelDiscount(itemId, adminId) {
+    const item = await this.getItem(itemId);
+
+    item.discount = { isActive: false, isScheduled: false, percentage: 0, startDate: null, endDate: null };
+    item.updatedBy = adminId;
+    await item.save();
+
+    logger.info('상점 할인 취소', { itemId: item._id, adminId });
+    return item;
+  }
+
+  /**
+   * 판매 통계 (카테고리별 + 아이템 순위)
+   * @param {Object} options - { sortBy: 'revenue' | 'purchases', limit }
+   */
+  async getSalesStats(options = {}) {
+    const { sortBy = 'revenue', limit = 20 } = options;
+    const sortField = sortBy === 'purchases' ? 'stats.totalPurchases' : 'stats.totalRevenue';
+
+    const [categoryStats, topItems, totals] = await Promise.all([
+      ShopItem.getCategoryStats(),
+      ShopItem.find({ 'stats.totalPurchases': { $gt: 0 } })
+        .select('name category type price isActive isLimited limitedInfo stats')
+        .sort({ [sortField]: -1 })
+        .limit(limit),
+      ShopItem.aggregate([
+        {
+          $group: {
+            _id: null,
+            totalItems: { $sum: 1 },
+            activeItems: { $sum: { $cond: ['$isActive', 1, 0] } },
+            totalSales: { $sum: '$stats.totalPurchases' },
+            totalRevenue: { $sum: '$stats.totalRevenue' }
+          }
+        }
+      ])
+    ]);
+
+    const summary = totals[0] || { totalItems: 0, activeItems: 0, totalSales: 0, totalRevenue: 0 };
+    delete summary._id;
+
+    return {
+      summary,
+      categoryStats,
+      topItems
+    };
+  }
+
+  /**
+   * 허용된 필드만 반영 (limitedInfo는 판매 수량을 보존하도록 필드 단위로 병합)
+   */
+  applyUpdates(item, updates) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        item[field] = updates[field];
+      }
+    });
+
+    if (updates.limitedInfo) {
+      LIMITED_INFO_FIELDS.forEach(field => {
+        if (updates.limitedInfo[field] !== undefined) {
+          item.set(`limitedInfo.${field}`, updates.limitedInfo[field]);
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ShopAdminService();
@@ -0,0 +1,287 @@
+/**
+ * 연속 기록(스트릭) 서비스
+ * 접속/집중/Task 완료의 연속 활동 일수를 사용자 시간대(User.timezone) 기준으로 계산합니다.
+ *
+ * - 활동이 기록될 때마다 마지막 활동일과 비교해 연속 일수를 늘리거나 1부터 다시 시작
+ * - 놓친 날이 있으면 보유한 스트릭 프리즈를 하루에 1개씩 사용해 연속 기록을 유지
+ *   (프리즈로 보호된 날짜는 모든 연속 기록에 공통 적용)
+ * - 연속 일수가 늘어나면 보상 규칙(streak.reached)에 따라 마일스톤 코인 지급
+ */
+
+const moment = require('moment-timezone');
+const UserStreak = require('../models/UserStreak');
+const UserInventory = require('../models/UserInventory');
+const User = require('../models/User');
+const rewardEngine = require('./rewardEngine');
+const logger = require('../utils/logger');
+
+const STREAK_TYPES = UserStreak.TYPES;
+const STREAK_FREEZE = 'streak_freeze';
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+// 이보다 오래 쉬면 프리즈와 관계없이 연속 기록 초기화
+const MAX_PROTECTED_DAYS = 7;
+
+class StreakService {
+  constructor() {
+    this.TYPES = STREAK_TYPES;
+  }
+
+  /**
+   * 사용자 시간대 (잘못된 값이면 기본 시간대)
+   */
+  getTimezone(user) {
+    const timezone = user && user.timezone;
+    return timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * 시간대 기준 날짜 키 (YYYY-MM-DD)
+   */
+  getDateKey(date, timezone) {
+    return moment(date).tz(timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * 두 날짜 사이에 활동하지 않은 날짜 목록 (양 끝 제외)
+   * @returns {Array|null} 보호 가능한 기간보다 길면 null
+   */
+  getMissedDates(lastDate, today) {
+    const gap = moment.utc(today).diff(moment.utc(lastDate), 'days') - 1;
+    if (gap <= 0) {
+      return [];
+    }
+    if (gap > MAX_PROTECTED_DAYS) {
+      return null;
+    }
+
+    return Array.from({ length: gap }, (_, index) =>
+      moment.utc(lastDate).add(index + 1, 'days').format('YYYY-MM-DD')
+    );
+  }
+
+  /**
+   * 활동 기록
+   * 연속 기록 처리 실패가 원래 활동(로그인/세션/Task 완료)을 실패시키지 않도록 오류는 기록만 함
+   * @param {String} userId - 사용자 ID
+   * @param {String} type - login | focus | task
+   * @param {Date} occurredAt - 활동 시각 (기본: 현재)
+   * @returns {Object|null} { type, extended, streak, frozenDates, coinReward }
+   */
+  async recordActivity(userId, type, occurredAt = new Date()) {
+    try {
+      if (!Object.values(STREAK_TYPES).includes(type)) {
+        throw new Error(`알 수 없는 연속 기록 종류입니다: ${type}`);
+      }
+
+      const user = await User.findById(userId).select('timezone');
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
+
+      const today = this.getDateKey(occurredAt, this.getTimezone(user));
+      const streakDoc = await UserStreak.findOrCreateByUserId(userId);
+      const state = streakDoc[type];
+
+      // 오늘 이미 기록했거나, 시간대 변경으로 마지막 활동일이 더 뒤인 경우
+      if (state.lastActiveDate && state.lastActiveDate >= today) {
+        return { type, extended: false, streak: this.formatState(state, today), frozenDates: [], coinReward: null };
+      }
+
+      let current = 1;
+      let startedDate = today;
+      let frozenDates = [];
+
+      if (state.lastActiveDate) {
+        const missedDates = this.getMissedDates(state.lastActiveDate, today);
+        const unprotected = missedDates ? missedDates.filter(date => !streakDoc.frozenDates.includes(date)) : null;
+
+        let continued = unprotected !== null && unprotected.length === 0;
+        if (unprotected && unprotected.length > 0) {
+          // 놓친 날마다 프리즈 1개 사용 (부족하면 사용하지 않고 초기화)
+          const inventory = await UserInventory.useConsumable(userId, STREAK_FREEZE, unprotected.length);
+          if (inventory) {
+            frozenDates = unprotected;
+            continued = true;
+          }
+        }
+
+        if (continued) {
+          current = state.current + 1;
+          startedDate = state.startedDate || state.lastActiveDate;
+        }
+      }
+
+      const update = {
+        $set: {
+          [`${type}.current`]: current,
+          [`${type}.best`]: Math.max(state.best || 0, current),
+          [`${type}.lastActiveDate`]: today,
+          [`${type}.startedDate`]: startedDate
+        }
+      };
+      if (frozenDates.length > 0) {
+        update.$addToSet = { frozenDates: { $each: frozenDates } };
+        update.$inc = { freezesUsed: frozenDates.length };
+      }
+
+      // 읽은 뒤 다른 요청이 먼저 기록했으면 반영하지 않음
+      const updated = await UserStreak.findOneAndUpdate(
+        { userId, [`${type}.lastActiveDate`]: state.lastActiveDate },
+        update,
+        { new: true }
+      );
+
+      if (!updated) {
+        if (frozenDates.length > 0) {
+          await UserInventory.restoreConsumable(userId, STREAK_FREEZE, frozenDates.length);
+        }
+
+        const latest = await UserStreak.findOne({ userId });
+        return { type, extended: false, streak: this.formatState(latest[type], today), frozenDates: [], coinReward: null };
+      }
+
+      const coinReward = await this.awardMilestone(userId, type, current, today, occurredAt);
+
+      logger.info('연속 기록 갱신', {
+        userId,
+        type,
+        current,
+        best: updated[type].best,
+        frozenDates,
+        coinAwarded: coinReward ? coinReward.amount : 0
+      });
+
+      return {
+        type,
+        extended: true,
+        streak: this.formatState(updated[type], today),
+        frozenDates,
+        coinReward
+      };
+
+    } catch (error) {
+      logger.error('연속 기록 처리 실패', { error: error.message, userId, type });
+      return null;
+    }
+  }
+
+  /**
+   * 연속 일수 마일스톤 보상 (지급 일수와 코인은 보상 규칙 streak_milestone에서 결정)
+   * @returns {Object|null} { amount, newBalance }
+   */
+  async awardMilestone(userId, type, current, today, occurredAt) {
+    try {
+      const reward = await rewardEngine.handle({
+        type: rewardEngine.EVENTS.STREAK_REACHED,
+        userId,
+        value: current,
+        idempotencyKey: `streak:${type}:${today}`,
+        occurredAt
+      });
+
+      if (reward.awarded === 0) {
+        return null;
+      }
+
+      await User.updateOne({ _id: userId }, {
+        $push: {
+          dailyRewards: {
+            type: 'streak_reward',
+            amount: reward.awarded,
+            date: occurredAt,
+            description: `${current}일 연속 달성`
+          }
+        }
+      });
+
+      return { amount: reward.awarded, newBalance: reward.newBalance };
+
+    } catch (error) {
+      logger.error('연속 기록 보상 지급 실패', { error: error.message, userId, type, current });
+      return null;
+    }
+  }
+
+  /**
+   * Home 화면용 연속 기록 요약
+   * GET /api/streaks
+   * 마지막 활동 이후 놓친 날을 보유한 프리즈로 모두 보호할 수 있으면 연속 기록이 유지되는 것으로 표시
+   */
+  async getStreaks(userId) {
+    try {
+      const user = await User.findById(userId).select('timezone');
+      if (!user) {
+        throw new Error('사용자를 찾을 수 없습니다.');
+      }
+
+      const timezone = this.getTimezone(user);
+      const today = this.getDateKey(new Date(), timezone);
+
+      const [streakDoc, inventory] = await Promise.all([
+        UserStreak.findOne({ userId }),
+        UserInventory.findOne({ userId })
+      ]);
+
+      const freezeField = UserInventory.CONSUMABLES[STREAK_FREEZE];
+      const ownedFreezes = inventory ? inventory.get(freezeField.field) || 0 : 0;
+      const frozenDates = streakDoc ? streakDoc.frozenDates : [];
+
+      const streaks = {};
+      Object.values(STREAK_TYPES).forEach(type => {
+        const state = streakDoc ? streakDoc[type] : {};
+        streaks[type] = this.formatState(state, today, { frozenDates, ownedFreezes });
+      });
+
+      return {
+        timezone,
+        today,
+        streaks,
+        streakFreeze: {
+          owned: ownedFreezes,
+          max: freezeField.max,
+          used: streakDoc ? streakDoc.freezesUsed : 0
+        },
+        frozenDates: frozenDates.slice(-MAX_PROTECTED_DAYS)
+      };
+
+    } catch (error) {
+      logger.error('연속 기록 조회 실패', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 연속 기록 응답 형식
+   * @param {Object} protection - { frozenDates, ownedFreezes } 주면 끊긴 기록은 0으로 표시
+   */
+  formatState(state = {}, today, protection = null) {
+    const lastActiveDate = state.lastActiveDate || null;
+    const isActiveToday = lastActiveDate === today;
+    let current = state.current || 0;
+
+    if (protection && lastActiveDate && !isActiveToday) {
+      // 오늘 이전에 놓친 날짜 (오늘은 아직 활동할 수 있으므로 제외)
+      const missedDates = this.getMissedDates(lastActiveDate, today);
+      const unprotected = missedDates
+        ? missedDates.filter(date => !protection.frozenDates.includes(date))
+        : null;
+
+      if (unprotected === null || unprotected.length > protection.ownedFreezes) {
+        current = 0;
+      }
+    }
+
+    return {
+      current,
+      best: state.best || 0,
+      lastActiveDate,
+      startedDate: current > 0 ? state.startedDate || null : null,
+      isActiveToday,
+      // 오늘 활동하지 않으면 끊기거나 프리즈가 사용될 상태
+      atRisk: current > 0 && !isActiveToday
+    };
+  }
+}
+
+module.exports = new StreakService();
@@ -0,0 +1,352 @@
+/**
+ * 구독 라이프사이클 서비스
+ * 구독 상태 전이(trialing → active → past_due → grace → canceled/expired)를 관리합니다.
+ *
+ * 상태 전이는 두 경로로 발생합니다.
+ * - 결제사 이벤트 (billingService.applyPaymentEvent)
+ * - 스케줄러 작업 (utils/scheduler.js 의 subscription-lifecycle, processDueSubscriptions)
+ *
+ * Premium이 끝나면 위치 기반 알림을 일시 중지하고(데이터는 보존),
+ * 다시 구독하면 자동으로 복원합니다. D-Day 분석과 상점은 권한 체크로만 막고 기존 데이터는 그대로 둡니다.
+ */
+
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const EntitlementUtils = require('../utils/entitlement');
+const entitlementService = require('./entitlementService');
+const notificationService = require('./notificationService');
+const paymentProviders = require('./paymentProviders');
+const logger = require('../utils/logger');
+
+const { STATUSES } = EntitlementUtils;
+
+// 라이프사이클 이벤트
+const LIFECYCLE_EVENTS = {
+  TRIAL_STARTED: 'trial_started',
+  PAYMENT_SUCCEEDED: 'payment_succeeded',
+  PAYMENT_FAILED: 'payment_failed',
+  PERIOD_ENDED: 'period_ended',
+  CANCEL_REQUESTED: 'cancel_requested',
+  EXPIRED: 'expired',
+  REFUNDED: 'refunded'
+};
+
+// 이벤트별 목표 상태
+const EVENT_TARGET_STATUS = {
+  [LIFECYCLE_EVENTS.TRIAL_STARTED]: STATUSES.TRIALING,
+  [LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED]: STATUSES.ACTIVE,
+  [LIFECYCLE_EVENTS.PAYMENT_FAILED]: STATUSES.PAST_DUE,
+  [LIFECYCLE_EVENTS.PERIOD_ENDED]: STATUSES.GRACE,
+  [LIFECYCLE_EVENTS.CANCEL_REQUESTED]: STATUSES.CANCELED,
+  [LIFECYCLE_EVENTS.EXPIRED]: STATUSES.EXPIRED,
+  [LIFECYCLE_EVENTS.REFUNDED]: STATUSES.EXPIRED
+};
+
+// 허용되는 상태 전이 (현재 상태 → 가능한 다음 상태)
+const TRANSITIONS = {
+  [STATUSES.NONE]: [STATUSES.TRIALING, STATUSES.ACTIVE],
+  [STATUSES.TRIALING]: [STATUSES.ACTIVE, STATUSES.PAST_DUE, STATUSES.CANCELED, STATUSES.EXPIRED],
+  [STATUSES.ACTIVE]: [STATUSES.ACTIVE, STATUSES.PAST_DUE, STATUSES.GRACE, STATUSES.CANCELED, STATUSES.EXPIRED],
+  [STATUSES.PAST_DUE]: [STATUSES.ACTIVE, STATUSES.PAST_DUE, STATUSES.GRACE, STATUSES.CANCELED, STATUSES.EXPIRED],
+  [STATUSES.GRACE]: [STATUSES.ACTIVE, STATUSES.CANCELED, STATUSES.EXPIRED],
+  [STATUSES.CANCELED]: [STATUSES.ACTIVE, STATUSES.EXPIRED],
+  [STATUSES.EXPIRED]: [STATUSES.TRIALING, STATUSES.ACTIVE]
+};
+
+class SubscriptionLifecycleService {
+  /**
+   * 상태 전이 가능 여부
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from || STATUSES.NONE] || []).includes(to);
+  }
+
+  /**
+   * 라이프사이클 이벤트 적용
+   * @param {Object|String} userOrId - User 문서 또는 사용자 ID
+   * @param {String} event - LIFECYCLE_EVENTS 중 하나
+   * @param {Object} payload - { plan, source, provider, externalId, periodStart, periodEnd, detachProvider }
+   * @returns {Object} 갱신된 사용자 문서
+   */
+  async transition(userOrId, event, payload = {}) {
+    const user = await entitlementService.resolveUser(userOrId);
+    const from = user.subscription.status || STATUSES.NONE;
+    const to = EVENT_TARGET_STATUS[event];
+
+    if (!to) {
+      throw new Error(`알 수 없는 구독 이벤트입니다: ${event}`);
+    }
+
+    if (!this.canTransition(from, to)) {
+      logger.warn('허용되지 않는 구독 상태 전이', { userId: user._id, event, from, to });
+      throw new Error('INVALID_SUBSCRIPTION_TRANSITION');
+    }
+
+    const wasPremium = entitlementService.isPremium(user);
+    const now = new Date();
+
+    switch (event) {
+      case LIFECYCLE_EVENTS.TRIAL_STARTED:
+      case LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED:
+        await entitlementService.grantPremium(user, {
+          plan: payload.plan || (user.subscription.plan !== EntitlementUtils.PLANS.FREE
+            ? user.subscription.plan
+            : EntitlementUtils.PLANS.PREMIUM_MONTHLY),
+          status: to,
+          source: payload.source || user.subscription.source,
+          // 결제사 없이 지급하는 Premium(체험, 프로모션)은 이전 결제사 구독과 연결을 끊음
+          provider: payload.detachProvider ? null : (payload.provider || user.subscription.provider),
+          externalId: payload.detachProvider ? null : (payload.externalId || user.subscription.externalId),
+          periodStart: payload.periodStart || now,
+          periodEnd: payload.periodEnd || null
+        });
+        break;
+
+      case LIFECYCLE_EVENTS.PAYMENT_FAILED:
+        user.subscription.status = to;
+        user.subscription.lastPaymentFailedAt = now;
+        break;
+
+      case LIFECYCLE_EVENTS.PERIOD_ENDED:
+        user.subscription.status = to;
+        user.subscription.graceEndsAt = user.subscription.graceEndsAt ||
+          EntitlementUtils.calculateGraceEnd(user.subscription.currentPeriodEnd || now);
+        break;
+
+      case LIFECYCLE_EVENTS.CANCEL_REQUESTED:
+        user.subscription.status = to;
+        user.subscription.cancelAtPeriodEnd = true;
+        user.subscription.canceledAt = now;
+        if (payload.periodEnd) {
+          user.subscription.currentPeriodEnd = payload.periodEnd;
+        }
+        break;
+
+      case LIFECYCLE_EVENTS.EXPIRED:
+      case LIFECYCLE_EVENTS.REFUNDED:
+        user.subscription.status = to;
+        user.subscription.graceEndsAt = null;
+        if (event === LIFECYCLE_EVENTS.REFUNDED || user.subscription.currentPeriodEnd > now) {
+          user.subscription.currentPeriodEnd = now;
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    if (user.isModified('subscription')) {
+      user.subscription.updatedAt = now;
+      await user.save();
+    }
+
+    logger.info('구독 상태 전이', { userId: user._id, event, from, to });
+
+    const isPremium = entitlementService.isPremium(user);
+    if (wasPremium && !isPremium) {
+      await this.suspendPremiumAccess(user);
+    } else if (!wasPremium && isPremium) {
+      await this.restorePremiumAccess(user);
+    }
+
+    return user;
+  }
+
+  /**
+   * 구독 해지 예약 (이용 기간 종료 시까지 Premium 유지)
+   */
+  async cancelAtPeriodEnd(userId) {
+    const user = await entitlementService.resolveUser(userId);
+    const { provider, externalId } = user.subscription;
+
+    if (provider && externalId) {
+      try {
+        await paymentProviders.getProvider(provider).cancelSubscription(externalId);
+      } catch (error) {
+        logger.error('결제사 구독 해지 요청 실패', { error: error.message, userId, provider });
+        throw error;
+      }
+    }
+
+    return await this.transition(user, LIFECYCLE_EVENTS.CANCEL_REQUESTED);
+  }
+
+  /**
+   * 만료 예정 구독 일괄 처리 (스케줄러 작업)
+   * - active/past_due 기간 종료: 결제사 갱신 확인(또는 빌링키 청구) 후 갱신, 실패 시 유예 전환
+   * - grace 유예 종료: 한 번 더 갱신을 시도하고 실패하면 만료
+   * - trialing/canceled 기간 종료: 만료
+   * @returns {Object} 처리 건수
+   */
+  async processDueSubscriptions(now = new Date()) {
+    const summary = { renewed: 0, grace: 0, expired: 0, failed: 0 };
+
+    const dueUsers = await User.find({
+      $or: [
+        {
+          'subscription.status': { $in: [STATUSES.ACTIVE, STATUSES.PAST_DUE] },
+          'subscription.currentPeriodEnd': { $lte: now }
+        },
+        {
+          'subscription.status': STATUSES.GRACE,
+          'subscription.graceEndsAt': { $lte: now }
+        },
+        {
+          'subscription.status': { $in: [STATUSES.TRIALING, STATUSES.CANCELED] },
+          'subscription.currentPeriodEnd': { $lte: now }
+        }
+      ]
+    });
+
+    for (const user of dueUsers) {
+      try {
+        const result = await this.processUser(user, now);
+        summary[result] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('구독 라이프사이클 처리 실패', { userId: user._id, error: error.message });
+      }
+    }
+
+    if (dueUsers.length > 0) {
+      logger.info('구독 라이프사이클 처리 완료', { total: dueUsers.length, ...summary });
+    }
+
+    return summary;
+  }
+
+  /**
+   * 개별 사용자 만료 처리
+   * @returns {String} renewed | grace | expired
+   */
+  async processUser(user, now) {
+    const { status, graceEndsAt, cancelAtPeriodEnd } = user.subscription;
+
+    if ([STATUSES.ACTIVE, STATUSES.PAST_DUE, STATUSES.GRACE].includes(status) && !cancelAtPeriodEnd) {
+      const renewal = await this.renewSubscription(user, now);
+      if (renewal) {
+        await this.transition(user, LIFECYCLE_EVENTS.PAYMENT_SUCCEEDED, {
+          periodStart: renewal.periodStart,
+          periodEnd: renewal.periodEnd
+        });
+        return 'renewed';
+      }
+    }
+
+    if ([STATUSES.ACTIVE, STATUSES.PAST_DUE].includes(status) && !cancelAtPeriodEnd) {
+      if (!graceEndsAt || graceEndsAt > now) {
+        await this.transition(user, LIFECYCLE_EVENTS.PERIOD_ENDED);
+        return 'grace';
+      }
+    }
+
+    await this.transition(user, LIFECYCLE_EVENTS.EXPIRED);
+    return 'expired';
+  }
+
+  /**
+   * 다음 이용 기간 확보
+   * 결제사에서 이미 갱신된 경우(웹훅 유실 대비) 그 기간을, 아니면 빌링키 결제사에 갱신 결제를 청구
+   * @returns {Object|null} { periodStart, periodEnd } (갱신하지 못하면 null)
+   */
+  async renewSubscription(user, now) {
+    const remote = await this.fetchRemoteSubscription(user);
+    if (remote && remote.status === 'active' && remote.periodEnd && remote.periodEnd > now) {
+      return { periodStart: remote.periodStart, periodEnd: remote.periodEnd };
+    }
+
+    const { provider, externalId, plan, currentPeriodEnd } = user.subscription;
+    if (!provider || !externalId) return null;
+
+    try {
+      const charge = await paymentProviders.getProvider(provider).chargeRenewal({
+        userId: user._id.toString(),
+        plan,
+        externalId,
+        periodStart: currentPeriodEnd || now
+      });
+
+      if (charge) {
+        logger.info('정기 결제 갱신 청구 완료', { userId: user._id, provider, paymentId: charge.paymentId });
+      }
+      return charge;
+    } catch (error) {
+      logger.warn('정기 결제 갱신 청구 실패', { userId: user._id, provider, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 결제사 구독 정보 조회 (실패 시 null)
+   */
+  async fetchRemoteSubscription(user) {
+    const { provider, externalId } = user.subscription;
+    if (!provider || !externalId) return null;
+
+    try {
+      return await paymentProviders.getProvider(provider).fetchSubscription(externalId);
+    } catch (error) {
+      logger.warn('결제사 구독 조회 실패', { userId: user._id, provider, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Premium 종료 시 Premium 전용 기능 정리
+   * 위치 기반 알림은 삭제하지 않고 시간 알림으로 전환 후 중지 표시만 남김
+   */
+  async suspendPremiumAccess(user) {
+    try {
+      const result = await Reminder.updateMany(
+        { userId: user._id, type: 'time_and_location' },
+        { $set: { type: 'time_only', locationSuspended: true } }
+      );
+
+      await notificationService.sendPushNotification(user, {
+        title: 'Premium 구독이 종료되었어요',
+        body: '위치 알림은 시간 알림으로 계속 울려요. 다시 구독하면 모든 설정이 그대로 돌아와요.',
+        data: { type: 'subscription_expired' }
+      });
+
+      logger.info('Premium 전용 기능 일시 중지', {
+        userId: user._id,
+        suspendedLocationReminders: result.modifiedCount
+      });
+
+      return { suspendedLocationReminders: result.modifiedCount };
+    } catch (error) {
+      // 정리 실패가 상태 전이를 되돌리지는 않음
+      logger.error('Premium 전용 기능 정리 실패', { userId: user._id, error: error.message });
+      return { suspendedLocationReminders: 0 };
+    }
+  }
+
+  /**
+   * 재구독 시 일시 중지했던 Premium 기능 복원
+   */
+  async restorePremiumAccess(user) {
+    try {
+      const result = await Reminder.updateMany(
+        { userId: user._id, locationSuspended: true },
+        { $set: { type: 'time_and_location', locationSuspended: false } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info('Premium 전용 기능 복원', {
+          userId: user._id,
+          restoredLocationReminders: result.modifiedCount
+        });
+      }
+
+      return { restoredLocationReminders: result.modifiedCount };
+    } catch (error) {
+      logger.error('Premium 전용 기능 복원 실패', { userId: user._id, error: error.message });
+      return { restoredLocationReminders: 0 };
+    }
+  }
+}
+
+const subscriptionLifecycleService = new SubscriptionLifecycleService();
+subscriptionLifecycleService.LIFECYCLE_EVENTS = LIFECYCLE_EVENTS;
+
+module.exports = subscriptionLifecycleService;
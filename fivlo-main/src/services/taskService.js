@@ -6,6 +6,9 @@
 const Task = require('../models/Task');
 const Category = require('../models/Category');
 const GrowthAlbum = require('../models/GrowthAlbum');
+const achievementService = require('./achievementService');
+const streakService = require('./streakService');
+const eventStreamService = require('./eventStreamService');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 
@@ -102,6 +105,101 @@ class TaskService {
     }
   }
 
+  /**
+   * 예상 vs 실제 소요 시간 (Task별 / 카테고리별)
+   * 실제 소요 시간은 연결된 포모도로 집중 세션으로 누적됨
+   * GET /api/tasks/time-summary?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+   */
+  async getTimeSummary(userId, startDate, endDate) {
+    try {
+      logger.info(`Task 소요 시간 요약 조회`, { userId, startDate, endDate });
+
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+
+      const tasks = await Task.find({
+        userId,
+        date: { $gte: start, $lte: end }
+      })
+      .populate('categoryId', 'name color')
+      .sort({ date: 1, time: 1 });
+
+      const categories = {};
+      const totals = { estimatedMinutes: 0, actualMinutes: 0, pomodoroCount: 0 };
+
+      const taskSummaries = tasks.map(task => {
+        const category = task.categoryId;
+        const categoryKey = category ? category._id.toString() : 'none';
+        const estimatedMinutes = task.estimatedMinutes || 0;
+        const actualMinutes = task.actualMinutes || 0;
+
+        if (!categories[categoryKey]) {
+          categories[categoryKey] = {
+            categoryId: category ? category._id : null,
+            name: category ? category.name : '미분류',
+            color: category ? category.color : null,
+            taskCount: 0,
+            estimatedMinutes: 0,
+            actualMinutes: 0,
+            pomodoroCount: 0
+          };
+        }
+
+        categories[categoryKey].taskCount++;
+        categories[categoryKey].estimatedMinutes += estimatedMinutes;
+        categories[categoryKey].actualMinutes += actualMinutes;
+        categories[categoryKey].pomodoroCount += task.pomodoroCount || 0;
+
+        totals.estimatedMinutes += estimatedMinutes;
+        totals.actualMinutes += actualMinutes;
+        totals.pomodoroCount += task.pomodoroCount || 0;
+
+        return {
+          taskId: task._id,
+          title: task.title,
+          date: task.formattedDate,
+          isCompleted: task.isCompleted,
+          categoryId: category ? category._id : null,
+          estimatedMinutes: task.estimatedMinutes,
+          actualMinutes: task.actualMinutes,
+          pomodoroCount: task.pomodoroCount || 0,
+          // 예상 시간이 없으면 비교하지 않음 (양수면 예상보다 오래 걸림)
+          differenceMinutes: task.estimatedMinutes ? actualMinutes - task.estimatedMinutes : null
+        };
+      });
+
+      const categorySummaries = Object.values(categories).map(category => ({
+        ...category,
+        differenceMinutes: category.actualMinutes - category.estimatedMinutes
+      }));
+
+      logger.info(`Task 소요 시간 요약 조회 완료`, {
+        userId,
+        taskCount: taskSummaries.length,
+        categoryCount: categorySummaries.length
+      });
+
+      return {
+        tasks: taskSummaries,
+        categories: categorySummaries,
+        totals: {
+          ...totals,
+          differenceMinutes: totals.actualMinutes - totals.estimatedMinutes
+        }
+      };
+    } catch (error) {
+      logger.error('Task 소요 시간 요약 조회 실패', {
+        error: error.message,
+        userId,
+        startDate,
+        endDate
+      });
+      throw error;
+    }
+  }
+
   /**
    * Task 생성
    * POST /api/tasks
@@ -116,7 +214,8 @@ class TaskService {
         categoryId,
         repeat = false,
         growthAlbum = false,
-        notes = ''
+        notes = '',
+        estimatedMinutes = null
       } = taskData;
 
       // 카테고리 확인 (없으면 기본 카테고리 사용)
@@ -145,6 +244,7 @@ class TaskService {
         hasGrowthAlbum: growthAlbum,
         growthAlbumRequired: growthAlbum,
         notes: notes.trim(),
+        estimatedMinutes,
         color: category.color
       });
 
@@ -194,7 +294,7 @@ class TaskService {
       }
 
       // 업데이트 가능한 필드들
-      const allowedFields = ['title', 'categoryId', 'notes', 'growthAlbum', 'repeat'];
+      const allowedFields = ['title', 'categoryId', 'notes', 'growthAlbum', 'repeat', 'estimatedMinutes'];
       const updates = {};
 
       allowedFields.forEach(field => {
@@ -322,6 +422,9 @@ class TaskService {
 
       const allCompleted = allTasksToday.every(t => t.isCompleted);
 
+      const unlockedAchievements = await achievementService.evaluate(userId, 'task');
+      const streak = await streakService.recordActivity(userId, streakService.TYPES.TASK);
+
       logger.info(`Task 완료 처리 완료`, { 
         userId, 
         taskId,
@@ -330,11 +433,19 @@ class TaskService {
         totalTasks: allTasksToday.length
       });
 
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.TASK_COMPLETED, {
+        taskId: task._id,
+        date: dateStr,
+        allTasksCompleted: allCompleted
+      });
+
       return { 
         success: true, 
         task, 
         allTasksCompleted: allCompleted,
-        date: dateStr
+        date: dateStr,
+        unlockedAchievements,
+        streak
       };
     } catch (error) {
       logger.error('Task 완료 처리 실패', { 
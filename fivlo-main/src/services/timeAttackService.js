@@ -4,9 +4,14 @@
  */
 
 const TimeAttackSession = require('../models/TimeAttackSession');
+const TimeAttackTemplate = require('../models/TimeAttackTemplate');
 const aiService = require('./aiService');
+const eventStreamService = require('./eventStreamService');
 const logger = require('../utils/logger');
 
+// AI 단계 분해에 반영할 단계별 실제 소요 시간의 최소 기록 수
+const MIN_PACE_SAMPLES = 2;
+
 class TimeAttackService {
   /**
    * 타임어택 세션 생성
@@ -19,14 +24,16 @@ class TimeAttackService {
       const {
         goal,
         totalMinutes,
-        steps = []
+        steps = [],
+        templateId = null
       } = sessionData;
 
-      // AI로 목표 단계별 분해 (steps가 없는 경우)
+      // AI로 목표 단계별 분해 (steps가 없는 경우, 사용자의 실제 단계별 페이스 반영)
       let processedSteps = steps;
       if (!steps || steps.length === 0) {
         try {
-          const aiSteps = await aiService.breakdownGoal(goal, totalMinutes);
+          const stepPace = await this.getStepPace(userId);
+          const aiSteps = await aiService.breakdownGoal(goal, totalMinutes, stepPace);
           processedSteps = aiSteps;
         } catch (aiError) {
           logger.warn('AI 목표 분해 실패, 기본 단계 사용', { error: aiError.message });
@@ -47,8 +54,10 @@ class TimeAttackService {
           name: step.name,
           minutes: step.duration || step.minutes,
           order: index,
-          completed: false
+          completed: false,
+          cueText: step.cueText || null
         })),
+        templateId,
         currentStepIndex: 0,
         status: 'ready'
       });
@@ -81,17 +90,20 @@ class TimeAttackService {
     try {
       logger.info('타임어택 세션 시작 요청', { userId, sessionId });
 
-      const session = await TimeAttackSession.findOne({ _id: sessionId, userId });
-      if (!session) {
-        throw new Error('세션을 찾을 수 없습니다.');
+      const session = await this.findUserSession(userId, sessionId);
+
+      // 일시정지한 세션을 다시 시작하면 재개로 처리 (시작 시각과 일시정지 시간 유지)
+      if (session.status === 'paused') {
+        return this.resumeSession(userId, sessionId);
       }
 
-      if (session.status !== 'ready' && session.status !== 'paused') {
+      if (session.status !== 'ready') {
         throw new Error('세션을 시작할 수 없는 상태입니다.');
       }
 
       session.status = 'in_progress';
       session.startedAt = new Date();
+      session.beginStep(session.currentStepIndex, session.startedAt);
       await session.save();
 
       logger.info('타임어택 세션 시작 완료', { userId, sessionId });
@@ -107,6 +119,215 @@ class TimeAttackService {
     }
   }
 
+  /**
+   * 다음 단계로 진행 (마지막 단계를 마치면 세션 완료)
+   * PUT /api/time-attack/sessions/{id}/next-step
+   */
+  async nextStep(userId, sessionId) {
+    try {
+      logger.info('타임어택 다음 단계 진행 요청', { userId, sessionId });
+
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.currentStepIndex >= session.steps.length) {
+        throw new Error('NO_MORE_STEPS');
+      }
+
+      if (session.status !== 'in_progress') {
+        throw new Error('SESSION_NOT_IN_PROGRESS');
+      }
+
+      const completedStepIndex = session.currentStepIndex;
+      await session.nextStep();
+
+      logger.info('타임어택 단계 진행 완료', {
+        userId,
+        sessionId,
+        completedStepIndex,
+        currentStepIndex: session.currentStepIndex,
+        status: session.status
+      });
+
+      eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.TIME_ATTACK_STEP_ADVANCED, {
+        sessionId: session._id,
+        completedStepIndex,
+        currentStepIndex: session.currentStepIndex,
+        status: session.status,
+        progress: session.progress
+      });
+
+      return session;
+    } catch (error) {
+      logger.error('타임어택 단계 진행 실패', { 
+        error: error.message, 
+        userId, 
+        sessionId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 세션 일시정지
+   * PUT /api/time-attack/sessions/{id}/pause
+   */
+  async pauseSession(userId, sessionId) {
+    try {
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.status !== 'in_progress') {
+        throw new Error('SESSION_NOT_IN_PROGRESS');
+      }
+
+      await session.pause();
+
+      logger.info('타임어택 세션 일시정지', {
+        userId,
+        sessionId,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      this.publishStateChange(userId, session, 'pause');
+
+      return session;
+    } catch (error) {
+      logger.error('타임어택 세션 일시정지 실패', { 
+        error: error.message, 
+        userId, 
+        sessionId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 일시정지한 세션 재개 (일시정지 시간은 소요 시간에서 제외)
+   * PUT /api/time-attack/sessions/{id}/resume
+   */
+  async resumeSession(userId, sessionId) {
+    try {
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.status !== 'paused') {
+        throw new Error('SESSION_NOT_PAUSED');
+      }
+
+      await session.resume();
+
+      logger.info('타임어택 세션 재개', {
+        userId,
+        sessionId,
+        pauseDuration: session.pauseDuration
+      });
+
+      this.publishStateChange(userId, session, 'resume');
+
+      return session;
+    } catch (error) {
+      logger.error('타임어택 세션 재개 실패', { 
+        error: error.message, 
+        userId, 
+        sessionId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 이전 단계로 돌아가기 (진행 중이거나 일시정지 상태에서만 가능)
+   * PUT /api/time-attack/sessions/{id}/previous-step
+   */
+  async previousStep(userId, sessionId) {
+    try {
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.status !== 'in_progress' && session.status !== 'paused') {
+        throw new Error('SESSION_NOT_ACTIVE');
+      }
+
+      if (session.currentStepIndex <= 0) {
+        throw new Error('NO_PREVIOUS_STEP');
+      }
+
+      await session.previousStep();
+
+      logger.info('타임어택 이전 단계로 이동', {
+        userId,
+        sessionId,
+        currentStepIndex: session.currentStepIndex
+      });
+
+      this.publishStateChange(userId, session, 'previousStep');
+
+      return session;
+    } catch (error) {
+      logger.error('타임어택 이전 단계 이동 실패', { 
+        error: error.message, 
+        userId, 
+        sessionId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 세션 포기 (완료 처리 없이 종료, 진행한 시간만 기록)
+   * PUT /api/time-attack/sessions/{id}/abandon
+   */
+  async abandonSession(userId, sessionId) {
+    try {
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.status === 'completed' || session.status === 'abandoned') {
+        throw new Error('SESSION_ALREADY_ENDED');
+      }
+
+      await session.abandon();
+
+      logger.info('타임어택 세션 포기', {
+        userId,
+        sessionId,
+        currentStepIndex: session.currentStepIndex,
+        actualDuration: session.actualDuration
+      });
+
+      this.publishStateChange(userId, session, 'abandon');
+
+      return session;
+    } catch (error) {
+      logger.error('타임어택 세션 포기 실패', { 
+        error: error.message, 
+        userId, 
+        sessionId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 사용자 세션 조회
+   */
+  async findUserSession(userId, sessionId) {
+    const session = await TimeAttackSession.findOne({ _id: sessionId, userId });
+    if (!session) {
+      throw new Error('SESSION_NOT_FOUND');
+    }
+    return session;
+  }
+
+  /**
+   * 다른 기기에 세션 상태 변경 전달 (일시정지/재개/이전 단계/포기)
+   */
+  publishStateChange(userId, session, action) {
+    eventStreamService.publish(userId, eventStreamService.EVENT_TYPES.TIME_ATTACK_STATE_CHANGED, {
+      sessionId: session._id,
+      action,
+      status: session.status,
+      currentStepIndex: session.currentStepIndex,
+      remainingTime: session.remainingTime
+    });
+  }
+
   /**
    * 타임어택 세션 완료
    * PUT /api/time-attack/sessions/{id}/complete
@@ -115,26 +336,25 @@ class TimeAttackService {
     try {
       logger.info('타임어택 세션 완료 요청', { userId, sessionId });
 
-      const session = await TimeAttackSession.findOne({ _id: sessionId, userId });
-      if (!session) {
-        throw new Error('세션을 찾을 수 없습니다.');
+      const session = await this.findUserSession(userId, sessionId);
+
+      if (session.status === 'completed') {
+        throw new Error('SESSION_ALREADY_COMPLETED');
       }
 
-      session.status = 'completed';
-      session.completedAt = new Date();
-      
-      // 실제 소요 시간 계산
-      if (session.startedAt) {
-        const duration = Math.floor((session.completedAt - session.startedAt) / 1000);
-        session.actualDuration = duration;
+      if (session.status === 'abandoned') {
+        throw new Error('SESSION_ALREADY_ENDED');
       }
 
-      await session.save();
+      // 진행 중이던 단계 기록, 일시정지 시간 확정, 효율/정확도 계산
+      await session.complete();
 
       logger.info('타임어택 세션 완료', { 
         userId, 
         sessionId,
-        actualTime: session.actualTimeMinutes
+        actualDuration: session.actualDuration,
+        efficiency: session.performance.efficiency,
+        stepAccuracy: session.performance.stepAccuracy
       });
 
       return session;
@@ -148,6 +368,322 @@ class TimeAttackService {
     }
   }
 
+  /**
+   * 템플릿 목록 조회 (최근 사용 순, 템플릿별 사용 통계 포함)
+   * GET /api/time-attack/templates
+   */
+  async getTemplates(userId) {
+    try {
+      const templates = await TimeAttackTemplate.find({ userId })
+        .sort({ lastUsedAt: -1, createdAt: -1 });
+
+      const stats = await TimeAttackTemplate.getUsageStats(userId, templates.map(template => template._id));
+
+      return {
+        templates: templates.map(template => this.formatTemplate(template, stats.get(template._id.toString()))),
+        maxTemplates: TimeAttackTemplate.MAX_TEMPLATES
+      };
+    } catch (error) {
+      logger.error('타임어택 템플릿 목록 조회 실패', { 
+        error: error.message, 
+        userId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 템플릿 생성
+   * POST /api/time-attack/templates
+   * @param {Object} data - { name, goal, steps: [{ name, minutes, cueText }] }
+   */
+  async createTemplate(userId, data) {
+    try {
+      const count = await TimeAttackTemplate.countDocuments({ userId });
+      if (count >= TimeAttackTemplate.MAX_TEMPLATES) {
+        throw new Error('TEMPLATE_LIMIT_REACHED');
+      }
+
+      await this.assertUniqueTemplateName(userId, data.name);
+
+      const template = new TimeAttackTemplate({
+        userId,
+        name: data.name,
+        goal: data.goal || null,
+        steps: this.buildTemplateSteps(data.steps)
+      });
+      this.assertTemplateLength(template);
+
+      await template.save();
+
+      logger.info('타임어택 템플릿 생성', {
+        userId,
+        templateId: template._id,
+        name: template.name,
+        stepCount: template.steps.length
+      });
+
+      return this.formatTemplate(template);
+    } catch (error) {
+      logger.error('타임어택 템플릿 생성 실패', { 
+        error: error.message, 
+        userId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 템플릿 수정 (steps를 보내면 단계 전체를 교체)
+   * PATCH /api/time-attack/templates/{id}
+   */
+  async updateTemplate(userId, templateId, updates) {
+    try {
+      const template = await TimeAttackTemplate.findOne({ _id: templateId, userId });
+      if (!template) {
+        throw new Error('TEMPLATE_NOT_FOUND');
+      }
+
+      if (updates.name !== undefined && updates.name !== template.name) {
+        await this.assertUniqueTemplateName(userId, updates.name);
+        template.name = updates.name;
+      }
+      if (updates.goal !== undefined) {
+        template.goal = updates.goal || null;
+      }
+      if (updates.steps !== undefined) {
+        template.steps = this.buildTemplateSteps(updates.steps);
+      }
+      this.assertTemplateLength(template);
+
+      await template.save();
+
+      logger.info('타임어택 템플릿 수정', { userId, templateId, name: template.name });
+
+      const stats = await TimeAttackTemplate.getUsageStats(userId, [template._id]);
+      return this.formatTemplate(template, stats.get(template._id.toString()));
+    } catch (error) {
+      logger.error('타임어택 템플릿 수정 실패', { 
+        error: error.message, 
+        userId, 
+        templateId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 템플릿 삭제 (이미 만든 세션 기록은 유지)
+   * DELETE /api/time-attack/templates/{id}
+   */
+  async deleteTemplate(userId, templateId) {
+    try {
+      const result = await TimeAttackTemplate.deleteOne({ _id: templateId, userId });
+      if (result.deletedCount === 0) {
+        throw new Error('TEMPLATE_NOT_FOUND');
+      }
+
+      logger.info('타임어택 템플릿 삭제', { userId, templateId });
+    } catch (error) {
+      logger.error('타임어택 템플릿 삭제 실패', { 
+        error: error.message, 
+        userId, 
+        templateId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 템플릿으로 세션 생성 (AI 분해 없이 템플릿 단계 그대로 사용)
+   * POST /api/time-attack/templates/{id}/sessions
+   */
+  async createSessionFromTemplate(userId, templateId) {
+    try {
+      const template = await TimeAttackTemplate.findOne({ _id: templateId, userId });
+      if (!template) {
+        throw new Error('TEMPLATE_NOT_FOUND');
+      }
+
+      const session = await this.createSession(userId, {
+        goal: template.goal || template.name,
+        totalMinutes: template.totalMinutes,
+        steps: template.steps.map(step => ({
+          name: step.name,
+          minutes: step.minutes,
+          cueText: step.cueText
+        })),
+        templateId: template._id
+      });
+
+      await template.recordUsage();
+
+      logger.info('타임어택 템플릿으로 세션 생성', {
+        userId,
+        templateId,
+        sessionId: session._id,
+        usageCount: template.usageCount
+      });
+
+      return { session, template: this.formatTemplate(template) };
+    } catch (error) {
+      logger.error('타임어택 템플릿 세션 생성 실패', { 
+        error: error.message, 
+        userId, 
+        templateId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 템플릿 단계 구성 (요청 순서대로 order 지정)
+   */
+  buildTemplateSteps(steps = []) {
+    return steps.map((step, index) => ({
+      name: step.name,
+      minutes: step.minutes,
+      order: index,
+      cueText: step.cueText || null
+    }));
+  }
+
+  /**
+   * 템플릿 총 시간은 세션 최대 시간(180분)을 넘을 수 없음
+   */
+  assertTemplateLength(template) {
+    if (template.totalMinutes > 180) {
+      throw new Error('TEMPLATE_TOO_LONG');
+    }
+  }
+
+  async assertUniqueTemplateName(userId, name) {
+    const exists = await TimeAttackTemplate.exists({ userId, name: name.trim() });
+    if (exists) {
+      throw new Error('TEMPLATE_NAME_DUPLICATE');
+    }
+  }
+
+  /**
+   * 템플릿 응답 형식 (통계가 없으면 사용 기록 0으로 표시)
+   */
+  formatTemplate(template, stats = null) {
+    return {
+      id: template._id,
+      name: template.name,
+      goal: template.goal,
+      totalMinutes: template.totalMinutes,
+      steps: template.steps.map(step => ({
+        order: step.order,
+        name: step.name,
+        minutes: step.minutes,
+        cueText: step.cueText
+      })),
+      stats: {
+        usageCount: template.usageCount,
+        lastUsedAt: template.lastUsedAt,
+        completedSessions: stats ? stats.completed : 0,
+        abandonedSessions: stats ? stats.abandoned : 0,
+        completionRate: stats && stats.sessions > 0
+          ? Math.round((stats.completed / stats.sessions) * 100)
+          : 0,
+        averageActualMinutes: stats && stats.avgActualDuration
+          ? Math.round(stats.avgActualDuration / 60)
+          : null,
+        lastCompletedAt: stats ? stats.lastCompletedAt : null
+      },
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  /**
+   * 타임어택 통계 (전체 / 목표별 / 단계 이름별 추이)
+   * GET /api/time-attack/stats
+   * @param {String} period - week | month | all
+   */
+  async getStats(userId, period = 'month') {
+    try {
+      const [overall, goals, steps] = await Promise.all([
+        TimeAttackSession.getUserStats(userId, period),
+        TimeAttackSession.getGoalStats(userId, period),
+        TimeAttackSession.getStepTrends(userId, period)
+      ]);
+
+      return {
+        period,
+        overall: {
+          totalSessions: overall.totalSessions,
+          totalMinutes: Math.round(overall.totalTime / 60),
+          avgEfficiency: this.roundRatio(overall.avgEfficiency),
+          avgStepAccuracy: this.roundRatio(overall.avgStepAccuracy)
+        },
+        byGoal: goals.map(goal => ({
+          goal: goal._id,
+          sessions: goal.sessions,
+          avgPlannedMinutes: this.toMinutes(goal.avgPlannedTime),
+          avgActualMinutes: this.toMinutes(goal.avgActualTime),
+          avgEfficiency: this.roundRatio(goal.avgEfficiency),
+          avgStepAccuracy: this.roundRatio(goal.avgStepAccuracy),
+          lastCompletedAt: goal.lastCompletedAt
+        })),
+        stepTrends: steps.map(step => ({
+          name: step._id,
+          count: step.count,
+          avgPlannedMinutes: this.toMinutes(step.avgPlannedSeconds),
+          avgActualMinutes: this.toMinutes(step.avgActualSeconds),
+          // 1보다 크면 계획보다 오래 걸리는 단계
+          paceRatio: step.avgPlannedSeconds > 0
+            ? this.roundRatio(step.avgActualSeconds / step.avgPlannedSeconds)
+            : null,
+          recent: step.recent.map(record => ({
+            plannedMinutes: this.toMinutes(record.plannedSeconds),
+            actualMinutes: this.toMinutes(record.actualSeconds),
+            completedAt: record.completedAt
+          }))
+        }))
+      };
+    } catch (error) {
+      logger.error('타임어택 통계 조회 실패', { 
+        error: error.message, 
+        userId, 
+        period 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * AI 단계 분해에 반영할 단계별 실제 페이스
+   * 기록이 MIN_PACE_SAMPLES회 이상인 단계만 사용
+   */
+  async getStepPace(userId) {
+    try {
+      const steps = await TimeAttackSession.getStepTrends(userId, 'all', { limit: 30 });
+
+      return steps
+        .filter(step => step.count >= MIN_PACE_SAMPLES)
+        .map(step => ({
+          name: step._id,
+          count: step.count,
+          avgPlannedMinutes: this.toMinutes(step.avgPlannedSeconds),
+          avgActualMinutes: this.toMinutes(step.avgActualSeconds)
+        }));
+    } catch (error) {
+      // 페이스 조회 실패는 단계 분해를 막지 않음
+      logger.warn('타임어택 단계 페이스 조회 실패', { error: error.message, userId });
+      return [];
+    }
+  }
+
+  toMinutes(seconds) {
+    return seconds ? Math.round((seconds / 60) * 10) / 10 : 0;
+  }
+
+  roundRatio(value) {
+    return value ? Math.round(value * 100) / 100 : 0;
+  }
+
   /**
    * 사용자 타임어택 세션 목록 조회
    */
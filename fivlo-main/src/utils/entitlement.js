@@ -0,0 +1,136 @@
+/**
+ * 구독 권한(Entitlement) 계산 유틸리티
+ * User.subscription 서브도큐먼트만을 기준으로 Premium 여부를 판단합니다.
+ * (모델/서비스/미들웨어가 모두 이 계산을 공유합니다)
+ */
+class EntitlementUtils {
+  /**
+   * 구독 플랜 목록
+   */
+  static get PLANS() {
+    return {
+      FREE: 'free',
+      PREMIUM_MONTHLY: 'premium_monthly',
+      PREMIUM_YEARLY: 'premium_yearly'
+    };
+  }
+
+  /**
+   * 구독 상태 목록
+   */
+  static get STATUSES() {
+    return {
+      NONE: 'none', // 구독 이력 없음
+      TRIALING: 'trialing', // 무료 체험 중
+      ACTIVE: 'active', // 이용 기간 내
+      PAST_DUE: 'past_due', // 갱신 결제 실패, 재시도 중 (기간 내 이용 가능)
+      GRACE: 'grace', // 기간 종료 후 유예 기간 중
+      CANCELED: 'canceled', // 해지 예약 (기간 종료 시까지 이용 가능)
+      EXPIRED: 'expired' // 만료
+    };
+  }
+
+  /**
+   * 구독 출처 목록
+   */
+  static get SOURCES() {
+    return ['none', 'web', 'apple', 'google', 'promo', 'trial', 'referral', 'admin', 'legacy'];
+  }
+
+  /**
+   * Premium 이용이 가능한 상태 목록
+   */
+  static get ENTITLED_STATUSES() {
+    const { TRIALING, ACTIVE, PAST_DUE, GRACE, CANCELED } = this.STATUSES;
+    return [TRIALING, ACTIVE, PAST_DUE, GRACE, CANCELED];
+  }
+
+  /**
+   * 기간 종료 후 유예 기간이 적용되는 상태 목록
+   * (체험/해지 예약은 기간 종료 시 바로 만료)
+   */
+  static get GRACE_ELIGIBLE_STATUSES() {
+    const { ACTIVE, PAST_DUE, GRACE } = this.STATUSES;
+    return [ACTIVE, PAST_DUE, GRACE];
+  }
+
+  /**
+   * 기간 만료 후 기본 유예 기간 (일)
+   */
+  static get GRACE_PERIOD_DAYS() {
+    return parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS) || 3;
+  }
+
+  /**
+   * 플랜별 이용 기간 종료일 계산
+   * @param {String} plan - 구독 플랜
+   * @param {Date} startDate - 시작일
+   * @returns {Date} 종료일
+   */
+  static calculatePeriodEnd(plan, startDate = new Date()) {
+    const endDate = new Date(startDate);
+
+    if (plan === this.PLANS.PREMIUM_YEARLY) {
+      endDate.setFullYear(endDate.getFullYear() + 1);
+    } else {
+      endDate.setMonth(endDate.getMonth() + 1);
+    }
+
+    return endDate;
+  }
+
+  /**
+   * 기간 종료일 기준 유예 기간 종료일 계산
+   * @param {Date} periodEnd - 이용 기간 종료일
+   * @returns {Date|null} 유예 기간 종료일
+   */
+  static calculateGraceEnd(periodEnd) {
+    if (!periodEnd) return null;
+
+    const graceEnd = new Date(periodEnd);
+    graceEnd.setDate(graceEnd.getDate() + this.GRACE_PERIOD_DAYS);
+    return graceEnd;
+  }
+
+  /**
+   * 구독 정보로부터 현재 권한 계산
+   * @param {Object} subscription - User.subscription
+   * @param {Date} now - 기준 시각
+   * @returns {Object} 권한 정보
+   */
+  static evaluate(subscription, now = new Date()) {
+    const sub = subscription || {};
+    const plan = sub.plan || this.PLANS.FREE;
+    const status = sub.status || this.STATUSES.NONE;
+    const periodEnd = sub.currentPeriodEnd ? new Date(sub.currentPeriodEnd) : null;
+    const graceEnd = sub.graceEndsAt ? new Date(sub.graceEndsAt) : null;
+
+    const withinPeriod = !!periodEnd && periodEnd > now;
+    const withinGrace = !withinPeriod && !!graceEnd && graceEnd > now &&
+      this.GRACE_ELIGIBLE_STATUSES.includes(status);
+
+    const isPremium = plan !== this.PLANS.FREE &&
+      this.ENTITLED_STATUSES.includes(status) &&
+      (withinPeriod || withinGrace);
+
+    let effectiveStatus = status;
+    if (this.ENTITLED_STATUSES.includes(status) && !isPremium) {
+      effectiveStatus = this.STATUSES.EXPIRED;
+    } else if (isPremium && withinGrace) {
+      effectiveStatus = this.STATUSES.GRACE;
+    }
+
+    return {
+      isPremium,
+      plan: isPremium ? plan : this.PLANS.FREE,
+      status: effectiveStatus,
+      currentPeriodStart: sub.currentPeriodStart || null,
+      currentPeriodEnd: periodEnd,
+      graceEndsAt: graceEnd,
+      inGracePeriod: isPremium && withinGrace,
+      source: sub.source || 'none'
+    };
+  }
+}
+
+module.exports = EntitlementUtils;
@@ -164,7 +164,7 @@ const generateTokenPair = (user) => {
   const payload = {
     userId: user._id.toString(),
     email: user.email,
-    isPremium: user.isPremium,
+    isPremium: user.isPremiumActive,
     userType: user.userType
   };
 
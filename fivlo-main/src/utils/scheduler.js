@@ -1,6 +1,13 @@
 const cron = require('node-cron');
 const reminderService = require('../services/reminderService');
 const notificationService = require('../services/notificationService');
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const coinService = require('../services/coinService');
+const avatarRenderService = require('../services/avatarRenderService');
+const customizationService = require('../services/customization-service');
+const pomodoroService = require('../services/pomodoroService');
+const eventStreamService = require('../services/eventStreamService');
+const promotionService = require('../services/promotionService');
 const logger = require('../utils/logger');
 
 class SchedulerService {
@@ -29,6 +36,20 @@ class SchedulerService {
         scheduled: false
       }));
 
+      // 매분마다 앱이 꺼져 있는 동안 시간이 다 된 포모도로 세션 완료 처리
+      this.cronJobs.set('pomodoro-expiry', cron.schedule('* * * * *', async () => {
+        await this.completeExpiredPomodoros();
+      }, {
+        scheduled: false
+      }));
+
+      // 10분마다 재접속용으로 보관한 실시간 이벤트 중 오래된 것 정리
+      this.cronJobs.set('event-stream-prune', cron.schedule('*/10 * * * *', async () => {
+        await this.pruneEventStream();
+      }, {
+        scheduled: false
+      }));
+
       // 매일 자정에 통계 정리 (00:00)
       this.cronJobs.set('daily-cleanup', cron.schedule('0 0 * * *', async () => {
         await this.dailyCleanup();
@@ -36,6 +57,34 @@ class SchedulerService {
         scheduled: false
       }));
 
+      // 매시 정각 구독 갱신/유예/만료 처리
+      this.cronJobs.set('subscription-lifecycle', cron.schedule('0 * * * *', async () => {
+        await this.processSubscriptions();
+      }, {
+        scheduled: false
+      }));
+
+      // 15분마다 결제하지 않은 할인 코드 예약 만료 (사용 횟수 반환)
+      this.cronJobs.set('promo-reservation-expiry', cron.schedule('*/15 * * * *', async () => {
+        await this.expirePromoReservations();
+      }, {
+        scheduled: false
+      }));
+
+      // 매일 새벽 4시 코인 잔액 대사 (COIN_RECONCILE_AUTOFIX=true 이면 거래 내역 기준으로 보정)
+      this.cronJobs.set('coin-reconciliation', cron.schedule('0 4 * * *', async () => {
+        await this.reconcileCoins();
+      }, {
+        scheduled: false
+      }));
+
+      // 5분마다 상점 예약 할인 시작/종료 반영
+      this.cronJobs.set('shop-discounts', cron.schedule('*/5 * * * *', async () => {
+        await this.syncShopDiscounts();
+      }, {
+        scheduled: false
+      }));
+
       // 매주 일요일 자정에 주간 통계 생성 (00:00 on Sunday)
       this.cronJobs.set('weekly-stats', cron.schedule('0 0 * * 0', async () => {
         await this.generateWeeklyStats();
@@ -157,6 +206,9 @@ class SchedulerService {
       // 2. 일일 통계 업데이트
       // 3. 로그 파일 정리
 
+      // 오래 조회되지 않은 오분이 합성 이미지 캐시 정리
+      await avatarRenderService.pruneCache();
+
       logger.info('일일 정리 작업 완료');
 
     } catch (error) {
@@ -164,6 +216,88 @@ class SchedulerService {
     }
   }
 
+  /**
+   * 구독 라이프사이클 처리 (갱신 확인, 유예 전환, 만료)
+   */
+  async processSubscriptions() {
+    try {
+      await subscriptionLifecycleService.processDueSubscriptions();
+
+    } catch (error) {
+      logger.error(`구독 라이프사이클 작업 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 결제하지 않은 할인 코드 예약 만료
+   */
+  async expirePromoReservations() {
+    try {
+      await promotionService.expirePendingRedemptions();
+
+    } catch (error) {
+      logger.error(`할인 예약 만료 작업 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 코인 잔액과 거래 내역 대사
+   */
+  async reconcileCoins() {
+    try {
+      const report = await coinService.reconcileBalances({
+        fix: process.env.COIN_RECONCILE_AUTOFIX === 'true'
+      });
+
+      if (report.driftedUsers > 0) {
+        logger.warn('코인 잔액 불일치 사용자 발견', {
+          driftedUsers: report.driftedUsers,
+          totalDrift: report.totalDrift,
+          fixedUsers: report.fixedUsers
+        });
+      }
+
+    } catch (error) {
+      logger.error(`코인 잔액 대사 작업 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 상점 예약 할인 반영
+   */
+  async syncShopDiscounts() {
+    try {
+      await customizationService.syncScheduledDiscounts();
+
+    } catch (error) {
+      logger.error(`예약 할인 반영 작업 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 시간이 다 된 포모도로 세션 완료 처리
+   */
+  async completeExpiredPomodoros() {
+    try {
+      await pomodoroService.completeExpiredSessions();
+
+    } catch (error) {
+      logger.error(`만료 포모도로 세션 처리 작업 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 실시간 이벤트 보관분 정리
+   */
+  async pruneEventStream() {
+    try {
+      eventStreamService.pruneBuffers();
+
+    } catch (error) {
+      logger.error(`실시간 이벤트 정리 작업 실패: ${error.message}`);
+    }
+  }
+
   /**
    * 주간 통계 생성
    */
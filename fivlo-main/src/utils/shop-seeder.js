@@ -195,6 +195,32 @@ const defaultShopItems = [
   }
 ];
 
+/**
+ * 소모성 아이템 데이터 (기존 상점에도 없으면 추가)
+ */
+const consumableShopItems = [
+  {
+    name: '스트릭 프리즈',
+    description: '하루를 놓쳐도 연속 기록이 끊기지 않도록 지켜줍니다.',
+    category: 'consumable',
+    type: 'streak_freeze',
+    price: 10,
+    rarity: 'common',
+    imageUrl: '/images/items/streak-freeze.png',
+    isActive: true
+  },
+  {
+    name: '오분이 선물 상자',
+    description: '열면 오분이 아이템 하나가 무작위로 나옵니다. 이미 가진 아이템은 코인으로 바뀝니다.',
+    category: 'consumable',
+    type: 'mystery_box',
+    price: 30,
+    rarity: 'rare',
+    imageUrl: '/images/items/mystery-box.png',
+    isActive: true
+  }
+];
+
 /**
  * 기본 상점 아이템 생성 함수
  */
@@ -202,8 +228,10 @@ async function seedShopItems() {
   try {
     logger.info('기본 상점 아이템 생성 시작...');
     
-    // 기존 아이템 확인
-    const existingCount = await ShopItem.countDocuments();
+    await seedConsumableItems();
+    
+    // 기존 아이템 확인 (소모성 아이템 제외)
+    const existingCount = await ShopItem.countDocuments({ category: { $ne: 'consumable' } });
     if (existingCount > 0) {
       logger.info(`이미 ${existingCount}개의 상점 아이템이 존재합니다. 스킵합니다.`);
       return;
@@ -231,6 +259,23 @@ async function seedShopItems() {
   }
 }
 
+/**
+ * 소모성 아이템 생성 함수 (종류별로 없을 때만 추가)
+ */
+async function seedConsumableItems() {
+  const result = await ShopItem.bulkWrite(consumableShopItems.map(item => ({
+    updateOne: {
+      filter: { category: 'consumable', type: item.type },
+      update: { $setOnInsert: item },
+      upsert: true
+    }
+  })));
+  
+  if (result.upsertedCount > 0) {
+    logger.info(`✅ ${result.upsertedCount}개의 소모성 아이템이 생성되었습니다.`);
+  }
+}
+
 /**
  * 특정 아이템 추가 함수
  */
@@ -297,5 +342,6 @@ module.exports = {
   addShopItem,
   updateShopItem,
   deleteShopItem,
-  defaultShopItems
+  defaultShopItems,
+  consumableShopItems
 };
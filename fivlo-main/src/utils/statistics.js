@@ -45,16 +45,22 @@ class StatisticsHelper {
   generateHourlyData(sessions) {
     const hourlyData = Array(24).fill(0);
     
+    const hourlyScores = Array.from({ length: 24 }, () => []);
+    
     sessions.forEach(session => {
       if (session.startTime) {
         const hour = moment(session.startTime).tz(this.timezone).hour();
         hourlyData[hour] += session.focusTime || 0;
+        if (typeof session.focusScore === 'number') {
+          hourlyScores[hour].push(session.focusScore);
+        }
       }
     });
 
     return hourlyData.map((minutes, hour) => ({
       hour,
       minutes,
+      averageFocusScore: this.averageScore(hourlyScores[hour]),
       label: `${hour.toString().padStart(2, '0')}:00`
     }));
   }
@@ -65,11 +71,15 @@ class StatisticsHelper {
   generateWeeklyData(sessions, weekStart) {
     const weekDays = ['일', '월', '화', '수', '목', '금', '토'];
     const weeklyData = Array(7).fill(0);
+    const dailyScores = Array.from({ length: 7 }, () => []);
     
     sessions.forEach(session => {
       if (session.startTime) {
         const dayOfWeek = moment(session.startTime).tz(this.timezone).day();
         weeklyData[dayOfWeek] += session.focusTime || 0;
+        if (typeof session.focusScore === 'number') {
+          dailyScores[dayOfWeek].push(session.focusScore);
+        }
       }
     });
 
@@ -80,7 +90,8 @@ class StatisticsHelper {
         dayName: weekDays[dayIndex],
         date: date.format('YYYY-MM-DD'),
         minutes,
-        hours: Math.round(minutes / 60 * 10) / 10
+        hours: Math.round(minutes / 60 * 10) / 10,
+        averageFocusScore: this.averageScore(dailyScores[dayIndex])
       };
     });
   }
@@ -172,6 +183,51 @@ class StatisticsHelper {
     return Object.values(goalStats).sort((a, b) => b.totalFocusTime - a.totalFocusTime);
   }
 
+  /**
+   * 집중 방해 통계 (유형별 횟수, 자주 방해받는 이유)
+   */
+  calculateDistractionStats(sessions, limit = 5) {
+    const reasons = {};
+    let internal = 0;
+    let external = 0;
+    let sessionsWithInterruptions = 0;
+
+    sessions.forEach(session => {
+      const interruptions = session.interruptions || [];
+      if (interruptions.length > 0) {
+        sessionsWithInterruptions++;
+      }
+
+      interruptions.forEach(interruption => {
+        if (interruption.kind === 'internal') {
+          internal++;
+        } else {
+          external++;
+        }
+
+        const key = `${interruption.kind}:${interruption.reason}`;
+        if (!reasons[key]) {
+          reasons[key] = { reason: interruption.reason, kind: interruption.kind, count: 0 };
+        }
+        reasons[key].count++;
+      });
+    });
+
+    const focusSessions = sessions.filter(session => session.type === 'focus').length;
+
+    return {
+      totalInterruptions: internal + external,
+      internal,
+      external,
+      // 집중 세션당 평균 방해 횟수
+      averagePerSession: focusSessions > 0 ? Math.round((internal + external) / focusSessions * 10) / 10 : 0,
+      sessionsWithInterruptions,
+      topReasons: Object.values(reasons)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+    };
+  }
+
   /**
    * 성과 분석
    */
@@ -189,7 +245,8 @@ class StatisticsHelper {
       changes: {
         focusTime: focusTimeChange,
         sessions: sessionChange,
-        completionRate: completionRateChange
+        completionRate: completionRateChange,
+        focusScore: this.calculateChange(current.averageFocusScore || 0, previous.averageFocusScore || 0)
       },
       trend: this.determineTrend(focusTimeChange.percentage)
     };
@@ -205,13 +262,22 @@ class StatisticsHelper {
         totalFocusTime: 0,
         averageFocusTime: 0,
         completionRate: 0,
-        totalDays: 0
+        totalDays: 0,
+        averageFocusScore: null,
+        scoredSessions: 0,
+        earlyStops: 0
       };
     }
 
     const totalSessions = sessions.length;
     const totalFocusTime = sessions.reduce((sum, session) => sum + (session.focusTime || 0), 0);
     const completedSessions = sessions.filter(session => session.status === 'completed').length;
+
+    // 집중도 점수는 완료된 집중 세션에만 계산됨
+    const scores = sessions
+      .filter(session => typeof session.focusScore === 'number')
+      .map(session => session.focusScore);
+    const earlyStops = sessions.filter(session => session.focusScoreDetails && session.focusScoreDetails.earlyStop).length;
     
     // 활동한 날짜 수 계산
     const uniqueDates = new Set(
@@ -225,10 +291,23 @@ class StatisticsHelper {
       totalFocusTime,
       averageFocusTime: totalSessions > 0 ? Math.round(totalFocusTime / totalSessions) : 0,
       completionRate: totalSessions > 0 ? Math.round(completedSessions / totalSessions * 100) : 0,
-      totalDays: uniqueDates.size
+      totalDays: uniqueDates.size,
+      averageFocusScore: this.averageScore(scores),
+      scoredSessions: scores.length,
+      earlyStops
     };
   }
 
+  /**
+   * 집중도 점수 평균 (점수가 없으면 null)
+   */
+  averageScore(scores) {
+    if (!scores || scores.length === 0) {
+      return null;
+    }
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  }
+
   /**
    * 변화율 계산
    */
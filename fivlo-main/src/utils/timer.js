@@ -63,10 +63,46 @@ class TimerUtils {
       FOCUS: 25, // 분
       SHORT_BREAK: 5, // 분
       LONG_BREAK: 15, // 분
+      LONG_BREAK_INTERVAL: 4, // 집중 세션 수 (이 횟수마다 긴 휴식)
       MAX_DURATION: 120 // 분 (최대 허용 시간)
     };
   }
 
+  /**
+   * 프로필을 지정하지 않았을 때 사용하는 기본 포모도로 프로필
+   */
+  static get DEFAULT_PROFILE() {
+    return {
+      profileId: null,
+      name: '기본',
+      focusMinutes: this.POMODORO_DURATIONS.FOCUS,
+      shortBreakMinutes: this.POMODORO_DURATIONS.SHORT_BREAK,
+      longBreakMinutes: this.POMODORO_DURATIONS.LONG_BREAK,
+      longBreakInterval: this.POMODORO_DURATIONS.LONG_BREAK_INTERVAL
+    };
+  }
+
+  /**
+   * 세션에 저장할 프로필 스냅샷 (비어 있는 값은 기본값으로 채움)
+   * @param {Object} profile - 사용자 포모도로 프로필 (없으면 기본 프로필)
+   * @returns {Object} 프로필 스냅샷
+   */
+  static toProfileSnapshot(profile = null) {
+    const defaults = this.DEFAULT_PROFILE;
+    if (!profile) {
+      return defaults;
+    }
+
+    return {
+      profileId: profile._id || profile.profileId || null,
+      name: profile.name || defaults.name,
+      focusMinutes: profile.focusMinutes || defaults.focusMinutes,
+      shortBreakMinutes: profile.shortBreakMinutes || defaults.shortBreakMinutes,
+      longBreakMinutes: profile.longBreakMinutes || defaults.longBreakMinutes,
+      longBreakInterval: profile.longBreakInterval || defaults.longBreakInterval
+    };
+  }
+
   /**
    * 포모도로 사이클 ID 생성
    * @param {String} userId - 사용자 ID
@@ -95,9 +131,10 @@ class TimerUtils {
    * @param {Date} startTime - 시작 시간
    * @param {Number} durationMinutes - 총 시간 (분)
    * @param {Number} pausedSeconds - 일시정지된 시간 (초)
+   * @param {Date} referenceTime - 기준 시각 (일시정지 중이면 일시정지 시각, 기본은 현재)
    * @returns {Object} { remainingSeconds, isExpired }
    */
-  static calculateRemainingTime(startTime, durationMinutes, pausedSeconds = 0) {
+  static calculateRemainingTime(startTime, durationMinutes, pausedSeconds = 0, referenceTime = null) {
     if (!startTime) {
       return { 
         remainingSeconds: this.minutesToSeconds(durationMinutes), 
@@ -105,7 +142,7 @@ class TimerUtils {
       };
     }
 
-    const now = new Date();
+    const now = referenceTime || new Date();
     const elapsedMs = now.getTime() - startTime.getTime();
     const elapsedSeconds = Math.floor(elapsedMs / 1000) - pausedSeconds;
     const totalSeconds = this.minutesToSeconds(durationMinutes);
@@ -125,10 +162,12 @@ class TimerUtils {
    */
   static validateSessionState(session) {
     try {
+      // 일시정지 중에는 일시정지 시각 기준으로 계산해 남은 시간이 줄지 않도록 함
       const timeInfo = this.calculateRemainingTime(
         session.startTime,
         session.duration,
-        session.totalPausedTime
+        session.totalPausedTime,
+        session.status === 'paused' ? session.pausedAt : null
       );
 
       return {
@@ -154,14 +193,15 @@ class TimerUtils {
   /**
    * 다음 세션 유형 결정
    * @param {String} currentType - 현재 세션 유형
-   * @param {Number} completedFocusSessions - 완료된 집중 세션 수
+   * @param {Number} completedFocusSessions - 사이클에서 완료된 집중 세션 수 (방금 완료한 세션 포함)
+   * @param {Number} longBreakInterval - 긴 휴식 주기 (집중 세션 수)
    * @returns {String} 다음 세션 유형
    */
-  static getNextSessionType(currentType, completedFocusSessions = 0) {
+  static getNextSessionType(currentType, completedFocusSessions = 0, longBreakInterval = this.POMODORO_DURATIONS.LONG_BREAK_INTERVAL) {
     if (currentType === 'focus') {
       // 집중 세션 후에는 휴식
-      // 4번째 집중 세션 후에는 긴 휴식
-      return (completedFocusSessions % 4 === 0) ? 'long_break' : 'break';
+      // 주기(기본 4번째)마다 집중 세션 후에는 긴 휴식
+      return (completedFocusSessions > 0 && completedFocusSessions % longBreakInterval === 0) ? 'long_break' : 'break';
     } else {
       // 휴식 세션 후에는 집중
       return 'focus';
@@ -172,23 +212,104 @@ class TimerUtils {
    * 다음 세션 시간 결정
    * @param {String} sessionType - 세션 유형
    * @param {Number} customDuration - 사용자 지정 시간 (분)
+   * @param {Object} profile - 포모도로 프로필 (없으면 기본 시간)
    * @returns {Number} 세션 시간 (분)
    */
-  static getSessionDuration(sessionType, customDuration = null) {
+  static getSessionDuration(sessionType, customDuration = null, profile = null) {
     if (customDuration && customDuration > 0 && customDuration <= this.POMODORO_DURATIONS.MAX_DURATION) {
       return customDuration;
     }
 
+    const durations = this.toProfileSnapshot(profile);
+
     switch (sessionType) {
       case 'focus':
-        return this.POMODORO_DURATIONS.FOCUS;
+        return durations.focusMinutes;
       case 'break':
-        return this.POMODORO_DURATIONS.SHORT_BREAK;
+        return durations.shortBreakMinutes;
       case 'long_break':
-        return this.POMODORO_DURATIONS.LONG_BREAK;
+        return durations.longBreakMinutes;
       default:
-        return this.POMODORO_DURATIONS.FOCUS;
+        return durations.focusMinutes;
+    }
+  }
+
+  /**
+   * 집중도 점수 계산 방식 버전 (가중치나 항목이 바뀌면 올려서 재계산)
+   */
+  static get FOCUS_SCORE_VERSION() {
+    return 2;
+  }
+
+  /**
+   * 집중도 점수 항목별 배점과 감점
+   */
+  static get FOCUS_SCORE_WEIGHTS() {
+    return {
+      COMPLETION: 50, // 목표 시간 대비 집중 비율
+      CONTINUITY: 20, // 일시정지 없이 이어서 집중
+      INTERRUPTIONS: 20, // 방해 없이 집중
+      FINISH: 10, // 목표 시간까지 집중 (중간에 멈추지 않음)
+      PAUSE_PENALTY: 4, // 일시정지 1회당 감점
+      PAUSED_MINUTE_PENALTY: 0.5, // 일시정지 1분당 감점
+      INTERNAL_INTERRUPTION: 6, // 스스로 흐트러진 방해 1회당 감점
+      EXTERNAL_INTERRUPTION: 3, // 외부 방해 1회당 감점
+      EARLY_STOP_RATIO: 0.95 // 목표 시간의 이 비율 미만으로 끝나면 중간에 멈춘 것으로 판단
+    };
+  }
+
+  /**
+   * 집중 세션 집중도 점수 항목별 계산
+   * 완료 비율(50) + 연속성(20, 일시정지 횟수/시간) + 방해(20) + 끝까지 집중(10) = 0-100
+   * @param {Object} session - 포모도로 세션 (type, duration, pauseCount, totalPausedTime, interruptions)
+   * @param {Number} actualSeconds - 실제 집중 시간 (초)
+   * @returns {Object|null} { score, completion, continuity, interruptions, finish, earlyStop, version } (집중 세션이 아니면 null)
+   */
+  static calculateFocusScoreDetails(session, actualSeconds) {
+    if (session.type !== 'focus') {
+      return null;
     }
+
+    const weights = this.FOCUS_SCORE_WEIGHTS;
+    const round1 = (value) => Math.round(value * 10) / 10;
+
+    const targetSeconds = this.minutesToSeconds(session.duration);
+    const completionRatio = targetSeconds > 0 ? Math.min(1, (actualSeconds || 0) / targetSeconds) : 0;
+    const completion = completionRatio * weights.COMPLETION;
+
+    // 일시정지 횟수 기록 이전 세션은 일시정지 시간이 있으면 1회로 간주
+    const pausedSeconds = session.totalPausedTime || 0;
+    const pauseCount = session.pauseCount || (pausedSeconds > 0 ? 1 : 0);
+    const pausePenalty = pauseCount * weights.PAUSE_PENALTY + (pausedSeconds / 60) * weights.PAUSED_MINUTE_PENALTY;
+    const continuity = Math.max(0, weights.CONTINUITY - pausePenalty);
+
+    const interruptionList = session.interruptions || [];
+    const internalCount = interruptionList.filter(item => item.kind === 'internal').length;
+    const externalCount = interruptionList.length - internalCount;
+    const interruptionPenalty = internalCount * weights.INTERNAL_INTERRUPTION + externalCount * weights.EXTERNAL_INTERRUPTION;
+    const interruptions = Math.max(0, weights.INTERRUPTIONS - interruptionPenalty);
+
+    const earlyStop = completionRatio < weights.EARLY_STOP_RATIO;
+    const finish = earlyStop ? 0 : weights.FINISH;
+
+    return {
+      score: Math.max(0, Math.min(100, Math.round(completion + continuity + interruptions + finish))),
+      completion: round1(completion),
+      continuity: round1(continuity),
+      interruptions: round1(interruptions),
+      finish,
+      earlyStop,
+      version: this.FOCUS_SCORE_VERSION
+    };
+  }
+
+  /**
+   * 집중 세션 집중도 점수 (0-100)
+   * @returns {Number|null} 집중도 점수 (집중 세션이 아니면 null)
+   */
+  static calculateFocusScore(session, actualSeconds) {
+    const details = this.calculateFocusScoreDetails(session, actualSeconds);
+    return details ? details.score : null;
   }
 
   /**
@@ -0,0 +1,183 @@
+/**
+ * 결제 API 경로 (server.js에 마운트된 실제 경로로 호출)
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.OPENAI_API_KEY = 'test_openai_key';
+
+// 아바타 합성용 네이티브 모듈은 이 테스트에서 사용하지 않음
+jest.mock('sharp', () => jest.fn());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../src/models/User');
+const billingService = require('../src/services/billingService');
+const { generateToken } = require('../src/utils/jwt');
+
+let user;
+let token;
+
+beforeEach(() => {
+  user = new User({
+    email: 'billing@example.com',
+    password: 'password123',
+    profileName: '테스터'
+  });
+  token = generateToken({ userId: user._id.toString(), email: user.email });
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => (String(id) === user._id.toString() ? user : null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('POST /api/billing/receipts/:store', () => {
+  beforeEach(() => {
+    jest.spyOn(billingService, 'verifyStoreReceipt').mockResolvedValue({
+      duplicate: false,
+      bonusCoins: 500,
+      subscription: { status: 'active' }
+    });
+  });
+
+  test('App Store 영수증을 검증한다', async () => {
+    const response = await request(app)
+      .post('/api/billing/receipts/apple')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receipt: 'base64_receipt' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.bonusCoins).toBe(500);
+    expect(billingService.verifyStoreReceipt).toHaveBeenCalledWith(user.id, 'apple', { receipt: 'base64_receipt' });
+  });
+
+  test('Google Play 구매 토큰을 검증한다', async () => {
+    const response = await request(app)
+      .post('/api/billing/receipts/google')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ purchaseToken: 'purchase_token', productId: 'fivlo_premium_monthly' });
+
+    expect(response.status).toBe(200);
+    expect(billingService.verifyStoreReceipt).toHaveBeenCalledWith(user.id, 'google', {
+      purchaseToken: 'purchase_token',
+      productId: 'fivlo_premium_monthly'
+    });
+  });
+
+  test('스토어별 필수 값이 없거나 지원하지 않는 스토어면 400을 반환한다', async () => {
+    const missingProduct = await request(app)
+      .post('/api/billing/receipts/google')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ purchaseToken: 'purchase_token' });
+    const unknownStore = await request(app)
+      .post('/api/billing/receipts/amazon')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receipt: 'base64_receipt' });
+
+    expect(missingProduct.status).toBe(400);
+    expect(unknownStore.status).toBe(400);
+    expect(billingService.verifyStoreReceipt).not.toHaveBeenCalled();
+  });
+
+  test('인증 없이 호출하면 401을 반환한다', async () => {
+    const response = await request(app)
+      .post('/api/billing/receipts/apple')
+      .send({ receipt: 'base64_receipt' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('인증 라우터 아래의 이전 경로는 존재하지 않는다', async () => {
+    const response = await request(app)
+      .post('/api/billing/billing/receipts/apple')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receipt: 'base64_receipt' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/billing/checkout, /api/billing/cancel', () => {
+  test('결제 세션을 생성한다', async () => {
+    jest.spyOn(billingService, 'createCheckoutSession').mockResolvedValue({
+      id: 'cs_1',
+      url: 'https://checkout.example.com/cs_1',
+      provider: 'fake',
+      amount: 4900,
+      discountAmount: 0,
+      currency: 'KRW'
+    });
+
+    const response = await request(app)
+      .post('/api/billing/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ plan: 'premium_monthly' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessionId).toBe('cs_1');
+    expect(billingService.createCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({
+      userId: user.id,
+      plan: 'premium_monthly'
+    }));
+  });
+
+  test('구독 해지를 예약한다', async () => {
+    const accessUntil = new Date('2026-12-01T00:00:00Z');
+    jest.spyOn(billingService, 'cancelSubscription').mockResolvedValue({
+      message: '구독이 해지 예약되었습니다.',
+      accessUntil
+    });
+
+    const response = await request(app)
+      .post('/api/billing/cancel')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.accessUntil).toBe(accessUntil.toISOString());
+  });
+});
+
+describe('POST /api/billing/webhook/:provider', () => {
+  test('원본 본문과 헤더로 웹훅을 처리한다', async () => {
+    jest.spyOn(billingService, 'handleWebhook').mockResolvedValue({
+      success: true,
+      duplicate: false,
+      type: 'checkout.completed'
+    });
+    const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.completed' });
+
+    const response = await request(app)
+      .post('/api/billing/webhook/fake')
+      .set('Content-Type', 'application/json')
+      .set('x-fake-signature', 'signature')
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    const [rawBody, headers, provider] = billingService.handleWebhook.mock.calls[0];
+    expect(rawBody.toString()).toBe(payload);
+    expect(headers['x-fake-signature']).toBe('signature');
+    expect(provider).toBe('fake');
+  });
+
+  test('지원하지 않는 결제사는 404를 반환한다', async () => {
+    const handleWebhook = jest.spyOn(billingService, 'handleWebhook');
+
+    const response = await request(app)
+      .post('/api/billing/webhook/unknown')
+      .send({ id: 'evt_1' });
+
+    expect(response.status).toBe(404);
+    expect(handleWebhook).not.toHaveBeenCalled();
+  });
+});
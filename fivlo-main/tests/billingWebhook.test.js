@@ -0,0 +1,285 @@
+/**
+ * 결제 체크아웃 → 웹훅 → Premium 활성화 흐름 (fake 프로바이더)
+ * DB 없이 실행하도록 모델 조회/저장은 메모리 저장소로 대체
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const Reminder = require('../src/models/Reminder');
+const billingService = require('../src/services/billingService');
+const rewardEngine = require('../src/services/rewardEngine');
+const promotionService = require('../src/services/promotionService');
+const notificationService = require('../src/services/notificationService');
+const paymentProviders = require('../src/services/paymentProviders');
+const StripeProvider = require('../src/services/paymentProviders/stripeProvider');
+const PortOneProvider = require('../src/services/paymentProviders/portoneProvider');
+
+const users = new Map();
+const paymentEvents = new Map();
+
+const eventKey = (provider, eventId) => `${provider}:${eventId}`;
+
+const matchesRetryQuery = (record, query) => query.$or.some(condition => {
+  if (record.status !== condition.status) return false;
+  return !condition.updatedAt || record.updatedAt <= condition.updatedAt.$lte;
+});
+
+const createUser = () => {
+  const user = new User({
+    email: 'premium@example.com',
+    password: 'password123',
+    profileName: '테스터'
+  });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const checkout = async (user) => {
+  const provider = paymentProviders.getProvider('fake');
+  const session = await billingService.createCheckoutSession({
+    userId: user._id,
+    plan: 'premium_monthly',
+    provider: 'fake'
+  });
+  return provider.simulateCheckoutCompleted(session.sessionId);
+};
+
+const getRecord = (eventId) => paymentEvents.get(eventKey('fake', eventId));
+
+// findOne(...).sort(...) 체이닝을 지원하는 조회 결과
+const asQuery = (result) => {
+  const query = Promise.resolve(result);
+  query.sort = () => query;
+  return query;
+};
+
+const findPaymentEvent = (query) => {
+  if (query.eventId) {
+    return paymentEvents.get(eventKey(query.provider, query.eventId)) || null;
+  }
+  return [...paymentEvents.values()].find(record =>
+    record.provider === query.provider &&
+    record.paymentId === query.paymentId &&
+    record.userId) || null;
+};
+
+const stripeWebhook = (provider, event) => {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = provider.sign(`${timestamp}.${rawBody.toString()}`, provider.config.webhookSecret);
+  return { rawBody, headers: { 'stripe-signature': `t=${timestamp},v1=${signature}` } };
+};
+
+beforeEach(() => {
+  users.clear();
+  paymentEvents.clear();
+  paymentProviders.getProvider('fake').reset();
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => users.get(String(id)) || null);
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(PaymentEvent, 'create').mockImplementation(async (doc) => {
+    const key = eventKey(doc.provider, doc.eventId);
+    if (paymentEvents.has(key)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const record = new PaymentEvent(doc);
+    record.updatedAt = new Date();
+    paymentEvents.set(key, record);
+    return record;
+  });
+  jest.spyOn(PaymentEvent.prototype, 'save').mockImplementation(async function() {
+    this.updatedAt = new Date();
+    return this;
+  });
+  jest.spyOn(PaymentEvent, 'findOne').mockImplementation(query => asQuery(findPaymentEvent(query)));
+  jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const record = paymentEvents.get(eventKey(query.provider, query.eventId));
+    if (!record || !matchesRetryQuery(record, query)) {
+      return null;
+    }
+    Object.assign(record, update.$set, { updatedAt: new Date() });
+    return record;
+  });
+
+  jest.spyOn(Reminder, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(notificationService, 'sendPushNotification').mockResolvedValue();
+
+  jest.spyOn(rewardEngine, 'handle').mockResolvedValue({ awarded: 500 });
+  jest.spyOn(promotionService, 'confirmCheckoutDiscounts').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('결제 웹훅 처리', () => {
+  test('체크아웃 완료 웹훅으로 Premium이 활성화된다', async () => {
+    const user = createUser();
+    const { rawBody, headers } = await checkout(user);
+
+    const result = await billingService.handleWebhook(rawBody, headers, 'fake');
+
+    expect(result.duplicate).toBe(false);
+    expect(result.bonusCoins).toBe(500);
+    expect(user.subscription.status).toBe('active');
+    expect(user.subscription.provider).toBe('fake');
+    expect(user.subscription.currentPeriodEnd.getTime()).toBeGreaterThan(Date.now());
+    expect(promotionService.confirmCheckoutDiscounts).toHaveBeenCalledWith(user._id, 'fake_cs_000001');
+
+    const event = JSON.parse(rawBody.toString());
+    expect(getRecord(event.id).status).toBe('processed');
+  });
+
+  test('서명이 맞지 않는 웹훅은 거부한다', async () => {
+    const user = createUser();
+    const { rawBody } = await checkout(user);
+
+    await expect(billingService.handleWebhook(rawBody, { 'x-fake-signature': 'invalid' }, 'fake'))
+      .rejects.toThrow('INVALID_WEBHOOK_SIGNATURE');
+    expect(user.subscription.status).not.toBe('active');
+  });
+
+  test('처리된 웹훅이 다시 오면 중복으로 응답하고 보너스를 다시 지급하지 않는다', async () => {
+    const user = createUser();
+    const { rawBody, headers } = await checkout(user);
+
+    await billingService.handleWebhook(rawBody, headers, 'fake');
+    const retried = await billingService.handleWebhook(rawBody, headers, 'fake');
+
+    expect(retried.duplicate).toBe(true);
+    expect(rewardEngine.handle).toHaveBeenCalledTimes(1);
+  });
+
+  test('처리에 실패한 웹훅은 재전송 시 다시 처리한다', async () => {
+    const user = createUser();
+    const { rawBody, headers } = await checkout(user);
+    const event = JSON.parse(rawBody.toString());
+
+    rewardEngine.handle.mockRejectedValueOnce(new Error('보상 지급 실패'));
+    await expect(billingService.handleWebhook(rawBody, headers, 'fake')).rejects.toThrow('보상 지급 실패');
+    expect(getRecord(event.id).status).toBe('failed');
+
+    const retried = await billingService.handleWebhook(rawBody, headers, 'fake');
+
+    expect(retried.duplicate).toBe(false);
+    expect(retried.bonusCoins).toBe(500);
+    expect(getRecord(event.id).status).toBe('processed');
+    expect(getRecord(event.id).errorMessage).toBeNull();
+    expect(user.subscription.status).toBe('active');
+  });
+
+  test('처리 중에 멈춘 웹훅은 재처리하고, 처리 중인 웹훅은 나중에 다시 보내도록 한다', async () => {
+    const user = createUser();
+    const { rawBody, headers } = await checkout(user);
+    const event = JSON.parse(rawBody.toString());
+
+    await billingService.handleWebhook(rawBody, headers, 'fake');
+    const record = getRecord(event.id);
+
+    record.status = 'processing';
+    record.updatedAt = new Date();
+    await expect(billingService.handleWebhook(rawBody, headers, 'fake'))
+      .rejects.toThrow('PAYMENT_EVENT_IN_PROGRESS');
+
+    record.updatedAt = new Date(Date.now() - 10 * 60 * 1000);
+    const retried = await billingService.handleWebhook(rawBody, headers, 'fake');
+
+    expect(retried.duplicate).toBe(false);
+    expect(record.status).toBe('processed');
+  });
+});
+
+describe('환불 웹훅 처리', () => {
+  const stripe = new StripeProvider({ secretKey: 'sk_test', webhookSecret: 'whsec_test' });
+
+  const sendStripeWebhook = (event) => {
+    const { rawBody, headers } = stripeWebhook(stripe, event);
+    return billingService.handleWebhook(rawBody, headers, 'stripe');
+  };
+
+  beforeEach(() => {
+    paymentProviders.setProvider('stripe', stripe);
+  });
+
+  test('결제 ID만 있는 Stripe 환불 웹훅은 원래 결제의 사용자 구독을 회수한다', async () => {
+    const user = createUser();
+    const periodStart = Math.floor(Date.now() / 1000);
+
+    await sendStripeWebhook({
+      id: 'evt_invoice_paid',
+      type: 'invoice.paid',
+      data: {
+        object: {
+          subscription: 'sub_1',
+          payment_intent: 'pi_1',
+          amount_paid: 4900,
+          currency: 'krw',
+          lines: {
+            data: [{
+              metadata: { userId: user._id.toString(), plan: 'premium_monthly' },
+              period: { start: periodStart, end: periodStart + 30 * 24 * 60 * 60 }
+            }]
+          }
+        }
+      }
+    });
+    expect(user.subscription.status).toBe('active');
+
+    const result = await sendStripeWebhook({
+      id: 'evt_charge_refunded',
+      type: 'charge.refunded',
+      data: { object: { payment_intent: 'pi_1', amount_refunded: 4900, currency: 'krw' } }
+    });
+
+    expect(result.duplicate).toBe(false);
+    expect(String(result.userId)).toBe(user._id.toString());
+    expect(user.subscription.status).toBe('expired');
+    expect(paymentEvents.get(eventKey('stripe', 'evt_charge_refunded')).status).toBe('processed');
+  });
+
+  test('기록된 결제가 없는 환불은 실패로 남기지 않는다', async () => {
+    const result = await sendStripeWebhook({
+      id: 'evt_unknown_refund',
+      type: 'charge.refunded',
+      data: { object: { payment_intent: 'pi_unknown', amount_refunded: 4900, currency: 'krw' } }
+    });
+
+    expect(result.userId).toBeNull();
+    expect(paymentEvents.get(eventKey('stripe', 'evt_unknown_refund')).status).toBe('processed');
+  });
+
+  test('금액 불일치로 서버가 취소한 PortOne 결제의 취소 웹훅은 무시한다', async () => {
+    const portone = new PortOneProvider({ apiSecret: 'portone_secret', webhookSecret: 'whsec_dGVzdA==' });
+    const customData = portone.buildCustomData({
+      userId: 'user_1',
+      plan: 'premium_monthly',
+      amount: 4900,
+      paymentId: 'pay_1'
+    });
+    jest.spyOn(portone.client, 'get').mockResolvedValue({
+      data: { id: 'pay_1', customData, amount: { total: 100 }, status: 'CANCELLED' }
+    });
+    const cancel = jest.spyOn(portone.client, 'post').mockResolvedValue({ data: {} });
+
+    const event = await portone.normalizeEvent('wh_1', {
+      type: 'Transaction.Cancelled',
+      data: { paymentId: 'pay_1' }
+    });
+
+    expect(event.type).toBe(paymentProviders.PAYMENT_EVENT_TYPES.IGNORED);
+    expect(cancel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * 코인 잔액 대사 (대사 도중 들어온 적립이 보정으로 사라지지 않는지)
+ * DB 없이 실행하도록 User 잔액과 CoinTransaction 원장은 메모리 저장소로 대체
+ */
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const CoinTransaction = require('../src/models/CoinTransaction');
+const coinService = require('../src/services/coinService');
+
+let balances;
+let ledger;
+let hooks;
+
+const ledgerBalanceOf = userId => ledger
+  .filter(entry => String(entry.userId) === String(userId))
+  .reduce((sum, entry) => sum + (entry.type === 'earn' ? entry.amount : -entry.amount), 0);
+
+// 동시에 들어온 적립 (applyLedgerEntry처럼 잔액과 원장을 함께 반영)
+const awardConcurrently = (userId, amount) => {
+  balances.set(String(userId), balances.get(String(userId)) + amount);
+  ledger.push({ userId, type: 'earn', amount });
+};
+
+const asQuery = (resolveValue) => {
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve().then(resolveValue).then(resolve, reject)
+  };
+  return query;
+};
+
+beforeEach(() => {
+  balances = new Map();
+  ledger = [];
+  hooks = { afterAggregate: null, beforeFix: null };
+
+  jest.spyOn(CoinTransaction, 'aggregate').mockImplementation((pipeline) => asQuery(() => {
+    const match = pipeline.find(stage => stage.$match);
+    if (match) {
+      const userId = match.$match.userId;
+      return ledger.some(entry => String(entry.userId) === String(userId))
+        ? [{ _id: null, balance: ledgerBalanceOf(userId) }]
+        : [];
+    }
+
+    const userIds = [...new Set(ledger.map(entry => String(entry.userId)))];
+    const totals = userIds.map(userId => ({
+      _id: new mongoose.Types.ObjectId(userId),
+      balance: ledgerBalanceOf(userId)
+    }));
+    if (hooks.afterAggregate) hooks.afterAggregate();
+    return totals;
+  }));
+  jest.spyOn(CoinTransaction, 'create').mockImplementation(async (docs) => {
+    ledger.push(...docs);
+    return docs;
+  });
+
+  jest.spyOn(User, 'find').mockImplementation(() => ({
+    select: () => ({
+      lean: () => ({
+        cursor: async function* () {
+          for (const userId of balances.keys()) {
+            yield { _id: new mongoose.Types.ObjectId(userId), coins: balances.get(userId) };
+          }
+        }
+      })
+    })
+  }));
+  jest.spyOn(User, 'findById').mockImplementation(userId => asQuery(() =>
+    (balances.has(String(userId)) ? { _id: userId, coins: balances.get(String(userId)) } : null)));
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const userId = String(filter._id);
+    if (balances.get(userId) !== filter.coins) {
+      return { modifiedCount: 0 };
+    }
+    balances.set(userId, update.$set.coins);
+    return { modifiedCount: 1 };
+  });
+
+  jest.spyOn(mongoose, 'startSession').mockImplementation(async () => {
+    if (hooks.beforeFix) hooks.beforeFix();
+    return {
+      withTransaction: async work => work(),
+      endSession: async () => {}
+    };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('코인 잔액 대사', () => {
+  test('전체 합계 이후 들어온 적립은 불일치로 보고하거나 덮어쓰지 않는다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    balances.set(String(userId), 100);
+    ledger.push({ userId, type: 'earn', amount: 100 });
+    hooks.afterAggregate = () => awardConcurrently(userId, 50);
+
+    const report = await coinService.reconcileBalances({ fix: true });
+
+    expect(report.driftedUsers).toBe(0);
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(balances.get(String(userId))).toBe(150);
+  });
+
+  test('보정 직전에 들어온 적립은 다시 계산한 거래 내역 합계로 보존한다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    balances.set(String(userId), 120);
+    ledger.push({ userId, type: 'earn', amount: 100 });
+    hooks.afterAggregate = () => awardConcurrently(userId, 50);
+    hooks.beforeFix = () => awardConcurrently(userId, 30);
+
+    const report = await coinService.reconcileBalances({ fix: true });
+
+    expect(report.driftedUsers).toBe(1);
+    expect(report.fixedUsers).toBe(1);
+    expect(report.drifts[0]).toMatchObject({ balance: 170, ledgerBalance: 150, drift: 20 });
+    expect(balances.get(String(userId))).toBe(180);
+    expect(ledgerBalanceOf(userId)).toBe(180);
+  });
+
+  test('adjust 방식은 보정 시점의 차이만큼 조정 거래를 기록한다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    balances.set(String(userId), 120);
+    ledger.push({ userId, type: 'earn', amount: 100 });
+    hooks.beforeFix = () => awardConcurrently(userId, 30);
+
+    const report = await coinService.reconcileBalances({ fix: true, strategy: 'adjust' });
+
+    expect(report.fixedUsers).toBe(1);
+    expect(CoinTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+      type: 'earn',
+      amount: 20,
+      reason: 'admin_adjustment',
+      balanceAfter: 150
+    })], expect.anything());
+    expect(balances.get(String(userId))).toBe(150);
+    expect(ledgerBalanceOf(userId)).toBe(150);
+  });
+});
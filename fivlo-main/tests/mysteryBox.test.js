@@ -0,0 +1,149 @@
+/**
+ * 선물 상자 확률/천장 (고정 시드)
+ */
+
+process.env.MYSTERY_BOX_SEED = 'test_seed';
+
+const mongoose = require('mongoose');
+const ShopItem = require('../src/models/ShopItem');
+const mysteryBoxService = require('../src/services/mysteryBoxService');
+
+const SEED = 'fixed_seed';
+const ROLLS = 20000;
+
+const createPool = (counts = { common: 4, rare: 3, epic: 2, legendary: 1 }) =>
+  mysteryBoxService.RARITIES.reduce((pool, rarity) => {
+    pool[rarity] = Array.from({ length: counts[rarity] }, (_, index) => ({
+      _id: `${rarity}_${index}`,
+      name: `${rarity} 아이템 ${index}`,
+      category: 'top',
+      rarity
+    }));
+    return pool;
+  }, {});
+
+/**
+ * 사용자 한 명이 연속으로 상자를 여는 과정 (purchaseAndOpen의 천장 카운터 규칙과 동일)
+ */
+const simulateOpens = (pool, count, userId = 'user_1') => {
+  let pityCounter = 0;
+  const results = [];
+
+  for (let openNumber = 1; openNumber <= count; openNumber++) {
+    const rng = mysteryBoxService.createRng(mysteryBoxService.getOpenSeed(userId, openNumber, SEED));
+    const outcome = mysteryBoxService.roll(rng, pool, pityCounter);
+    results.push({ ...outcome, pityCounterBefore: pityCounter });
+    pityCounter = outcome.rarity === 'common' ? pityCounter + 1 : 0;
+  }
+
+  return results;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('선물 상자 난수', () => {
+  test('같은 시드와 개봉 번호는 항상 같은 결과가 나온다', () => {
+    const pool = createPool();
+
+    const first = simulateOpens(pool, 50).map(result => result.item._id);
+    const second = simulateOpens(pool, 50).map(result => result.item._id);
+
+    expect(second).toEqual(first);
+  });
+
+  test('사용자나 개봉 번호가 다르면 다른 난수를 사용한다', () => {
+    const rollFor = (userId, openNumber) =>
+      mysteryBoxService.createRng(mysteryBoxService.getOpenSeed(userId, openNumber, SEED))();
+
+    expect(rollFor('user_1', 1)).not.toBe(rollFor('user_2', 1));
+    expect(rollFor('user_1', 1)).not.toBe(rollFor('user_1', 2));
+  });
+});
+
+describe('선물 상자 확률', () => {
+  test('천장 없이 뽑은 등급 분포가 공개 확률과 일치한다', () => {
+    const pool = createPool();
+    const counts = { common: 0, rare: 0, epic: 0, legendary: 0 };
+
+    for (let index = 0; index < ROLLS; index++) {
+      const rng = mysteryBoxService.createRng(`${SEED}:${index}`);
+      counts[mysteryBoxService.roll(rng, pool, 0).rarity]++;
+    }
+
+    expect(counts.common / ROLLS).toBeCloseTo(0.70, 1);
+    expect(counts.rare / ROLLS).toBeCloseTo(0.22, 1);
+    expect(counts.epic / ROLLS).toBeCloseTo(0.07, 1);
+    expect(counts.legendary).toBeGreaterThan(0);
+    expect(counts.legendary / ROLLS).toBeLessThan(0.02);
+  });
+
+  test('아이템이 없는 등급은 낮은 등급으로 대체된다', () => {
+    const pool = createPool({ common: 2, rare: 2, epic: 0, legendary: 0 });
+
+    expect(mysteryBoxService.resolveRarity('legendary', pool)).toBe('rare');
+    expect(mysteryBoxService.resolveRarity('epic', pool)).toBe('rare');
+    expect(mysteryBoxService.resolveRarity('common', createPool({ common: 0, rare: 1, epic: 0, legendary: 0 })))
+      .toBe('rare');
+    expect(mysteryBoxService.resolveRarity('common', createPool({ common: 0, rare: 0, epic: 0, legendary: 0 })))
+      .toBeNull();
+  });
+
+  test('공개 확률표의 실제 확률은 대체 등급을 합산해 100%가 된다', async () => {
+    const pool = createPool({ common: 4, rare: 2, epic: 1, legendary: 0 });
+    const items = mysteryBoxService.RARITIES.flatMap(rarity => pool[rarity]);
+    jest.spyOn(ShopItem, 'find').mockReturnValue({
+      select: () => ({ sort: async () => items })
+    });
+
+    const odds = await mysteryBoxService.getOdds();
+    const rates = Object.fromEntries(odds.rarities.map(entry => [entry.rarity, entry.effectiveRate]));
+
+    expect(rates).toEqual({ common: 70, rare: 22, epic: 8, legendary: 0 });
+    expect(odds.rarities.find(entry => entry.rarity === 'rare').itemRate).toBe(11);
+    expect(odds.items).toHaveLength(items.length);
+  });
+});
+
+describe('선물 상자 천장', () => {
+  const { PITY_THRESHOLD } = mysteryBoxService;
+
+  test('천장 직전 카운터에서는 레어 이상만 나온다', () => {
+    const pool = createPool();
+
+    for (let index = 0; index < 2000; index++) {
+      const rng = mysteryBoxService.createRng(`${SEED}:pity:${index}`);
+      const outcome = mysteryBoxService.roll(rng, pool, PITY_THRESHOLD - 1);
+
+      expect(outcome.pityTriggered).toBe(true);
+      expect(outcome.rarity).not.toBe('common');
+    }
+  });
+
+  test('천장 전에는 발동하지 않는다', () => {
+    const rng = mysteryBoxService.createRng(SEED);
+    expect(mysteryBoxService.roll(rng, createPool(), PITY_THRESHOLD - 2).pityTriggered).toBe(false);
+  });
+
+  test('연속 개봉에서 커먼은 천장 횟수 이상 이어지지 않는다', () => {
+    const results = simulateOpens(createPool(), 2000);
+
+    let streak = 0;
+    let longestStreak = 0;
+    for (const result of results) {
+      streak = result.rarity === 'common' ? streak + 1 : 0;
+      longestStreak = Math.max(longestStreak, streak);
+    }
+
+    expect(longestStreak).toBeLessThan(PITY_THRESHOLD);
+    expect(results.some(result => result.pityTriggered)).toBe(true);
+    results
+      .filter(result => result.pityTriggered)
+      .forEach(result => expect(result.pityCounterBefore).toBe(PITY_THRESHOLD - 1));
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * 프로모션 코드 사용 한도 (동시 요청, 지급 실패 시 되돌림)
+ * DB 없이 실행하도록 PromoCode/PromoRedemption 조회/저장은 메모리 저장소로 대체
+ */
+
+const mongoose = require('mongoose');
+const PromoCode = require('../src/models/PromoCode');
+const PromoRedemption = require('../src/models/PromoRedemption');
+const entitlementService = require('../src/services/entitlementService');
+const promotionService = require('../src/services/promotionService');
+
+let promoCode;
+let redemptions;
+
+const matchesValue = (value, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$in' in condition) return condition.$in.includes(value);
+    if ('$ne' in condition) return String(value) !== String(condition.$ne);
+    if ('$type' in condition) return typeof value === condition.$type;
+  }
+  return String(value) === String(condition);
+};
+
+const matches = (row, query) =>
+  Object.entries(query).every(([field, condition]) => matchesValue(row[field], condition));
+
+const createPromoCode = (fields) => new PromoCode({
+  code: 'FIVLO',
+  type: 'free_months',
+  value: 1,
+  perUserLimit: 1,
+  maxRedemptions: null,
+  ...fields
+});
+
+beforeEach(() => {
+  redemptions = [];
+  promoCode = createPromoCode();
+
+  jest.spyOn(PromoCode, 'findOne').mockImplementation(async () => promoCode);
+  jest.spyOn(PromoCode, 'findById').mockImplementation(async () => promoCode);
+  jest.spyOn(PromoCode, 'findOneAndUpdate').mockImplementation(async () => {
+    if (promoCode.maxRedemptions !== null && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+      return null;
+    }
+    promoCode.redemptionCount += 1;
+    return promoCode;
+  });
+  jest.spyOn(PromoCode, 'updateOne').mockImplementation(async (query, update) => {
+    if (promoCode.redemptionCount > 0) {
+      promoCode.redemptionCount += update.$inc.redemptionCount;
+    }
+  });
+
+  jest.spyOn(PromoRedemption, 'countDocuments').mockImplementation(async query =>
+    redemptions.filter(row => matches(row, query)).length);
+  jest.spyOn(PromoRedemption, 'distinct').mockImplementation(async (field, query) =>
+    redemptions.filter(row => matches(row, query)).map(row => row[field]));
+  jest.spyOn(PromoRedemption, 'create').mockImplementation(async (doc) => {
+    const duplicate = redemptions.some(row =>
+      typeof row.slot === 'number' &&
+      String(row.promoCodeId) === String(doc.promoCodeId) &&
+      String(row.userId) === String(doc.userId) &&
+      row.slot === doc.slot);
+    if (duplicate) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const row = new PromoRedemption(doc);
+    redemptions.push(row);
+    return row;
+  });
+  jest.spyOn(PromoRedemption, 'findOne').mockImplementation(async query =>
+    redemptions.find(row => matches(row, query)) || null);
+  jest.spyOn(PromoRedemption, 'deleteOne').mockImplementation(async (query) => {
+    redemptions = redemptions.filter(row => !matches(row, query));
+  });
+  jest.spyOn(PromoRedemption, 'findOneAndDelete').mockImplementation(async (query) => {
+    const row = redemptions.find(candidate => matches(candidate, query));
+    redemptions = redemptions.filter(candidate => candidate !== row);
+    return row || null;
+  });
+  jest.spyOn(PromoRedemption, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const row = redemptions.find(candidate => matches(candidate, query));
+    if (!row) return null;
+    Object.assign(row, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => { row[field] = undefined; });
+    return row;
+  });
+  jest.spyOn(PromoRedemption, 'updateOne').mockImplementation(async (query, update) => {
+    const row = redemptions.find(candidate => matches(candidate, query));
+    if (row) Object.assign(row, update.$set);
+  });
+  jest.spyOn(PromoRedemption, 'find').mockImplementation(query => ({
+    select: async () => redemptions.filter(row =>
+      row.status === query.status && row.expiresAt && row.expiresAt <= query.expiresAt.$lte)
+  }));
+  jest.spyOn(PromoRedemption.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(entitlementService, 'resolveUser').mockImplementation(async userId => ({
+    _id: userId,
+    subscription: { status: 'free', provider: null }
+  }));
+  jest.spyOn(entitlementService, 'isPremium').mockReturnValue(false);
+  jest.spyOn(entitlementService, 'getSubscriptionSummary').mockReturnValue({ status: 'active' });
+  jest.spyOn(promotionService, 'grantPremiumPeriod').mockResolvedValue(new Date('2026-12-01T00:00:00Z'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('무료 개월 코드 사용', () => {
+  test('같은 사용자가 동시에 사용해도 한 번만 지급한다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    const results = await Promise.allSettled([
+      promotionService.redeemPromoCode(userId, 'FIVLO'),
+      promotionService.redeemPromoCode(userId, 'FIVLO')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('PROMO_ALREADY_REDEEMED');
+    expect(promotionService.grantPremiumPeriod).toHaveBeenCalledTimes(1);
+    expect(promoCode.redemptionCount).toBe(1);
+    expect(redemptions.map(row => row.status)).toEqual(['applied']);
+  });
+
+  test('Premium 지급에 실패하면 사용 기록과 사용 횟수를 되돌린다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    promotionService.grantPremiumPeriod.mockRejectedValueOnce(new Error('저장 실패'));
+
+    await expect(promotionService.redeemPromoCode(userId, 'FIVLO')).rejects.toThrow('저장 실패');
+    expect(promoCode.redemptionCount).toBe(0);
+    expect(redemptions).toHaveLength(0);
+
+    const result = await promotionService.redeemPromoCode(userId, 'FIVLO');
+    expect(result.grantedUntil).toEqual(new Date('2026-12-01T00:00:00Z'));
+    expect(promoCode.redemptionCount).toBe(1);
+  });
+
+  test('전체 한도를 넘는 동시 요청은 사용 기록을 남기지 않는다', async () => {
+    promoCode = createPromoCode({ maxRedemptions: 1 });
+
+    const results = await Promise.allSettled([
+      promotionService.redeemPromoCode(new mongoose.Types.ObjectId(), 'FIVLO'),
+      promotionService.redeemPromoCode(new mongoose.Types.ObjectId(), 'FIVLO')
+    ]);
+
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('PROMO_USAGE_LIMIT_REACHED');
+    expect(promoCode.redemptionCount).toBe(1);
+    expect(redemptions).toHaveLength(1);
+  });
+});
+
+describe('결제 할인 코드 예약', () => {
+  beforeEach(() => {
+    promoCode = createPromoCode({ type: 'percentage', value: 50 });
+  });
+
+  test('같은 사용자의 동시 예약은 하나의 예약을 함께 사용한다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    const [first, second] = await Promise.all([
+      promotionService.reserveCheckoutDiscount(userId, 'FIVLO', 'premium_monthly'),
+      promotionService.reserveCheckoutDiscount(userId, 'FIVLO', 'premium_monthly')
+    ]);
+
+    expect(String(first.redemptionId)).toBe(String(second.redemptionId));
+    expect(first.discountAmount).toBe(2450);
+    expect(promoCode.redemptionCount).toBe(1);
+    expect(redemptions).toHaveLength(1);
+  });
+
+  test('만료된 예약은 사용 횟수와 순번을 돌려주어 다시 예약할 수 있다', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    await promotionService.reserveCheckoutDiscount(userId, 'FIVLO', 'premium_monthly');
+
+    const expired = await promotionService.expirePendingRedemptions(new Date(Date.now() + 48 * 60 * 60 * 1000));
+    expect(expired).toBe(1);
+    expect(promoCode.redemptionCount).toBe(0);
+    expect(redemptions[0].slot).toBeUndefined();
+
+    await promotionService.reserveCheckoutDiscount(userId, 'FIVLO', 'premium_monthly');
+    expect(promoCode.redemptionCount).toBe(1);
+    expect(redemptions.map(row => row.status)).toEqual(['expired', 'pending']);
+  });
+});
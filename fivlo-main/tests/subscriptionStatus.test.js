@@ -0,0 +1,75 @@
+/**
+ * 구독 상태 조회 (조회 경로에서는 만료 여부를 판단만 하고 상태를 바꾸지 않음)
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.OPENAI_API_KEY = 'test_openai_key';
+
+// 아바타 합성용 네이티브 모듈은 이 테스트에서 사용하지 않음
+jest.mock('sharp', () => jest.fn());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../src/models/User');
+const { generateToken } = require('../src/utils/jwt');
+
+let user;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  // 유예 기간까지 지났지만 스케줄러가 아직 만료 처리하지 않은 구독
+  user = new User({
+    email: 'subscription@example.com',
+    password: 'password123',
+    profileName: '테스터',
+    subscription: {
+      plan: 'premium_monthly',
+      status: 'active',
+      currentPeriodStart: new Date(Date.now() - 40 * DAY),
+      currentPeriodEnd: new Date(Date.now() - 10 * DAY),
+      graceEndsAt: new Date(Date.now() - 3 * DAY),
+      source: 'web'
+    }
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => (String(id) === user._id.toString() ? user : null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
+
+describe('User.checkPremiumStatus', () => {
+  test('기간이 끝난 구독은 Premium이 아니라고 판단하지만 상태는 바꾸지 않는다', () => {
+    const subscriptionBefore = user.subscription.toObject();
+
+    expect(user.checkPremiumStatus()).toBe(false);
+    expect(user.subscription.toObject()).toEqual(subscriptionBefore);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/users/me/subscription', () => {
+  test('조회 시점 기준으로 만료된 상태를 반환하고 저장된 상태는 그대로 둔다', async () => {
+    const token = generateToken({ userId: user._id.toString(), email: user.email });
+
+    const response = await request(app)
+      .get('/api/users/me/subscription')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.subscriptionStatus).toBe('expired');
+    expect(response.body.subscription.isPremium).toBe(false);
+    expect(user.subscription.status).toBe('active');
+  });
+});